@@ -550,7 +550,13 @@ export class CoinbaseFuturesRESTClient {
         body
       });
       
-      return this._formatOrder(response);
+      // Create responds { success, success_response | error_response }
+      if (response.success === false) {
+        const err = response.error_response || {};
+        throw new Error(`Order rejected: ${err.message || err.error || response.failure_reason || 'Unknown error'}`);
+      }
+      
+      return this._formatOrder(response.success_response || response);
     } catch (error) {
       this.log('error', `Failed to create futures order: ${error.message}`, orderParams);
       throw error;
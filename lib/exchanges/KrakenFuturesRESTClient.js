@@ -1031,6 +1031,7 @@ export class KrakenFuturesRESTClient {
         currency,
         balance: parseFloat(data.balance || 0),
         availableBalance: parseFloat(data.availableBalance || 0),
+        availableMargin: parseFloat(data.availableMargin || 0),
         initialMargin: parseFloat(data.initialMargin || 0),
         maintenanceMargin: parseFloat(data.maintenanceMargin || 0),
         pnl: parseFloat(data.pnl || 0),
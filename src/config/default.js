@@ -25,6 +25,8 @@ export const defaultConfig = {
     
     // Trading behavior
     postOnly: false,                  // Use post-only orders
+    timeInForce: 'GTC',               // GTC, DAY, IOC, FOK or GTD (with expireAfterMs)
+    selfTradePrevention: null,        // 'cancel-newest', 'cancel-oldest' or 'cancel-both'
     cancelOrdersOnStart: false,       // Cancel existing orders on startup
     cancelOrdersOnExit: true,         // Cancel orders on shutdown
     
@@ -33,8 +35,11 @@ export const defaultConfig = {
     minOrderSize: 0.05,               // Minimum order size (if random)
     maxOrderSize: 0.5,                // Maximum order size (if random)
     
-    // Tick sizes
-    tickSize: 0.50,                   // Default price tick size
+    // Quote model (QuoteEngine strategy): 'fixed-spread' or 'avellaneda-stoikov'
+    quoteModel: 'fixed-spread',
+    quoteModelParams: {},             // e.g. { riskAversion, horizonSeconds } for avellaneda-stoikov
+    
+    // Tick sizes: per symbol from the instrument registry (../core/instrument-registry.js)
     quoteSize: 0.0001,                // Quantity precision
     
     // Operational
@@ -64,14 +69,14 @@ export const symbolConfigs = {
     'BTC-PYUSD': {
         orderStartSize: 0.01,
         orderStepSize: 0.01,
-        tickSize: 1.00,
         minSpread: 0.003,             // Tighter spread for BTC
+        hedgeSymbol: 'XBTUSD',        // Kraken pair for HedgeExecutor
     },
     'ETH-PYUSD': {
         orderStartSize: 0.1,
         orderStepSize: 0.1,
-        tickSize: 0.50,
         minSpread: 0.005,
+        hedgeSymbol: 'ETHUSD',
     }
 };
 
@@ -0,0 +1,18 @@
+/**
+ * Static TrueX instrument specs. InstrumentRegistry serves these until the
+ * exchange answers (SecurityList or the instruments endpoint), and for
+ * symbols the exchange does not list.
+ *
+ *   tickSize      - price increment
+ *   lotSize       - size increment
+ *   minSize       - smallest order size
+ *   minNotional   - smallest order price x size
+ *   priceBandPct  - max distance of an order price from the reference mid
+ */
+export const INSTRUMENT_DEFAULTS = {
+  'BTC-PYUSD': { tickSize: 0.5, lotSize: 0.0001, minSize: 0.0001, minNotional: 1.0, priceBandPct: 2.5 },
+  'ETH-PYUSD': { tickSize: 0.5, lotSize: 0.0001, minSize: 0.0001, minNotional: 1.0, priceBandPct: 2.5 },
+};
+
+// Any other TrueX symbol
+export const GENERIC_INSTRUMENT = { tickSize: 0.5, lotSize: 0.0001, minSize: 0.0001, minNotional: 1.0, priceBandPct: 2.5 };
@@ -2,6 +2,7 @@ import { EventEmitter } from 'events';
 import { TrueXWebSocketAdapter } from '../utils/exchange/TrueXWebSocketAdapter.js';
 import { TrueXRESTAdapter } from './TrueXRESTAdapter.js';
 import { getQuoteTick } from './utils/pricing.js';
+import { instrumentRegistry } from './instrument-registry.js';
 // Simple logger implementation for TrueX
 function createLogger(config = {}) {
     const prefix = `[${config.component || 'TrueXMarketMaker'}${config.symbol ? ':' + config.symbol : ''}]`;
@@ -58,8 +59,8 @@ export class TrueXMarketMaker extends EventEmitter {
             minOrderSize: config.minOrderSize || 0.05,
             maxOrderSize: config.maxOrderSize || 0.5,
             
-            // Tick sizes
-            tickSize: config.tickSize || 0.50,
+            // Tick size override; else the instrument registry's, read at use (see _tickSize)
+            tickSize: config.tickSize || null,
             quoteSize: config.quoteSize || 0.0001,
             
             ...config
@@ -192,6 +193,9 @@ export class TrueXMarketMaker extends EventEmitter {
             apiSecret: this.config.apiSecret,
             organizationId: this.config.organizationId,
             environment: this.config.environment,
+            postOnly: this.config.postOnly,
+            timeInForce: this.config.timeInForce,
+            selfTradePrevention: this.config.selfTradePrevention,
             logger: this.logger
         });
         
@@ -384,8 +388,8 @@ export class TrueXMarketMaker extends EventEmitter {
             }
             
             // Set up start positions
-            this.startPositionBuy = ticker.bid + getQuoteTick(ticker.bid, this.config.tickSize);
-            this.startPositionSell = ticker.ask - getQuoteTick(ticker.ask, this.config.tickSize);
+            this.startPositionBuy = ticker.bid + getQuoteTick(ticker.bid, this._tickSize());
+            this.startPositionSell = ticker.ask - getQuoteTick(ticker.ask, this._tickSize());
             
             // Maintain spreads if configured
             if (this.config.maintainSpreads) {
@@ -403,9 +407,9 @@ export class TrueXMarketMaker extends EventEmitter {
             // Back off if spread is too small
             if (this.startPositionBuy * (1.00 + this.config.minSpread) > this.startPositionSell) {
                 this.startPositionBuy *= (1.00 - (this.config.minSpread / 2));
-                this.startPositionBuy = this._toNearest(this.startPositionBuy, getQuoteTick(this.startPositionBuy, this.config.tickSize));
+                this.startPositionBuy = this._toNearest(this.startPositionBuy, getQuoteTick(this.startPositionBuy, this._tickSize()));
                 this.startPositionSell *= (1.00 + (this.config.minSpread / 2));
-                this.startPositionSell = this._toNearest(this.startPositionSell, getQuoteTick(this.startPositionSell, this.config.tickSize));
+                this.startPositionSell = this._toNearest(this.startPositionSell, getQuoteTick(this.startPositionSell, this._tickSize()));
             }
             
             // Midpoint
@@ -597,7 +601,7 @@ export class TrueXMarketMaker extends EventEmitter {
         }
         
         const price = startPosition * Math.pow(1 + this.config.interval, Math.abs(index));
-        const tickSize = getQuoteTick(price, this.config.tickSize);
+        const tickSize = getQuoteTick(price, this._tickSize());
         
         return this._toNearest(price, tickSize);
     }
@@ -763,6 +767,13 @@ export class TrueXMarketMaker extends EventEmitter {
         return this.config.checkPositionLimits && currentQty <= this.config.minPosition;
     }
     
+    /**
+     * Tick size: the override, else the instrument registry's current one
+     */
+    _tickSize() {
+        return this.config.tickSize || instrumentRegistry.resolve(this.config.symbol).tickSize;
+    }
+    
     /**
      * Round to nearest multiple
      */
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import crypto from 'crypto';
+import { validateOrderAttributes, restOrderFields, classifyOrderReject } from './order-attributes.js';
 
 const DEFAULT_TRUEX_UAT_REST_URL = 'https://uat.truex.co/api/v1';
 const DEFAULT_TRUEX_PROD_REST_URL = 'https://prod.truex.co/api/v1';
@@ -24,6 +25,15 @@ export class TrueXRESTAdapter {
         this.orderIdPrefix = config.orderIdPrefix || 'mm-trx-';
         this.orderNode = 0;
         
+        // Order attributes createOrder() uses unless the order sets its own
+        this.orderAttributes = {
+            postOnly: config.postOnly || false,
+            timeInForce: config.timeInForce || 'GTC',
+            expireAfterMs: config.expireAfterMs || null,
+            selfTradePrevention: config.selfTradePrevention || null
+        };
+        validateOrderAttributes(this.orderAttributes);
+        
         // Create axios instance
         this.client = axios.create({
             baseURL: this.baseUrl,
@@ -64,7 +74,7 @@ export class TrueXRESTAdapter {
         const path = config.url;
         
         // Create signature payload
-        const payload = `${timestamp}${method}${path}`;
+        let payload = `${timestamp}${method}${path}`;
         if (config.data) {
             payload += JSON.stringify(config.data);
         }
@@ -220,11 +230,22 @@ export class TrueXRESTAdapter {
     
     /**
      * Create order
+     * 
+     * postOnly, timeInForce, expireTime, expireAfterMs and
+     * selfTradePrevention in orderDetails override the adapter's defaults
+     * (see order-attributes.js). A rejected order throws with rejectKind
+     * set to 'post-only', 'self-trade' or 'other'.
      */
     async createOrder(orderDetails) {
         const orderId = this._generateOrderId();
         
         try {
+            const attributes = { ...this.orderAttributes };
+            for (const key of ['postOnly', 'timeInForce', 'expireTime', 'expireAfterMs', 'selfTradePrevention']) {
+                if (orderDetails[key] !== undefined) attributes[key] = orderDetails[key];
+            }
+            validateOrderAttributes(attributes);
+            
             const orderPayload = {
                 client_id: orderDetails.client_id,
                 instrument_id: orderDetails.instrument_id || orderDetails.symbol,
@@ -233,13 +254,9 @@ export class TrueXRESTAdapter {
                 price: orderDetails.price,
                 qty: orderDetails.qty,
                 external_id: orderId,
-                time_in_force: 'GTC'
+                ...restOrderFields(attributes)
             };
             
-            if (this.config.postOnly) {
-                orderPayload.exec_inst = 'POST_ONLY';
-            }
-            
             const response = await this.client.post('/orders', orderPayload);
             const order = response.data;
             
@@ -253,8 +270,10 @@ export class TrueXRESTAdapter {
             return order;
             
         } catch (error) {
+            error.rejectKind = classifyOrderReject({ '58': error.message });
             this.logger.error('Failed to create order', {
                 error: error.message,
+                rejectKind: error.rejectKind,
                 orderDetails
             });
             throw error;
@@ -0,0 +1,308 @@
+import { EventEmitter } from 'events';
+import http from 'http';
+import crypto from 'crypto';
+import { WebSocketServer } from 'ws';
+
+const MAX_BODY_BYTES = 64 * 1024;
+const SYMBOL_VIEWS = ['quotes', 'inventory', 'pnl', 'hedge'];
+const STREAMED_EVENTS = ['fill', 'hedge', 'emergency', 'risk-rejection'];
+
+/**
+ * ControlServer - Local HTTP/WebSocket API for steering a running
+ * MarketMakerOrchestrator.
+ *
+ * Binds to 127.0.0.1 unless told otherwise, and every request must carry
+ * the token as `Authorization: Bearer <token>` (WebSocket clients that
+ * cannot set headers may pass `?token=` on the upgrade instead).
+ *
+ *   GET  /status                          orchestrator.getStatus()
+ *   GET  /quotes | /inventory | /pnl | /hedge
+ *                                         per symbol, ?symbol= for one
+ *   POST /commands/<command>              JSON body is the params
+ *   GET  /ws                              WebSocket stream
+ *
+ * Commands (symbol optional, default all):
+ *   pause, resume - { side: 'buy' | 'sell' | 'both', symbol }
+ *   cancel-all    - { symbol } pulls quotes and pauses both sides
+ *   flatten       - { symbol } hedges the net position via HedgeExecutor
+ *   config        - { symbol, baseSpreadBps, levels, baseSizeBTC, ... }
+ * Every command is audit-logged through AuditLogger with its outcome.
+ *
+ * The WebSocket pushes { type, data, timestamp } frames: 'status' on
+ * connect and every statusIntervalMs, the orchestrator's fill, hedge,
+ * emergency and risk-rejection events, and 'command' after each command.
+ * It takes { id, command, params } and answers { type: 'response', id, ok,
+ * result | error }.
+ *
+ * Events emitted:
+ *   'listening' - { host, port }
+ *   'command'   - { command, params, source, ok, result, error }
+ */
+export class ControlServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    if (!options.orchestrator) throw new Error('ControlServer requires an orchestrator');
+    if (!options.token) throw new Error('ControlServer requires a token');
+
+    this.orchestrator = options.orchestrator;
+    this.token = String(options.token);
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 8787;
+    this.statusIntervalMs = options.statusIntervalMs || 1000;
+    this.auditLogger = options.auditLogger || this.orchestrator.auditLogger || null;
+    this.logger = options.logger || console;
+
+    this.server = null;
+    this.wss = null;
+    this.statusTimer = null;
+    this.eventHandlers = new Map();  // orchestrator event -> broadcast handler
+
+    const orch = this.orchestrator;
+    this.commands = {
+      'pause': ({ side, symbol }) => orch.pauseQuoting(side, symbol),
+      'resume': ({ side, symbol }) => orch.resumeQuoting(side, symbol),
+      'cancel-all': ({ symbol }) => orch.cancelAll(symbol),
+      'flatten': ({ symbol }) => orch.flatten(symbol),
+      'config': ({ symbol, ...changes }) => orch.updateQuoteConfig(changes, symbol),
+    };
+  }
+
+  /**
+   * Listen on host:port (port 0 picks a free one). Resolves { host, port }.
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this._onRequest(req, res));
+    this.wss = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => this._onUpgrade(req, socket, head));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    this.port = this.server.address().port;
+
+    for (const event of STREAMED_EVENTS) {
+      const handler = (data) => this._broadcast(event, data);
+      this.orchestrator.on(event, handler);
+      this.eventHandlers.set(event, handler);
+    }
+    this.statusTimer = setInterval(() => {
+      if (this.wss.clients.size > 0) this._broadcast('status', this.orchestrator.getStatus());
+    }, this.statusIntervalMs);
+
+    this.logger.info(`[ControlServer] Listening on http://${this.host}:${this.port}`);
+    this.emit('listening', { host: this.host, port: this.port });
+    return { host: this.host, port: this.port };
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    clearInterval(this.statusTimer);
+    this.statusTimer = null;
+    for (const [event, handler] of this.eventHandlers) {
+      this.orchestrator.removeListener(event, handler);
+    }
+    this.eventHandlers.clear();
+
+    for (const client of this.wss.clients) client.terminate();
+    this.wss.close();
+    if (this.server.closeAllConnections) this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    this.wss = null;
+
+    this.logger.info('[ControlServer] Stopped');
+  }
+
+  /**
+   * Run a command and audit-log it. Resolves { ok, result } or { ok, error };
+   * command failures are reported, not thrown.
+   */
+  async execute(command, params = {}, meta = {}) {
+    const handler = this.commands[command];
+    let outcome;
+    try {
+      if (!handler) throw new Error(`Unknown command: ${command}`);
+      const result = await handler(params || {});
+      outcome = { ok: true, result: result ?? null };
+    } catch (err) {
+      outcome = { ok: false, error: err.message };
+    }
+
+    const record = { command, params, source: meta.source || 'local', ...outcome };
+    if (this.auditLogger) {
+      this.auditLogger.logControlCommand({
+        sessionId: this.orchestrator.sessionId,
+        remoteAddress: meta.remoteAddress,
+        ...record,
+      });
+    }
+    if (outcome.ok) {
+      this.logger.warn(`[ControlServer] ${command} ${JSON.stringify(params)} (${record.source})`);
+    } else {
+      this.logger.warn(`[ControlServer] ${command} failed: ${outcome.error}`);
+    }
+
+    this.emit('command', record);
+    this._broadcast('command', record);
+    return outcome;
+  }
+
+  // --- HTTP ---
+
+  async _onRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!this._authorized(req, url, false)) {
+      this._send(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+
+    try {
+      if (req.method === 'GET') {
+        const view = this._view(url.pathname.slice(1), url.searchParams.get('symbol'));
+        this._send(res, view === undefined ? 404 : 200, view === undefined ? { error: 'Not found' } : view);
+        return;
+      }
+
+      const match = req.method === 'POST' && url.pathname.match(/^\/commands\/([a-z-]+)$/);
+      if (!match) {
+        this._send(res, 404, { error: 'Not found' });
+        return;
+      }
+
+      const params = await readJsonBody(req);
+      const outcome = await this.execute(match[1], params, { source: 'http', remoteAddress: req.socket.remoteAddress });
+      this._send(res, outcome.ok ? 200 : 400, outcome);
+    } catch (err) {
+      this._send(res, err.statusCode || 500, { error: err.message });
+    }
+  }
+
+  /**
+   * status, or a per-symbol slice of it; undefined for unknown views.
+   */
+  _view(name, symbol) {
+    if (name !== 'status' && !SYMBOL_VIEWS.includes(name)) return undefined;
+
+    const status = this.orchestrator.getStatus();
+    if (name === 'status') return status;
+
+    if (symbol) {
+      if (!status.symbols[symbol]) throw httpError(404, `Unknown symbol: ${symbol}`);
+      return status.symbols[symbol][name];
+    }
+    const bySymbol = {};
+    for (const [sym, view] of Object.entries(status.symbols)) bySymbol[sym] = view[name];
+    return bySymbol;
+  }
+
+  _send(res, statusCode, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+    });
+    res.end(payload);
+  }
+
+  /**
+   * Constant-time token check; the query string only counts for upgrades.
+   */
+  _authorized(req, url, allowQuery) {
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ')
+      ? header.slice(7)
+      : (allowQuery ? url.searchParams.get('token') : null);
+    if (!given) return false;
+
+    const a = Buffer.from(given);
+    const b = Buffer.from(this.token);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  // --- WebSocket ---
+
+  _onUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/ws' || !this._authorized(req, url, true)) {
+      socket.write(`HTTP/1.1 ${url.pathname !== '/ws' ? '404 Not Found' : '401 Unauthorized'}\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+    this.wss.handleUpgrade(req, socket, head, (ws) => this._onClient(ws, req));
+  }
+
+  _onClient(ws, req) {
+    const meta = { source: 'ws', remoteAddress: req.socket.remoteAddress };
+    this._sendFrame(ws, 'status', this.orchestrator.getStatus());
+
+    const respond = (id, outcome) => {
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify({ type: 'response', id, ...outcome }));
+      }
+    };
+
+    ws.on('message', async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (_) {
+        respond(null, { ok: false, error: 'Invalid JSON' });
+        return;
+      }
+      if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+        respond(null, { ok: false, error: 'Message must be a JSON object' });
+        return;
+      }
+
+      // Nothing may escape an async 'message' listener as an unhandled rejection
+      try {
+        const outcome = await this.execute(message.command, message.params, meta);
+        respond(message.id ?? null, outcome);
+      } catch (err) {
+        this.logger.error(`[ControlServer] WebSocket command failed: ${err.message}`);
+        respond(message.id ?? null, { ok: false, error: err.message });
+      }
+    });
+  }
+
+  _broadcast(type, data) {
+    if (!this.wss) return;
+    for (const ws of this.wss.clients) this._sendFrame(ws, type, data);
+  }
+
+  _sendFrame(ws, type, data) {
+    if (ws.readyState !== ws.OPEN) return;
+    ws.send(JSON.stringify({ type, data, timestamp: Date.now() }));
+  }
+}
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+async function readJsonBody(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) throw httpError(413, 'Request body too large');
+  }
+  if (!body.trim()) return {};
+
+  try {
+    const params = JSON.parse(body);
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+      throw new Error('not an object');
+    }
+    return params;
+  } catch (_) {
+    throw httpError(400, 'Body must be a JSON object');
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * AdaptiveAlgo - Pegs to the touch and gets more aggressive as time runs out.
+ *
+ * A child's price moves linearly from our own touch (passive) at the start
+ * to the far touch (crossing) at durationMs. The resting child is re-pegged
+ * when the near touch moves repegThresholdBps from where it was placed, and
+ * every repegIntervalMs so it keeps up with the schedule.
+ */
+export class AdaptiveAlgo {
+  constructor(options = {}) {
+    this.name = 'adaptive';
+    this.durationMs = options.durationMs || 60000;
+    this.repegThresholdBps = options.repegThresholdBps ?? 1;
+    this.repegIntervalMs = options.repegIntervalMs || this.durationMs / 10;
+    this.deadlineMs = options.deadlineMs || this.durationMs;
+  }
+
+  nextSlice({ side, remaining, elapsedMs, quote }) {
+    const urgency = Math.min(1, elapsedMs / this.durationMs);
+    const passive = side === 'sell' ? quote.ask : quote.bid;
+    const aggressive = side === 'sell' ? quote.bid : quote.ask;
+
+    return {
+      size: remaining,
+      price: passive + (aggressive - passive) * urgency,
+      waitMs: this.repegIntervalMs,
+    };
+  }
+
+  /**
+   * Re-peg when the near touch moved since the child was placed.
+   */
+  shouldReprice({ side, quote }, current) {
+    const placedAt = side === 'sell' ? quote.ask : quote.bid;
+    const now = side === 'sell' ? current.ask : current.bid;
+    return Math.abs(now - placedAt) / placedAt * 10000 >= this.repegThresholdBps;
+  }
+
+  getState() {
+    return { name: this.name, durationMs: this.durationMs, repegThresholdBps: this.repegThresholdBps };
+  }
+}
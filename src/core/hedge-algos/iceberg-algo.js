@@ -0,0 +1,33 @@
+/**
+ * IcebergAlgo - Rests passively at our own touch, showing a little at a time.
+ *
+ * Each child joins the near touch (ask to sell, bid to buy) with at most
+ * displaySizeBTC, and no more than depthFraction of the size already shown
+ * there when the venue reports it. A child is refreshed at the current
+ * touch after refreshMs; the next one follows as soon as it fills.
+ */
+export class IcebergAlgo {
+  constructor(options = {}) {
+    this.name = 'iceberg';
+    this.displaySizeBTC = options.displaySizeBTC || 0.1;
+    this.depthFraction = options.depthFraction ?? 0.5;
+    this.refreshMs = options.refreshMs || 5000;
+    this.deadlineMs = options.deadlineMs || 120000;
+  }
+
+  nextSlice({ side, remaining, quote }) {
+    let size = Math.min(remaining, this.displaySizeBTC);
+    const shown = side === 'sell' ? quote.askSize : quote.bidSize;
+    if (shown > 0) size = Math.min(size, shown * this.depthFraction);
+
+    return {
+      size: Math.round(size * 1e8) / 1e8,
+      price: side === 'sell' ? quote.ask : quote.bid,
+      waitMs: this.refreshMs,
+    };
+  }
+
+  getState() {
+    return { name: this.name, displaySizeBTC: this.displaySizeBTC, depthFraction: this.depthFraction };
+  }
+}
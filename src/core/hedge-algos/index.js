@@ -0,0 +1,36 @@
+import { TwapAlgo } from './twap-algo.js';
+import { IcebergAlgo } from './iceberg-algo.js';
+import { AdaptiveAlgo } from './adaptive-algo.js';
+
+/**
+ * Hedge execution algorithms selectable by name (HedgeExecutor `hedgeAlgo`).
+ *
+ * An algo implements:
+ *   deadlineMs               - after this the remainder goes at market
+ *   nextSlice({ side, size, remaining, filled, elapsedMs, quote, sliceIndex })
+ *       → { size, price, waitMs }: the next child order and how long it
+ *         may rest; size 0 waits waitMs before asking again
+ *   shouldReprice(child, quote) - optional; cancel the resting child
+ *         ({ side, price, quote at placement }) for a fresh slice
+ *   getState()               - diagnostics for status reporting
+ */
+export const HEDGE_ALGOS = {
+  'twap': TwapAlgo,
+  'iceberg': IcebergAlgo,
+  'adaptive': AdaptiveAlgo,
+};
+
+/**
+ * Build an algo from a name, or pass an existing instance through.
+ */
+export function createHedgeAlgo(algo, options = {}) {
+  if (typeof algo === 'object' && algo !== null) return algo;
+
+  const Algo = HEDGE_ALGOS[algo];
+  if (!Algo) {
+    throw new Error(`Unknown hedge algo: ${algo}`);
+  }
+  return new Algo(options);
+}
+
+export { TwapAlgo, IcebergAlgo, AdaptiveAlgo };
@@ -0,0 +1,33 @@
+/**
+ * TwapAlgo - Even hedge schedule over durationMs.
+ *
+ * The hedge is due in `slices` equal parts, one per interval. Each child is
+ * a marketable limit limitOffsetBps through the far touch and rests until
+ * the next interval; whatever it leaves is added to the next child.
+ */
+export class TwapAlgo {
+  constructor(options = {}) {
+    this.name = 'twap';
+    this.durationMs = options.durationMs || 60000;
+    this.slices = options.slices || 10;
+    this.limitOffsetBps = options.limitOffsetBps ?? 5;
+    this.deadlineMs = options.deadlineMs || this.durationMs + this.durationMs / this.slices;
+  }
+
+  nextSlice({ side, size, filled, elapsedMs, quote }) {
+    const intervalMs = this.durationMs / this.slices;
+    const interval = Math.min(this.slices, Math.floor(elapsedMs / intervalMs) + 1);
+    const waitMs = elapsedMs < this.durationMs ? interval * intervalMs - elapsedMs : intervalMs;
+
+    const due = Math.round((size * interval / this.slices - filled) * 1e8) / 1e8;
+    if (due <= 0) return { size: 0, waitMs };
+
+    const offset = this.limitOffsetBps / 10000;
+    const price = side === 'sell' ? quote.bid * (1 - offset) : quote.ask * (1 + offset);
+    return { size: due, price, waitMs };
+  }
+
+  getState() {
+    return { name: this.name, durationMs: this.durationMs, slices: this.slices };
+  }
+}
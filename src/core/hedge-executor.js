@@ -1,14 +1,33 @@
 import { EventEmitter } from 'events';
+import { HedgeRouter } from './hedge-router.js';
+import { createHedgeVenue } from './hedge-venues/index.js';
+import { createHedgeAlgo } from './hedge-algos/index.js';
 
 /**
  * HedgeExecutor - Executes hedge orders on Kraken to flatten accumulated inventory risk.
  *
+ * With `venues` (see ./hedge-venues) each hedge is instead planned by a
+ * HedgeRouter across the venues and every leg runs limit-then-market on
+ * its venue, in parallel. Fills and failures feed back into the router's
+ * fill-quality scores.
+ *
+ * With `hedgeAlgo` (see ./hedge-algos) normal-urgency hedges are not clamped
+ * to maxHedgeSizeBTC but worked as child orders of at most that size, each
+ * on the venue the router ranks first. A resting child is cancelled when
+ * the touch moves cancelOnMoveBps against the hedge, and whatever is left
+ * at the algo's deadline goes at market. An urgent hedge on the same side
+ * meanwhile escalates the running one instead of failing.
+ *
  * Events emitted:
- *   'hedge-placed'    - { side, size, price, orderId, type }
- *   'hedge-filled'    - { side, size, price, orderId, slippage }
- *   'hedge-timeout'   - { orderId }
- *   'hedge-failed'    - { error, side, size }
- *   'hedge-cancelled' - { orderId }
+ *   'hedge-routed'    - { side, size, legs: [{ venue, size, price }], unallocated }
+ *   'hedge-algo-started' - { algo, side, size, arrivalPrice, deadlineMs }
+ *   'hedge-progress'  - { algo, side, size, filled, remaining, avgPrice, slices }
+ *   'hedge-escalated' - { algo, side, remaining, reason: 'deadline' | 'urgent' }
+ *   'hedge-placed'    - { side, size, price, orderId, type, venue }
+ *   'hedge-filled'    - { side, size, price, orderId, slippage, venue }
+ *   'hedge-timeout'   - { orderId, venue }
+ *   'hedge-failed'    - { error, side, size, venue }
+ *   'hedge-cancelled' - { orderId, venue, reason }  (reason on algo children)
  */
 export class HedgeExecutor extends EventEmitter {
   constructor(options = {}) {
@@ -29,8 +48,24 @@ export class HedgeExecutor extends EventEmitter {
       maxHedgeSizeBTC: options.maxHedgeSizeBTC || 1.0,
       limitPriceOffsetBps: options.limitPriceOffsetBps || 5,
       pollIntervalMs: options.pollIntervalMs || 1000,
+      cancelOnMoveBps: options.cancelOnMoveBps ?? 10,
     };
 
+    // Sliced execution (optional)
+    this.algo = options.hedgeAlgo ? createHedgeAlgo(options.hedgeAlgo, options.hedgeAlgoParams) : null;
+    this.activeSliced = null;  // { side, size, filled, escalate, result } while an algo runs
+
+    // Multi-venue routing (optional)
+    this.router = options.router || null;
+    if (!this.router && options.venues && options.venues.length > 0) {
+      this.router = new HedgeRouter({
+        venues: options.venues.map(createHedgeVenue),
+        minLegSizeBTC: this.config.minHedgeSizeBTC,
+        logger: this.logger,
+      });
+    }
+    this.venues = this.router ? this.router.venues : [];
+
     // State
     this.openHedges = new Map();   // orderId -> { side, size, price, placedAt, status }
     this.hedgeHistory = [];         // completed hedges
@@ -45,6 +80,7 @@ export class HedgeExecutor extends EventEmitter {
       limitFills: 0,
       marketFills: 0,
       failedHedges: 0,
+      byVenue: {},  // venue -> { hedges, hedgedBTC, totalSlippage, failures }
     };
   }
 
@@ -75,11 +111,15 @@ export class HedgeExecutor extends EventEmitter {
       return null;
     }
 
-    // Clamp to max
-    const clampedSize = Math.min(size, this.config.maxHedgeSizeBTC);
+    // Clamp to max; an algo slices instead, each child at most the max
+    const sliced = this.algo && urgency !== 'urgent';
+    const clampedSize = sliced ? size : Math.min(size, this.config.maxHedgeSizeBTC);
 
     // Prevent concurrent hedges
     if (this.isHedging) {
+      if (urgency === 'urgent' && this.activeSliced && this.activeSliced.side === side) {
+        return this._escalate('urgent');
+      }
       this.emit('hedge-failed', { error: 'Hedge already in progress', side, size: clampedSize });
       return null;
     }
@@ -87,6 +127,14 @@ export class HedgeExecutor extends EventEmitter {
     this.isHedging = true;
 
     try {
+      if (sliced) {
+        return await this._executeSliced(side, clampedSize);
+      }
+
+      if (this.router) {
+        return await this._executeRouted(side, clampedSize, urgency);
+      }
+
       // For urgent hedges, go straight to market
       if (urgency === 'urgent') {
         return await this._executeMarketHedge(side, clampedSize);
@@ -102,6 +150,414 @@ export class HedgeExecutor extends EventEmitter {
     }
   }
 
+  /**
+   * Plan the hedge across venues and run the legs in parallel. Resolves
+   * the single fill, an aggregate { ..., fills } for several, or null
+   * when every leg failed.
+   */
+  async _executeRouted(side, size, urgency) {
+    const plan = await this.router.plan(side, size);
+    if (plan.legs.length === 0) {
+      throw new Error('No hedge venue has a quote and capacity');
+    }
+
+    this.emit('hedge-routed', {
+      side,
+      size,
+      legs: plan.legs.map(leg => ({ venue: leg.venue.name, size: leg.size, price: leg.price })),
+      unallocated: plan.unallocated,
+    });
+    if (plan.unallocated > 0) {
+      this.logger.warn(`[HedgeExecutor] ${plan.unallocated} of ${size} BTC exceeds venue capacity, left unhedged`);
+    }
+
+    // A failed leg still keeps whatever it filled before the error
+    const legFills = await Promise.all(plan.legs.map((leg) => {
+      const fills = [];
+      return this._executeLeg(side, leg, urgency, fills).catch((err) => {
+        this._recordFailure(leg.venue, side, leg.size, err.message || String(err));
+        return fills;
+      });
+    }));
+    const fills = legFills.flat();
+    if (fills.length === 0) return null;
+    if (fills.length === 1) return fills[0];
+
+    const filledSize = fills.reduce((sum, f) => sum + f.size, 0);
+    return {
+      side,
+      size: filledSize,
+      price: fills.reduce((sum, f) => sum + f.price * f.size, 0) / filledSize,
+      slippage: fills.reduce((sum, f) => sum + f.slippage * f.size, 0) / filledSize,
+      type: fills.every(f => f.type === fills[0].type) ? fills[0].type : 'mixed',
+      venue: fills.every(f => f.venue === fills[0].venue) ? fills[0].venue : 'multi',
+      fills,
+    };
+  }
+
+  /**
+   * One routed leg: aggressive limit at the planned touch (skipped when
+   * urgent), then market for whatever it left. Fills are pushed to `fills`
+   * as they settle, so the caller keeps them when a later step throws.
+   */
+  async _executeLeg(side, leg, urgency, fills = []) {
+    const { venue } = leg;
+    let remaining = leg.size;
+
+    if (urgency !== 'urgent') {
+      const limitPrice = this._calculateLimitPrice(side, leg.price);
+      const { orderId } = await venue.placeOrder({ side, size: remaining, type: 'limit', price: limitPrice });
+      this._trackPlaced(orderId, side, remaining, limitPrice, 'limit', venue.name);
+
+      let status = null;
+      let reason = null;
+      try {
+        status = await this._pollForFill(orderId, this.config.limitTimeoutMs, venue);
+        if (!status) {
+          reason = 'timeout';
+          this.emit('hedge-timeout', { orderId, venue: venue.name });
+        }
+      } catch (err) {
+        // Lost track of the order: pull it before the error reaches the caller
+        reason = 'error';
+        throw err;
+      } finally {
+        if (reason) status = await this._cancelLegOrder(orderId, venue);
+        this.openHedges.delete(orderId);
+
+        // Settled even when the poll failed, so the hedge isn't sent again on top of it
+        const filledSize = status ? Number(status.filledSize || 0) : 0;
+        if (filledSize > 0) {
+          const avgPrice = Number(status.avgPrice);
+          fills.push(this._recordFill(side, filledSize, avgPrice, this._calculateSlippage(side, limitPrice, avgPrice), 'limit', orderId, venue));
+          remaining = Math.round((remaining - filledSize) * 1e8) / 1e8;
+        }
+      }
+      if (remaining < this.config.minHedgeSizeBTC) return fills;
+    }
+
+    const quote = await venue.getQuote().catch(() => null);
+    const expectedPrice = (quote && (side === 'buy' ? quote.ask : quote.bid)) || leg.price;
+    const { orderId } = await venue.placeOrder({ side, size: remaining, type: 'market' });
+    this._trackPlaced(orderId, side, remaining, expectedPrice, 'market', venue.name);
+
+    let status = null;
+    let reason = null;
+    try {
+      status = await this._pollForFill(orderId, this.config.limitTimeoutMs, venue);
+      if (!status) reason = 'timeout';
+    } catch (err) {
+      reason = 'error';
+      throw err;
+    } finally {
+      if (reason) status = await this._cancelLegOrder(orderId, venue);
+      this.openHedges.delete(orderId);
+
+      const filledSize = status ? Number(status.filledSize || 0) : 0;
+      if (filledSize > 0) {
+        const avgPrice = Number(status.avgPrice);
+        fills.push(this._recordFill(side, filledSize, avgPrice, this._calculateSlippage(side, expectedPrice, avgPrice), 'market', orderId, venue));
+      }
+    }
+    if (reason) this._recordFailure(venue, side, remaining, 'Market order did not fill');
+    return fills;
+  }
+
+  /**
+   * Cancel a routed leg's or sweep's order and re-query it: anything
+   * filled before the cancel landed still counts. Resolves the status, or null.
+   */
+  async _cancelLegOrder(orderId, venue) {
+    try {
+      await venue.cancelOrder(orderId);
+      this.emit('hedge-cancelled', { orderId, venue: venue.name });
+    } catch (cancelErr) {
+      this.logger.warn(`[HedgeExecutor] Failed to cancel ${venue.name} order ${orderId}: ${cancelErr.message}`);
+    }
+    return venue.getOrder(orderId).catch(() => null);
+  }
+
+  /**
+   * Work the hedge with this.algo. Resolves { side, size (filled), price,
+   * slippage vs arrival, type: 'algo', algo, venue, fills, unfilled }, or
+   * null when nothing filled.
+   */
+  async _executeSliced(side, size) {
+    const run = { side, size, filled: 0, notional: 0, slices: 0, fills: [], escalate: false };
+    run.result = this._runSliced(run);
+    this.activeSliced = run;
+    try {
+      return await run.result;
+    } finally {
+      this.activeSliced = null;
+    }
+  }
+
+  /**
+   * Have the running algo send its remainder at market now. Resolves with
+   * the algo's result.
+   */
+  _escalate(reason) {
+    const run = this.activeSliced;
+    run.escalate = reason;
+    this.logger.warn(`[HedgeExecutor] Escalating ${this.algo.name} ${run.side} hedge (${reason})`);
+    return run.result.catch(() => null);
+  }
+
+  async _runSliced(run) {
+    const { side, size } = run;
+    const { minHedgeSizeBTC, maxHedgeSizeBTC } = this.config;
+    const startedAt = Date.now();
+    const deadline = startedAt + this.algo.deadlineMs;
+    const remaining = () => Math.round((size - run.filled) * 1e8) / 1e8;
+
+    const arrival = await this._sliceTarget(side, size);
+    if (!arrival) throw new Error('No price to start the hedge algo');
+    run.arrivalPrice = side === 'sell' ? arrival.quote.bid : arrival.quote.ask;
+    this.emit('hedge-algo-started', {
+      algo: this.algo.name, side, size, arrivalPrice: run.arrivalPrice, deadlineMs: this.algo.deadlineMs,
+    });
+
+    while (remaining() >= minHedgeSizeBTC && !run.escalate && Date.now() < deadline) {
+      const target = await this._sliceTarget(side, remaining());
+      if (!target) {
+        await this._sleepUntil(Math.min(Date.now() + this.config.pollIntervalMs, deadline), run);
+        continue;
+      }
+
+      const slice = this.algo.nextSlice({
+        side,
+        size,
+        remaining: remaining(),
+        filled: run.filled,
+        elapsedMs: Date.now() - startedAt,
+        quote: target.quote,
+        sliceIndex: run.slices,
+      });
+      if (!(slice.size > 0)) {
+        await this._sleepUntil(Math.min(Date.now() + slice.waitMs, deadline), run);
+        continue;
+      }
+
+      const childSize = Math.round(Math.max(minHedgeSizeBTC,
+        Math.min(slice.size, remaining(), maxHedgeSizeBTC, target.maxSize)) * 1e8) / 1e8;
+      try {
+        await this._runChild(run, target, childSize, slice, deadline);
+      } catch (err) {
+        // Try again with the next slice
+        this._recordFailure(target.venue, side, childSize, err.message || String(err));
+        await this._sleepUntil(Math.min(Date.now() + this.config.pollIntervalMs, deadline), run);
+      }
+    }
+
+    // Out of time (or told to hurry): the rest goes at market
+    if (remaining() >= minHedgeSizeBTC) {
+      this.emit('hedge-escalated', {
+        algo: this.algo.name, side, remaining: remaining(), reason: run.escalate || 'deadline',
+      });
+      await this._sweepSliced(run, remaining);
+    }
+
+    if (run.filled === 0) return null;
+    const price = run.notional / run.filled;
+    return {
+      side,
+      size: run.filled,
+      price,
+      slippage: this._calculateSlippage(side, run.arrivalPrice, price),
+      type: 'algo',
+      algo: this.algo.name,
+      venue: run.fills.every(f => f.venue === run.fills[0].venue) ? run.fills[0].venue : 'multi',
+      fills: run.fills,
+      unfilled: remaining(),
+    };
+  }
+
+  /**
+   * One algo child: a limit that rests until it fills, its slice expires,
+   * the touch moves cancelOnMoveBps against the hedge, the algo wants to
+   * reprice, or the hedge is escalated.
+   */
+  async _runChild(run, { venue, quote }, size, slice, deadline) {
+    const { side } = run;
+    const { orderId } = await venue.placeOrder({ side, size, type: 'limit', price: slice.price });
+    this._trackPlaced(orderId, side, size, slice.price, 'limit', venue.name);
+    run.slices++;
+
+    const expiresAt = Math.min(Date.now() + slice.waitMs, deadline);
+    const reference = side === 'sell' ? quote.bid : quote.ask;
+    let status = null;
+    let reason = null;
+    try {
+      for (;;) {
+        status = await venue.getOrder(orderId);
+        if (status.status === 'closed' || status.status === 'canceled' || status.status === 'expired') break;
+
+        if (run.escalate) {
+          reason = run.escalate;
+        } else if (Date.now() >= expiresAt) {
+          reason = expiresAt >= deadline ? 'deadline' : 'expired';
+        } else {
+          const current = await venue.getQuote().catch(() => null);
+          if (current) {
+            const touch = side === 'sell' ? current.bid : current.ask;
+            const adverseBps = (side === 'sell' ? reference - touch : touch - reference) / reference * 10000;
+            if (adverseBps >= this.config.cancelOnMoveBps) {
+              reason = 'adverse-move';
+            } else if (this.algo.shouldReprice && this.algo.shouldReprice({ side, price: slice.price, quote }, current)) {
+              reason = 'repeg';
+            }
+          }
+        }
+        if (reason) break;
+        await new Promise(resolve => setTimeout(resolve, this.config.pollIntervalMs));
+      }
+    } catch (err) {
+      // Lost track of the child: pull it before the error reaches the caller
+      reason = 'error';
+      throw err;
+    } finally {
+      if (reason) {
+        try {
+          await venue.cancelOrder(orderId);
+          this.emit('hedge-cancelled', { orderId, venue: venue.name, reason });
+        } catch (cancelErr) {
+          this.logger.warn(`[HedgeExecutor] Failed to cancel ${venue.name} order ${orderId}: ${cancelErr.message}`);
+        }
+        // Anything filled before the cancel landed still counts
+        status = await venue.getOrder(orderId).catch(() => status);
+      }
+      this.openHedges.delete(orderId);
+
+      // Settled even when the child failed, so the next slice doesn't hedge it twice
+      const filledSize = Number(status?.filledSize || 0);
+      if (filledSize > 0) {
+        const avgPrice = Number(status.avgPrice);
+        this._addSlicedFill(run, this._recordFill(side, filledSize, avgPrice,
+          this._calculateSlippage(side, reference, avgPrice), 'limit', orderId, venue));
+      }
+    }
+  }
+
+  /**
+   * Market orders of at most maxHedgeSizeBTC until the algo's hedge is done.
+   */
+  async _sweepSliced(run, remaining) {
+    const { side } = run;
+    while (remaining() >= this.config.minHedgeSizeBTC) {
+      const target = await this._sliceTarget(side, remaining());
+      if (!target) {
+        this.stats.failedHedges++;
+        this.emit('hedge-failed', { error: 'No hedge venue has a quote and capacity', side, size: remaining() });
+        return;
+      }
+
+      const { venue, quote } = target;
+      const size = Math.min(remaining(), this.config.maxHedgeSizeBTC, target.maxSize);
+      const expectedPrice = side === 'sell' ? quote.bid : quote.ask;
+      let orderId = null;
+      try {
+        ({ orderId } = await venue.placeOrder({ side, size, type: 'market' }));
+      } catch (err) {
+        this._recordFailure(venue, side, size, err.message || String(err));
+        return;
+      }
+      this._trackPlaced(orderId, side, size, expectedPrice, 'market', venue.name);
+
+      let status = null;
+      let failure = null;
+      try {
+        status = await this._pollForFill(orderId, this.config.limitTimeoutMs, venue);
+        if (!status) failure = 'Market order did not fill';
+      } catch (err) {
+        failure = err.message || String(err);
+      } finally {
+        // Timed out or lost track: pull it and settle whatever filled
+        if (failure) status = await this._cancelLegOrder(orderId, venue);
+        this.openHedges.delete(orderId);
+
+        const filledSize = Number(status?.filledSize || 0);
+        if (filledSize > 0) {
+          const avgPrice = Number(status.avgPrice);
+          this._addSlicedFill(run, this._recordFill(side, filledSize, avgPrice,
+            this._calculateSlippage(side, expectedPrice, avgPrice), 'market', orderId, venue));
+        }
+      }
+      if (failure) {
+        this._recordFailure(venue, side, size, failure);
+        return;
+      }
+    }
+  }
+
+  _addSlicedFill(run, fill) {
+    run.filled = Math.round((run.filled + fill.size) * 1e8) / 1e8;
+    run.notional += fill.size * fill.price;
+    run.fills.push(fill);
+    this.emit('hedge-progress', {
+      algo: this.algo.name,
+      side: run.side,
+      size: run.size,
+      filled: run.filled,
+      remaining: Math.round((run.size - run.filled) * 1e8) / 1e8,
+      avgPrice: run.notional / run.filled,
+      slices: run.slices,
+    });
+  }
+
+  /**
+   * Where the next algo child goes: the router's first leg, or Kraken at
+   * the aggregated touch. Resolves { venue, quote, maxSize } or null.
+   */
+  async _sliceTarget(side, size) {
+    if (!this.router) {
+      const prices = this.priceAggregator ? this.priceAggregator.getAggregatedPrice() : null;
+      if (!prices || !prices.bestBid || !prices.bestAsk) return null;
+      const quote = { bid: prices.bestBid, ask: prices.bestAsk, bidSize: null, askSize: null };
+      return { venue: this._krakenVenue(), quote, maxSize: Infinity };
+    }
+
+    const plan = await this.router.plan(side, size);
+    if (plan.legs.length === 0) return null;
+    const [leg] = plan.legs;
+    const quote = await leg.venue.getQuote();
+    return quote ? { venue: leg.venue, quote, maxSize: leg.size } : null;
+  }
+
+  /**
+   * The legacy Kraken client behind the venue interface algo children use.
+   */
+  _krakenVenue() {
+    return {
+      name: this.config.hedgeVenue,
+      getQuote: async () => {
+        const prices = this.priceAggregator.getAggregatedPrice();
+        return prices && prices.bestBid && prices.bestAsk
+          ? { bid: prices.bestBid, ask: prices.bestAsk, bidSize: null, askSize: null }
+          : null;
+      },
+      placeOrder: async ({ side, size, type, price }) => {
+        const result = type === 'limit'
+          ? await this.placeLimitOrder(side, size, price)
+          : await this.placeMarketOrder(side, size);
+        return { orderId: result.txid[0] };
+      },
+      getOrder: (orderId) => this.checkHedgeStatus(orderId),
+      cancelOrder: (orderId) => this.krakenClient.cancelOrder({ txid: orderId }),
+    };
+  }
+
+  async _sleepUntil(until, run) {
+    while (Date.now() < until && !run.escalate) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(this.config.pollIntervalMs, until - Date.now())));
+    }
+  }
+
+  _trackPlaced(orderId, side, size, price, type, venue) {
+    this.openHedges.set(orderId, { side, size, price, placedAt: Date.now(), status: 'open', venue });
+    this.emit('hedge-placed', { side, size, price, orderId, type, venue });
+  }
+
   /**
    * Execute a limit order, then fall back to market if it times out.
    */
@@ -127,6 +583,7 @@ export class HedgeExecutor extends EventEmitter {
       price: limitPrice,
       orderId,
       type: 'limit',
+      venue: this.config.hedgeVenue,
     });
 
     // Poll for fill within timeout
@@ -182,6 +639,7 @@ export class HedgeExecutor extends EventEmitter {
       price: expectedPrice,
       orderId,
       type: 'market',
+      venue: this.config.hedgeVenue,
     });
 
     // Poll for market fill (should be near-instant, but poll briefly)
@@ -296,6 +754,20 @@ export class HedgeExecutor extends EventEmitter {
       failedHedges: this.stats.failedHedges,
       limitFills: this.stats.limitFills,
       marketFills: this.stats.marketFills,
+      byVenue: Object.fromEntries(Object.entries(this.stats.byVenue).map(([venue, v]) => [venue, {
+        hedges: v.hedges,
+        hedgedBTC: v.hedgedBTC,
+        avgSlippage: v.hedges > 0 ? v.totalSlippage / v.hedges : 0,
+        failures: v.failures,
+      }])),
+      venueQuality: this.router ? this.router.getQuality() : null,
+      algo: this.algo ? this.algo.getState() : null,
+      activeAlgo: this.activeSliced ? {
+        side: this.activeSliced.side,
+        size: this.activeSliced.size,
+        filled: this.activeSliced.filled,
+        slices: this.activeSliced.slices,
+      } : null,
     };
   }
 
@@ -337,14 +809,14 @@ export class HedgeExecutor extends EventEmitter {
   }
 
   /**
-   * Poll Kraken for order fill status.
+   * Poll Kraken (or a routed venue) for order fill status.
    */
-  async _pollForFill(orderId, timeoutMs) {
+  async _pollForFill(orderId, timeoutMs, venue = null) {
     const startTime = Date.now();
     const pollInterval = this.config.pollIntervalMs;
 
     while (Date.now() - startTime < timeoutMs) {
-      const status = await this.checkHedgeStatus(orderId);
+      const status = venue ? await venue.getOrder(orderId) : await this.checkHedgeStatus(orderId);
       if (status.status === 'closed') {
         return status;
       }
@@ -358,9 +830,11 @@ export class HedgeExecutor extends EventEmitter {
   }
 
   /**
-   * Record a completed fill in history and stats.
+   * Record a completed fill in history and stats. `venue` is a routed
+   * venue object; without one the fill is on config.hedgeVenue.
    */
-  _recordFill(side, filledSize, avgPrice, slippage, type, orderId) {
+  _recordFill(side, filledSize, avgPrice, slippage, type, orderId, venue = null) {
+    const venueName = venue ? venue.name : this.config.hedgeVenue;
     this.stats.totalHedges++;
     this.stats.totalHedgedBTC += filledSize;
     this.stats.totalSlippage += slippage;
@@ -371,22 +845,46 @@ export class HedgeExecutor extends EventEmitter {
       this.stats.marketFills++;
     }
 
-    this.hedgeHistory.push({
+    const byVenue = this._venueStats(venueName);
+    byVenue.hedges++;
+    byVenue.hedgedBTC += filledSize;
+    byVenue.totalSlippage += slippage;
+
+    if (venue && this.router) {
+      const expectedPrice = side === 'sell' ? avgPrice - slippage : avgPrice + slippage;
+      if (expectedPrice > 0) this.router.recordFill(venueName, (slippage / expectedPrice) * 10000);
+      if (venue.invalidateFunds) venue.invalidateFunds();
+    }
+
+    const fill = {
       orderId,
       side,
       size: filledSize,
       price: avgPrice,
       slippage,
       type,
-      filledAt: Date.now(),
-    });
+      venue: venueName,
+    };
+    this.hedgeHistory.push({ ...fill, filledAt: Date.now() });
+    this.emit('hedge-filled', { side, size: filledSize, price: avgPrice, orderId, slippage, venue: venueName });
+    return fill;
+  }
 
-    this.emit('hedge-filled', {
-      side,
-      size: filledSize,
-      price: avgPrice,
-      orderId,
-      slippage,
-    });
+  /**
+   * A routed leg or algo child that failed: counts against the venue's fill quality.
+   */
+  _recordFailure(venue, side, size, error) {
+    this.stats.failedHedges++;
+    this._venueStats(venue.name).failures++;
+    if (this.router) this.router.recordFailure(venue.name);
+    this.logger.error(`[HedgeExecutor] ${venue.name} hedge leg failed: ${error}`);
+    this.emit('hedge-failed', { error, side, size, venue: venue.name });
+  }
+
+  _venueStats(name) {
+    if (!this.stats.byVenue[name]) {
+      this.stats.byVenue[name] = { hedges: 0, hedgedBTC: 0, totalSlippage: 0, failures: 0 };
+    }
+    return this.stats.byVenue[name];
   }
 }
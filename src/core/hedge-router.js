@@ -0,0 +1,131 @@
+/**
+ * HedgeRouter - Splits a hedge across venues by all-in cost.
+ *
+ * A venue's cost for a side is its touch (ask to buy, bid to sell) moved
+ * by its taker fee and a fill-quality penalty: recent slippage worse than
+ * expected (EWMA, bps) plus failure rate x failurePenaltyBps. Venues are
+ * filled cheapest first up to their displayed touch size and capacity
+ * (balances or margin); any remainder goes to the cheapest venues with
+ * capacity left, walking their books. Legs under minLegSizeBTC are folded
+ * into a larger leg or left unallocated.
+ */
+export class HedgeRouter {
+  constructor(options = {}) {
+    this.venues = options.venues || [];
+    this.minLegSizeBTC = options.minLegSizeBTC || 0.001;
+    this.failurePenaltyBps = options.failurePenaltyBps ?? 25;
+    this.qualityAlpha = options.qualityAlpha ?? 0.2;  // EWMA weight of the newest fill
+    this.logger = options.logger || console;
+
+    this.quality = new Map();  // venue name -> { slippageBps, fills, failures }
+  }
+
+  /**
+   * Resolves { side, size, legs: [{ venue, size, price, costBps }], unallocated }.
+   * Venues whose quote or funds cannot be read are skipped.
+   */
+  async plan(side, size, now = Date.now()) {
+    const quoted = await Promise.all(this.venues.map(venue => this._candidate(venue, side, now)));
+    const candidates = quoted
+      .filter(Boolean)
+      .sort((a, b) => (side === 'buy' ? a.effectivePrice - b.effectivePrice : b.effectivePrice - a.effectivePrice));
+
+    let remaining = size;
+    const allocate = (c, limit) => {
+      const take = round8(Math.min(remaining, limit - c.size));
+      if (take <= 0) return;
+      c.size = round8(c.size + take);
+      remaining = round8(remaining - take);
+    };
+    for (const c of candidates) allocate(c, Math.min(c.touchSize ?? Infinity, c.capacity));
+    for (const c of candidates) allocate(c, c.capacity);
+
+    // Fold dust into the best leg with room for it
+    const legs = candidates.filter(c => c.size >= this.minLegSizeBTC);
+    for (const dust of candidates.filter(c => c.size > 0 && c.size < this.minLegSizeBTC)) {
+      const host = legs.find(c => c.capacity - c.size >= dust.size);
+      if (host) host.size = round8(host.size + dust.size);
+      else remaining = round8(remaining + dust.size);
+    }
+
+    return {
+      side,
+      size,
+      legs: legs.map(({ venue, size: legSize, price, costBps }) => ({ venue, size: legSize, price, costBps })),
+      unallocated: remaining,
+    };
+  }
+
+  /**
+   * Extra cost (bps) charged to a venue for poor recent fills.
+   */
+  penaltyBps(name) {
+    const q = this.quality.get(name);
+    if (!q) return 0;
+    const attempts = q.fills + q.failures;
+    const failureRate = attempts > 0 ? q.failures / attempts : 0;
+    return Math.max(0, -q.slippageBps) + failureRate * this.failurePenaltyBps;
+  }
+
+  /**
+   * Slippage of a fill in bps of the expected price; positive is better.
+   */
+  recordFill(name, slippageBps) {
+    const q = this._quality(name);
+    q.slippageBps = q.fills === 0
+      ? slippageBps
+      : this.qualityAlpha * slippageBps + (1 - this.qualityAlpha) * q.slippageBps;
+    q.fills++;
+  }
+
+  recordFailure(name) {
+    this._quality(name).failures++;
+  }
+
+  getQuality() {
+    const out = {};
+    for (const [name, q] of this.quality) {
+      out[name] = { ...q, penaltyBps: this.penaltyBps(name) };
+    }
+    return out;
+  }
+
+  async _candidate(venue, side, now) {
+    try {
+      const quote = await venue.getQuote(now);
+      const price = quote && (side === 'buy' ? quote.ask : quote.bid);
+      if (!price) return null;
+
+      const capacity = await venue.getCapacity(side, price, now);
+      if (!(capacity > 0)) return null;
+
+      const costBps = venue.takerFeeBps + this.penaltyBps(venue.name);
+      const touchSize = side === 'buy' ? quote.askSize : quote.bidSize;
+      return {
+        venue,
+        price,
+        capacity,
+        touchSize: touchSize > 0 ? touchSize : null,
+        costBps,
+        effectivePrice: price * (side === 'buy' ? 1 + costBps / 10000 : 1 - costBps / 10000),
+        size: 0,
+      };
+    } catch (err) {
+      this.logger.warn(`[HedgeRouter] Skipping ${venue.name}: ${err.message}`);
+      return null;
+    }
+  }
+
+  _quality(name) {
+    let q = this.quality.get(name);
+    if (!q) {
+      q = { slippageBps: 0, fills: 0, failures: 0 };
+      this.quality.set(name, q);
+    }
+    return q;
+  }
+}
+
+function round8(x) {
+  return Math.round(x * 1e8) / 1e8;
+}
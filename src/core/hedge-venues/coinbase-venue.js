@@ -0,0 +1,87 @@
+import { HedgeVenue } from './hedge-venue.js';
+
+const STATUS = {
+  PENDING: 'open',
+  OPEN: 'open',
+  QUEUED: 'open',
+  FILLED: 'closed',
+  CANCELLED: 'canceled',
+  CANCEL_QUEUED: 'open',
+  EXPIRED: 'canceled',
+  FAILED: 'canceled',
+};
+
+/**
+ * CoinbaseVenue - Coinbase Advanced Trade spot (BTC-USD) or perpetuals
+ * (BTC-PERP-INTX) through CoinbaseFuturesRESTClient; both products share
+ * the brokerage order, book and account endpoints.
+ *
+ * Spot funds are the base/quote account balances; perp funds are the CFM
+ * buying power, which already includes leverage.
+ */
+export class CoinbaseVenue extends HedgeVenue {
+  constructor(options = {}) {
+    const kind = options.kind || 'spot';
+    super({
+      name: kind === 'perp' ? 'coinbase-perp' : 'coinbase',
+      takerFeeBps: kind === 'perp' ? 5 : 60,
+      makerFeeBps: kind === 'perp' ? 0 : 40,
+      ...options,
+      kind,
+    });
+
+    this.client = options.client;
+    this.productId = options.productId || (kind === 'perp' ? 'BTC-PERP-INTX' : 'BTC-USD');
+    this.baseCurrency = options.baseCurrency || 'BTC';
+    this.quoteCurrency = options.quoteCurrency || 'USD';
+    this.orderCounter = 0;
+  }
+
+  async _fetchQuote() {
+    const book = await this.client.getFuturesOrderBook(this.productId, 1);
+    const bid = book.bids[0];
+    const ask = book.asks[0];
+    if (!bid || !ask) return null;
+    return { bid: bid.price, ask: ask.price, bidSize: bid.size, askSize: ask.size };
+  }
+
+  async _fetchFunds() {
+    if (this.kind === 'perp') {
+      const summary = await this.client.getCFMBalanceSummary();
+      return { margin: summary.buyingPower };
+    }
+
+    const { accounts } = await this.client.getAccounts();
+    const available = (currency) => accounts
+      .filter(a => a.currency === currency)
+      .reduce((sum, a) => sum + a.availableBalance.value, 0);
+    return { base: available(this.baseCurrency), quote: available(this.quoteCurrency) };
+  }
+
+  async placeOrder({ side, size, type, price }) {
+    const baseSize = size.toString();
+    const order = await this.client.createFuturesOrder({
+      client_order_id: `hedge-${Date.now().toString(36)}-${++this.orderCounter}`,
+      product_id: this.productId,
+      side: side === 'buy' ? 'BUY' : 'SELL',
+      order_configuration: type === 'limit'
+        ? { limit_limit_gtc: { base_size: baseSize, limit_price: price.toString(), post_only: false } }
+        : { market_market_ioc: { base_size: baseSize } },
+    });
+    return { orderId: order.orderId };
+  }
+
+  async getOrder(orderId) {
+    const order = await this.client.getFuturesOrder(orderId);
+    if (!order) return { status: 'unknown', filledSize: 0, avgPrice: 0 };
+    return {
+      status: STATUS[order.status] || 'unknown',
+      filledSize: order.filledSize,
+      avgPrice: order.averageFilledPrice,
+    };
+  }
+
+  async cancelOrder(orderId) {
+    return this.client.cancelFuturesOrders([orderId]);
+  }
+}
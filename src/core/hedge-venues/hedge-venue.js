@@ -0,0 +1,67 @@
+/**
+ * HedgeVenue - Base class for venues HedgeExecutor can route hedges to.
+ *
+ * Caches the venue's top of book (quoteTtlMs) and funds (fundsTtlMs) so a
+ * routing decision costs at most one REST round trip per venue. Subclasses
+ * implement:
+ *   _fetchQuote()  → { bid, ask, bidSize, askSize } | null (sizes may be null)
+ *   _fetchFunds()  → spot { base, quote } | perp { margin } | null (unknown)
+ *   placeOrder({ side, size, type, price }) → { orderId }
+ *   getOrder(orderId)    → { status: 'open' | 'closed' | 'canceled' | 'unknown', filledSize, avgPrice }
+ *   cancelOrder(orderId)
+ */
+export class HedgeVenue {
+  constructor(options = {}) {
+    this.name = options.name;
+    this.kind = options.kind || 'spot';   // 'spot' or 'perp'
+    this.takerFeeBps = options.takerFeeBps ?? 0;
+    this.makerFeeBps = options.makerFeeBps ?? 0;
+    this.leverage = options.leverage || 1;  // perp: notional per unit of margin
+    this.quoteTtlMs = options.quoteTtlMs ?? 1000;
+    this.fundsTtlMs = options.fundsTtlMs ?? 5000;
+    this.logger = options.logger || console;
+
+    this.quote = null;   // { bid, ask, bidSize, askSize, fetchedAt }
+    this.funds = null;   // { ..., fetchedAt }
+  }
+
+  async getQuote(now = Date.now()) {
+    if (!this.quote || now - this.quote.fetchedAt >= this.quoteTtlMs) {
+      const quote = await this._fetchQuote(now);
+      this.quote = quote ? { ...quote, fetchedAt: now } : null;
+    }
+    return this.quote;
+  }
+
+  /**
+   * Largest size (BTC) this venue can take on `side` at `price` given its
+   * balances or margin. Infinity when the venue does not report funds.
+   */
+  async getCapacity(side, price, now = Date.now()) {
+    if (!this.funds || now - this.funds.fetchedAt >= this.fundsTtlMs) {
+      const funds = await this._fetchFunds();
+      this.funds = { ...funds, known: funds != null, fetchedAt: now };
+    }
+    if (!this.funds.known) return Infinity;
+
+    if (this.kind === 'perp') {
+      return Math.max(0, (this.funds.margin * this.leverage) / price);
+    }
+    return Math.max(0, side === 'sell' ? this.funds.base : this.funds.quote / price);
+  }
+
+  /**
+   * Drop cached funds, e.g. after a fill changed them.
+   */
+  invalidateFunds() {
+    this.funds = null;
+  }
+
+  async _fetchQuote() {
+    return null;
+  }
+
+  async _fetchFunds() {
+    return null;
+  }
+}
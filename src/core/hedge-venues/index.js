@@ -0,0 +1,38 @@
+import { HedgeVenue } from './hedge-venue.js';
+import { KrakenSpotVenue } from './kraken-spot-venue.js';
+import { CoinbaseVenue } from './coinbase-venue.js';
+import { KrakenFuturesVenue } from './kraken-futures-venue.js';
+
+/**
+ * Hedge venues selectable by type (HedgeExecutor / orchestrator `hedgeVenues`).
+ *
+ * A venue (see HedgeVenue) exposes:
+ *   name, kind ('spot' | 'perp'), takerFeeBps, makerFeeBps
+ *   getQuote(now)                → { bid, ask, bidSize, askSize } | null
+ *   getCapacity(side, price, now) → max BTC given balances or margin
+ *   placeOrder({ side, size, type: 'limit' | 'market', price }) → { orderId }
+ *   getOrder(orderId)            → { status, filledSize, avgPrice }
+ *   cancelOrder(orderId)
+ */
+export const HEDGE_VENUES = {
+  'kraken': (options) => new KrakenSpotVenue(options),
+  'coinbase': (options) => new CoinbaseVenue({ ...options, kind: 'spot' }),
+  'coinbase-perp': (options) => new CoinbaseVenue({ ...options, kind: 'perp' }),
+  'kraken-futures': (options) => new KrakenFuturesVenue(options),
+};
+
+/**
+ * Build a venue from { type, ...options }, or pass an existing instance through.
+ */
+export function createHedgeVenue(spec) {
+  if (spec instanceof HedgeVenue || typeof spec.placeOrder === 'function') return spec;
+
+  const { type, ...options } = spec;
+  const create = HEDGE_VENUES[type];
+  if (!create) {
+    throw new Error(`Unknown hedge venue: ${type}`);
+  }
+  return create(options);
+}
+
+export { HedgeVenue, KrakenSpotVenue, CoinbaseVenue, KrakenFuturesVenue };
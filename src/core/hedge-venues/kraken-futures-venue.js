@@ -0,0 +1,70 @@
+import { HedgeVenue } from './hedge-venue.js';
+
+/**
+ * KrakenFuturesVenue - Kraken Futures perpetuals (PF_XBTUSD) through
+ * KrakenFuturesRESTClient.
+ *
+ * Top of book is the ticker (no sizes). Funds are the margin account's
+ * available margin, scaled by `leverage`. The API has no single-order
+ * lookup, so getOrder() checks open orders and then sums the order's fills.
+ */
+export class KrakenFuturesVenue extends HedgeVenue {
+  constructor(options = {}) {
+    super({
+      name: 'kraken-futures',
+      takerFeeBps: 5,
+      makerFeeBps: 2,
+      ...options,
+      kind: 'perp',
+    });
+
+    this.client = options.client;
+    this.symbol = options.symbol || 'PF_XBTUSD';
+    this.marginAccount = options.marginAccount || 'flex';
+  }
+
+  async _fetchQuote() {
+    const ticker = await this.client.getTicker(this.symbol);
+    if (!ticker.bid || !ticker.ask) return null;
+    return { bid: ticker.bid, ask: ticker.ask, bidSize: null, askSize: null };
+  }
+
+  async _fetchFunds() {
+    const { accounts } = await this.client.getAccounts();
+    const account = accounts.find(a => a.currency === this.marginAccount);
+    if (!account) return { margin: 0 };
+    return { margin: account.availableMargin || account.availableBalance };
+  }
+
+  async placeOrder({ side, size, type, price }) {
+    const params = { orderType: type === 'limit' ? 'lmt' : 'mkt', symbol: this.symbol, side, size };
+    if (type === 'limit') params.limitPrice = price;
+
+    const { sendStatus } = await this.client.sendOrder(params);
+    if (!sendStatus || sendStatus.status !== 'placed') {
+      throw new Error(`Order not placed: ${sendStatus ? sendStatus.status : 'no status'}`);
+    }
+    return { orderId: sendStatus.order_id };
+  }
+
+  async getOrder(orderId) {
+    const { orders } = await this.client.getOpenOrders();
+    const open = orders.find(o => o.orderId === orderId);
+    if (open) return { status: 'open', filledSize: open.filled, avgPrice: 0 };
+
+    const { fills } = await this.client.getFills();
+    let filledSize = 0;
+    let notional = 0;
+    for (const fill of fills) {
+      if (fill.orderId !== orderId) continue;
+      filledSize += fill.size;
+      notional += fill.size * fill.price;
+    }
+    if (filledSize === 0) return { status: 'canceled', filledSize: 0, avgPrice: 0 };
+    return { status: 'closed', filledSize, avgPrice: notional / filledSize };
+  }
+
+  async cancelOrder(orderId) {
+    return this.client.cancelOrder({ order_id: orderId });
+  }
+}
@@ -0,0 +1,109 @@
+import { HedgeVenue } from './hedge-venue.js';
+
+const STATUS = { pending: 'open', open: 'open', closed: 'closed', canceled: 'canceled', expired: 'canceled' };
+
+/**
+ * KrakenSpotVenue - Kraken spot through a client with Kraken's private API
+ * shape (addOrder / queryOrders / cancelOrder with txids, as HedgeExecutor
+ * has always used; PaperKrakenClient qualifies).
+ *
+ * Top of book comes from a KrakenWebSocketV2ExchangeAdapter's
+ * 'orderBookUpdate' events when an adapter is given, else the
+ * PriceAggregator touch. A streamed book older than bookStaleMs (the
+ * stream stalled) is not used. Funds come from client.getAccountBalance() when
+ * the client has it.
+ */
+export class KrakenSpotVenue extends HedgeVenue {
+  constructor(options = {}) {
+    super({
+      name: 'kraken',
+      takerFeeBps: 26,
+      makerFeeBps: 16,
+      quoteTtlMs: 0,  // the book is streamed
+      ...options,
+      kind: 'spot',
+    });
+
+    this.client = options.client;
+    this.symbol = options.symbol || 'XBTUSD';
+    this.baseAsset = options.baseAsset || 'XXBT';
+    this.quoteAsset = options.quoteAsset || 'ZUSD';
+    this.priceAggregator = options.priceAggregator || null;
+    this.bookStaleMs = options.bookStaleMs || 5000;
+
+    this.book = null;  // { bid, ask, bidSize, askSize, receivedAt } from the adapter
+    this.unbind = null;
+    if (options.krakenAdapter) this.addKrakenAdapter(options.krakenAdapter);
+  }
+
+  addKrakenAdapter(adapter) {
+    const handler = ({ bids, asks }) => {
+      const level = (levels) => {
+        if (!levels || levels.length === 0) return null;
+        const l = levels[0];
+        return Array.isArray(l) ? { price: Number(l[0]), size: Number(l[1]) } : { price: Number(l.price), size: Number(l.size) };
+      };
+      const bid = level(bids);
+      const ask = level(asks);
+      if (!bid || !ask) return;
+      this.book = { bid: bid.price, ask: ask.price, bidSize: bid.size, askSize: ask.size, receivedAt: Date.now() };
+    };
+    adapter.on('orderBookUpdate', handler);
+    this.unbind = () => adapter.removeListener('orderBookUpdate', handler);
+  }
+
+  detach() {
+    if (this.unbind) this.unbind();
+    this.unbind = null;
+  }
+
+  async _fetchQuote(now = Date.now()) {
+    if (this.book && now - this.book.receivedAt < this.bookStaleMs) {
+      const { bid, ask, bidSize, askSize } = this.book;
+      return { bid, ask, bidSize, askSize };
+    }
+    if (!this.priceAggregator) return null;
+
+    const price = this.priceAggregator.getAggregatedPrice();
+    if (!price || !price.bestBid || !price.bestAsk) return null;
+    return { bid: price.bestBid, ask: price.bestAsk, bidSize: null, askSize: null };
+  }
+
+  async _fetchFunds() {
+    if (typeof this.client.getAccountBalance !== 'function') return null;
+
+    const balances = await this.client.getAccountBalance();
+    return {
+      base: parseFloat(balances[this.baseAsset] || 0),
+      quote: parseFloat(balances[this.quoteAsset] || 0),
+    };
+  }
+
+  async placeOrder({ side, size, type, price }) {
+    const params = {
+      pair: this.symbol,
+      type: side,
+      ordertype: type,
+      volume: size.toString(),
+    };
+    if (type === 'limit') params.price = price.toString();
+
+    const result = await this.client.addOrder(params);
+    return { orderId: result.txid[0] };
+  }
+
+  async getOrder(orderId) {
+    const result = await this.client.queryOrders({ txid: orderId });
+    const order = result[orderId];
+    if (!order) return { status: 'unknown', filledSize: 0, avgPrice: 0 };
+    return {
+      status: STATUS[order.status] || 'unknown',
+      filledSize: parseFloat(order.vol_exec || 0),
+      avgPrice: parseFloat(order.price || 0),
+    };
+  }
+
+  async cancelOrder(orderId) {
+    return this.client.cancelOrder({ txid: orderId });
+  }
+}
@@ -0,0 +1,242 @@
+import { EventEmitter } from 'events';
+import { INSTRUMENT_DEFAULTS, GENERIC_INSTRUMENT } from '../config/instruments.js';
+
+// SecurityTradingStatus (326)
+const FIX_STATUS = { '2': 'halted', '3': 'open', '17': 'open', '18': 'closed', '21': 'pre-open', '26': 'closed' };
+const REST_STATUS = { ACTIVE: 'open', OPEN: 'open', HALTED: 'halted', SUSPENDED: 'halted', INACTIVE: 'closed', CLOSED: 'closed' };
+
+/**
+ * InstrumentRegistry - Tick size, lot size, min size/notional, price band,
+ * trading status and (from REST) the instrument ID per TrueX symbol.
+ *
+ * load() asks the exchange: a Security List Request (35=x) over a FIX
+ * session with requestSecurityList(), else TrueXRESTAdapter.getInstruments().
+ * Results are cached for cacheTtlMs. Until the first load, and for symbols
+ * the exchange does not list, INSTRUMENT_DEFAULTS apply. Security
+ * Definition (35=d) and Security Status (35=f) messages, passed to
+ * onMessage() or picked up after attach(), update the cache.
+ *
+ * Instruments are replaced, never mutated, so a holder can tell a change
+ * by identity. `instrumentRegistry` is the process-wide instance that
+ * normalizePriceForSymbol() and the OHLC builder read.
+ *
+ * Events emitted:
+ *   'loaded'  - { source, symbols }
+ *   'updated' - instrument, when a symbol's spec or status changed
+ *   'status'  - { symbol, status, previous }
+ */
+export class InstrumentRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.fixConnection = options.fixConnection || null;
+    this.restAdapter = options.restAdapter || null;
+    this.cacheTtlMs = options.cacheTtlMs ?? 3600000;
+    this.logger = options.logger || console;
+
+    this.instruments = new Map();  // symbol -> { symbol, instrumentId, tickSize, lotSize, minSize, minNotional, priceBandPct, status, source, updatedAt }
+    for (const [symbol, spec] of Object.entries({ ...INSTRUMENT_DEFAULTS, ...options.defaults })) {
+      this.instruments.set(symbol, { symbol, ...spec, status: 'open', source: 'default', updatedAt: 0 });
+    }
+    this.loadedAt = 0;
+    this.source = 'default';
+
+    this.generic = new Map();      // symbol -> GENERIC_INSTRUMENT copy, stable for identity checks
+
+    this.attachedConnection = null;
+    this.onMessage = this.onMessage.bind(this);
+  }
+
+  /**
+   * Fetch instruments from the exchange unless the cache is fresh. Never
+   * throws: a failed source is logged and the next one (or the cache) used.
+   * Resolves with the source that answered: 'fix', 'rest' or 'cache'/'default'.
+   */
+  async load({ fixConnection = this.fixConnection, restAdapter = this.restAdapter, force = false, now = Date.now() } = {}) {
+    if (!force && this.loadedAt && now - this.loadedAt < this.cacheTtlMs) return 'cache';
+    let tried = false;
+
+    if (fixConnection && typeof fixConnection.requestSecurityList === 'function') {
+      tried = true;
+      try {
+        const list = await fixConnection.requestSecurityList();
+        return this._loaded('fix', list.map(fields => this._fromFix(fields)), now);
+      } catch (err) {
+        this.logger.warn(`[InstrumentRegistry] Security list request failed: ${err.message}`);
+      }
+    }
+
+    if (restAdapter && typeof restAdapter.getInstruments === 'function') {
+      tried = true;
+      try {
+        const response = await restAdapter.getInstruments();
+        const list = Array.isArray(response) ? response : (response && response.data) || [];
+        return this._loaded('rest', list.map(entry => this._fromRest(entry)), now);
+      } catch (err) {
+        this.logger.warn(`[InstrumentRegistry] Instruments request failed: ${err.message}`);
+      }
+    }
+
+    if (tried) this.logger.warn(`[InstrumentRegistry] No instrument source answered, using ${this.source} specs`);
+    return this.source;
+  }
+
+  /**
+   * Apply a Security Definition (35=d) or Security Status (35=f) message.
+   * The orchestrator routes these itself; use attach() elsewhere.
+   */
+  onMessage(message) {
+    if (!message || !message.fields) return;
+    const msgType = message.fields['35'];
+    if ((msgType === 'd' || msgType === 'f') && message.fields['55']) {
+      this._update(this._fromFix(message.fields), 'fix');
+    }
+  }
+
+  /**
+   * Follow Security Definition / Security Status updates on a session.
+   */
+  attach(fixConnection) {
+    this.detach();
+    this.attachedConnection = fixConnection;
+    fixConnection.on('message', this.onMessage);
+  }
+
+  detach() {
+    if (!this.attachedConnection) return;
+    this.attachedConnection.removeListener('message', this.onMessage);
+    this.attachedConnection = null;
+  }
+
+  /**
+   * The symbol's instrument, or null when neither the exchange nor the
+   * defaults know it.
+   */
+  get(symbol) {
+    return this.instruments.get(symbol) || null;
+  }
+
+  /**
+   * The symbol's instrument, falling back to GENERIC_INSTRUMENT.
+   */
+  resolve(symbol) {
+    const known = this.get(symbol);
+    if (known) return known;
+    if (!this.generic.has(symbol)) {
+      this.generic.set(symbol, { symbol, ...GENERIC_INSTRUMENT, status: 'open', source: 'generic', updatedAt: 0 });
+    }
+    return this.generic.get(symbol);
+  }
+
+  getTickSize(symbol) {
+    const instrument = this.get(symbol);
+    return instrument ? instrument.tickSize : null;
+  }
+
+  isTradable(symbol) {
+    return this.resolve(symbol).status === 'open';
+  }
+
+  /**
+   * Round a price to the symbol's tick; unknown symbols pass through.
+   */
+  normalizePrice(symbol, price) {
+    const tickSize = this.getTickSize(symbol);
+    if (!tickSize) return Number(price);
+    const normalized = Math.round(Number(price) / tickSize) * tickSize;
+    return Number(normalized.toFixed(countDecimals(tickSize)));
+  }
+
+  /**
+   * Round a size down to the symbol's lot.
+   */
+  normalizeSize(symbol, size) {
+    const { lotSize } = this.resolve(symbol);
+    if (!lotSize) return size;
+    // Nudge before flooring so 0.3 / 0.0001 = 2999.9999... stays 3000 lots
+    const lots = Math.floor(size / lotSize + 1e-9);
+    return Number((lots * lotSize).toFixed(countDecimals(lotSize)));
+  }
+
+  getAll() {
+    return [...this.instruments.values()];
+  }
+
+  // --- Private helpers ---
+
+  _loaded(source, specs, now) {
+    const symbols = [];
+    for (const spec of specs) {
+      if (!spec.symbol) continue;
+      this._update(spec, source, now);
+      symbols.push(spec.symbol);
+    }
+    this.loadedAt = now;
+    this.source = source;
+    this.logger.info(`[InstrumentRegistry] Loaded ${symbols.length} instruments via ${source}`);
+    this.emit('loaded', { source, symbols });
+    return source;
+  }
+
+  /**
+   * Merge a partial spec over what is known (or the defaults) and emit
+   * when anything changed.
+   */
+  _update(spec, source, now = Date.now()) {
+    const previous = this.resolve(spec.symbol);
+    const defined = Object.fromEntries(Object.entries(spec).filter(([, v]) => v !== undefined && !Number.isNaN(v)));
+    const next = { ...previous, ...defined, source, updatedAt: now };
+
+    const changed = ['instrumentId', 'tickSize', 'lotSize', 'minSize', 'minNotional', 'priceBandPct', 'status']
+      .some(key => next[key] !== previous[key]);
+    if (!changed && this.instruments.has(spec.symbol)) {
+      this.instruments.set(spec.symbol, { ...previous, source, updatedAt: now });
+      return;
+    }
+
+    this.instruments.set(spec.symbol, next);
+    this.emit('updated', next);
+    if (next.status !== previous.status) {
+      this.logger.warn(`[InstrumentRegistry] ${spec.symbol} trading status ${previous.status} -> ${next.status}`);
+      this.emit('status', { symbol: spec.symbol, status: next.status, previous: previous.status });
+    }
+  }
+
+  _fromFix(f) {
+    return {
+      symbol: f['55'],
+      tickSize: number(f['969']),       // MinPriceIncrement
+      lotSize: number(f['561']),        // RoundLot
+      minSize: number(f['562']),        // MinTradeVol
+      priceBandPct: number(f['1143']),  // MaxPriceVariation, percent
+      status: f['326'] !== undefined ? (FIX_STATUS[f['326']] || `status-${f['326']}`) : undefined,
+    };
+  }
+
+  _fromRest(entry) {
+    const info = entry.info || entry;
+    const status = entry.status || info.status;
+    return {
+      symbol: info.symbol || entry.symbol,
+      instrumentId: entry.id ?? info.id,
+      tickSize: number(info.price_increment ?? info.tick_size),
+      lotSize: number(info.quantity_increment ?? info.lot_size),
+      minSize: number(info.min_quantity ?? info.min_size),
+      minNotional: number(info.min_notional),
+      priceBandPct: number(info.price_bands_percent),
+      status: status !== undefined ? (REST_STATUS[String(status).toUpperCase()] || String(status).toLowerCase()) : undefined,
+    };
+  }
+}
+
+function number(value) {
+  return value === undefined || value === null || value === '' ? undefined : Number(value);
+}
+
+function countDecimals(value) {
+  const parts = String(value).split('.');
+  return parts.length === 2 ? parts[1].length : 0;
+}
+
+// Process-wide registry (see class comment)
+export const instrumentRegistry = new InstrumentRegistry();
@@ -25,6 +25,7 @@ export class InventoryManager extends EventEmitter {
     // Position state
     this.netPosition = 0;
     this.avgEntryPrice = 0;
+    this.positionsByVenue = {};  // venue -> signed BTC (truex quotes, hedge venues)
 
     // VWAP tracking: separate buy/sell cost and quantity
     this.totalBuyCost = 0;
@@ -71,6 +72,10 @@ export class InventoryManager extends EventEmitter {
       return;
     }
 
+    const venueKey = venue || 'truex';
+    const signed = normalizedSide === 'buy' ? quantity : -quantity;
+    this.positionsByVenue[venueKey] = Math.round(((this.positionsByVenue[venueKey] || 0) + signed) * 1e8) / 1e8;
+
     // Recompute VWAP entry price based on net direction
     this._updateAvgEntryPrice();
 
@@ -202,7 +207,8 @@ export class InventoryManager extends EventEmitter {
       askSkewTicks: skew.askSkewTicks,
       canQuoteBuy: this.canQuote('buy'),
       canQuoteSell: this.canQuote('sell'),
-      hedgeNeeded: this.shouldHedge().shouldHedge
+      hedgeNeeded: this.shouldHedge().shouldHedge,
+      byVenue: { ...this.positionsByVenue }
     };
   }
 
@@ -212,6 +218,7 @@ export class InventoryManager extends EventEmitter {
   reset() {
     this.netPosition = 0;
     this.avgEntryPrice = 0;
+    this.positionsByVenue = {};
     this.totalBuyCost = 0;
     this.totalBuyQty = 0;
     this.totalSellCost = 0;
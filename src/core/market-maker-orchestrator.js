@@ -6,18 +6,75 @@ import { InventoryManager } from './inventory-manager.js';
 import { PnLTracker } from './pnl-tracker.js';
 import { QuoteEngine } from './quote-engine.js';
 import { HedgeExecutor } from './hedge-executor.js';
+import { createHedgeVenue } from './hedge-venues/index.js';
 import { TrueXMarketDataFeed } from './truex-market-data.js';
+import { PriceAggregator } from './price-aggregator.js';
+import { PreTradeRiskGateway } from './risk-gateway.js';
+import { instrumentRegistry } from './instrument-registry.js';
+import { OrderRateLimiter } from './order-rate-limiter.js';
+import { VolatilityEstimator } from './volatility-estimator.js';
+import { MicrostructureSignals } from './microstructure-signals.js';
+import { MarkoutTracker } from './markout-tracker.js';
+import { ControlServer } from './control-server.js';
+import { MetricsExporter } from './metrics-exporter.js';
+import { AuditLogRecovery } from './recovery/audit-log-recovery.js';
+import { StartupReconciliation } from './recovery/startup-reconciliation.js';
+import { PaperOrderGateway, PaperKrakenClient } from '../simulation/paper-trading.js';
+import { getConfig } from '../config/default.js';
+
+// Options naming one symbol's components or hedge market: at the top level
+// they apply to the primary symbol only, other symbols set their own.
+const SYMBOL_OPTIONS = [
+  'inventoryManager', 'markoutTracker', 'pnlTracker', 'volatilityEstimator', 'signals',
+  'quoteEngine', 'marketDataFeed', 'priceAggregator', 'hedgeExecutor',
+  'paperKrakenClient', 'ohlcSource', 'krakenAdapter', 'hedgeSymbol',
+  'hedgeVenues', 'instrumentId', 'reconciliation',
+];
 
 /**
  * MarketMakerOrchestrator - Wires all components and manages lifecycle.
  *
  * Components:
- *   PriceAggregator → QuoteEngine → FIXConnection (OE) → TrueX
+ *   PriceAggregator → QuoteEngine → PreTradeRiskGateway → FIXConnection (OE) → TrueX
  *   FIXConnection (OE) exec reports → InventoryManager → HedgeExecutor
  *   InventoryManager + HedgeExecutor → PnLTracker
  *   TrueXMarketDataFeed (optional) → QuoteEngine
  *
- * Events: 'started', 'stopped', 'fill', 'hedge', 'error', 'emergency'
+ * symbols: ['BTC-PYUSD', { symbol: 'ETH-PYUSD', krakenAdapter, ... }] quotes
+ * several symbols over one OE session. Each gets its own QuoteEngine,
+ * inventory, PnL, markouts and hedge executor; top-level options are the
+ * defaults and an entry's own keys override them. The risk gateway and a
+ * single OrderRateLimiter are shared, so exposure, open notional and the
+ * order rate are capped across symbols. The first symbol is the primary:
+ * this.quoteEngine, this.inventoryManager etc. refer to its components.
+ *
+ * mode: 'paper' swaps the OE session for a PaperOrderGateway that fills
+ * quotes against reference trades and the TrueX MD book, and the hedge
+ * client for a PaperKrakenClient; events and PnL reports are unchanged.
+ *
+ * hedgeVenues: ['kraken', { type: 'coinbase-perp', client }, ...] routes
+ * each symbol's hedges across venues (see HedgeRouter). 'kraken' uses
+ * krakenClient, the symbol's hedge pair and its Kraken book. Hedge fills,
+ * positions and fees are booked under the venue that filled.
+ *
+ * hedgeAlgo: 'twap' | 'iceberg' | 'adaptive' (with hedgeAlgoParams) works
+ * hedges as child orders; each child fill updates inventory as it lands.
+ *
+ * alphaSignals (with alphaSignalParams) builds MicrostructureSignals from
+ * the aggregator's books and reference trades; QuoteEngine leans quotes on
+ * them under inventorySkewWeight / alphaSkewWeight / fairValueWeight.
+ *
+ * Tick size, lot, min size/notional, price band and trading status come
+ * from the instrument registry, loaded from the exchange on start (Security
+ * List over the OE session, else restAdapter.getInstruments()). Explicit
+ * tickSize / minNotional / priceBandPct options still win.
+ *
+ * controlToken enables the ControlServer (HTTP/WebSocket status and
+ * operator commands on localhost), started and stopped with the orchestrator.
+ * metricsPort likewise serves Prometheus metrics at /metrics.
+ *
+ * Events: 'started', 'stopped', 'fill', 'hedge', 'error', 'emergency', 'risk-rejection',
+ *         'reconciled', 'markout'
  */
 export class MarketMakerOrchestrator extends EventEmitter {
   constructor(options = {}) {
@@ -25,78 +82,158 @@ export class MarketMakerOrchestrator extends EventEmitter {
 
     this.logger = options.logger || console;
     this.sessionId = options.sessionId || `mm-${Date.now()}`;
-    this.symbol = options.symbol || 'BTC-PYUSD';
-
-    // --- Core components (accept injected or create from config) ---
-
-    this.fixOE = options.fixConnection || new FIXConnection({
-      host: options.truexHost,
-      port: options.truexPort,
-      senderCompID: options.senderCompID || 'CLI_CLIENT',
-      targetCompID: options.targetCompID || 'TRUEX_UAT_OE',
-      apiKey: options.apiKey,
-      apiSecret: options.apiSecret,
-      heartbeatInterval: options.heartbeatInterval || 30,
-      logger: this.logger,
-    });
+    this.mode = options.mode || 'live';
+    if (this.mode !== 'live' && this.mode !== 'paper') {
+      throw new Error(`Unknown mode: ${this.mode}`);
+    }
 
-    this.inventoryManager = options.inventoryManager || new InventoryManager({
-      maxPositionBTC: options.maxPositionBTC || 5.0,
-      hedgeThresholdBTC: options.hedgeThresholdBTC || 2.0,
-      maxSkewTicks: options.maxSkewTicks || 3,
-      skewExponent: options.skewExponent || 1.5,
-      emergencyLimitBTC: options.emergencyLimitBTC,
-      tickSize: options.tickSize || 0.50,
+    const entries = (options.symbols || [options.symbol || 'BTC-PYUSD'])
+      .map(entry => (typeof entry === 'string' ? { symbol: entry } : entry));
+    if (this.mode === 'paper' && entries.length > 1) {
+      throw new Error('Paper mode supports a single symbol');
+    }
+    if (this.mode === 'paper' && (options.hedgeVenues || entries[0].hedgeVenues)) {
+      throw new Error('Paper mode hedges on Kraken only; hedgeVenues is not supported');
+    }
+    this.symbol = entries[0].symbol;
+
+    // --- Shared components (accept injected or create from config) ---
+
+    this.instrumentRegistry = options.instrumentRegistry || instrumentRegistry;
+    this.restAdapter = options.restAdapter || null;
+
+    this.riskGateway = options.riskGateway || new PreTradeRiskGateway({
+      instrumentRegistry: this.instrumentRegistry,
+      maxOrderSize: options.maxOrderSizeBTC || 1.0,
+      maxNotional: options.maxNotional || 250000,
+      priceBandPct: options.priceBandPct,
+      fatFingerPct: options.fatFingerPct || 5,
+      maxOpenOrders: options.maxOpenOrders || 50,
+      maxOrdersPerMinute: options.maxOrdersPerMinute || 300,
+      maxOpenNotional: options.maxOpenNotional,
+      maxExposureUSD: options.maxExposureUSD,
       logger: this.logger,
     });
 
-    this.pnlTracker = options.pnlTracker || new PnLTracker({
-      truexMakerFeeBps: options.truexMakerFeeBps || 0,
-      truexTakerFeeBps: options.truexTakerFeeBps || 10,
-      hedgeMakerFeeBps: options.hedgeMakerFeeBps || 16,
-      hedgeTakerFeeBps: options.hedgeTakerFeeBps || 26,
-      logIntervalMs: options.pnlLogIntervalMs || 30000,
-      significantPnlChange: options.significantPnlChange || 100,
-      logger: this.logger,
-    });
+    // Paper mode never opens the OE session; orders fill in-process
+    if (this.mode === 'paper') {
+      this.fixOE = options.paperGateway || new PaperOrderGateway({
+        symbol: this.symbol,
+        latencyMs: options.paperLatencyMs,
+        queueAheadBTC: options.paperQueueAheadBTC,
+        logger: this.logger,
+      });
+    } else {
+      this.fixOE = options.fixConnection || new FIXConnection({
+        host: options.truexHost,
+        port: options.truexPort,
+        senderCompID: options.senderCompID || 'CLI_CLIENT',
+        targetCompID: options.targetCompID || 'TRUEX_UAT_OE',
+        apiKey: options.apiKey,
+        apiSecret: options.apiSecret,
+        heartbeatInterval: options.heartbeatInterval || 30,
+        logonDelayMs: options.logonDelayMs,
+        sessionStore: options.sessionStore,
+        resetSchedule: options.resetSchedule,
+        logger: this.logger,
+      });
+    }
+    // Every 35=D/35=G on the OE session goes through the gateway
+    this.fixOE.riskGateway = this.riskGateway;
 
-    this.quoteEngine = options.quoteEngine || new QuoteEngine({
-      inventoryManager: this.inventoryManager,
-      fixConnection: this.fixOE,
-      levels: options.levels || 5,
-      baseSpreadBps: options.baseSpreadBps || 50,
-      levelSpacingTicks: options.levelSpacingTicks || 1,
-      repriceThresholdTicks: options.repriceThresholdTicks || 1,
-      baseSizeBTC: options.baseSizeBTC || 0.1,
-      sizeDecayFactor: options.sizeDecayFactor || 0.8,
-      maxOrdersPerSecond: options.maxOrdersPerSecond || 8,
-      tickSize: options.tickSize || 0.50,
-      minNotional: options.minNotional || 1.0,
-      priceBandPct: options.priceBandPct || 2.5,
-      confidenceThreshold: options.confidenceThreshold || 0.3,
-      symbol: this.symbol,
-      logger: this.logger,
+    // One order-rate budget for the OE session, shared by every QuoteEngine
+    this.rateLimiter = options.rateLimiter || new OrderRateLimiter({
+      maxPerSecond: options.maxOrdersPerSecond || 8,
     });
 
-    this.hedgeExecutor = options.hedgeExecutor || new HedgeExecutor({
-      krakenClient: options.krakenClient,
-      priceAggregator: options.priceAggregator,
-      hedgeSymbol: options.hedgeSymbol || 'XBTUSD',
-      maxHedgeSizeBTC: options.maxHedgeSizeBTC || 1.0,
-      minHedgeSizeBTC: options.minHedgeSizeBTC || 0.001,
-      limitTimeoutMs: options.limitTimeoutMs || 5000,
-      logger: this.logger,
-    });
+    this.coinbaseIngest = options.coinbaseIngest || null;
+
+    // --- Per-symbol components ---
 
-    // Optional: TrueX market data feed
-    this.marketDataFeed = options.marketDataFeed || null;
+    this.symbols = new Map();  // symbol -> context (see _buildSymbol)
+    entries.forEach((entry, i) => {
+      this.symbols.set(entry.symbol, this._buildSymbol(entry, options, i === 0));
+    });
 
-    // Price aggregator (external, must be provided)
-    this.priceAggregator = options.priceAggregator || null;
+    // The primary symbol's components, for single-symbol callers
+    const primary = this.symbols.get(this.symbol);
+    this.inventoryManager = primary.inventoryManager;
+    this.markoutTracker = primary.markoutTracker;
+    this.pnlTracker = primary.pnlTracker;
+    this.volatilityEstimator = primary.volatilityEstimator;
+    this.signals = primary.signals;
+    this.ohlcSource = primary.ohlcSource;
+    this.krakenAdapter = primary.krakenAdapter;
+    this.quoteEngine = primary.quoteEngine;
+    this.marketDataFeed = primary.marketDataFeed;
+    this.priceAggregator = primary.priceAggregator;
+    this.paperKrakenClient = primary.paperKrakenClient;
+    this.hedgeExecutor = primary.hedgeExecutor;
 
     // Data pipeline (optional)
     this.dataManager = options.dataManager || null;
     this.auditLogger = options.auditLogger || null;
+    this.redisManager = options.redisManager || null;
+
+    // Raw input capture for ReplayDriver (optional MarketDataRecorder)
+    this.recorder = options.recorder || null;
+
+    // Local HTTP/WebSocket control API (optional, needs a token)
+    this.controlServer = options.controlServer || null;
+    if (!this.controlServer && options.controlToken) {
+      this.controlServer = new ControlServer({
+        orchestrator: this,
+        token: options.controlToken,
+        host: options.controlHost,
+        port: options.controlPort,
+        statusIntervalMs: options.controlStatusIntervalMs,
+        logger: this.logger,
+      });
+    }
+
+    // Prometheus /metrics endpoint (optional)
+    this.metricsExporter = options.metricsExporter || null;
+    if (!this.metricsExporter && options.metricsPort != null) {
+      this.metricsExporter = new MetricsExporter({
+        orchestrator: this,
+        host: options.metricsHost,
+        port: options.metricsPort,
+        logger: this.logger,
+      });
+    }
+
+    // Startup: mass-cancel orders left resting by a previous run
+    this.cancelOrdersOnStart = options.cancelOrdersOnStart || false;
+
+    // Startup reconciliation against exchange truth (optional, per symbol).
+    // An injected `reconciliation` belongs to the primary symbol; symbols
+    // without one fall back to the mass cancel.
+    this.recoverSessionIds = options.recoverSessionIds || [this.sessionId];
+    const auditLogRecovery = this.auditLogger && this.dataManager
+      ? new AuditLogRecovery({ auditLogger: this.auditLogger, dataManager: this.dataManager, logger: this.logger })
+      : null;
+    for (const ctx of this.symbols.values()) {
+      if (!ctx.reconciliation && options.reconcileOnStart && this.mode === 'live') {
+        ctx.reconciliation = new StartupReconciliation({
+          fixConnection: this.fixOE,
+          restAdapter: this.restAdapter,
+          quoteEngine: ctx.quoteEngine,
+          inventoryManager: ctx.inventoryManager,
+          pnlTracker: ctx.pnlTracker,
+          auditLogRecovery,
+          redisManager: this.redisManager,
+          symbol: ctx.symbol,
+          instrumentId: ctx.instrumentId,
+          instrumentRegistry: this.instrumentRegistry,
+          unknownOrderPolicy: options.unknownOrderPolicy || 'cancel',
+          adoptKnownOrders: !this.cancelOrdersOnStart,
+          logger: this.logger,
+        });
+      }
+      ctx.lastReconciliation = null;
+    }
+    this.reconciliation = primary.reconciliation;
+    this.lastReconciliation = null;
 
     // State
     this.isRunning = false;
@@ -106,15 +243,12 @@ export class MarketMakerOrchestrator extends EventEmitter {
     this.drainQueueTimer = null;
     this.drainQueueIntervalMs = options.drainQueueIntervalMs || 200;
 
-    // Bind handlers to preserve context
-    this._onPriceUpdate = this._onPriceUpdate.bind(this);
+    // Bind handlers to preserve context (per-symbol ones live on the context)
     this._onFIXMessage = this._onFIXMessage.bind(this);
-    this._onQuoteFill = this._onQuoteFill.bind(this);
-    this._onHedgeSignal = this._onHedgeSignal.bind(this);
-    this._onHedgeFill = this._onHedgeFill.bind(this);
-    this._onEmergency = this._onEmergency.bind(this);
+    this._onRiskRejection = this._onRiskRejection.bind(this);
   }
 
+
   /**
    * Start the market maker: connect, wire events, begin quoting.
    */
@@ -123,35 +257,76 @@ export class MarketMakerOrchestrator extends EventEmitter {
 
     // 1. Wire event handlers
     this._wireEvents();
+    if (this.mode === 'paper') this._startPaperTrading();
+
+    // 1b. Record raw inputs from here on, execution reports included
+    if (this.recorder) this._startRecording();
 
     // 2. Connect FIX OE
     this.logger.info('[Orchestrator] Connecting FIX OE...');
     await this.fixOE.connect();
     this.logger.info('[Orchestrator] FIX OE connected');
 
-    // 3. Connect market data feed (optional, non-blocking)
-    if (this.marketDataFeed) {
-      try {
-        this.logger.info('[Orchestrator] Connecting TrueX market data feed...');
-        await this.marketDataFeed.connect();
-        await this.marketDataFeed.subscribe(this.symbol);
-        this.logger.info('[Orchestrator] TrueX market data feed connected');
-      } catch (err) {
-        this.logger.warn(`[Orchestrator] Market data feed failed (non-fatal): ${err.message}`);
+    // 2a. Load instrument specs from the exchange
+    if (this.mode === 'live') {
+      await this.instrumentRegistry.load({ fixConnection: this.fixOE, restAdapter: this.restAdapter });
+    }
+
+    // 2b. Reconcile orders and inventory with the exchange, or just clear
+    //     orders left on the book by a crash or another process
+    for (const ctx of this.symbols.values()) {
+      if (ctx.reconciliation) {
+        await this._reconcile(ctx);
+      } else if (this.cancelOrdersOnStart) {
+        await this._cancelRestingOrders(ctx.symbol);
       }
     }
 
-    // 4. Start PnL periodic logging
-    this.pnlTracker.startPeriodicLogging();
+    for (const ctx of this.symbols.values()) {
+      // 3. Connect market data feed (optional, non-blocking)
+      if (ctx.marketDataFeed) {
+        try {
+          this.logger.info(`[Orchestrator] Connecting TrueX market data feed for ${ctx.symbol}...`);
+          await ctx.marketDataFeed.connect();
+          await ctx.marketDataFeed.subscribe(ctx.symbol);
+          this.logger.info('[Orchestrator] TrueX market data feed connected');
+        } catch (err) {
+          this.logger.warn(`[Orchestrator] Market data feed failed (non-fatal): ${err.message}`);
+        }
+      }
+
+      // 4. Start PnL periodic logging
+      ctx.pnlTracker.startPeriodicLogging();
+
+      // 4b. Feed candles to the volatility estimator
+      if (ctx.volatilityEstimator) {
+        if (ctx.ohlcSource) ctx.volatilityEstimator.addOhlcSource(ctx.ohlcSource);
+        if (ctx.coinbaseIngest) ctx.volatilityEstimator.addCoinbaseIngest(ctx.coinbaseIngest);
+      }
 
-    // 5. Start quote engine drain queue timer
+      // 4c. Feed books and reference trades to the microstructure signals
+      if (ctx.signals) {
+        if (ctx.priceAggregator) ctx.signals.addPriceAggregator(ctx.priceAggregator);
+        if (ctx.coinbaseIngest) ctx.signals.addCoinbaseIngest(ctx.coinbaseIngest);
+        if (ctx.krakenAdapter) ctx.signals.addKrakenAdapter(ctx.krakenAdapter);
+      }
+    }
+
+    // 5. Start quote engine drain queue timer. The engines share one rate
+    //    limiter, so the first to drain rotates each tick.
+    const engines = [...this.symbols.values()].map(ctx => ctx.quoteEngine);
     this.drainQueueTimer = setInterval(() => {
-      this.quoteEngine.drainQueue();
+      for (const engine of engines) engine.drainQueue();
+      engines.push(engines.shift());
     }, this.drainQueueIntervalMs);
 
     this.isRunning = true;
     this.startedAt = Date.now();
 
+    // 6. Open the control API and metrics endpoint
+    if (this.controlServer) await this.controlServer.start();
+    if (this.metricsExporter) await this.metricsExporter.start();
+
     this.logger.info('[Orchestrator] Market maker started — waiting for price updates to begin quoting');
     this.emit('started', { sessionId: this.sessionId, timestamp: this.startedAt });
 
@@ -165,34 +340,45 @@ export class MarketMakerOrchestrator extends EventEmitter {
     if (!this.isRunning) return false;
 
     this.logger.info('[Orchestrator] Stopping market maker...');
+    const contexts = [...this.symbols.values()];
 
     // 1. Cancel all active quotes
-    this.quoteEngine.cancelAllQuotes('shutdown');
+    for (const ctx of contexts) ctx.quoteEngine.cancelAllQuotes('shutdown');
     this.logger.info('[Orchestrator] All quotes cancelled');
 
-    // 2. Attempt to hedge remaining position
-    const position = this.inventoryManager.getPositionSummary();
-    if (Math.abs(position.netPosition) > this.hedgeExecutor.config.minHedgeSizeBTC) {
-      this.logger.info(`[Orchestrator] Hedging remaining position: ${position.netPosition.toFixed(6)} BTC`);
+    // 2. Attempt to hedge remaining positions
+    for (const ctx of contexts) {
       try {
-        const hedgeSide = position.netPosition > 0 ? 'sell' : 'buy';
-        await this.hedgeExecutor.executeHedge(hedgeSide, Math.abs(position.netPosition), 'urgent');
+        await this._flattenSymbol(ctx);
       } catch (err) {
         this.logger.error(`[Orchestrator] Final hedge failed: ${err.message}`);
       }
     }
 
-    // 3. Stop timers
+    // 3. Stop timers. Estimators sharing an ingest wrap its callbacks in
+    //    turn, so they detach in reverse.
     if (this.drainQueueTimer) {
       clearInterval(this.drainQueueTimer);
       this.drainQueueTimer = null;
     }
-    this.pnlTracker.stopPeriodicLogging();
+    for (const ctx of [...contexts].reverse()) {
+      ctx.pnlTracker.stopPeriodicLogging();
+      if (ctx.signals) ctx.signals.detach();
+      if (ctx.volatilityEstimator) ctx.volatilityEstimator.detach();
+      for (const venue of ctx.hedgeVenues) {
+        if (venue.detach) venue.detach();
+      }
+    }
+    if (this.mode === 'paper') {
+      this.fixOE.detach();
+      this.paperKrakenClient.detach();
+    }
 
-    // 4. Disconnect market data feed
-    if (this.marketDataFeed) {
+    // 4. Disconnect market data feeds
+    for (const ctx of contexts) {
+      if (!ctx.marketDataFeed) continue;
       try {
-        await this.marketDataFeed.disconnect();
+        await ctx.marketDataFeed.disconnect();
       } catch (_) { /* best effort */ }
     }
 
@@ -201,21 +387,55 @@ export class MarketMakerOrchestrator extends EventEmitter {
       await this.fixOE.disconnect();
     } catch (_) { /* best effort */ }
 
-    // 6. Log final session report
-    const report = this.pnlTracker.getSessionReport();
-    this.logger.info(`[Orchestrator] Final PnL Report:\n${report}`);
+    // 5b. Flush the recording
+    if (this.recorder) {
+      try {
+        await this.recorder.stop();
+      } catch (err) {
+        this.logger.error(`[Orchestrator] Recorder stop failed: ${err.message}`);
+      }
+    }
+
+    // 6. Log final session reports
+    for (const ctx of contexts) {
+      const report = ctx.pnlTracker.getSessionReport();
+      const label = contexts.length > 1 ? ` (${ctx.symbol})` : '';
+      this.logger.info(`[Orchestrator] Final PnL Report${label}:\n${report}`);
+    }
 
-    // 7. Unwire events
+    // 7. Unwire events and close the control API and metrics endpoint
     this._unwireEvents();
+    if (this.controlServer) {
+      try {
+        await this.controlServer.stop();
+      } catch (err) {
+        this.logger.error(`[Orchestrator] Control server stop failed: ${err.message}`);
+      }
+    }
+    if (this.metricsExporter) {
+      try {
+        await this.metricsExporter.stop();
+      } catch (err) {
+        this.logger.error(`[Orchestrator] Metrics exporter stop failed: ${err.message}`);
+      }
+    }
 
     this.isRunning = false;
 
+    const symbols = {};
+    for (const ctx of contexts) {
+      symbols[ctx.symbol] = {
+        pnl: ctx.pnlTracker.getSummary(),
+        inventory: ctx.inventoryManager.getPositionSummary(),
+      };
+    }
     const stopInfo = {
       sessionId: this.sessionId,
       timestamp: Date.now(),
       durationMs: Date.now() - this.startedAt,
-      pnl: this.pnlTracker.getSummary(),
-      inventory: this.inventoryManager.getPositionSummary(),
+      pnl: symbols[this.symbol].pnl,
+      inventory: symbols[this.symbol].inventory,
+      symbols,
     };
 
     this.logger.info('[Orchestrator] Market maker stopped');
@@ -225,97 +445,460 @@ export class MarketMakerOrchestrator extends EventEmitter {
   }
 
   /**
-   * Get comprehensive status of all components.
+   * Get comprehensive status of all components. Top-level quote, inventory,
+   * PnL, hedge, markout and market data fields are the primary symbol's;
+   * `symbols` has them for every symbol.
    */
   getStatus() {
+    const symbols = {};
+    for (const ctx of this.symbols.values()) {
+      symbols[ctx.symbol] = this._getSymbolStatus(ctx);
+    }
+    const primary = symbols[this.symbol];
+
     return {
       sessionId: this.sessionId,
+      mode: this.mode,
       isRunning: this.isRunning,
       startedAt: this.startedAt,
       uptimeMs: this.isRunning ? Date.now() - this.startedAt : 0,
-      quotes: this.quoteEngine.getQuoteStatus(),
-      inventory: this.inventoryManager.getPositionSummary(),
-      pnl: this.pnlTracker.getSummary(),
-      hedge: this.hedgeExecutor.getHedgeStats(),
+      quotes: primary.quotes,
+      inventory: primary.inventory,
+      pnl: primary.pnl,
+      hedge: primary.hedge,
+      risk: this.riskGateway.getStats(),
+      markouts: primary.markouts,
       fixOE: {
         isConnected: this.fixOE.isConnected,
         isLoggedOn: this.fixOE.isLoggedOn,
         msgSeqNum: this.fixOE.msgSeqNum,
       },
-      marketData: this.marketDataFeed ? {
-        isSubscribed: this.marketDataFeed.isSubscribed,
-        spread: this.marketDataFeed.getSpread(),
+      paper: this.mode === 'paper' ? this.fixOE.getStats() : null,
+      marketData: primary.marketData,
+      symbols,
+    };
+  }
+
+  _getSymbolStatus(ctx) {
+    return {
+      quotes: ctx.quoteEngine.getQuoteStatus(),
+      inventory: ctx.inventoryManager.getPositionSummary(),
+      pnl: ctx.pnlTracker.getSummary(),
+      hedge: ctx.hedgeExecutor.getHedgeStats(),
+      markouts: ctx.markoutTracker.getSummary(),
+      marketData: ctx.marketDataFeed ? {
+        isSubscribed: ctx.marketDataFeed.isSubscribed,
+        spread: ctx.marketDataFeed.getSpread(),
       } : null,
     };
   }
 
-  // --- Event Wiring ---
+  // --- Operator commands (see ControlServer) ---
+  //
+  // `symbol` selects one symbol; null applies to all of them.
 
-  _wireEvents() {
-    // Price → QuoteEngine
-    if (this.priceAggregator) {
-      this.priceAggregator.on('price', this._onPriceUpdate);
+  /**
+   * Stop quoting 'buy', 'sell' or 'both' sides until resumeQuoting().
+   */
+  pauseQuoting(side, symbol = null) {
+    const contexts = this._contextsFor(symbol);
+    const sides = side === 'both' ? ['buy', 'sell'] : [side];
+    for (const ctx of contexts) {
+      for (const s of sides) ctx.quoteEngine.pauseSide(s, 'operator');
+    }
+    return { symbols: contexts.map(ctx => ctx.symbol), sides };
+  }
+
+  resumeQuoting(side, symbol = null) {
+    const contexts = this._contextsFor(symbol);
+    const sides = side === 'both' ? ['buy', 'sell'] : [side];
+    for (const ctx of contexts) {
+      for (const s of sides) ctx.quoteEngine.resumeSide(s);
     }
+    return { symbols: contexts.map(ctx => ctx.symbol), sides };
+  }
 
+  /**
+   * Pull every quote and keep both sides paused until resumed. A mass
+   * cancel per symbol also catches orders this process does not know about.
+   */
+  async cancelAll(symbol = null) {
+    const contexts = this._contextsFor(symbol);
+    const reports = {};
+    for (const ctx of contexts) {
+      ctx.quoteEngine.pauseSide('buy', 'cancel all');
+      ctx.quoteEngine.pauseSide('sell', 'cancel all');
+      const report = await this.fixOE.requestMassCancel({ symbol: ctx.symbol });
+      reports[ctx.symbol] = { accepted: report.accepted, totalAffected: report.totalAffected };
+    }
+    return reports;
+  }
+
+  /**
+   * Hedge each net position back to flat at market. Hedges are capped at
+   * maxHedgeSizeBTC, so a large position may need another flatten.
+   */
+  async flatten(symbol = null) {
+    const results = {};
+    for (const ctx of this._contextsFor(symbol)) {
+      results[ctx.symbol] = await this._flattenSymbol(ctx);
+    }
+    return results;
+  }
+
+  /**
+   * Change QuoteEngine runtime config (spread, levels, size, ...). With
+   * several symbols the symbol must be named.
+   */
+  updateQuoteConfig(changes, symbol = null) {
+    if (!symbol && this.symbols.size > 1) {
+      throw new Error('symbol is required to change quote config with several symbols');
+    }
+    const [ctx] = this._contextsFor(symbol);
+    return { symbol: ctx.symbol, previous: ctx.quoteEngine.updateConfig(changes) };
+  }
+
+  _contextsFor(symbol) {
+    if (!symbol) return [...this.symbols.values()];
+    const ctx = this.symbols.get(symbol);
+    if (!ctx) throw new Error(`Unknown symbol: ${symbol}`);
+    return [ctx];
+  }
+
+  /**
+   * Urgent hedge of a symbol's net position; null when already flat.
+   */
+  async _flattenSymbol(ctx) {
+    const position = ctx.inventoryManager.getPositionSummary();
+    if (Math.abs(position.netPosition) <= ctx.hedgeExecutor.config.minHedgeSizeBTC) return null;
+
+    this.logger.info(`[Orchestrator] Hedging remaining position: ${position.netPosition.toFixed(6)} ${ctx.symbol}`);
+    const hedgeSide = position.netPosition > 0 ? 'sell' : 'buy';
+    return ctx.hedgeExecutor.executeHedge(hedgeSide, Math.abs(position.netPosition), 'urgent');
+  }
+
+  // --- Symbols ---
+
+  /**
+   * Build one symbol's components. Top-level options are the defaults and
+   * the entry's keys override them, except SYMBOL_OPTIONS, which the top
+   * level only sets for the primary symbol.
+   */
+  _buildSymbol(entry, options, isPrimary) {
+    const opts = { ...options };
+    if (!isPrimary) {
+      for (const key of SYMBOL_OPTIONS) delete opts[key];
+    }
+    Object.assign(opts, entry);
+    const { symbol } = opts;
+    const symbolConfig = getConfig(symbol);
+    const hedgeSymbol = opts.hedgeSymbol || symbolConfig.hedgeSymbol || 'XBTUSD';
+
+    // Price aggregator: injected, or built from reference feeds when given.
+    // Reference feeds are started/stopped by the caller.
+    const marketDataFeed = opts.marketDataFeed || null;
+    let priceAggregator = opts.priceAggregator || null;
+    if (!priceAggregator && (opts.coinbaseIngest || opts.krakenAdapter)) {
+      priceAggregator = new PriceAggregator({
+        symbol,
+        staleMs: opts.priceStaleMs,
+        expectedSources: opts.expectedPriceSources,
+        logger: this.logger,
+      });
+      if (opts.coinbaseIngest) priceAggregator.addCoinbaseIngest(opts.coinbaseIngest);
+      if (opts.krakenAdapter) priceAggregator.addKrakenAdapter(opts.krakenAdapter);
+      if (marketDataFeed) priceAggregator.addTrueXFeed(marketDataFeed);
+    }
+
+    // Multi-venue hedging: 'kraken' entries default to this symbol's client and book
+    const hedgeVenues = (opts.hedgeVenues || []).map((spec) => {
+      const venue = typeof spec === 'string' ? { type: spec } : spec;
+      if (venue.type !== 'kraken') return createHedgeVenue(venue);
+      return createHedgeVenue({
+        client: opts.krakenClient,
+        symbol: hedgeSymbol,
+        priceAggregator,
+        krakenAdapter: opts.krakenAdapter,
+        ...venue,
+      });
+    });
+
+    const inventoryManager = opts.inventoryManager || new InventoryManager({
+      maxPositionBTC: opts.maxPositionBTC || 5.0,
+      hedgeThresholdBTC: opts.hedgeThresholdBTC || 2.0,
+      maxSkewTicks: opts.maxSkewTicks || 3,
+      skewExponent: opts.skewExponent || 1.5,
+      emergencyLimitBTC: opts.emergencyLimitBTC,
+      tickSize: opts.tickSize || this.instrumentRegistry.resolve(symbol).tickSize,
+      logger: this.logger,
+    });
+
+    // Fill markouts against the reference mid (adverse selection)
+    const markoutTracker = opts.markoutTracker || new MarkoutTracker({
+      horizonsMs: opts.markoutHorizonsMs,
+      logger: this.logger,
+    });
+
+    const pnlTracker = opts.pnlTracker || new PnLTracker({
+      truexMakerFeeBps: opts.truexMakerFeeBps || 0,
+      truexTakerFeeBps: opts.truexTakerFeeBps || 10,
+      hedgeMakerFeeBps: opts.hedgeMakerFeeBps || 16,
+      hedgeTakerFeeBps: opts.hedgeTakerFeeBps || 26,
+      venueFees: Object.fromEntries(hedgeVenues.map(v => [v.name, { makerBps: v.makerFeeBps, takerBps: v.takerFeeBps }])),
+      logIntervalMs: opts.pnlLogIntervalMs || 30000,
+      significantPnlChange: opts.significantPnlChange || 100,
+      logger: this.logger,
+    });
+    // Session report includes fill markouts
+    pnlTracker.markoutTracker = markoutTracker;
+
+    // Volatility-adaptive spreads: injected, or built when adaptiveSpreads is set.
+    // Candles come from opts.ohlcSource and/or opts.coinbaseIngest trades.
+    let volatilityEstimator = opts.volatilityEstimator || null;
+    if (!volatilityEstimator && opts.adaptiveSpreads) {
+      volatilityEstimator = new VolatilityEstimator({
+        symbol,
+        candleIntervalMs: opts.volCandleIntervalMs,
+        windowCandles: opts.volWindowCandles,
+        referenceVolPct: opts.referenceVolPct,
+        logger: this.logger,
+      });
+    }
+
+    // Microstructure signals: injected, or built when alphaSignals is set
+    let signals = opts.signals || null;
+    if (!signals && opts.alphaSignals) {
+      signals = new MicrostructureSignals({ symbol, ...opts.alphaSignalParams, logger: this.logger });
+    }
+
+    // Quote model: explicit option, else the per-symbol config
+    const quoteEngine = opts.quoteEngine || new QuoteEngine({
+      inventoryManager,
+      fixConnection: this.fixOE,
+      rateLimiter: this.rateLimiter,
+      levels: opts.levels || 5,
+      baseSpreadBps: opts.baseSpreadBps || 50,
+      levelSpacingTicks: opts.levelSpacingTicks || 1,
+      repriceThresholdTicks: opts.repriceThresholdTicks || 1,
+      resizeThresholdPct: opts.resizeThresholdPct,
+      baseSizeBTC: opts.baseSizeBTC || 0.1,
+      sizeDecayFactor: opts.sizeDecayFactor || 0.8,
+      maxOrdersPerSecond: opts.maxOrdersPerSecond || 8,
+      instrumentRegistry: this.instrumentRegistry,
+      tickSize: opts.tickSize,
+      minNotional: opts.minNotional,
+      priceBandPct: opts.priceBandPct,
+      confidenceThreshold: opts.confidenceThreshold || 0.3,
+      amendMode: opts.amendMode || false,
+      postOnly: opts.postOnly ?? symbolConfig.postOnly,
+      timeInForce: opts.timeInForce || symbolConfig.timeInForce,
+      expireAfterMs: opts.expireAfterMs,
+      selfTradePrevention: opts.selfTradePrevention || symbolConfig.selfTradePrevention,
+      volatilityEstimator,
+      signals,
+      marketDataFeed,
+      placementModes: opts.placementModes,
+      minEdgeBps: opts.minEdgeBps,
+      inventorySkewWeight: opts.inventorySkewWeight,
+      alphaSkewWeight: opts.alphaSkewWeight,
+      fairValueWeight: opts.fairValueWeight,
+      minSpreadBps: opts.minSpreadBps,
+      maxSpreadBps: opts.maxSpreadBps,
+      strategy: opts.quoteModel || symbolConfig.quoteModel,
+      strategyOptions: opts.quoteModelParams || symbolConfig.quoteModelParams,
+      symbol,
+      logger: this.logger,
+    });
+
+    // Paper hedges fill at the Kraken touch, else the aggregated touch
+    let paperKrakenClient = null;
+    if (this.mode === 'paper') {
+      paperKrakenClient = opts.paperKrakenClient || new PaperKrakenClient({
+        fallbackPrice: (side) => {
+          if (!priceAggregator) return null;
+          const price = priceAggregator.getAggregatedPrice();
+          return side === 'buy' ? price.bestAsk : price.bestBid;
+        },
+      });
+    }
+
+    const hedgeExecutor = opts.hedgeExecutor || new HedgeExecutor({
+      krakenClient: paperKrakenClient || opts.krakenClient,
+      priceAggregator,
+      hedgeSymbol,
+      venues: hedgeVenues,
+      maxHedgeSizeBTC: opts.maxHedgeSizeBTC || 1.0,
+      minHedgeSizeBTC: opts.minHedgeSizeBTC || 0.001,
+      limitTimeoutMs: opts.limitTimeoutMs || 5000,
+      hedgeAlgo: opts.hedgeAlgo,
+      hedgeAlgoParams: opts.hedgeAlgoParams,
+      cancelOnMoveBps: opts.hedgeCancelOnMoveBps,
+      logger: this.logger,
+    });
+
+    const ctx = {
+      symbol,
+      inventoryManager,
+      markoutTracker,
+      pnlTracker,
+      volatilityEstimator,
+      signals,
+      ohlcSource: opts.ohlcSource || null,
+      coinbaseIngest: opts.coinbaseIngest || null,
+      krakenAdapter: opts.krakenAdapter || null,
+      quoteEngine,
+      marketDataFeed,
+      priceAggregator,
+      paperKrakenClient,
+      hedgeVenues,
+      hedgeExecutor,
+      instrumentId: opts.instrumentId || null,
+      reconciliation: opts.reconciliation || null,
+    };
+    ctx.handlers = {
+      price: (price) => this._onPriceUpdate(ctx, price),
+      fill: (fill) => this._onQuoteFill(ctx, fill),
+      hedgeSignal: (signal) => this._onHedgeSignal(ctx, signal),
+      hedgeFill: (fill) => this._onHedgeFill(ctx, fill),
+      emergency: (event) => this._onEmergency(ctx, event),
+      markout: (markout) => this._onMarkout(ctx, markout),
+      book: (book) => ctx.quoteEngine.onBookUpdate(book),
+    };
+    return ctx;
+  }
+
+  /**
+   * The symbol an OE message or risk rejection belongs to: by Symbol (55),
+   * else by the QuoteEngine tracking one of its ClOrdIDs (cancel rejects
+   * carry no 55), else the primary.
+   */
+  _symbolFor(symbol, clOrdIDs = []) {
+    const ctx = this.symbols.get(symbol);
+    if (ctx) return ctx;
+
+    if (this.symbols.size > 1) {
+      for (const candidate of this.symbols.values()) {
+        const { activeOrders, pendingReplaces } = candidate.quoteEngine;
+        const tracks = (id) => id && ((activeOrders && activeOrders.has(id)) || (pendingReplaces && pendingReplaces.has(id)));
+        if (clOrdIDs.some(tracks)) return candidate;
+      }
+    }
+    return this.symbols.get(this.symbol);
+  }
+
+  // --- Event Wiring ---
+
+  _wireEvents() {
     // FIX OE messages → execution report handling
     this.fixOE.on('message', this._onFIXMessage);
 
-    // QuoteEngine fills → Inventory + PnL
-    this.quoteEngine.on('fill', this._onQuoteFill);
+    // Pre-trade risk rejections → QuoteEngine order state
+    this.riskGateway.on('rejection', this._onRiskRejection);
+
+    for (const ctx of this.symbols.values()) {
+      const { handlers } = ctx;
+
+      // Price → QuoteEngine
+      if (ctx.priceAggregator) {
+        ctx.priceAggregator.on('price', handlers.price);
+      }
+
+      // QuoteEngine fills → Inventory + PnL
+      ctx.quoteEngine.on('fill', handlers.fill);
+
+      // Inventory hedge signal → HedgeExecutor
+      ctx.inventoryManager.on('hedge-signal', handlers.hedgeSignal);
 
-    // Inventory hedge signal → HedgeExecutor
-    this.inventoryManager.on('hedge-signal', this._onHedgeSignal);
+      // Hedge fills → Inventory + PnL
+      ctx.hedgeExecutor.on('hedge-filled', handlers.hedgeFill);
 
-    // Hedge fills → Inventory + PnL
-    this.hedgeExecutor.on('hedge-filled', this._onHedgeFill);
+      // Emergency → cancel all
+      ctx.inventoryManager.on('emergency', handlers.emergency);
 
-    // Emergency → cancel all
-    this.inventoryManager.on('emergency', this._onEmergency);
+      // Completed fill markouts → data pipeline
+      ctx.markoutTracker.on('markout', handlers.markout);
+
+      // TrueX book → QuoteEngine queue position estimates
+      if (ctx.marketDataFeed) {
+        ctx.marketDataFeed.on('book-change', handlers.book);
+      }
+    }
   }
 
   _unwireEvents() {
-    if (this.priceAggregator) {
-      this.priceAggregator.removeListener('price', this._onPriceUpdate);
-    }
     this.fixOE.removeListener('message', this._onFIXMessage);
-    this.quoteEngine.removeListener('fill', this._onQuoteFill);
-    this.inventoryManager.removeListener('hedge-signal', this._onHedgeSignal);
-    this.hedgeExecutor.removeListener('hedge-filled', this._onHedgeFill);
-    this.inventoryManager.removeListener('emergency', this._onEmergency);
+    this.riskGateway.removeListener('rejection', this._onRiskRejection);
+
+    for (const ctx of this.symbols.values()) {
+      const { handlers } = ctx;
+      if (ctx.priceAggregator) {
+        ctx.priceAggregator.removeListener('price', handlers.price);
+      }
+      ctx.quoteEngine.removeListener('fill', handlers.fill);
+      ctx.inventoryManager.removeListener('hedge-signal', handlers.hedgeSignal);
+      ctx.hedgeExecutor.removeListener('hedge-filled', handlers.hedgeFill);
+      ctx.inventoryManager.removeListener('emergency', handlers.emergency);
+      ctx.markoutTracker.removeListener('markout', handlers.markout);
+      if (ctx.marketDataFeed) {
+        ctx.marketDataFeed.removeListener('book-change', handlers.book);
+      }
+    }
   }
 
   // --- Event Handlers ---
 
-  _onPriceUpdate(aggregatedPrice) {
+  _onPriceUpdate(ctx, aggregatedPrice) {
     if (!this.isRunning) return;
 
     // Feed price to QuoteEngine
-    this.quoteEngine.onPriceUpdate(aggregatedPrice);
+    ctx.quoteEngine.onPriceUpdate(aggregatedPrice);
 
-    // Update PnL mark-to-market
+    // Update PnL mark-to-market and the risk price band reference
     if (aggregatedPrice.weightedMidpoint) {
-      this.pnlTracker.markToMarket(aggregatedPrice.weightedMidpoint);
+      ctx.markoutTracker.onMid(aggregatedPrice.weightedMidpoint);
+      ctx.pnlTracker.markToMarket(aggregatedPrice.weightedMidpoint);
+      this.riskGateway.setReferencePrice(aggregatedPrice.weightedMidpoint, Date.now(), ctx.symbol);
     }
   }
 
   _onFIXMessage(message) {
     if (!message || !message.fields) return;
-    const msgType = message.fields['35'];
+    const { fields } = message;
+    const msgType = fields['35'];
+    // Security Definition / Status (35=d/f): instrument spec and trading status
+    if (msgType === 'd' || msgType === 'f') {
+      this.instrumentRegistry.onMessage(message);
+      return;
+    }
+
+    const ctx = this._symbolFor(fields['55'], [fields['11'], fields['41']]);
 
-    // Only handle execution reports (35=8)
+    // Order Cancel Reject (35=9): lets QuoteEngine fall back from a failed replace
+    if (msgType === '9') {
+      this.riskGateway.onOrderCancelReject(fields);
+      ctx.quoteEngine.onOrderCancelReject(fields);
+      return;
+    }
+
+    // Otherwise only handle execution reports (35=8)
     if (msgType !== '8') return;
 
+    // Mass/order status reports (584/790) describe existing orders, not state changes
+    if (fields['584'] || fields['790']) return;
+
+    // Track open orders and last trade for pre-trade risk
+    this.riskGateway.onExecutionReport(fields);
+
     // Route to QuoteEngine for order state management
-    this.quoteEngine.onExecutionReport(message.fields);
+    ctx.quoteEngine.onExecutionReport(fields);
 
     // Log to data pipeline if available
     if (this.dataManager) {
-      const orderId = message.fields['11'];
-      const execID = message.fields['17'];
-      const ordStatus = message.fields['39'];
-      const lastQty = message.fields['32'] ? Number(message.fields['32']) : 0;
-      const lastPx = message.fields['31'] ? Number(message.fields['31']) : 0;
-      const side = message.fields['54'] === '1' ? 'buy' : 'sell';
+      const orderId = fields['11'];
+      const execID = fields['17'];
+      const lastQty = fields['32'] ? Number(fields['32']) : 0;
+      const lastPx = fields['31'] ? Number(fields['31']) : 0;
+      const side = fields['54'] === '1' ? 'buy' : 'sell';
 
       if (execID && lastQty > 0) {
         const fill = {
@@ -323,7 +906,7 @@ export class MarketMakerOrchestrator extends EventEmitter {
           execID,
           orderId,
           sessionId: this.sessionId,
-          symbol: this.symbol,
+          symbol: ctx.symbol,
           side,
           quantity: lastQty,
           price: lastPx,
@@ -334,9 +917,9 @@ export class MarketMakerOrchestrator extends EventEmitter {
     }
   }
 
-  _onQuoteFill({ side, price, size, clOrdID, execID }) {
+  _onQuoteFill(ctx, { side, price, size, clOrdID, execID, level }) {
     // Route fill to InventoryManager
-    this.inventoryManager.onFill({
+    ctx.inventoryManager.onFill({
       side,
       quantity: size,
       price,
@@ -345,7 +928,7 @@ export class MarketMakerOrchestrator extends EventEmitter {
     });
 
     // Route fill to PnLTracker
-    this.pnlTracker.onFill({
+    ctx.pnlTracker.onFill({
       side,
       quantity: size,
       price,
@@ -355,6 +938,12 @@ export class MarketMakerOrchestrator extends EventEmitter {
       timestamp: Date.now(),
     });
 
+    // Sample reference mid at markout horizons
+    ctx.markoutTracker.onFill({ side, price, size, level, clOrdID, execID, timestamp: Date.now() });
+
+    // Aggregate exposure for the shared risk budget
+    this._updateRiskPosition(ctx);
+
     // Audit log if available
     if (this.auditLogger) {
       this.auditLogger.logFillEvent({
@@ -362,7 +951,7 @@ export class MarketMakerOrchestrator extends EventEmitter {
         execID,
         orderId: clOrdID,
         sessionId: this.sessionId,
-        symbol: this.symbol,
+        symbol: ctx.symbol,
         side,
         quantity: size,
         price,
@@ -370,48 +959,142 @@ export class MarketMakerOrchestrator extends EventEmitter {
       });
     }
 
-    this.emit('fill', { side, price, size, clOrdID, execID, venue: 'truex' });
+    this.emit('fill', { symbol: ctx.symbol, side, price, size, clOrdID, execID, venue: 'truex' });
   }
 
-  _onHedgeSignal({ shouldHedge, side, size }) {
+  _onMarkout(ctx, markout) {
+    const record = { ...markout, symbol: ctx.symbol };
+    if (this.dataManager) {
+      this.dataManager.addMarkout(record);
+    }
+    this.emit('markout', record);
+  }
+
+  _onHedgeSignal(ctx, { shouldHedge, side, size }) {
     if (!shouldHedge || !this.isRunning) return;
 
-    this.logger.info(`[Orchestrator] Hedge signal: ${side} ${size.toFixed(6)} BTC`);
-    this.hedgeExecutor.executeHedge(side, size).catch(err => {
+    this.logger.info(`[Orchestrator] Hedge signal: ${side} ${size.toFixed(6)} ${ctx.symbol}`);
+    ctx.hedgeExecutor.executeHedge(side, size).catch(err => {
       this.logger.error(`[Orchestrator] Hedge execution failed: ${err.message}`);
     });
   }
 
-  _onHedgeFill({ side, size, price, orderId, slippage }) {
+  _onHedgeFill(ctx, { side, size, price, orderId, slippage, venue = 'kraken' }) {
     // Route hedge fill to InventoryManager (reduces position)
-    this.inventoryManager.onFill({
+    ctx.inventoryManager.onFill({
       side,
       quantity: size,
       price,
-      venue: 'kraken',
+      venue,
       execID: orderId,
     });
 
     // Route to PnL tracker
-    this.pnlTracker.onFill({
+    ctx.pnlTracker.onFill({
       side,
       quantity: size,
       price,
-      venue: 'kraken',
+      venue,
       isMaker: false, // Hedge orders are usually taker
       execID: orderId,
       timestamp: Date.now(),
     });
 
-    this.emit('hedge', { side, size, price, orderId, slippage, venue: 'kraken' });
+    this._updateRiskPosition(ctx);
+
+    this.emit('hedge', { symbol: ctx.symbol, side, size, price, orderId, slippage, venue });
   }
 
-  _onEmergency({ netPosition, reason }) {
-    this.logger.error(`[Orchestrator] EMERGENCY: ${reason}`);
+  _onEmergency(ctx, { netPosition, reason }) {
+    this.logger.error(`[Orchestrator] EMERGENCY (${ctx.symbol}): ${reason}`);
 
     // Cancel all quotes immediately
-    this.quoteEngine.cancelAllQuotes(`emergency: ${reason}`);
+    ctx.quoteEngine.cancelAllQuotes(`emergency: ${reason}`);
+
+    // Mass cancel also catches orders this process does not know about
+    this.fixOE.requestMassCancel({ symbol: ctx.symbol }).catch(err => {
+      this.logger.error(`[Orchestrator] Emergency mass cancel failed: ${err.message}`);
+    });
+
+    this.emit('emergency', { symbol: ctx.symbol, netPosition, reason });
+  }
+
+  _updateRiskPosition(ctx) {
+    const { netPosition } = ctx.inventoryManager.getPositionSummary();
+    this.riskGateway.setPosition(ctx.symbol, netPosition);
+  }
+
+  /**
+   * Bind every input source to the recorder and write its header.
+   */
+  _startRecording() {
+    if (this.coinbaseIngest) this.recorder.addCoinbaseIngest(this.coinbaseIngest);
+    for (const ctx of this.symbols.values()) {
+      if (ctx.krakenAdapter) this.recorder.addKrakenAdapter(ctx.krakenAdapter);
+      if (ctx.marketDataFeed) this.recorder.addTrueXFeed(ctx.marketDataFeed);
+    }
+    this.recorder.addFIXConnection(this.fixOE, 'truex-oe');
+    this.recorder.start({ symbol: this.symbol, sessionId: this.sessionId });
+  }
+
+  /**
+   * Bind the paper gateway and hedge client to the live feeds.
+   */
+  _startPaperTrading() {
+    this.logger.warn('[Orchestrator] Paper trading: orders are simulated, nothing is sent to TrueX or Kraken');
+    if (this.marketDataFeed) this.fixOE.addTrueXFeed(this.marketDataFeed);
+    if (this.coinbaseIngest) this.fixOE.addCoinbaseIngest(this.coinbaseIngest);
+    if (this.krakenAdapter) {
+      this.fixOE.addKrakenAdapter(this.krakenAdapter);
+      this.paperKrakenClient.addKrakenAdapter(this.krakenAdapter);
+    }
+  }
+
+  /**
+   * Run a symbol's startup reconciliation before quoting begins.
+   */
+  async _reconcile(ctx = this.symbols.get(this.symbol)) {
+    const report = await ctx.reconciliation.run({ sessionIds: this.recoverSessionIds });
+    for (const order of report.adopted) {
+      this.riskGateway.trackOpenOrder(order.clOrdID, order.leavesQty * order.price || 0);
+    }
+    report.symbol = ctx.symbol;
+    ctx.lastReconciliation = report;
+    if (ctx.symbol === this.symbol) this.lastReconciliation = report;
+    this.emit('reconciled', report);
+    return report;
+  }
+
+  /**
+   * Query a symbol's working orders via mass status, then mass cancel them.
+   * A failed status query still falls through to the cancel.
+   */
+  async _cancelRestingOrders(symbol = this.symbol) {
+    let orders = null;
+    try {
+      orders = await this.fixOE.requestMassStatus({ symbol });
+      for (const o of orders) {
+        this.logger.warn(`[Orchestrator] Resting order on start: ${o.clOrdID || o.orderID} ${o.side} ${o.leavesQty} @ ${o.price}`);
+      }
+    } catch (err) {
+      this.logger.warn(`[Orchestrator] Mass status failed, cancelling blind: ${err.message}`);
+    }
+
+    if (orders && orders.length === 0) {
+      this.logger.info(`[Orchestrator] No resting ${symbol} orders on start`);
+      return;
+    }
+
+    const report = await this.fixOE.requestMassCancel({ symbol });
+    if (!report.accepted) {
+      throw new Error(`Startup mass cancel rejected: ${report.text || report.rejectReason || 'unknown'}`);
+    }
+    this.logger.info(`[Orchestrator] Startup mass cancel affected ${report.totalAffected} ${symbol} orders`);
+  }
 
-    this.emit('emergency', { netPosition, reason });
+  _onRiskRejection(rejection) {
+    const ctx = this._symbolFor(rejection.symbol, [rejection.clOrdID, rejection.origClOrdID]);
+    ctx.quoteEngine.onRiskRejection(rejection);
+    this.emit('risk-rejection', rejection);
   }
 }
@@ -0,0 +1,209 @@
+import { EventEmitter } from 'events';
+
+const DEFAULT_HORIZONS_MS = [1000, 5000, 30000, 60000];
+
+/**
+ * MarkoutTracker - Adverse-selection analytics for TrueX fills.
+ *
+ * For each fill, samples the reference mid prevailing at fixed horizons
+ * after the fill (+1s, +5s, +30s, +60s by default) and computes the signed
+ * markout in bps: positive when the market moved in our favour (mid rose
+ * after we bought, fell after we sold), negative when the fill was toxic.
+ *
+ * Markouts are size-weighted and aggregated overall, by side, by quote
+ * level and by UTC hour of day.
+ *
+ * Mids arrive via onMid(); horizons resolve on the first mid update at or
+ * after they fall due, using the mid that was prevailing at the horizon.
+ *
+ * Events emitted:
+ *   'markout' - a fill with all horizons sampled
+ *               { execID, clOrdID, side, level, price, size, midAtFill,
+ *                 timestamp, markouts: { '1s': bps, ... } }
+ */
+export class MarkoutTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.logger = options.logger || console;
+    this.horizonsMs = [...(options.horizonsMs || DEFAULT_HORIZONS_MS)].sort((a, b) => a - b);
+    this.maxPendingFills = options.maxPendingFills || 10000;
+
+    // State
+    this.lastMid = null;
+    this.pending = [];   // fills awaiting horizons, in fill-time order
+    this.aggregates = this._emptyAggregates();
+    this.completedCount = 0;
+  }
+
+  /**
+   * Label for a horizon, e.g. 1000 → '1s', 500 → '500ms'.
+   */
+  static horizonLabel(ms) {
+    return ms % 1000 === 0 ? `${ms / 1000}s` : `${ms}ms`;
+  }
+
+  /**
+   * Record a TrueX fill. Fills arriving before any mid are ignored.
+   */
+  onFill({ side, price, size, level = null, clOrdID, execID, timestamp = Date.now() }) {
+    if (!this.lastMid || !price || !size) return;
+
+    if (this.pending.length >= this.maxPendingFills) {
+      this.logger.warn(`[MarkoutTracker] ${this.pending.length} fills pending, dropping oldest`);
+      this.pending.shift();
+    }
+
+    this.pending.push({
+      side,
+      price,
+      size,
+      level,
+      clOrdID,
+      execID,
+      timestamp,
+      midAtFill: this.lastMid,
+      markouts: {},
+      nextHorizon: 0,
+    });
+  }
+
+  /**
+   * Record a reference mid and resolve any horizons that have fallen due.
+   */
+  onMid(mid, now = Date.now()) {
+    if (!mid || mid <= 0) return;
+
+    // Horizons that fell due strictly before this update saw the previous mid
+    if (this.lastMid) this._resolve(now, this.lastMid, false);
+    this.lastMid = mid;
+    this._resolve(now, mid, true);
+  }
+
+  /**
+   * Signed markout in bps of fill price.
+   */
+  static markoutBps(side, price, mid) {
+    const move = side === 'buy' ? mid - price : price - mid;
+    return (move / price) * 10000;
+  }
+
+  /**
+   * Aggregated markouts: { overall, bySide, byLevel, byHour }, each bucket
+   * mapping horizon label → { fills, quantity, avgBps, pnl }.
+   */
+  getSummary() {
+    const format = (bucket) => {
+      const out = {};
+      for (const [label, s] of Object.entries(bucket)) {
+        out[label] = {
+          fills: s.fills,
+          quantity: s.quantity,
+          avgBps: s.quantity > 0 ? s.weightedBps / s.quantity : 0,
+          pnl: s.pnl,
+        };
+      }
+      return out;
+    };
+    const formatGroup = (group) => Object.fromEntries(
+      Object.entries(group).map(([key, bucket]) => [key, format(bucket)])
+    );
+
+    return {
+      completedFills: this.completedCount,
+      pendingFills: this.pending.length,
+      horizons: this.horizonsMs.map(ms => MarkoutTracker.horizonLabel(ms)),
+      overall: format(this.aggregates.overall),
+      bySide: formatGroup(this.aggregates.bySide),
+      byLevel: formatGroup(this.aggregates.byLevel),
+      byHour: formatGroup(this.aggregates.byHour),
+    };
+  }
+
+  /**
+   * Report lines for PnLTracker.getSessionReport().
+   */
+  getReportLines() {
+    const summary = this.getSummary();
+    const row = (bucket) => summary.horizons
+      .map(label => `${label} ${bucket[label] ? bucket[label].avgBps.toFixed(2) : '-'}`)
+      .join('  ');
+
+    const lines = [`Markouts (bps, size-weighted, ${summary.completedFills} fills):`];
+    if (summary.completedFills === 0) return lines;
+
+    lines.push(`  all:     ${row(summary.overall)}`);
+    for (const side of Object.keys(summary.bySide)) {
+      lines.push(`  ${side.padEnd(8)} ${row(summary.bySide[side])}`);
+    }
+    for (const level of Object.keys(summary.byLevel).sort((a, b) => a - b)) {
+      lines.push(`  L${level.padEnd(7)} ${row(summary.byLevel[level])}`);
+    }
+    return lines;
+  }
+
+  reset() {
+    this.lastMid = null;
+    this.pending = [];
+    this.aggregates = this._emptyAggregates();
+    this.completedCount = 0;
+  }
+
+  // --- Internal ---
+
+  _resolve(now, mid, inclusive) {
+    const done = [];
+
+    for (const fill of this.pending) {
+      while (fill.nextHorizon < this.horizonsMs.length) {
+        const ms = this.horizonsMs[fill.nextHorizon];
+        const due = fill.timestamp + ms;
+        if (inclusive ? due > now : due >= now) break;
+
+        const bps = MarkoutTracker.markoutBps(fill.side, fill.price, mid);
+        fill.markouts[MarkoutTracker.horizonLabel(ms)] = bps;
+        this._aggregate(fill, ms, bps, mid);
+        fill.nextHorizon++;
+      }
+      if (fill.nextHorizon === this.horizonsMs.length) done.push(fill);
+    }
+
+    if (done.length === 0) return;
+    this.pending = this.pending.filter(f => f.nextHorizon < this.horizonsMs.length);
+
+    for (const fill of done) {
+      this.completedCount++;
+      const { nextHorizon, ...record } = fill;
+      this.emit('markout', record);
+    }
+  }
+
+  _aggregate(fill, ms, bps, mid) {
+    const label = MarkoutTracker.horizonLabel(ms);
+    const pnl = (fill.side === 'buy' ? mid - fill.price : fill.price - mid) * fill.size;
+    const hour = new Date(fill.timestamp).getUTCHours();
+
+    const buckets = [
+      this.aggregates.overall,
+      this._bucket(this.aggregates.bySide, fill.side),
+      this._bucket(this.aggregates.byHour, hour),
+    ];
+    if (fill.level != null) buckets.push(this._bucket(this.aggregates.byLevel, fill.level));
+
+    for (const bucket of buckets) {
+      const s = bucket[label] || (bucket[label] = { fills: 0, quantity: 0, weightedBps: 0, pnl: 0 });
+      s.fills++;
+      s.quantity += fill.size;
+      s.weightedBps += bps * fill.size;
+      s.pnl += pnl;
+    }
+  }
+
+  _bucket(group, key) {
+    return group[key] || (group[key] = {});
+  }
+
+  _emptyAggregates() {
+    return { overall: {}, bySide: {}, byLevel: {}, byHour: {} };
+  }
+}
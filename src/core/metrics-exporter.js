@@ -0,0 +1,354 @@
+import { EventEmitter } from 'events';
+import http from 'http';
+
+const PREFIX = 'truex_mm_';
+
+// Tick-to-order: sub-millisecond when sent straight away, seconds when the
+// rate limiter queues the action.
+const LATENCY_BUCKETS = [0.0001, 0.00025, 0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+// Hedge slippage in quote currency per BTC; positive is price improvement,
+// negative a fill worse than expected (HedgeExecutor._calculateSlippage)
+const SLIPPAGE_BUCKETS = [-100, -50, -20, -10, -5, -1, 0, 1, 5, 10, 20, 50];
+
+/**
+ * MetricsExporter - Prometheus text exposition (format 0.0.4) of a
+ * MarketMakerOrchestrator, served at GET /metrics.
+ *
+ * Gauges and counters are read from the components on every scrape:
+ *   FIX OE session   - FIXConnection.getStats() (skipped in paper mode)
+ *   QuoteEngine      - active orders per side, queue depth, paused sides
+ *   InventoryManager - position and utilization
+ *   PnLTracker       - realized, unrealized, fees
+ *   HedgeExecutor    - hedge counts, failures, average slippage
+ *   TrueXRedisManager - flush counts and errors (when one is given)
+ * Rate-limited actions, tick-to-order latency and per-hedge slippage come
+ * from QuoteEngine / HedgeExecutor events while started.
+ *
+ * Per-symbol series carry a symbol label. Binds to 127.0.0.1 unless told
+ * otherwise; there is no auth, so keep it off public interfaces.
+ *
+ * Events emitted:
+ *   'listening' - { host, port }
+ */
+export class MetricsExporter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    if (!options.orchestrator) throw new Error('MetricsExporter requires an orchestrator');
+
+    this.orchestrator = options.orchestrator;
+    this.redisManager = options.redisManager || this.orchestrator.redisManager || null;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 9464;
+    this.logger = options.logger || console;
+
+    this.server = null;
+    this.listeners = [];  // [emitter, event, handler] attached by start()
+
+    // Event-driven series, keyed by label string
+    this.rateLimited = new Map();  // labels -> count
+    this.latency = new Histogram(LATENCY_BUCKETS);
+    this.slippage = new Histogram(SLIPPAGE_BUCKETS);
+  }
+
+  /**
+   * Subscribe to component events and listen on host:port (port 0 picks
+   * a free one). Resolves { host, port }.
+   */
+  async start() {
+    this.attach();
+
+    this.server = http.createServer((req, res) => this._onRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    this.port = this.server.address().port;
+
+    this.logger.info(`[MetricsExporter] Serving http://${this.host}:${this.port}/metrics`);
+    this.emit('listening', { host: this.host, port: this.port });
+    return { host: this.host, port: this.port };
+  }
+
+  async stop() {
+    this.detach();
+    if (!this.server) return;
+
+    if (this.server.closeAllConnections) this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+
+    this.logger.info('[MetricsExporter] Stopped');
+  }
+
+  /**
+   * Subscribe to the event-driven series without serving HTTP.
+   */
+  attach() {
+    if (this.listeners.length > 0) return;
+
+    for (const ctx of this.orchestrator.symbols.values()) {
+      const { symbol } = ctx;
+      this._listen(ctx.quoteEngine, 'rate-limited', ({ action }) => {
+        const key = labelString({ symbol, action });
+        this.rateLimited.set(key, (this.rateLimited.get(key) || 0) + 1);
+      });
+      this._listen(ctx.quoteEngine, 'order-latency', ({ action, latencyMs }) => {
+        this.latency.observe({ symbol, action }, latencyMs / 1000);
+      });
+      this._listen(ctx.hedgeExecutor, 'hedge-filled', ({ slippage }) => {
+        if (Number.isFinite(slippage)) this.slippage.observe({ symbol }, slippage);
+      });
+    }
+  }
+
+  detach() {
+    for (const [emitter, event, handler] of this.listeners) {
+      emitter.removeListener(event, handler);
+    }
+    this.listeners = [];
+  }
+
+  /**
+   * The full exposition as text.
+   */
+  render(now = Date.now()) {
+    const out = [];
+    this._renderFix(out, now);
+
+    const families = {};
+    const family = (name, type, help) => {
+      families[name] ??= { name, type, help, samples: [] };
+      return families[name].samples;
+    };
+
+    for (const ctx of this.orchestrator.symbols.values()) {
+      const { symbol } = ctx;
+      const quotes = ctx.quoteEngine.getQuoteStatus();
+      const inventory = ctx.inventoryManager.getPositionSummary();
+      const pnl = ctx.pnlTracker.getSummary();
+      const hedge = ctx.hedgeExecutor.getHedgeStats();
+
+      family('quote_active_orders', 'gauge', 'Working quote orders')
+        .push([{ symbol, side: 'buy' }, quotes.bidLevels], [{ symbol, side: 'sell' }, quotes.askLevels]);
+      family('quote_queue_depth', 'gauge', 'Order actions waiting on the rate limiter')
+        .push([{ symbol }, ctx.quoteEngine.actionQueue.length]);
+      family('quote_side_paused', 'gauge', '1 while an operator has paused the side')
+        .push(
+          [{ symbol, side: 'buy' }, quotes.pausedSides.includes('buy') ? 1 : 0],
+          [{ symbol, side: 'sell' }, quotes.pausedSides.includes('sell') ? 1 : 0],
+        );
+      if (quotes.churn) {
+        family('quote_orders_total', 'counter', 'Quote order messages sent')
+          .push(
+            [{ symbol, action: 'place' }, quotes.churn.placed],
+            [{ symbol, action: 'cancel' }, quotes.churn.cancelled],
+            [{ symbol, action: 'replace' }, quotes.churn.replaced],
+          );
+        family('quote_fills_total', 'counter', 'Quote fills').push([{ symbol }, quotes.churn.fills]);
+        if (quotes.churn.cancelsPerFill !== null) {
+          family('quote_cancels_per_fill', 'gauge', 'Cancels and replaces per quote fill')
+            .push([{ symbol }, quotes.churn.cancelsPerFill]);
+        }
+      }
+      if (quotes.rejects) {
+        family('quote_rejects_total', 'counter', 'Quote orders rejected by TrueX')
+          .push(...Object.entries(quotes.rejects).map(([kind, count]) => [{ symbol, kind }, count]));
+      }
+      if (quotes.signals) {
+        family('signal_alpha_bps', 'gauge', 'Expected short-horizon move from microstructure signals')
+          .push([{ symbol }, quotes.signals.alphaBps]);
+      }
+
+      family('inventory_position_btc', 'gauge', 'Net position, positive long')
+        .push([{ symbol }, inventory.netPosition]);
+      family('inventory_utilization_ratio', 'gauge', 'Absolute position over maxPositionBTC')
+        .push([{ symbol }, inventory.utilizationPct]);
+
+      family('pnl_realized_usd', 'gauge', 'Realized PnL').push([{ symbol }, pnl.realizedPnL]);
+      family('pnl_unrealized_usd', 'gauge', 'Unrealized PnL').push([{ symbol }, pnl.unrealizedPnL]);
+      family('pnl_fees_usd', 'gauge', 'Fees paid').push([{ symbol }, pnl.totalFees]);
+      family('pnl_total_usd', 'gauge', 'Realized plus unrealized, net of fees').push([{ symbol }, pnl.totalPnL]);
+
+      family('hedges_total', 'counter', 'Filled hedge orders')
+        .push([{ symbol, type: 'limit' }, hedge.limitFills], [{ symbol, type: 'market' }, hedge.marketFills]);
+      family('hedge_failures_total', 'counter', 'Hedges that errored or did not fill')
+        .push([{ symbol }, hedge.failedHedges]);
+      family('hedged_btc_total', 'counter', 'Hedged quantity').push([{ symbol }, hedge.totalHedgedBTC]);
+      family('hedge_slippage_avg', 'gauge', 'Mean hedge slippage per BTC; positive is price improvement').push([{ symbol }, hedge.avgSlippage]);
+    }
+
+    for (const f of Object.values(families)) writeFamily(out, f);
+
+    writeFamily(out, {
+      name: 'quote_rate_limited_total',
+      type: 'counter',
+      help: 'Order actions deferred by the rate limiter',
+      samples: [...this.rateLimited],
+    });
+    this.latency.write(out, PREFIX + 'quote_tick_to_order_seconds', 'Price tick to FIX send, queueing included');
+    this.slippage.write(out, PREFIX + 'hedge_slippage', 'Slippage per hedge fill, quote currency per BTC; positive is price improvement');
+
+    this._renderPipeline(out);
+    return out.join('\n') + '\n';
+  }
+
+  _renderFix(out, now) {
+    // The paper gateway's getStats() reports simulated fills, not a session
+    const fix = this.orchestrator.fixOE;
+    if (!fix || typeof fix.getStats !== 'function' || this.orchestrator.mode === 'paper') return;
+
+    const s = fix.getStats(now);
+    const session = { session: 'oe' };
+    const gauge = (name, help, value) => writeFamily(out, { name, type: 'gauge', help, samples: [[session, value]] });
+    const counter = (name, help, samples) => writeFamily(out, { name, type: 'counter', help, samples });
+
+    gauge('fix_connected', 'TCP session up', s.isConnected ? 1 : 0);
+    gauge('fix_logged_on', 'Logon acknowledged', s.isLoggedOn ? 1 : 0);
+    gauge('fix_next_outbound_seq', 'Next MsgSeqNum to send', s.msgSeqNum);
+    gauge('fix_expected_inbound_seq', 'Next MsgSeqNum expected', s.expectedSeqNum);
+    if (s.heartbeatAgeMs !== null) {
+      gauge('fix_heartbeat_age_seconds', 'Time since the last inbound heartbeat', s.heartbeatAgeMs / 1000);
+    }
+    gauge('fix_buffered_messages', 'Inbound messages held for gap recovery', s.bufferedMessages);
+
+    counter('fix_messages_total', 'Messages by direction', [
+      [{ ...session, direction: 'sent' }, s.messagesSent],
+      [{ ...session, direction: 'received' }, s.messagesReceived],
+    ]);
+    counter('fix_resend_requests_total', 'ResendRequests (35=2) by direction', [
+      [{ ...session, direction: 'sent' }, s.resendRequestsSent],
+      [{ ...session, direction: 'received' }, s.resendRequestsReceived],
+    ]);
+    counter('fix_messages_resent_total', 'Messages replayed with PossDup', [[session, s.messagesResent]]);
+    counter('fix_rejects_total', 'Rejects received by kind', [
+      [{ ...session, type: 'session' }, s.sessionRejects],
+      [{ ...session, type: 'business' }, s.businessRejects],
+      [{ ...session, type: 'order' }, s.orderRejects],
+      [{ ...session, type: 'cancel' }, s.cancelRejects],
+    ]);
+    counter('fix_gaps_total', 'Inbound sequence gaps detected', [[session, s.gapsDetected]]);
+    counter('fix_duplicates_total', 'Inbound messages below the expected sequence', [[session, s.duplicatesIgnored]]);
+    counter('fix_sequence_resets_total', 'SequenceResets (35=4) applied', [[session, s.sequenceResets]]);
+    counter('fix_reconnects_total', 'Reconnect attempts scheduled', [[session, s.reconnects]]);
+  }
+
+  _renderPipeline(out) {
+    if (!this.redisManager) return;
+
+    const s = this.redisManager.getStats();
+    const labels = { symbol: s.symbol };
+    writeFamily(out, {
+      name: 'pipeline_flushed_total',
+      type: 'counter',
+      help: 'Records flushed to Redis by kind',
+      samples: [
+        [{ ...labels, kind: 'orders' }, s.ordersFlushed],
+        [{ ...labels, kind: 'fills' }, s.fillsFlushed],
+        [{ ...labels, kind: 'ohlc' }, s.ohlcFlushed],
+        [{ ...labels, kind: 'markouts' }, s.markoutsFlushed],
+      ],
+    });
+    writeFamily(out, { name: 'pipeline_flush_errors_total', type: 'counter', help: 'Failed Redis flushes', samples: [[labels, s.flushErrors]] });
+    writeFamily(out, { name: 'pipeline_fills_dedup_skipped_total', type: 'counter', help: 'Fills already persisted', samples: [[labels, s.fillsDedupSkipped]] });
+    if (s.lastFlushTime) {
+      writeFamily(out, { name: 'pipeline_last_flush_timestamp_seconds', type: 'gauge', help: 'Time of the last flush', samples: [[labels, s.lastFlushTime / 1000]] });
+    }
+  }
+
+  _listen(emitter, event, handler) {
+    if (!emitter) return;
+    emitter.on(event, handler);
+    this.listeners.push([emitter, event, handler]);
+  }
+
+  _onRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' || pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+
+    let body;
+    try {
+      body = this.render();
+    } catch (err) {
+      this.logger.error(`[MetricsExporter] Render failed: ${err.message}`);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`${err.message}\n`);
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body),
+    });
+    res.end(body);
+  }
+}
+
+/**
+ * Cumulative-bucket histogram, one series per label set.
+ */
+class Histogram {
+  constructor(buckets) {
+    this.buckets = buckets;
+    this.series = new Map();  // label string -> { labels, counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = labelString(labels);
+    let s = this.series.get(key);
+    if (!s) {
+      s = { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, s);
+    }
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) s.counts[i]++;
+    }
+    s.sum += value;
+    s.count++;
+  }
+
+  write(out, name, help) {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`);
+    for (const s of this.series.values()) {
+      this.buckets.forEach((le, i) => {
+        out.push(`${name}_bucket${labelString({ ...s.labels, le: String(le) })} ${s.counts[i]}`);
+      });
+      out.push(`${name}_bucket${labelString({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      out.push(`${name}_sum${labelString(s.labels)} ${formatValue(s.sum)}`);
+      out.push(`${name}_count${labelString(s.labels)} ${s.count}`);
+    }
+  }
+}
+
+/**
+ * Append one metric family. Samples are [labels, value] where labels is
+ * an object or an already rendered label string.
+ */
+function writeFamily(out, { name, type, help, samples }) {
+  const full = PREFIX + name;
+  out.push(`# HELP ${full} ${help}`, `# TYPE ${full} ${type}`);
+  for (const [labels, value] of samples) {
+    const rendered = typeof labels === 'string' ? labels : labelString(labels);
+    out.push(`${full}${rendered} ${formatValue(value)}`);
+  }
+}
+
+function labelString(labels) {
+  const parts = Object.entries(labels)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (typeof value !== 'number' || Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
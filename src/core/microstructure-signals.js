@@ -0,0 +1,291 @@
+import { EventEmitter } from 'events';
+
+/**
+ * MicrostructureSignals - Short-horizon alpha from books and trade flow.
+ *
+ * Reads the venue books a PriceAggregator keeps (Coinbase, Kraken, TrueX MD)
+ * or books given to updateBook(), plus reference trades, and combines four
+ * signals into one expected move in bps of mid (alphaBps):
+ *   - microprice: size-weighted touch, (bid x askSize + ask x bidSize) / (bidSize + askSize),
+ *     as bps from the venue mid
+ *   - imbalance: (bid - ask) / (bid + ask) size over depthLevels, level i
+ *     weighted levelDecay^i, in [-1, 1], x imbalanceBps
+ *   - trade flow: (buy - sell) / (buy + sell) volume over tradeWindowMs,
+ *     in [-1, 1], x tradeFlowBps. Prints without an aggressor side
+ *     (Coinbase) are classed by price against the mid.
+ *   - momentum: mid change over momentumWindowMs in bps, x momentumFactor
+ * Book signals are averaged across fresh venues by venue weight x depth.
+ * Each term is scaled by `weights` and the sum clamped to +-maxAlphaBps.
+ *
+ * QuoteEngine shifts its mid by fairValueAdj and widens the side the move
+ * would run over (see QuoteEngine signal weights).
+ *
+ * Events emitted:
+ *   'signal' - getSignal() result, on every aggregator price update
+ */
+export class MicrostructureSignals extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.logger = options.logger || console;
+
+    const symbol = options.symbol || 'BTC-PYUSD';
+    this.config = {
+      symbol,
+      krakenSymbol: options.krakenSymbol || krakenPair(symbol),
+      staleMs: options.staleMs || 5000,
+      depthLevels: options.depthLevels || 5,
+      levelDecay: options.levelDecay ?? 0.5,
+      tradeWindowMs: options.tradeWindowMs || 10000,
+      momentumWindowMs: options.momentumWindowMs || 5000,
+      imbalanceBps: options.imbalanceBps ?? 2,    // bps at full imbalance
+      tradeFlowBps: options.tradeFlowBps ?? 2,    // bps at one-sided flow
+      momentumFactor: options.momentumFactor ?? 0.25,
+      maxAlphaBps: options.maxAlphaBps || 5,
+      weights: { microprice: 1, imbalance: 1, tradeFlow: 1, momentum: 1, ...(options.weights || {}) },
+      venueWeights: { coinbase: 1, kraken: 1, truex: 0.5, ...(options.venueWeights || {}) },
+    };
+
+    // State
+    this.books = new Map();   // venue -> { bids: [{ price, size }], asks, timestamp }, from updateBook()
+    this.trades = [];         // { timestamp, size, side }, last tradeWindowMs
+    this.mids = [];           // { timestamp, mid }, last 2 x momentumWindowMs
+    this.aggregator = null;
+    this.lastSignal = null;
+
+    this.bindings = [];
+  }
+
+  // --- Sources ---
+
+  /**
+   * Read an aggregator's venue books and record its mids.
+   */
+  addPriceAggregator(aggregator) {
+    this.aggregator = aggregator;
+    const handler = (price) => {
+      if (!price || !price.weightedMidpoint) return;
+      this.onMid(price.weightedMidpoint, price.timestamp);
+      this.lastSignal = this.getSignal({ mid: price.weightedMidpoint, now: price.timestamp });
+      this.emit('signal', this.lastSignal);
+    };
+    aggregator.on('price', handler);
+    this.bindings.push(() => {
+      aggregator.removeListener('price', handler);
+      this.aggregator = null;
+    });
+  }
+
+  /**
+   * Count CoinbaseWsIngest matches (onTrade callback) towards trade flow.
+   */
+  addCoinbaseIngest(ingest) {
+    const prevTrade = ingest.onTrade;
+
+    ingest.onTrade = (symbol, trades) => {
+      if (prevTrade) prevTrade(symbol, trades);
+      if (symbol !== this.config.symbol) return;
+      for (const t of trades) this.onTrade({ price: t.price, size: t.volume, side: t.side, timestamp: t.timestamp });
+    };
+
+    this.bindings.push(() => {
+      ingest.onTrade = prevTrade;
+    });
+  }
+
+  /**
+   * Count KrakenWebSocketV2ExchangeAdapter trades ('trade' events, taker side)
+   * in krakenSymbol. The adapter emits every subscribed pair's trades.
+   */
+  addKrakenAdapter(adapter) {
+    const handler = ({ symbol, price, size, side, timestamp }) => {
+      if (symbol !== this.config.krakenSymbol) return;
+      this.onTrade({ price, size, side, timestamp });
+    };
+    adapter.on('trade', handler);
+    this.bindings.push(() => adapter.removeListener('trade', handler));
+  }
+
+  /**
+   * Remove all source bindings.
+   */
+  detach() {
+    for (const unbind of this.bindings) unbind();
+    this.bindings = [];
+  }
+
+  // --- Inputs ---
+
+  /**
+   * Replace a venue's book. Levels are { price, size }, best first.
+   */
+  updateBook(venue, { bids = [], asks = [], timestamp } = {}) {
+    this.books.set(venue, { bids, asks, timestamp: timestamp || Date.now() });
+  }
+
+  /**
+   * Add a reference trade. side is the aggressor ('buy' | 'sell'); without
+   * one the print is a buy above the last mid and a sell below it.
+   */
+  onTrade({ price, size, side, timestamp = Date.now() }) {
+    if (!(size > 0)) return;
+    let aggressor = side === 'buy' || side === 'sell' ? side : null;
+    if (!aggressor) {
+      const mid = this.mids.length > 0 ? this.mids[this.mids.length - 1].mid : null;
+      if (!mid || !(price > 0) || price === mid) return;
+      aggressor = price > mid ? 'buy' : 'sell';
+    }
+    this.trades.push({ timestamp, size, side: aggressor });
+    this._prune(timestamp);
+  }
+
+  onMid(mid, timestamp = Date.now()) {
+    if (!(mid > 0)) return;
+    this.mids.push({ timestamp, mid });
+    this._prune(timestamp);
+  }
+
+  // --- Outputs ---
+
+  /**
+   * Current signal. `mid` defaults to the last recorded mid.
+   *
+   * Returns { alphaBps, fairValueAdj, mid, micropriceBps, imbalance,
+   *           tradeFlow, momentumBps, components, venues, timestamp }
+   * where fairValueAdj is alphaBps in price and components the weighted
+   * bps of each signal.
+   */
+  getSignal({ mid, now = Date.now() } = {}) {
+    const { weights, imbalanceBps, tradeFlowBps, momentumFactor, maxAlphaBps } = this.config;
+    const referenceMid = mid || (this.mids.length > 0 ? this.mids[this.mids.length - 1].mid : null);
+
+    const book = this._bookSignals(now);
+    const tradeFlow = this._tradeFlow(now);
+    const momentumBps = referenceMid ? this._momentumBps(referenceMid, now) : 0;
+
+    const components = {
+      microprice: weights.microprice * book.micropriceBps,
+      imbalance: weights.imbalance * book.imbalance * imbalanceBps,
+      tradeFlow: weights.tradeFlow * tradeFlow * tradeFlowBps,
+      momentum: weights.momentum * momentumBps * momentumFactor,
+    };
+    const raw = components.microprice + components.imbalance + components.tradeFlow + components.momentum;
+    const alphaBps = Math.max(-maxAlphaBps, Math.min(maxAlphaBps, raw));
+
+    return {
+      alphaBps,
+      fairValueAdj: referenceMid ? referenceMid * alphaBps / 10000 : 0,
+      mid: referenceMid,
+      micropriceBps: book.micropriceBps,
+      imbalance: book.imbalance,
+      tradeFlow,
+      momentumBps,
+      components,
+      venues: book.venues,
+      timestamp: now,
+    };
+  }
+
+  getState() {
+    const signal = this.lastSignal || this.getSignal();
+    return {
+      alphaBps: signal.alphaBps,
+      micropriceBps: signal.micropriceBps,
+      imbalance: signal.imbalance,
+      tradeFlow: signal.tradeFlow,
+      momentumBps: signal.momentumBps,
+      venues: signal.venues,
+      trades: this.trades.length,
+    };
+  }
+
+  reset() {
+    this.books.clear();
+    this.trades = [];
+    this.mids = [];
+    this.lastSignal = null;
+  }
+
+  // --- Internal ---
+
+  /**
+   * Microprice offset and imbalance, averaged over fresh uncrossed venues.
+   */
+  _bookSignals(now) {
+    const { staleMs, depthLevels, levelDecay, venueWeights } = this.config;
+    const books = new Map(this.aggregator ? this.aggregator.books : []);
+    for (const [venue, book] of this.books) books.set(venue, book);
+
+    let totalWeight = 0;
+    let micropriceBps = 0;
+    let imbalance = 0;
+    const venues = [];
+
+    for (const [venue, book] of books) {
+      if (now - book.timestamp > staleMs) continue;
+      const bid = book.bids[0];
+      const ask = book.asks[0];
+      if (!bid || !ask || bid.price >= ask.price) continue;
+
+      const venueMid = (bid.price + ask.price) / 2;
+      const microprice = (bid.price * ask.size + ask.price * bid.size) / (bid.size + ask.size);
+
+      let bidDepth = 0;
+      let askDepth = 0;
+      for (let i = 0; i < depthLevels; i++) {
+        const w = Math.pow(levelDecay, i);
+        if (book.bids[i]) bidDepth += w * book.bids[i].size;
+        if (book.asks[i]) askDepth += w * book.asks[i].size;
+      }
+
+      const weight = (venueWeights[venue] ?? 1) * (bidDepth + askDepth);
+      if (!(weight > 0)) continue;
+      totalWeight += weight;
+      micropriceBps += weight * (microprice - venueMid) / venueMid * 10000;
+      imbalance += weight * (bidDepth - askDepth) / (bidDepth + askDepth);
+      venues.push(venue);
+    }
+
+    if (totalWeight === 0) return { micropriceBps: 0, imbalance: 0, venues };
+    return { micropriceBps: micropriceBps / totalWeight, imbalance: imbalance / totalWeight, venues };
+  }
+
+  _tradeFlow(now) {
+    const cutoff = now - this.config.tradeWindowMs;
+    let buy = 0;
+    let sell = 0;
+    for (const t of this.trades) {
+      if (t.timestamp <= cutoff) continue;
+      if (t.side === 'buy') buy += t.size;
+      else sell += t.size;
+    }
+    return buy + sell > 0 ? (buy - sell) / (buy + sell) : 0;
+  }
+
+  /**
+   * Mid change since the newest mid at least momentumWindowMs old.
+   */
+  _momentumBps(mid, now) {
+    const cutoff = now - this.config.momentumWindowMs;
+    let past = null;
+    for (const m of this.mids) {
+      if (m.timestamp > cutoff) break;
+      past = m.mid;
+    }
+    return past ? (mid - past) / past * 10000 : 0;
+  }
+
+  _prune(now) {
+    const tradeCutoff = now - this.config.tradeWindowMs;
+    while (this.trades.length > 0 && this.trades[0].timestamp <= tradeCutoff) this.trades.shift();
+
+    // Keep one mid older than the momentum window as the reference
+    const midCutoff = now - 2 * this.config.momentumWindowMs;
+    while (this.mids.length > 1 && this.mids[1].timestamp <= midCutoff) this.mids.shift();
+  }
+}
+
+// Kraken v2 pair for a symbol: 'BTC-PYUSD' -> 'BTC/USD'
+function krakenPair(symbol) {
+  return `${symbol.split(/[-/]/)[0]}/USD`;
+}
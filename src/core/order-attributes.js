@@ -0,0 +1,101 @@
+/**
+ * Order attributes for TrueX limit orders: post-only, time in force and
+ * self-trade prevention, as FIX fields for New Order Single (35=D) and
+ * Cancel/Replace (35=G), or as REST order fields.
+ *
+ * FIX 5.0 SP2 tags:
+ *   18   ExecInst                        '6' participate don't initiate (post-only)
+ *   59   TimeInForce                     DAY 0, GTC 1, IOC 3, FOK 4, GTD 6
+ *   126  ExpireTime                      GTD only
+ *   2964 SelfMatchPreventionInstruction  cancel-newest 1, cancel-oldest 2, cancel-both 3
+ *
+ * Attributes: { postOnly, timeInForce, expireTime, expireAfterMs,
+ * selfTradePrevention }. A GTD order expires at expireTime (ms), else
+ * expireAfterMs after it is sent.
+ */
+
+export const TIME_IN_FORCE_CODES = { DAY: '0', GTC: '1', IOC: '3', FOK: '4', GTD: '6' };
+export const SELF_TRADE_PREVENTION_CODES = { 'cancel-newest': '1', 'cancel-oldest': '2', 'cancel-both': '3' };
+
+const POST_ONLY_EXEC_INST = '6';
+
+// ExecRestatementReason (378)
+const RESTATEMENT_REASONS = {
+  '1': 'gt-renewal',
+  '3': 'repricing',
+  '4': 'broker-option',
+  '5': 'partial-decline',
+  '6': 'trading-halt',
+  '8': 'market-option',
+};
+
+/**
+ * Throw unless the attributes make a valid order.
+ */
+export function validateOrderAttributes({ postOnly = false, timeInForce = 'GTC', expireTime = null, expireAfterMs = null, selfTradePrevention = null } = {}) {
+  if (!TIME_IN_FORCE_CODES[timeInForce]) {
+    throw new Error(`Invalid timeInForce: ${timeInForce} (expected ${Object.keys(TIME_IN_FORCE_CODES).join(' | ')})`);
+  }
+  if (selfTradePrevention && !SELF_TRADE_PREVENTION_CODES[selfTradePrevention]) {
+    throw new Error(`Invalid selfTradePrevention: ${selfTradePrevention} (expected ${Object.keys(SELF_TRADE_PREVENTION_CODES).join(' | ')})`);
+  }
+  if (postOnly && (timeInForce === 'IOC' || timeInForce === 'FOK')) {
+    throw new Error(`postOnly cannot be combined with ${timeInForce}`);
+  }
+  if (timeInForce === 'GTD' && !(expireTime > 0) && !(expireAfterMs > 0)) {
+    throw new Error('GTD orders need expireTime or expireAfterMs');
+  }
+}
+
+/**
+ * FIX fields (18, 59, 126, 2964) for the attributes.
+ */
+export function fixOrderFields(attributes = {}, now = Date.now()) {
+  const { postOnly = false, timeInForce = 'GTC', selfTradePrevention = null } = attributes;
+  const fields = { '59': TIME_IN_FORCE_CODES[timeInForce] };
+  if (postOnly) fields['18'] = POST_ONLY_EXEC_INST;
+  if (timeInForce === 'GTD') fields['126'] = fixTimestamp(expiresAt(attributes, now));
+  if (selfTradePrevention) fields['2964'] = SELF_TRADE_PREVENTION_CODES[selfTradePrevention];
+  return fields;
+}
+
+/**
+ * REST order fields for the attributes.
+ */
+export function restOrderFields(attributes = {}, now = Date.now()) {
+  const { postOnly = false, timeInForce = 'GTC', selfTradePrevention = null } = attributes;
+  const fields = { time_in_force: timeInForce };
+  if (postOnly) fields.exec_inst = 'POST_ONLY';
+  if (timeInForce === 'GTD') fields.expire_time = new Date(expiresAt(attributes, now)).toISOString();
+  if (selfTradePrevention) fields.self_trade_prevention = selfTradePrevention.toUpperCase().replace('-', '_');
+  return fields;
+}
+
+/**
+ * What an order reject or unsolicited cancel (58 Text) was about:
+ * 'post-only' (would have taken liquidity), 'self-trade', or 'other'.
+ */
+export function classifyOrderReject(fields = {}) {
+  const text = fields['58'] || '';
+  if (/post[- ]?only|would (cross|take)|add liquidity only|\bALO\b/i.test(text)) return 'post-only';
+  if (/self[- ]?(trade|match)|\bSTP\b|\bSMP\b|wash/i.test(text)) return 'self-trade';
+  return 'other';
+}
+
+/**
+ * Name of a restatement's ExecRestatementReason (378).
+ */
+export function restatementReason(fields = {}) {
+  const code = fields['378'];
+  if (code === undefined) return 'unknown';
+  return RESTATEMENT_REASONS[code] || `reason-${code}`;
+}
+
+function expiresAt({ expireTime = null, expireAfterMs = null }, now) {
+  return expireTime > 0 ? expireTime : now + expireAfterMs;
+}
+
+// YYYYMMDD-HH:MM:SS.sss in UTC
+function fixTimestamp(ms) {
+  return new Date(ms).toISOString().replace(/-/g, '').replace('T', '-').replace('Z', '');
+}
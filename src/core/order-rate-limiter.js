@@ -0,0 +1,37 @@
+/**
+ * OrderRateLimiter - Fixed one-second window of order actions.
+ *
+ * Each QuoteEngine creates its own from maxOrdersPerSecond; engines that
+ * quote different symbols over one OE session share a single instance so
+ * the session-wide rate stays under the exchange limit.
+ */
+export class OrderRateLimiter {
+  constructor(options = {}) {
+    this.maxPerSecond = options.maxPerSecond || 8;
+    this.actionsThisSecond = 0;
+    this.lastActionReset = Date.now();
+  }
+
+  /**
+   * True when no more actions fit in the current window.
+   */
+  isLimited(now = Date.now()) {
+    this._roll(now);
+    return this.actionsThisSecond >= this.maxPerSecond;
+  }
+
+  /**
+   * Count one action against the current window.
+   */
+  record(now = Date.now()) {
+    this._roll(now);
+    this.actionsThisSecond++;
+  }
+
+  _roll(now) {
+    if (now - this.lastActionReset >= 1000) {
+      this.actionsThisSecond = 0;
+      this.lastActionReset = now;
+    }
+  }
+}
@@ -5,6 +5,7 @@ import { EventEmitter } from 'events';
  *
  * Tracks realized PnL from matched fills using FIFO queuing,
  * unrealized PnL via mark-to-market, and per-venue fee accounting.
+ * With a MarkoutTracker attached, the session report includes fill markouts.
  *
  * Events emitted:
  * - 'significantChange' { totalPnL, previousPnL, delta }
@@ -19,6 +20,8 @@ export class PnLTracker extends EventEmitter {
     this.truexTakerFeeBps = options.truexTakerFeeBps ?? 0;
     this.hedgeMakerFeeBps = options.hedgeMakerFeeBps ?? 0;
     this.hedgeTakerFeeBps = options.hedgeTakerFeeBps ?? 0;
+    // Per-venue overrides for routed hedges: { venue: { makerBps, takerBps } }
+    this.venueFees = options.venueFees || {};
 
     // Logging configuration
     this.logIntervalMs = options.logIntervalMs ?? 30000;
@@ -27,6 +30,9 @@ export class PnLTracker extends EventEmitter {
     // Logger
     this.logger = options.logger || console;
 
+    // Optional fill markout analytics for the session report
+    this.markoutTracker = options.markoutTracker || null;
+
     // FIFO queues for matching
     this.buyFills = [];   // { quantity, price, remainingQty, timestamp, venue }
     this.sellFills = [];  // { quantity, price, remainingQty, timestamp, venue }
@@ -199,7 +205,11 @@ export class PnLTracker extends EventEmitter {
     if (venue === 'truex') {
       return isMaker ? this.truexMakerFeeBps : this.truexTakerFeeBps;
     }
-    // All non-truex venues use hedge fee schedule (kraken, etc.)
+    const schedule = this.venueFees[venue];
+    if (schedule) {
+      return isMaker ? schedule.makerBps : schedule.takerBps;
+    }
+    // Other non-truex venues use hedge fee schedule (kraken, etc.)
     return isMaker ? this.hedgeMakerFeeBps : this.hedgeTakerFeeBps;
   }
 
@@ -279,6 +289,10 @@ export class PnLTracker extends EventEmitter {
       }
     }
 
+    if (this.markoutTracker) {
+      lines.push(...this.markoutTracker.getReportLines());
+    }
+
     lines.push('===========================');
     return lines.join('\n');
   }
@@ -0,0 +1,242 @@
+import { EventEmitter } from 'events';
+import { OrderBookBuilder } from '../data-pipeline/orderbook-builder.js';
+
+/**
+ * PriceAggregator - Multi-venue reference price with confidence scoring.
+ *
+ * Consumes order books from CoinbaseWsIngest, the Kraken WS v2 adapter and
+ * TrueXMarketDataFeed, and produces a single depth- and freshness-weighted
+ * midpoint. Stale, empty and crossed books are dropped. Confidence combines
+ * venue coverage with cross-venue agreement, so QuoteEngine pulls quotes
+ * when sources disappear or disagree.
+ *
+ * Events emitted:
+ *   'price' - { symbol, midpoint, weightedMidpoint, bestBid, bestAsk, spread,
+ *               spreadBps, confidence, timestamp, sources, excluded }
+ */
+export class PriceAggregator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.logger = options.logger || console;
+
+    // Config
+    this.config = {
+      symbol: options.symbol || 'BTC-PYUSD',
+      staleMs: options.staleMs || 5000,
+      depthLevels: options.depthLevels || 5,
+      maxDeviationBps: options.maxDeviationBps || 25,   // venue mid deviation at which agreement reaches 0
+      expectedSources: options.expectedSources || 2,    // sources needed for full coverage
+      venueWeights: { coinbase: 1, kraken: 1, truex: 0.5, ...(options.venueWeights || {}) },
+      minEmitIntervalMs: options.minEmitIntervalMs || 0,
+    };
+
+    // State
+    this.books = new Map(); // venue -> { bids: [{price,size}], asks: [{price,size}], timestamp }
+    this.lastPrice = null;
+    this.lastEmitAt = 0;
+    this.emitTimer = null;
+
+    // Source bindings, kept for detach()
+    this.coinbaseBook = new OrderBookBuilder(this.config.symbol, this.config.depthLevels);
+    this.bindings = [];
+  }
+
+  /**
+   * Feed a CoinbaseWsIngest into the aggregator. Chains onto any existing
+   * onSnapshot/onL2Update callbacks so other consumers keep working.
+   */
+  addCoinbaseIngest(ingest) {
+    const prevSnapshot = ingest.onSnapshot;
+    const prevL2Update = ingest.onL2Update;
+
+    ingest.onSnapshot = (symbol, snapshot) => {
+      if (prevSnapshot) prevSnapshot(symbol, snapshot);
+      if (symbol !== this.config.symbol) return;
+      this.coinbaseBook.applySnapshot(snapshot);
+      this._onCoinbaseBook();
+    };
+    ingest.onL2Update = (symbol, deltas) => {
+      if (prevL2Update) prevL2Update(symbol, deltas);
+      if (symbol !== this.config.symbol) return;
+      this.coinbaseBook.applyDeltas(deltas);
+      this._onCoinbaseBook();
+    };
+
+    this.bindings.push(() => {
+      ingest.onSnapshot = prevSnapshot;
+      ingest.onL2Update = prevL2Update;
+    });
+  }
+
+  /**
+   * Feed a KrakenWebSocketV2ExchangeAdapter ('orderBookUpdate' events).
+   */
+  addKrakenAdapter(adapter) {
+    const handler = ({ bids, asks, timestamp }) => {
+      this.updateBook('kraken', { bids, asks, timestamp });
+    };
+    adapter.on('orderBookUpdate', handler);
+    this.bindings.push(() => adapter.removeListener('orderBookUpdate', handler));
+  }
+
+  /**
+   * Feed a TrueXMarketDataFeed ('book-change' events).
+   */
+  addTrueXFeed(feed) {
+    const handler = ({ bids, asks, timestamp }) => {
+      this.updateBook('truex', { bids, asks, timestamp });
+    };
+    feed.on('book-change', handler);
+    this.bindings.push(() => feed.removeListener('book-change', handler));
+  }
+
+  /**
+   * Remove all source bindings and pending emit timers.
+   */
+  detach() {
+    for (const unbind of this.bindings) unbind();
+    this.bindings = [];
+    if (this.emitTimer) {
+      clearTimeout(this.emitTimer);
+      this.emitTimer = null;
+    }
+  }
+
+  /**
+   * Replace a venue's book and recompute the aggregate.
+   * Levels may be [price, size] tuples or { price, size } objects.
+   */
+  updateBook(venue, { bids = [], asks = [], timestamp } = {}) {
+    const depth = this.config.depthLevels;
+    this.books.set(venue, {
+      bids: this._normalizeLevels(bids).sort((a, b) => b.price - a.price).slice(0, depth),
+      asks: this._normalizeLevels(asks).sort((a, b) => a.price - b.price).slice(0, depth),
+      timestamp: timestamp || Date.now(),
+    });
+    this._scheduleEmit();
+  }
+
+  /**
+   * Compute the current aggregate price across all fresh, uncrossed venues.
+   */
+  getAggregatedPrice(now = Date.now()) {
+    const { symbol, staleMs, maxDeviationBps, expectedSources, venueWeights } = this.config;
+    const sources = [];
+    const excluded = [];
+
+    for (const [venue, book] of this.books) {
+      const ageMs = now - book.timestamp;
+      if (ageMs > staleMs) {
+        excluded.push({ venue, reason: 'stale', ageMs });
+        continue;
+      }
+      if (book.bids.length === 0 || book.asks.length === 0) {
+        excluded.push({ venue, reason: 'empty', ageMs });
+        continue;
+      }
+
+      const bestBid = book.bids[0].price;
+      const bestAsk = book.asks[0].price;
+      if (bestBid >= bestAsk) {
+        excluded.push({ venue, reason: 'crossed', ageMs });
+        continue;
+      }
+
+      const depth = book.bids.reduce((sum, l) => sum + l.size, 0) + book.asks.reduce((sum, l) => sum + l.size, 0);
+      const freshness = Math.max(0, 1 - ageMs / staleMs);
+      const weight = (venueWeights[venue] ?? 1) * depth * freshness;
+
+      sources.push({ venue, mid: (bestBid + bestAsk) / 2, bestBid, bestAsk, depth, freshness, weight, ageMs });
+    }
+
+    const totalWeight = sources.reduce((sum, s) => sum + s.weight, 0);
+    if (sources.length === 0 || totalWeight <= 0) {
+      return {
+        symbol,
+        midpoint: null,
+        weightedMidpoint: null,
+        bestBid: null,
+        bestAsk: null,
+        spread: null,
+        spreadBps: null,
+        confidence: 0,
+        timestamp: now,
+        sources,
+        excluded,
+      };
+    }
+
+    const weightedMidpoint = sources.reduce((sum, s) => sum + s.mid * s.weight, 0) / totalWeight;
+    const midpoint = sources.reduce((sum, s) => sum + s.mid, 0) / sources.length;
+    const bestBid = Math.max(...sources.map(s => s.bestBid));
+    const bestAsk = Math.min(...sources.map(s => s.bestAsk));
+    const spread = bestAsk - bestBid;
+
+    // Confidence = coverage x agreement x weighted freshness
+    const coverage = Math.min(1, sources.length / expectedSources);
+    const maxDevBps = Math.max(...sources.map(s => Math.abs(s.mid - weightedMidpoint) / weightedMidpoint * 10000));
+    const agreement = Math.max(0, 1 - maxDevBps / maxDeviationBps);
+    const freshness = sources.reduce((sum, s) => sum + s.freshness * s.weight, 0) / totalWeight;
+    const confidence = coverage * agreement * freshness;
+
+    return {
+      symbol,
+      midpoint,
+      weightedMidpoint,
+      bestBid,
+      bestAsk,
+      spread,
+      spreadBps: (spread / weightedMidpoint) * 10000,
+      confidence,
+      timestamp: now,
+      sources,
+      excluded,
+    };
+  }
+
+  // --- Private helpers ---
+
+  _onCoinbaseBook() {
+    const depth = this.coinbaseBook.getDepth(this.config.depthLevels);
+    this.updateBook('coinbase', { bids: depth.bids, asks: depth.asks, timestamp: depth.ts });
+  }
+
+  _normalizeLevels(levels) {
+    const out = [];
+    for (const level of levels || []) {
+      const price = Number(Array.isArray(level) ? level[0] : level.price);
+      const size = Number(Array.isArray(level) ? level[1] : level.size);
+      if (Number.isFinite(price) && Number.isFinite(size) && price > 0 && size > 0) {
+        out.push({ price, size });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Emit immediately, or on a trailing timer when throttled.
+   */
+  _scheduleEmit() {
+    const { minEmitIntervalMs } = this.config;
+    const now = Date.now();
+
+    if (!minEmitIntervalMs || now - this.lastEmitAt >= minEmitIntervalMs) {
+      this._emitPrice(now);
+      return;
+    }
+
+    if (!this.emitTimer) {
+      this.emitTimer = setTimeout(() => {
+        this.emitTimer = null;
+        this._emitPrice(Date.now());
+      }, minEmitIntervalMs - (now - this.lastEmitAt));
+    }
+  }
+
+  _emitPrice(now) {
+    this.lastEmitAt = now;
+    this.lastPrice = this.getAggregatedPrice(now);
+    this.emit('price', this.lastPrice);
+  }
+}
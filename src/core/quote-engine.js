@@ -1,17 +1,89 @@
 import { EventEmitter } from 'events';
+import { createQuoteStrategy } from './strategies/index.js';
+import { OrderRateLimiter } from './order-rate-limiter.js';
+import { instrumentRegistry } from './instrument-registry.js';
+import { validateOrderAttributes, fixOrderFields, classifyOrderReject, restatementReason } from './order-attributes.js';
+
+const SIDES = ['buy', 'sell'];
+const PLACEMENT_MODES = ['model', 'join', 'improve', 'backoff'];
+
+// Exchange limits taken from the instrument registry unless passed explicitly
+const INSTRUMENT_FIELDS = ['tickSize', 'lotSize', 'minSize', 'minNotional', 'priceBandPct'];
+
+// Quote parameters updateConfig() may change while running
+const RUNTIME_CONFIG = {
+  baseSpreadBps: { valid: (v) => Number.isFinite(v) && v > 0 && v <= 10000, expected: 'bps in (0, 10000]' },
+  levels: { valid: (v) => Number.isInteger(v) && v >= 1 && v <= 50, expected: 'an integer in [1, 50]' },
+  levelSpacingTicks: { valid: (v) => Number.isInteger(v) && v >= 1, expected: 'an integer >= 1' },
+  repriceThresholdTicks: { valid: (v) => Number.isFinite(v) && v > 0, expected: 'a positive number' },
+  resizeThresholdPct: { valid: (v) => Number.isFinite(v) && v >= 0 && v < 100, expected: 'a percentage in [0, 100)' },
+  baseSizeBTC: { valid: (v) => Number.isFinite(v) && v > 0, expected: 'a positive number' },
+  sizeDecayFactor: { valid: (v) => Number.isFinite(v) && v > 0 && v <= 1, expected: 'a number in (0, 1]' },
+  inventorySkewWeight: { valid: (v) => Number.isFinite(v) && v >= 0, expected: 'a number >= 0' },
+  alphaSkewWeight: { valid: (v) => Number.isFinite(v) && v >= 0, expected: 'a number >= 0' },
+  fairValueWeight: { valid: (v) => Number.isFinite(v) && v >= 0, expected: 'a number >= 0' },
+  placementModes: {
+    valid: (v) => Array.isArray(v) && v.every(m => PLACEMENT_MODES.includes(m)),
+    expected: `an array of ${PLACEMENT_MODES.join(' | ')}`,
+  },
+  minEdgeBps: { valid: (v) => Number.isFinite(v) && v >= 0, expected: 'a number >= 0' },
+};
 
 /**
  * QuoteEngine - Dynamic quote management for TrueX market making.
  *
  * Receives aggregated price updates, computes desired bid/ask ladders
- * with inventory skew, reconciles against active orders, and sends
- * FIX messages through a rate-limited pipeline.
+ * with a pluggable quote strategy (see ./strategies), reconciles against
+ * active orders, and sends FIX messages through a rate-limited pipeline.
+ *
+ * Tick size, lot size, min size, min notional and price band come from the
+ * instrument registry unless given as options, and follow it when the
+ * exchange changes them. Quotes are pulled while the symbol is not open.
+ *
+ * With microstructure signals attached, the ladder is centred on the mid
+ * plus fairValueWeight x the signal's fair-value adjustment, and the side
+ * an expected move would run over is widened by alphaSkewWeight x that
+ * move in ticks, on top of inventorySkewWeight x the inventory skew.
+ * The signal's share of the skew is also passed to the strategy as
+ * alphaBidSkewTicks / alphaAskSkewTicks, for models that replace the
+ * inventory skew with their own (Avellaneda–Stoikov).
+ *
+ * With a TrueX book (marketDataFeed, our own resting size taken out of it),
+ * placementModes sets how each level is priced, by position:
+ *   'model'   - the strategy's price (default, and for unlisted levels)
+ *   'join'    - the TrueX best on our side
+ *   'improve' - one tick inside the best while that leaves the spread open
+ *   'backoff' - minEdgeBps from the mid, or behind the best if further
+ * Join and improve move with the skew ticks like the model price, and back
+ * off to minEdgeBps from the mid when the touch is closer. No level is
+ * ever priced at or through the best price on the other side.
+ *
+ * Reconciliation matches working orders to the ladder by price, not level:
+ * an order within repriceThresholdTicks of a desired price stays where it
+ * is, and only the rest are moved, cancelled or placed. A kept order
+ * whose size (after partial fills) is more than resizeThresholdPct below
+ * its quote's size is replaced at the quote to top it back up. Each resting
+ * order's queueAhead (size in front of it) is estimated from the TrueX
+ * book passed to onBookUpdate(); getChurnStats() counts what was sent.
+ *
+ * Orders carry postOnly, timeInForce (with expireAfterMs for GTD) and
+ * selfTradePrevention (see ./order-attributes.js). Post-only and
+ * self-trade rejects are counted by kind in getQuoteStatus().rejects;
+ * restatements (ExecType=D) update the order's price and size.
  *
  * Events emitted:
  *   'quote-update'  - quotes changed { bidLevels, askLevels }
- *   'fill'          - order filled { side, price, size, clOrdID, execID }
+ *   'fill'          - order (partially) filled { side, price, size, clOrdID, execID,
+ *                     cumQty, leavesQty, avgPx, isPartial, level }
+ *   'replaced'      - cancel/replace (35=G) acknowledged { origClOrdID, clOrdID, price, size }
  *   'cancel-all'    - emergency pullback triggered { reason }
  *   'rate-limited'  - action deferred { action, queueDepth }
+ *   'order-latency' - price tick to FIX send, queueing included { action, latencyMs }
+ *   'side-paused'   - pauseSide() { side, reason }
+ *   'side-resumed'  - resumeSide() { side }
+ *   'config-updated' - updateConfig() { changes, previous }
+ *   'order-rejected' - TrueX rejected an order { clOrdID, side, price, level, kind, reason }
+ *   'restated'      - TrueX restated an order { clOrdID, price, size, reason, text }
  */
 export class QuoteEngine extends EventEmitter {
   constructor(options = {}) {
@@ -20,46 +92,103 @@ export class QuoteEngine extends EventEmitter {
     // Dependencies (injected)
     this.inventoryManager = options.inventoryManager;
     this.fixConnection = options.fixConnection;
+    this.volatilityEstimator = options.volatilityEstimator || null; // scales baseSpreadBps
+    this.signals = options.signals || null;                          // MicrostructureSignals: leans quotes
+    this.marketDataFeed = options.marketDataFeed || null;            // TrueX book: placement and cross guard
+    this.instrumentRegistry = options.instrumentRegistry || instrumentRegistry;
     this.logger = options.logger || console;
 
     // Config
     this.config = {
       levels: options.levels || 5,
       baseSpreadBps: options.baseSpreadBps || 50,
+      minSpreadBps: options.minSpreadBps || null,  // floor/ceiling for volatility-scaled spread
+      maxSpreadBps: options.maxSpreadBps || null,
       levelSpacingTicks: options.levelSpacingTicks || 1,
       repriceThresholdTicks: options.repriceThresholdTicks || 1,
+      resizeThresholdPct: options.resizeThresholdPct ?? 50,  // top up a kept order this far below its quote size
       baseSizeBTC: options.baseSizeBTC || 0.1,
       sizeDecayFactor: options.sizeDecayFactor || 0.8,
       maxOrdersPerSecond: options.maxOrdersPerSecond || 8,
       dupGuardMs: options.dupGuardMs || 500,
-      tickSize: options.tickSize || 0.50,
-      minNotional: options.minNotional || 1.0,
-      priceBandPct: options.priceBandPct || 2.5,
+      tickSize: null,       // INSTRUMENT_FIELDS: set by _syncInstrument()
+      lotSize: null,
+      minSize: null,
+      minNotional: null,
+      priceBandPct: null,
       confidenceThreshold: options.confidenceThreshold || 0.3,
+      placementModes: options.placementModes || [],
+      minEdgeBps: options.minEdgeBps ?? 5,
+      amendMode: options.amendMode || false, // true: reprice via 35=G instead of cancel + new
+      postOnly: options.postOnly || false,
+      timeInForce: options.timeInForce || 'GTC',
+      expireAfterMs: options.expireAfterMs || null,  // GTD lifetime
+      selfTradePrevention: options.selfTradePrevention || null,
+      inventorySkewWeight: options.inventorySkewWeight ?? 1,
+      alphaSkewWeight: options.alphaSkewWeight ?? 1,
+      fairValueWeight: options.fairValueWeight ?? 1,
       symbol: options.symbol || 'BTC-PYUSD',
       senderCompID: options.senderCompID || 'CLI_CLIENT',
       targetCompID: options.targetCompID || 'TRUEX_UAT_OE',
     };
 
+    validateOrderAttributes(this.config);
+
+    this.instrument = null;
+    this.instrumentOverrides = Object.fromEntries(
+      INSTRUMENT_FIELDS.filter(key => options[key]).map(key => [key, options[key]])
+    );
+    this._syncInstrument();
+
+    // Quote model: 'fixed-spread' (default), 'avellaneda-stoikov', or an instance
+    this.strategy = createQuoteStrategy(options.strategy, { ...options.strategyOptions, logger: this.logger });
+
     // State
-    this.activeOrders = new Map(); // clOrdID -> { side, price, size, level, status, placedAt }
+    this.activeOrders = new Map(); // clOrdID -> { side, price, size, origSize, cumQty, avgPx, level, status, placedAt, queueAhead }
     this.lastMid = 0;
     this.lastRepriceAt = 0;
     this.isQuoting = false;
     this.orderSequence = 0;
+    this.pendingReplaces = new Map(); // new clOrdID -> { origClOrdID, quote, orderQty, prevStatus }
+    this.pausedSides = new Set();     // sides held out of the ladder by pauseSide()
+    this.churn = { placed: 0, cancelled: 0, replaced: 0, kept: 0, fills: 0 };
+    this.rejects = { 'post-only': 0, 'self-trade': 0, other: 0 };
 
-    // Rate limiting
+    // Rate limiting: own limiter, or one shared by engines on the same OE session
+    this.rateLimiter = options.rateLimiter || new OrderRateLimiter({ maxPerSecond: this.config.maxOrdersPerSecond });
     this.actionQueue = [];
-    this.actionsThisSecond = 0;
-    this.lastActionReset = Date.now();
     this.lastActionByClOrdID = new Map(); // clOrdID -> lastActionTime
   }
 
+  // Window counters live on the (possibly shared) rate limiter
+  get actionsThisSecond() {
+    return this.rateLimiter.actionsThisSecond;
+  }
+
+  set actionsThisSecond(count) {
+    this.rateLimiter.actionsThisSecond = count;
+  }
+
+  get lastActionReset() {
+    return this.rateLimiter.lastActionReset;
+  }
+
+  set lastActionReset(timestamp) {
+    this.rateLimiter.lastActionReset = timestamp;
+  }
+
   /**
    * Main entry point: called on every PriceAggregator 'price' event.
    */
   onPriceUpdate(aggregatedPrice) {
     if (!aggregatedPrice) return;
+    const tickAt = performance.now();
+
+    this._syncInstrument();
+    if (this.instrument.status !== 'open') {
+      this.cancelAllQuotes(`${this.config.symbol} trading status: ${this.instrument.status}`);
+      return;
+    }
 
     // Gate on confidence
     if (aggregatedPrice.confidence < this.config.confidenceThreshold) {
@@ -71,20 +200,19 @@ export class QuoteEngine extends EventEmitter {
     if (!mid || mid <= 0) return;
 
     this.lastMid = mid;
+    this.strategy.onMid(mid, Date.now());
 
-    // Get inventory skew
-    const skew = this.inventoryManager
-      ? this.inventoryManager.getSkew()
-      : { bidSkewTicks: 0, askSkewTicks: 0 };
+    // Inventory skew, leaned by the signals
+    const { center, skew } = this.computeSkew(mid);
 
     // Compute desired quotes
-    const desired = this.computeDesiredQuotes(mid, skew);
+    const desired = this.computeDesiredQuotes(center, skew);
 
     // Reconcile against active orders
     const actions = this.reconcileOrders(desired, this.activeOrders);
 
     // Execute rate-limited
-    this.executeActions(actions);
+    this.executeActions(actions, tickAt);
 
     this.isQuoting = true;
     this.lastRepriceAt = Date.now();
@@ -95,56 +223,112 @@ export class QuoteEngine extends EventEmitter {
   }
 
   /**
-   * Compute desired bid/ask quotes based on mid price and inventory skew.
+   * Compute desired bid/ask quotes from the strategy's ladder, snapped to
+   * tick and lot, placed against the TrueX book, and filtered by side
+   * limits, price band, min size and min notional.
    */
   computeDesiredQuotes(mid, skew) {
-    const {
-      levels,
-      baseSpreadBps,
-      levelSpacingTicks,
-      tickSize,
-      baseSizeBTC,
-      sizeDecayFactor,
-      priceBandPct,
-      minNotional,
-    } = this.config;
-
-    const halfSpread = (baseSpreadBps / 10000) * mid / 2;
-    const bids = [];
-    const asks = [];
-
-    for (let level = 1; level <= levels; level++) {
-      const levelOffset = level * levelSpacingTicks * tickSize;
-      const size = baseSizeBTC * Math.pow(sizeDecayFactor, level - 1);
-
-      // Bid price
-      const rawBid = mid - halfSpread - levelOffset - (skew.bidSkewTicks * tickSize);
-      const bidPrice = this.snapToTick(rawBid);
-
-      // Ask price
-      const rawAsk = mid + halfSpread + levelOffset + (skew.askSkewTicks * tickSize);
-      const askPrice = this.snapToTick(rawAsk);
-
-      // Filter bids
-      if (
-        this._canQuoteSide('buy') &&
-        this.withinPriceBand(bidPrice, mid) &&
-        bidPrice * size >= minNotional
-      ) {
-        bids.push({ side: 'buy', price: bidPrice, size, level });
-      }
+    const { minNotional, minSize } = this.config;
+    const { bids: rawBids, asks: rawAsks } = this.strategy.computeQuotes({
+      mid,
+      skew,
+      netPosition: this.inventoryManager ? this.inventoryManager.netPosition : 0,
+      config: { ...this.config, baseSpreadBps: this.getEffectiveSpreadBps() },
+      now: Date.now(),
+    });
 
-      // Filter asks
-      if (
-        this._canQuoteSide('sell') &&
-        this.withinPriceBand(askPrice, mid) &&
-        askPrice * size >= minNotional
-      ) {
-        asks.push({ side: 'sell', price: askPrice, size, level });
-      }
+    const book = this.getTrueXTouch();
+    const filter = (side, raw) => raw
+      .map(q => ({
+        side,
+        price: this._placePrice(side, this.snapToTick(q.price), q.level, mid, skew, book),
+        size: this.snapToLot(q.size),
+        level: q.level,
+      }))
+      .filter(q =>
+        !this.pausedSides.has(side) &&
+        this._canQuoteSide(side) &&
+        this.withinPriceBand(q.price, mid) &&
+        q.size >= minSize &&
+        q.price * q.size >= minNotional
+      );
+
+    return [...filter('buy', rawBids), ...filter('sell', rawAsks)];
+  }
+
+  /**
+   * Best TrueX bid and ask other than our own resting orders, or null
+   * without a live book.
+   */
+  getTrueXTouch() {
+    const feed = this.marketDataFeed;
+    if (!feed || typeof feed.getOrderBook !== 'function' || feed.isSubscribed === false) return null;
+
+    const { bids, asks } = feed.getOrderBook();
+    const own = { buy: new Map(), sell: new Map() };
+    for (const order of this.activeOrders.values()) {
+      if (order.status === 'pending') continue;  // not on the book yet
+      const sizes = own[order.side];
+      sizes.set(order.price, (sizes.get(order.price) || 0) + order.size);
+    }
+
+    // Levels left with no size of others' once ours is removed
+    const best = (levels, ownSizes) => {
+      const level = levels.find(l => l.size - (ownSizes.get(l.price) || 0) > 1e-9);
+      return level ? level.price : null;
+    };
+    const bestBid = best(bids, own.buy);
+    const bestAsk = best(asks, own.sell);
+    return bestBid === null && bestAsk === null ? null : { bestBid, bestAsk };
+  }
+
+  /**
+   * Ladder centre and skew ticks from inventory and, when attached, the
+   * microstructure signals (see class comment).
+   */
+  computeSkew(mid) {
+    const { inventorySkewWeight, alphaSkewWeight, fairValueWeight, tickSize } = this.config;
+    const inventory = this.inventoryManager
+      ? this.inventoryManager.getSkew()
+      : { bidSkewTicks: 0, askSkewTicks: 0 };
+
+    let bidSkewTicks = inventorySkewWeight * inventory.bidSkewTicks;
+    let askSkewTicks = inventorySkewWeight * inventory.askSkewTicks;
+    let center = mid;
+
+    if (this.signals) {
+      const signal = this.signals.getSignal({ mid });
+      center = mid + fairValueWeight * signal.fairValueAdj;
+      // Expected rise: asks get picked off, so widen them; fall: bids
+      const alphaTicks = alphaSkewWeight * Math.abs(signal.fairValueAdj) / tickSize;
+      const alphaBidSkewTicks = signal.alphaBps < 0 ? alphaTicks : 0;
+      const alphaAskSkewTicks = signal.alphaBps > 0 ? alphaTicks : 0;
+      return {
+        center,
+        skew: {
+          bidSkewTicks: bidSkewTicks + alphaBidSkewTicks,
+          askSkewTicks: askSkewTicks + alphaAskSkewTicks,
+          alphaBidSkewTicks,
+          alphaAskSkewTicks,
+        },
+      };
     }
 
-    return [...bids, ...asks];
+    return { center, skew: { bidSkewTicks, askSkewTicks } };
+  }
+
+  /**
+   * baseSpreadBps scaled by the volatility estimator, clamped to
+   * [minSpreadBps, maxSpreadBps] (default half and four times base).
+   */
+  getEffectiveSpreadBps() {
+    const { baseSpreadBps } = this.config;
+    if (!this.volatilityEstimator) return baseSpreadBps;
+
+    const minSpreadBps = this.config.minSpreadBps || baseSpreadBps * 0.5;
+    const maxSpreadBps = this.config.maxSpreadBps || baseSpreadBps * 4;
+    const scaled = baseSpreadBps * this.volatilityEstimator.getSpreadMultiplier();
+    return Math.min(maxSpreadBps, Math.max(minSpreadBps, scaled));
   }
 
   /**
@@ -154,6 +338,56 @@ export class QuoteEngine extends EventEmitter {
     return Math.round(price / this.config.tickSize) * this.config.tickSize;
   }
 
+  /**
+   * Price a level by its placement mode, then keep it off the other side
+   * of the TrueX book (see class comment).
+   */
+  _placePrice(side, modelPrice, level, mid, skew, book) {
+    const { tickSize, minEdgeBps, placementModes } = this.config;
+    const isBid = side === 'buy';
+    const mode = placementModes[level - 1] || 'model';
+    // Furthest-in price with minEdgeBps to the mid
+    const edgePrice = isBid
+      ? floorToTick(mid * (1 - minEdgeBps / 10000), tickSize)
+      : ceilToTick(mid * (1 + minEdgeBps / 10000), tickSize);
+
+    let price = modelPrice;
+    const touch = book && (isBid ? book.bestBid : book.bestAsk);
+    if (mode === 'backoff') {
+      price = touch ? (isBid ? Math.min(edgePrice, touch) : Math.max(edgePrice, touch)) : edgePrice;
+    } else if ((mode === 'join' || mode === 'improve') && touch) {
+      const far = isBid ? book.bestAsk : book.bestBid;
+      const canImprove = mode === 'improve' && (far === null || Math.abs(far - touch) > tickSize + 1e-9);
+      const anchor = canImprove ? touch + (isBid ? tickSize : -tickSize) : touch;
+      price = this.snapToTick(isBid ? anchor - skew.bidSkewTicks * tickSize : anchor + skew.askSkewTicks * tickSize);
+      price = isBid ? Math.min(price, edgePrice) : Math.max(price, edgePrice);
+    }
+
+    // Never at or through the other side
+    if (book && isBid && book.bestAsk !== null) price = Math.min(price, book.bestAsk - tickSize);
+    if (book && !isBid && book.bestBid !== null) price = Math.max(price, book.bestBid + tickSize);
+    return price;
+  }
+
+  /**
+   * Round a size down to the lot size.
+   */
+  snapToLot(size) {
+    const { lotSize } = this.config;
+    if (!lotSize) return size;
+    // Nudge before flooring so float noise (0.3 / 0.0001 = 2999.99...) keeps its lot
+    const lots = Math.floor(size / lotSize + 1e-9);
+    return Number((lots * lotSize).toFixed(decimals(lotSize)));
+  }
+
+  /**
+   * Price (44) as sent: the registry tick's decimals, at least two.
+   */
+  _formatPrice(price) {
+    const { tickSize } = this.config;
+    return price.toFixed(Math.max(2, tickSize ? decimals(tickSize) : 0));
+  }
+
   /**
    * Check if a price is within the allowed price band around mid.
    */
@@ -164,44 +398,65 @@ export class QuoteEngine extends EventEmitter {
   }
 
   /**
-   * Reconcile desired quotes vs active orders.
+   * Reconcile desired quotes vs active orders, per side:
+   *   1. Keep each order within repriceThresholdTicks of a desired price,
+   *      closest first, then the one with less queue ahead. A kept order
+   *      takes the quote's level but keeps its size, unless partial fills
+   *      left it more than resizeThresholdPct short: then it is replaced
+   *      at the quote (a larger order loses its queue place anyway).
+   *   2. Move the remaining orders to the remaining prices, best first.
+   *      An order with a replace in flight waits for the ack instead.
+   *   3. Cancel orders left over; place quotes left over.
    * Returns { toPlace, toCancel, toReplace }.
    */
   reconcileOrders(desired, active) {
     const toPlace = [];
     const toCancel = [];
     const toReplace = [];
-    const matched = new Set(); // clOrdIDs that match a desired quote
+    const { tickSize, repriceThresholdTicks, resizeThresholdPct } = this.config;
 
-    for (const dq of desired) {
-      // Find matching active order at same side + level
-      let match = null;
+    for (const side of SIDES) {
+      const better = side === 'buy' ? (a, b) => b.price - a.price : (a, b) => a.price - b.price;
+      const quotes = desired.filter(q => q.side === side);
+      const orders = [];
       for (const [clOrdID, order] of active) {
-        if (order.side === dq.side && order.level === dq.level && !matched.has(clOrdID)) {
-          match = { clOrdID, order };
-          break;
-        }
+        if (order.side === side) orders.push({ clOrdID, order, price: this._workingPrice(clOrdID, order) });
       }
 
-      if (!match) {
-        // No match: place new
-        toPlace.push(dq);
-      } else {
-        matched.add(match.clOrdID);
-        const priceDiffTicks = Math.abs(match.order.price - dq.price) / this.config.tickSize;
-
-        if (priceDiffTicks >= this.config.repriceThresholdTicks) {
-          // Price moved enough: cancel old, place new
-          toReplace.push({ cancel: match.clOrdID, cancelOrder: match.order, place: dq });
+      const pairs = [];
+      for (const o of orders) {
+        for (const q of quotes) {
+          const ticks = Math.abs(o.price - q.price) / tickSize;
+          if (ticks < repriceThresholdTicks) pairs.push({ o, q, ticks });
         }
-        // Otherwise keep existing (no action)
       }
-    }
+      pairs.sort((a, b) => a.ticks - b.ticks || (a.o.order.queueAhead ?? Infinity) - (b.o.order.queueAhead ?? Infinity));
+
+      const keptOrders = new Set();
+      const keptQuotes = new Set();
+      for (const { o, q } of pairs) {
+        if (keptOrders.has(o) || keptQuotes.has(q)) continue;
+        keptOrders.add(o);
+        keptQuotes.add(q);
+        if (o.order.status !== 'pending-replace' && o.order.size < q.size * (1 - resizeThresholdPct / 100)) {
+          toReplace.push({ cancel: o.clOrdID, cancelOrder: o.order, place: q });
+          continue;
+        }
+        o.order.level = q.level;
+        // A keep saved a reprice only if the quote for this order moved
+        const last = o.order.keptFor || { price: o.price, size: o.order.size };
+        if (q.price !== last.price || q.size !== last.size) this.churn.kept++;
+        o.order.keptFor = { price: q.price, size: q.size };
+      }
 
-    // Active orders with no corresponding desired quote: cancel
-    for (const [clOrdID, order] of active) {
-      if (!matched.has(clOrdID)) {
-        toCancel.push({ clOrdID, order });
+      const movable = orders.filter(o => !keptOrders.has(o)).sort(better);
+      const open = quotes.filter(q => !keptQuotes.has(q)).sort(better);
+      for (let i = 0; i < Math.max(movable.length, open.length); i++) {
+        const o = movable[i];
+        const q = open[i];
+        if (!o) toPlace.push(q);
+        else if (!q) toCancel.push({ clOrdID: o.clOrdID, order: o.order });
+        else if (o.order.status !== 'pending-replace') toReplace.push({ cancel: o.clOrdID, cancelOrder: o.order, place: q });
       }
     }
 
@@ -209,17 +464,79 @@ export class QuoteEngine extends EventEmitter {
   }
 
   /**
-   * Execute actions through rate limiter.
-   * Priority: cancels first, then replacements, then new orders.
+   * Price an order is working at: a replace in flight's new price.
    */
-  executeActions(actions) {
-    // Reset rate counter if a second has passed
-    const now = Date.now();
-    if (now - this.lastActionReset >= 1000) {
-      this.actionsThisSecond = 0;
-      this.lastActionReset = now;
+  _workingPrice(clOrdID, order) {
+    if (order.status !== 'pending-replace') return order.price;
+    const pending = this._pendingReplaceFor(clOrdID);
+    return pending ? pending.quote.price : order.price;
+  }
+
+  /**
+   * The replace in flight for an order, by its original ClOrdID.
+   */
+  _pendingReplaceFor(origClOrdID) {
+    for (const pending of this.pendingReplaces.values()) {
+      if (pending.origClOrdID === origClOrdID) return pending;
+    }
+    return null;
+  }
+
+  /**
+   * Update queue position estimates from a TrueX book ({ bids, asks } of
+   * { price, size }, as TrueXMarketDataFeed 'book-change' carries).
+   * queueAhead starts at the size of others at the price when the order
+   * is first seen resting, and only shrinks: fills and cancels in front
+   * of us, or a level that has dropped below it.
+   */
+  onBookUpdate(book) {
+    if (!book) return;
+    const levelSizes = { buy: new Map(), sell: new Map() };
+    for (const { price, size } of book.bids || []) levelSizes.buy.set(price, size);
+    for (const { price, size } of book.asks || []) levelSizes.sell.set(price, size);
+
+    // Our own size at each price, to take out of the level
+    const own = { buy: new Map(), sell: new Map() };
+    for (const order of this.activeOrders.values()) {
+      if (order.status === 'pending') continue;
+      own[order.side].set(order.price, (own[order.side].get(order.price) || 0) + order.size);
     }
 
+    for (const order of this.activeOrders.values()) {
+      if (order.status === 'pending') continue;
+      const others = Math.max(0, (levelSizes[order.side].get(order.price) || 0) - own[order.side].get(order.price));
+      order.queueAhead = order.queueAhead == null ? others : Math.min(order.queueAhead, others);
+    }
+  }
+
+  /**
+   * Resting orders with their estimated queue position, best price first.
+   */
+  getQueuePositions() {
+    return [...this.activeOrders]
+      .filter(([, order]) => order.status !== 'pending')
+      .map(([clOrdID, { side, price, size, level, queueAhead }]) => ({ clOrdID, side, price, size, level, queueAhead: queueAhead ?? null }))
+      .sort((a, b) => a.side.localeCompare(b.side) || (a.side === 'buy' ? b.price - a.price : a.price - b.price));
+  }
+
+  /**
+   * Orders sent, kept and filled since start. kept counts the times a
+   * resting order stayed put although its desired price or size changed.
+   * cancelsPerFill counts cancels and replaces per fill, null before the
+   * first fill.
+   */
+  getChurnStats() {
+    const { placed, cancelled, replaced, kept, fills } = this.churn;
+    return { placed, cancelled, replaced, kept, fills, cancelsPerFill: fills > 0 ? (cancelled + replaced) / fills : null };
+  }
+
+  /**
+   * Execute actions through rate limiter.
+   * Priority: cancels first, then replacements, then new orders.
+   * In amendMode each replacement is a single 35=G; otherwise cancel + new.
+   * tickAt (performance.now() of the triggering tick) times 'order-latency'.
+   */
+  executeActions(actions, tickAt = null) {
     // Build ordered action list: cancels first, then replaces, then places
     const orderedActions = [];
 
@@ -228,16 +545,30 @@ export class QuoteEngine extends EventEmitter {
     }
 
     for (const r of actions.toReplace) {
-      orderedActions.push({ type: 'cancel', clOrdID: r.cancel, order: r.cancelOrder });
-      orderedActions.push({ type: 'place', quote: r.place });
+      if (this.config.amendMode) {
+        orderedActions.push({ type: 'replace', clOrdID: r.cancel, order: r.cancelOrder, quote: r.place });
+      } else {
+        orderedActions.push({ type: 'cancel', clOrdID: r.cancel, order: r.cancelOrder });
+        orderedActions.push({ type: 'place', quote: r.place });
+      }
     }
 
     for (const p of actions.toPlace) {
       orderedActions.push({ type: 'place', quote: p });
     }
 
+    if (tickAt !== null) {
+      for (const action of orderedActions) action.tickAt = tickAt;
+    }
+    this._runActions(orderedActions);
+  }
+
+  /**
+   * Dispatch an ordered list of actions, deferring overflow to the queue.
+   */
+  _runActions(orderedActions) {
     for (const action of orderedActions) {
-      if (this.actionsThisSecond >= this.config.maxOrdersPerSecond) {
+      if (this.rateLimiter.isLimited()) {
         // Defer to queue
         this.actionQueue.push(action);
         this.emit('rate-limited', { action: action.type, queueDepth: this.actionQueue.length });
@@ -245,13 +576,13 @@ export class QuoteEngine extends EventEmitter {
       }
 
       // Dup guard check
-      const guardKey = action.type === 'cancel' ? action.clOrdID : null;
+      const guardKey = action.type === 'cancel' || action.type === 'replace' ? action.clOrdID : null;
       if (guardKey && this._isDupGuarded(guardKey)) {
         continue;
       }
 
       this._dispatchAction(action);
-      this.actionsThisSecond++;
+      this.rateLimiter.record();
     }
   }
 
@@ -261,9 +592,15 @@ export class QuoteEngine extends EventEmitter {
   _dispatchAction(action) {
     if (action.type === 'cancel') {
       this._sendCancel(action.clOrdID, action.order);
+    } else if (action.type === 'replace') {
+      this._sendReplace(action.clOrdID, action.order, action.quote);
     } else if (action.type === 'place') {
       this._sendNewOrder(action.quote);
     }
+
+    if (action.tickAt != null) {
+      this.emit('order-latency', { action: action.type, latencyMs: performance.now() - action.tickAt });
+    }
   }
 
   /**
@@ -277,19 +614,24 @@ export class QuoteEngine extends EventEmitter {
       '55': this.config.symbol,
       '54': quote.side === 'buy' ? '1' : '2',
       '38': quote.size.toString(),
-      '44': quote.price.toFixed(2),
+      '44': this._formatPrice(quote.price),
       '40': '2',  // Limit
-      '59': '1',  // GTC
+      ...fixOrderFields(this.config),
     };
 
     this.activeOrders.set(clOrdID, {
       side: quote.side,
       price: quote.price,
       size: quote.size,
+      origSize: quote.size,
+      cumQty: 0,
+      avgPx: 0,
       level: quote.level,
       status: 'pending',
       placedAt: Date.now(),
+      queueAhead: null,
     });
+    this.churn.placed++;
 
     this.lastActionByClOrdID.set(clOrdID, Date.now());
 
@@ -312,6 +654,46 @@ export class QuoteEngine extends EventEmitter {
     };
 
     this.lastActionByClOrdID.set(origClOrdID, Date.now());
+    this.churn.cancelled++;
+
+    if (this.fixConnection) {
+      this.fixConnection.sendMessage(fields);
+    }
+  }
+
+  /**
+   * Send a FIX Order Cancel/Replace Request (35=G).
+   *
+   * OrderQty (38) is the total order quantity, so any quantity already
+   * filled is added back to keep the resting size equal to the quote size.
+   */
+  _sendReplace(origClOrdID, order, quote) {
+    const clOrdID = this.generateClOrdID();
+    // Sum of two floats: round to the lot's decimals so tag 38 carries no noise
+    const { lotSize } = this.config;
+    const orderQty = Number((quote.size + (order.cumQty || 0)).toFixed(lotSize ? decimals(lotSize) : 8));
+    const fields = {
+      '35': 'G',
+      '11': clOrdID,
+      '41': origClOrdID,
+      '55': this.config.symbol,
+      '54': order.side === 'buy' ? '1' : '2',
+      '38': orderQty.toString(),
+      '44': this._formatPrice(quote.price),
+      '40': '2',  // Limit
+      ...fixOrderFields(this.config),
+    };
+
+    this.pendingReplaces.set(clOrdID, {
+      origClOrdID,
+      quote,
+      orderQty,
+      prevStatus: order.status,
+    });
+    order.status = 'pending-replace';
+
+    this.lastActionByClOrdID.set(origClOrdID, Date.now());
+    this.churn.replaced++;
 
     if (this.fixConnection) {
       this.fixConnection.sendMessage(fields);
@@ -320,46 +702,346 @@ export class QuoteEngine extends EventEmitter {
 
   /**
    * Handle inbound execution reports from FIX.
+   *
+   * Partial fills (39=1) keep the order in activeOrders with its size reduced
+   * to LeavesQty, so reconciliation works against what is actually resting.
+   * Every fill emits an incremental 'fill' event sized by LastQty, falling
+   * back to the CumQty delta when LastQty is absent.
    */
   onExecutionReport(fields) {
     if (!fields) return;
 
     const clOrdID = fields['11'];
     const ordStatus = fields['39'];
-    const execID = fields['17'];
-    const lastPx = parseFloat(fields['31'] || fields['44'] || '0');
-    const lastQty = parseFloat(fields['32'] || fields['38'] || '0');
-    const side = fields['54'] === '1' ? 'buy' : 'sell';
+    const execType = fields['150'];
+
+    // Cancel/replace lifecycle is keyed on ExecType (E/5), not OrdStatus
+    if (execType === 'E') {
+      this._handlePendingReplace(fields);
+      return;
+    }
+    if (execType === '5') {
+      this._handleReplaced(fields);
+      return;
+    }
+    if (execType === 'D') {
+      this._handleRestated(fields);
+      return;
+    }
 
     switch (ordStatus) {
       case '0': // New - order accepted
         if (this.activeOrders.has(clOrdID)) {
           this.activeOrders.get(clOrdID).status = 'active';
+          this._initQueuePosition(this.activeOrders.get(clOrdID));
         }
         break;
 
+      case '1': // Partially filled
       case '2': // Filled
-        this.activeOrders.delete(clOrdID);
-        this.emit('fill', {
-          side,
-          price: lastPx,
-          size: lastQty,
-          clOrdID,
-          execID,
-        });
+        this._handleFill(fields);
         break;
 
       case '4': // Cancelled
+        // A cancel request's ack carries the cancel's ClOrdID, the order's in 41
+        this.activeOrders.delete(fields['41'] || clOrdID);
+        if (!fields['41'] && classifyOrderReject(fields) === 'self-trade') {
+          this.logger.warn(`[QuoteEngine] Cancelled by self-trade prevention: clOrdID=${clOrdID}`);
+        }
+        break;
+
+      case 'C': // Expired (GTD, DAY)
         this.activeOrders.delete(clOrdID);
+        this.logger.info(`[QuoteEngine] Order expired: clOrdID=${clOrdID}`);
         break;
 
       case '8': // Rejected
-        this.activeOrders.delete(clOrdID);
-        this.logger.error(`[QuoteEngine] Order rejected: clOrdID=${clOrdID}, reason=${fields['58'] || 'unknown'}`);
+        if (this.pendingReplaces.has(clOrdID)) {
+          this._handleReplaceRejected(clOrdID, fields['58']);
+          break;
+        }
+        this._handleRejected(fields);
         break;
     }
   }
 
+  /**
+   * Apply a partial or full fill to order state and emit the incremental fill.
+   */
+  _handleFill(fields) {
+    const clOrdID = fields['11'];
+    const isPartial = fields['39'] === '1';
+    const execID = fields['17'];
+    const side = fields['54'] === '1' ? 'buy' : 'sell';
+    const order = this.activeOrders.get(clOrdID);
+
+    const cumQty = fields['14'] != null ? parseFloat(fields['14']) : null;
+    const leavesQtyField = fields['151'] != null ? parseFloat(fields['151']) : null;
+    const avgPxField = fields['6'] != null ? parseFloat(fields['6']) : null;
+    const prevCumQty = order ? order.cumQty : 0;
+
+    // Ignore stale/duplicate reports that don't advance the cumulative quantity
+    if (order && cumQty !== null && cumQty <= prevCumQty) {
+      this.logger.warn(`[QuoteEngine] Ignoring stale fill: clOrdID=${clOrdID}, cumQty=${cumQty} <= ${prevCumQty}`);
+      return;
+    }
+
+    let lastQty;
+    if (fields['32'] != null) {
+      lastQty = parseFloat(fields['32']);
+    } else if (cumQty !== null) {
+      lastQty = cumQty - prevCumQty;
+    } else {
+      lastQty = parseFloat(fields['38'] || '0') - prevCumQty;
+    }
+    const lastPx = parseFloat(fields['31'] || fields['44'] || '0');
+
+    const newCumQty = cumQty !== null ? cumQty : prevCumQty + lastQty;
+    const avgPx = avgPxField !== null
+      ? avgPxField
+      : newCumQty > 0 ? ((order ? order.avgPx : 0) * prevCumQty + lastPx * lastQty) / newCumQty : 0;
+
+    let leavesQty;
+    if (!isPartial) {
+      leavesQty = 0;
+    } else if (leavesQtyField !== null) {
+      leavesQty = leavesQtyField;
+    } else {
+      leavesQty = order ? Math.max(0, order.origSize - newCumQty) : 0;
+    }
+
+    if (isPartial && order) {
+      order.cumQty = newCumQty;
+      order.avgPx = avgPx;
+      order.size = leavesQty;
+      order.queueAhead = 0;  // we are at the front
+      // A replace in flight keeps the order pending; a reject restores 'partial'
+      const pending = this._pendingReplaceFor(clOrdID);
+      if (pending) pending.prevStatus = 'partial';
+      else order.status = 'partial';
+    } else {
+      this.activeOrders.delete(clOrdID);
+      // A replace still in flight has nothing left to replace
+      for (const [replaceID, pending] of this.pendingReplaces) {
+        if (pending.origClOrdID === clOrdID) this.pendingReplaces.delete(replaceID);
+      }
+    }
+
+    if (lastQty <= 0) return;
+
+    this.churn.fills++;
+    this.strategy.onFill({ side, price: lastPx, size: lastQty, timestamp: Date.now() });
+
+    this.emit('fill', {
+      side,
+      price: lastPx,
+      size: lastQty,
+      clOrdID,
+      execID,
+      cumQty: newCumQty,
+      leavesQty,
+      avgPx,
+      isPartial,
+      level: order ? order.level : null,
+    });
+  }
+
+  /**
+   * An order TrueX rejected. Post-only rejects (the price would have
+   * crossed) are expected when the book moves, so only others log errors.
+   */
+  _handleRejected(fields) {
+    const clOrdID = fields['11'];
+    const order = this.activeOrders.get(clOrdID);
+    this.activeOrders.delete(clOrdID);
+
+    const kind = classifyOrderReject(fields);
+    const reason = fields['58'] || 'unknown';
+    this.rejects[kind]++;
+    if (kind === 'other') {
+      this.logger.error(`[QuoteEngine] Order rejected: clOrdID=${clOrdID}, reason=${reason}`);
+    } else {
+      this.logger.warn(`[QuoteEngine] Order rejected (${kind}): clOrdID=${clOrdID}, reason=${reason}`);
+    }
+
+    this.emit('order-rejected', {
+      clOrdID,
+      side: order ? order.side : (fields['54'] === '1' ? 'buy' : 'sell'),
+      price: order ? order.price : parseFloat(fields['44'] || '0'),
+      level: order ? order.level : null,
+      kind,
+      reason,
+    });
+  }
+
+  /**
+   * ExecType=D: TrueX changed a working order itself, e.g. repriced a
+   * post-only order or reduced it for self-trade prevention. The report's
+   * price and LeavesQty replace ours; a reprice loses queue position.
+   */
+  _handleRestated(fields) {
+    const clOrdID = fields['11'];
+    const order = this.activeOrders.get(clOrdID);
+    if (!order) {
+      this.logger.warn(`[QuoteEngine] Restatement for unknown order: clOrdID=${clOrdID}`);
+      return;
+    }
+
+    const price = fields['44'] != null ? parseFloat(fields['44']) : order.price;
+    const size = fields['151'] != null ? parseFloat(fields['151']) : order.size;
+    const reason = restatementReason(fields);
+
+    if (fields['39'] === '4' || fields['39'] === 'C' || !(size > 0)) {
+      this.activeOrders.delete(clOrdID);
+    } else {
+      if (price !== order.price) order.queueAhead = null;
+      order.price = price;
+      order.size = size;
+      if (fields['38'] != null) order.origSize = parseFloat(fields['38']);
+      if (order.queueAhead === null) this._initQueuePosition(order);
+    }
+
+    this.logger.info(`[QuoteEngine] Order restated (${reason}): clOrdID=${clOrdID} ${size} @ ${price}`);
+    this.emit('restated', { clOrdID, price, size, reason, text: fields['58'] || null });
+  }
+
+  /**
+   * Handle inbound Order Cancel Reject (35=9).
+   * A rejected replace falls back to cancel + new.
+   */
+  onOrderCancelReject(fields) {
+    if (!fields) return;
+
+    const clOrdID = fields['11'];
+    if (this.pendingReplaces.has(clOrdID)) {
+      this._handleReplaceRejected(clOrdID, fields['58']);
+      return;
+    }
+
+    this.logger.warn(`[QuoteEngine] Cancel rejected: clOrdID=${clOrdID}, origClOrdID=${fields['41']}, reason=${fields['58'] || 'unknown'}`);
+  }
+
+  /**
+   * Handle a pre-trade risk rejection. The order never reached TrueX, so a
+   * rejected place is dropped and a rejected replace leaves the original
+   * order resting as it was.
+   */
+  onRiskRejection(rejection) {
+    if (!rejection) return;
+
+    const { clOrdID, reason, message } = rejection;
+    const pending = this.pendingReplaces.get(clOrdID);
+
+    if (pending) {
+      this.pendingReplaces.delete(clOrdID);
+      const order = this.activeOrders.get(pending.origClOrdID);
+      if (order) order.status = pending.prevStatus;
+    } else {
+      this.activeOrders.delete(clOrdID);
+    }
+
+    this.logger.warn(`[QuoteEngine] Risk rejected: clOrdID=${clOrdID}, reason=${reason} (${message})`);
+  }
+
+  /**
+   * ExecType=E: TrueX accepted the replace request; the original order
+   * stays live until the Replaced report arrives.
+   */
+  _handlePendingReplace(fields) {
+    const pending = this.pendingReplaces.get(fields['11']);
+    const origClOrdID = fields['41'] || (pending && pending.origClOrdID);
+    const order = this.activeOrders.get(origClOrdID);
+    if (order) {
+      order.status = 'pending-replace';
+    }
+  }
+
+  /**
+   * ExecType=5: the replace took effect. Rekey the order from the
+   * original ClOrdID to the new one with the new price and size.
+   */
+  _handleReplaced(fields) {
+    const clOrdID = fields['11'];
+    const pending = this.pendingReplaces.get(clOrdID);
+    const origClOrdID = fields['41'] || (pending && pending.origClOrdID);
+    this.pendingReplaces.delete(clOrdID);
+
+    const order = this.activeOrders.get(origClOrdID);
+    this.activeOrders.delete(origClOrdID);
+
+    // The original already filled or was cancelled: a late ack must not revive it
+    if (!order) {
+      this.logger.warn(`[QuoteEngine] Replaced report for unknown or closed order: clOrdID=${clOrdID}, origClOrdID=${origClOrdID}`);
+      return;
+    }
+
+    const cumQty = fields['14'] != null ? parseFloat(fields['14']) : order.cumQty || 0;
+    // Without a pending replace (adopted order, duplicate report) missing
+    // tags keep the original order's values
+    const orderQty = fields['38'] != null ? parseFloat(fields['38']) : (pending ? pending.orderQty : order.origSize);
+    const price = fields['44'] != null ? parseFloat(fields['44']) : (pending ? pending.quote.price : order.price);
+    const size = fields['151'] != null ? parseFloat(fields['151']) : Math.max(0, orderQty - cumQty);
+
+    this.activeOrders.set(clOrdID, {
+      side: order.side,
+      price,
+      size,
+      origSize: orderQty,
+      cumQty,
+      avgPx: order.avgPx || 0,
+      level: pending ? pending.quote.level : order.level,
+      status: cumQty > 0 ? 'partial' : 'active',
+      placedAt: Date.now(),
+      queueAhead: null,  // a new price goes to the back of the queue
+    });
+    this._initQueuePosition(this.activeOrders.get(clOrdID));
+    this.lastActionByClOrdID.set(clOrdID, Date.now());
+
+    this.emit('replaced', { origClOrdID, clOrdID, price, size });
+  }
+
+  /**
+   * A replace was rejected: restore the original order and fall back to
+   * cancel + new so the quote still moves.
+   */
+  _handleReplaceRejected(clOrdID, reason) {
+    const pending = this.pendingReplaces.get(clOrdID);
+    this.pendingReplaces.delete(clOrdID);
+
+    this.logger.warn(`[QuoteEngine] Replace rejected: clOrdID=${clOrdID}, origClOrdID=${pending.origClOrdID}, reason=${reason || 'unknown'} — falling back to cancel + new`);
+
+    const order = this.activeOrders.get(pending.origClOrdID);
+    if (!order) return; // Original already gone (filled/cancelled); next reprice re-places the level
+
+    order.status = pending.prevStatus;
+    // The failed replace should not block the fallback cancel
+    this.lastActionByClOrdID.delete(pending.origClOrdID);
+
+    this._runActions([
+      { type: 'cancel', clOrdID: pending.origClOrdID, order },
+      { type: 'place', quote: pending.quote },
+    ]);
+  }
+
+  /**
+   * Take over a working order found on the exchange at startup so that
+   * reconciliation reprices or cancels it like any other quote.
+   */
+  adoptOrder(clOrdID, { side, price, size, cumQty = 0, avgPx = 0, level }) {
+    this.activeOrders.set(clOrdID, {
+      side,
+      price,
+      size,
+      origSize: size + cumQty,
+      cumQty,
+      avgPx,
+      level,
+      status: cumQty > 0 ? 'partial' : 'active',
+      placedAt: Date.now(),
+    });
+    this.logger.info(`[QuoteEngine] Adopted ${side} L${level} ${size} @ ${price} (clOrdID=${clOrdID})`);
+  }
+
   /**
    * Emergency: cancel all active orders. Bypasses rate limiter for cancels.
    */
@@ -377,6 +1059,59 @@ export class QuoteEngine extends EventEmitter {
     this.emit('cancel-all', { reason: reason || 'emergency', orderCount });
   }
 
+  /**
+   * Stop quoting one side until resumeSide(). Its working orders are
+   * cancelled now, bypassing the rate limiter like cancelAllQuotes().
+   */
+  pauseSide(side, reason = 'paused') {
+    if (!SIDES.includes(side)) throw new Error(`Invalid side: ${side}`);
+
+    this.pausedSides.add(side);
+    for (const [clOrdID, order] of this.activeOrders) {
+      if (order.side === side) this._sendCancel(clOrdID, order);
+    }
+
+    this.logger.warn(`[QuoteEngine] Paused ${side} side: ${reason}`);
+    this.emit('side-paused', { side, reason });
+  }
+
+  /**
+   * Quote a paused side again from the next price update.
+   */
+  resumeSide(side) {
+    if (!SIDES.includes(side)) throw new Error(`Invalid side: ${side}`);
+    if (!this.pausedSides.delete(side)) return;
+
+    this.logger.info(`[QuoteEngine] Resumed ${side} side`);
+    this.emit('side-resumed', { side });
+  }
+
+  /**
+   * Change quote parameters (see RUNTIME_CONFIG) while running. Every key
+   * is validated before any is applied; the ladder picks them up on the
+   * next price update. Returns the previous values.
+   */
+  updateConfig(changes = {}) {
+    const entries = Object.entries(changes);
+    if (entries.length === 0) throw new Error('No config changes given');
+
+    for (const [key, value] of entries) {
+      const spec = RUNTIME_CONFIG[key];
+      if (!spec) throw new Error(`${key} cannot be changed at runtime`);
+      if (!spec.valid(value)) throw new Error(`Invalid ${key}: ${value} (expected ${spec.expected})`);
+    }
+
+    const previous = {};
+    for (const [key, value] of entries) {
+      previous[key] = this.config[key];
+      this.config[key] = value;
+    }
+
+    this.logger.info(`[QuoteEngine] Config updated: ${entries.map(([k, v]) => `${k}=${v}`).join(', ')}`);
+    this.emit('config-updated', { changes: { ...changes }, previous });
+    return previous;
+  }
+
   /**
    * Generate a unique ClOrdID that fits within 18 characters.
    */
@@ -405,9 +1140,45 @@ export class QuoteEngine extends EventEmitter {
       lastMid: this.lastMid,
       lastRepriceAt: this.lastRepriceAt,
       isQuoting: this.isQuoting,
+      pausedSides: [...this.pausedSides],
+      strategy: this.strategy.getState(),
+      volatility: this.volatilityEstimator
+        ? { ...this.volatilityEstimator.getState(), spreadBps: this.getEffectiveSpreadBps() }
+        : null,
+      signals: this.signals ? this.signals.getState() : null,
+      churn: this.getChurnStats(),
+      rejects: { ...this.rejects },
     };
   }
 
+  /**
+   * Start an order's queue estimate from the current TrueX book, if any.
+   */
+  _initQueuePosition(order) {
+    const feed = this.marketDataFeed;
+    if (!feed || typeof feed.getOrderBook !== 'function' || feed.isSubscribed === false) return;
+    order.queueAhead = null;
+    this.onBookUpdate(feed.getOrderBook());
+  }
+
+  /**
+   * Pick up the symbol's instrument spec when the registry replaced it.
+   */
+  _syncInstrument() {
+    const instrument = this.instrumentRegistry.resolve(this.config.symbol);
+    if (instrument === this.instrument) return;
+
+    const previous = this.instrument;
+    this.instrument = instrument;
+    for (const key of INSTRUMENT_FIELDS) {
+      this.config[key] = this.instrumentOverrides[key] ?? instrument[key];
+    }
+    if (previous) {
+      this.logger.info(`[QuoteEngine] ${this.config.symbol} instrument updated: tick=${this.config.tickSize} lot=${this.config.lotSize} ` +
+        `minSize=${this.config.minSize} minNotional=${this.config.minNotional} band=${this.config.priceBandPct}% status=${instrument.status}`);
+    }
+  }
+
   /**
    * Check if a canQuote call allows quoting on a side.
    */
@@ -429,16 +1200,23 @@ export class QuoteEngine extends EventEmitter {
    * Drain queued actions (call periodically from orchestrator or timer).
    */
   drainQueue() {
-    const now = Date.now();
-    if (now - this.lastActionReset >= 1000) {
-      this.actionsThisSecond = 0;
-      this.lastActionReset = now;
-    }
-
-    while (this.actionQueue.length > 0 && this.actionsThisSecond < this.config.maxOrdersPerSecond) {
+    while (this.actionQueue.length > 0 && !this.rateLimiter.isLimited()) {
       const action = this.actionQueue.shift();
       this._dispatchAction(action);
-      this.actionsThisSecond++;
+      this.rateLimiter.record();
     }
   }
 }
+
+function decimals(value) {
+  const parts = String(value).split('.');
+  return parts.length === 2 ? parts[1].length : 0;
+}
+
+function floorToTick(price, tickSize) {
+  return Math.floor(price / tickSize + 1e-9) * tickSize;
+}
+
+function ceilToTick(price, tickSize) {
+  return Math.ceil(price / tickSize - 1e-9) * tickSize;
+}
@@ -0,0 +1,294 @@
+/**
+ * StartupReconciliation
+ *
+ * Brings a freshly started market maker in line with exchange truth before
+ * quoting begins:
+ *   1. Replays recorded fills (AuditLogRecovery and/or Redis) into the
+ *      InventoryManager and PnLTracker, rebuilding position and FIFO lots.
+ *   2. Lists working orders on TrueX (TrueXRESTAdapter.getOpenOrders, or a
+ *      FIX mass status request) and adopts or cancels each one.
+ *   3. Sends an OrderStatusRequest (35=H) for orders our records think are
+ *      open but the exchange did not list, to learn how they ended.
+ *
+ * Every mismatch found is returned in report.discrepancies.
+ */
+
+const OPEN_STATUSES = new Set(['CREATED', 'SENT', 'OPEN', 'ACKNOWLEDGED', 'PARTIALLY_FILLED']);
+const TERMINAL_ORD_STATUSES = new Set(['2', '3', '4', '8', 'C']); // Filled, DoneForDay, Cancelled, Rejected, Expired
+
+export class StartupReconciliation {
+  constructor({
+    fixConnection,
+    restAdapter,
+    quoteEngine,
+    inventoryManager,
+    pnlTracker,
+    auditLogRecovery,
+    redisManager,
+    symbol,
+    instrumentId,
+    instrumentRegistry,
+    unknownOrderPolicy = 'cancel',
+    adoptKnownOrders = true,
+    logger,
+  } = {}) {
+    if (!quoteEngine) throw new Error('quoteEngine is required');
+    if (!inventoryManager) throw new Error('inventoryManager is required');
+    if (!fixConnection && !restAdapter) throw new Error('fixConnection or restAdapter is required');
+
+    this.fix = fixConnection || null;
+    this.rest = restAdapter || null;
+    this.quoteEngine = quoteEngine;
+    this.inventory = inventoryManager;
+    this.pnl = pnlTracker || null;
+    this.auditRecovery = auditLogRecovery || null;
+    this.redis = redisManager || null;
+    this.symbol = symbol || 'BTC-PYUSD';
+    this.instrumentId = instrumentId || null;
+    this.instrumentRegistry = instrumentRegistry || null;
+    this.unknownOrderPolicy = unknownOrderPolicy; // 'cancel' | 'adopt'
+    this.adoptKnownOrders = adoptKnownOrders;
+    this.logger = logger || console;
+    this.cancelCounter = 0;
+  }
+
+  /**
+   * Run the full reconciliation. `sessionIds` are the audit-log sessions
+   * whose fills and orders make up our records.
+   */
+  async run({ sessionIds = [], date = null } = {}) {
+    const report = {
+      fillsReplayed: 0,
+      position: null,
+      exchangeOrders: [],
+      adopted: [],
+      cancelled: [],
+      discrepancies: [],
+    };
+
+    const records = await this._loadRecords(sessionIds, date);
+    this._replayFills(records.fills, report);
+    report.position = this.inventory.getPositionSummary();
+
+    const exchangeOrders = await this._fetchOpenOrders();
+    report.exchangeOrders = exchangeOrders;
+    await this._reconcileOrders(exchangeOrders, records, report);
+
+    const listed = new Set(exchangeOrders.flatMap(o => [o.clOrdID, o.orderID]).filter(Boolean));
+    const missing = [...records.orders.values()].filter(o =>
+      OPEN_STATUSES.has(o.status) && !listed.has(o.orderId) && !listed.has(o.exchangeOrderId)
+    );
+    await this._checkMissingOrders(missing, records, report);
+
+    for (const d of report.discrepancies) {
+      this.logger.warn(`[StartupReconciliation] ${d.type}: ${d.detail}`);
+    }
+    this.logger.info(
+      `[StartupReconciliation] Replayed ${report.fillsReplayed} fills (net ${report.position.netPosition.toFixed(8)} BTC), ` +
+      `${exchangeOrders.length} working orders: ${report.adopted.length} adopted, ${report.cancelled.length} cancelled, ` +
+      `${report.discrepancies.length} discrepancies`
+    );
+
+    return report;
+  }
+
+  // --- Records ---
+
+  async _loadRecords(sessionIds, date) {
+    const fills = new Map();  // execID -> fill
+    const orders = new Map(); // orderId -> last known order state
+
+    if (this.auditRecovery) {
+      for (const sessionId of sessionIds) {
+        try {
+          const { ordersAdded, fillsAdded } = await this.auditRecovery.rebuildMemoryFromAudit(sessionId, { date });
+          for (const o of ordersAdded) orders.set(o.orderId, o);
+          for (const f of fillsAdded) fills.set(f.execID, f);
+        } catch (e) {
+          this.logger.warn(`[StartupReconciliation] Audit recovery failed for ${sessionId}: ${e.message}`);
+        }
+      }
+    }
+
+    if (this.redis) {
+      try {
+        for (const f of (await this.redis.getAllFills()) || []) {
+          if (f.execID && !fills.has(f.execID)) fills.set(f.execID, f);
+        }
+        for (const o of (await this.redis.getAllOrders()) || []) {
+          if (o.orderId && !orders.has(o.orderId)) orders.set(o.orderId, o);
+        }
+      } catch (e) {
+        this.logger.warn(`[StartupReconciliation] Redis recovery failed: ${e.message}`);
+      }
+    }
+
+    return { fills, orders };
+  }
+
+  _replayFills(fills, report) {
+    if (fills.size === 0) return;
+
+    if (this.inventory.fillCount > 0) {
+      report.discrepancies.push({ type: 'INVENTORY_NOT_EMPTY', detail: `inventory already holds ${this.inventory.fillCount} fills; recorded fills not replayed` });
+      return;
+    }
+
+    const ordered = [...fills.values()]
+      .filter(f => !f.symbol || f.symbol === this.symbol)
+      .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+    for (const f of ordered) {
+      const fill = {
+        side: f.side,
+        quantity: Number(f.quantity),
+        price: Number(f.price),
+        venue: f.venue || 'truex',
+        execID: f.execID,
+      };
+      this.inventory.onFill(fill);
+      if (this.pnl) {
+        this.pnl.onFill({ ...fill, isMaker: fill.venue === 'truex', timestamp: f.timestamp });
+      }
+      report.fillsReplayed++;
+    }
+  }
+
+  // --- Exchange orders ---
+
+  /**
+   * REST lists every symbol's orders: keep those whose instrument_id is our
+   * instrument ID (given, else from the instrument registry) or our symbol.
+   */
+  async _fetchOpenOrders() {
+    if (this.rest) {
+      const instrument = this.instrumentRegistry && this.instrumentRegistry.get(this.symbol);
+      const instrumentId = this.instrumentId || (instrument && instrument.instrumentId) || null;
+      const orders = (await this.rest.getOpenOrders()) || [];
+      return orders
+        .filter(o => o.instrument_id === this.symbol || (instrumentId != null && o.instrument_id === instrumentId))
+        .map(o => this._normalizeRestOrder(o));
+    }
+
+    const orders = await this.fix.requestMassStatus({ symbol: this.symbol });
+    return orders.filter(o => !TERMINAL_ORD_STATUSES.has(o.ordStatus));
+  }
+
+  _normalizeRestOrder(o) {
+    const orderQty = parseFloat(o.qty);
+    const cumQty = parseFloat(o.filled_qty || o.cum_qty || 0);
+    return {
+      clOrdID: o.external_id || o.client_order_id || o.id,
+      orderID: o.id,
+      symbol: this.symbol,
+      side: String(o.side).toLowerCase(),
+      price: parseFloat(o.price),
+      orderQty,
+      cumQty,
+      leavesQty: o.leaves_qty != null ? parseFloat(o.leaves_qty) : orderQty - cumQty,
+      ordStatus: cumQty > 0 ? '1' : '0',
+    };
+  }
+
+  async _reconcileOrders(exchangeOrders, records, report) {
+    const toAdopt = [];
+
+    for (const o of exchangeOrders) {
+      const known = records.orders.has(o.clOrdID) || records.orders.has(o.orderID);
+      if (!known) {
+        report.discrepancies.push({
+          type: 'UNKNOWN_ORDER',
+          clOrdID: o.clOrdID,
+          detail: `${o.side} ${o.leavesQty} @ ${o.price} (${o.clOrdID || o.orderID}) is working on TrueX but not in our records`,
+        });
+      }
+
+      const adopt = this.adoptKnownOrders && (known || this.unknownOrderPolicy === 'adopt');
+      if (adopt) {
+        toAdopt.push(o);
+      } else {
+        await this._cancel(o, report);
+      }
+    }
+
+    // Assign quote levels by distance from the touch: best price is level 1
+    for (const side of ['buy', 'sell']) {
+      const orders = toAdopt
+        .filter(o => o.side === side)
+        .sort((a, b) => side === 'buy' ? b.price - a.price : a.price - b.price);
+      orders.forEach((o, i) => {
+        this.quoteEngine.adoptOrder(o.clOrdID, {
+          side,
+          price: o.price,
+          size: o.leavesQty,
+          cumQty: o.cumQty,
+          avgPx: o.avgPx || 0,
+          level: i + 1,
+        });
+        report.adopted.push({ ...o, level: i + 1 });
+      });
+    }
+  }
+
+  async _cancel(order, report) {
+    try {
+      if (this.rest) {
+        await this.rest.cancelOrder(order.orderID);
+      } else {
+        await this.fix.sendMessage({
+          '35': 'F',
+          '11': `RC${Date.now().toString(36)}${(++this.cancelCounter).toString().padStart(3, '0')}`,
+          '41': order.clOrdID,
+          ...(order.orderID ? { '37': order.orderID } : {}),
+          '55': order.symbol || this.symbol,
+          '54': order.side === 'buy' ? '1' : '2',
+        });
+      }
+      report.cancelled.push(order);
+    } catch (e) {
+      report.discrepancies.push({ type: 'CANCEL_FAILED', clOrdID: order.clOrdID, detail: `cancel of ${order.clOrdID} failed: ${e.message}` });
+    }
+  }
+
+  // --- Orders our records think are open ---
+
+  async _checkMissingOrders(missing, records, report) {
+    for (const o of missing) {
+      if (!this.fix) {
+        report.discrepancies.push({ type: 'ORDER_NOT_ON_EXCHANGE', clOrdID: o.orderId, detail: `${o.orderId} is ${o.status} in our records but not working on TrueX` });
+        continue;
+      }
+
+      let status;
+      try {
+        status = await this.fix.requestOrderStatus({
+          clOrdID: o.orderId,
+          orderID: o.exchangeOrderId,
+          symbol: o.symbol || this.symbol,
+          side: o.side,
+        });
+      } catch (e) {
+        report.discrepancies.push({ type: 'ORDER_STATUS_UNKNOWN', clOrdID: o.orderId, detail: `status of ${o.orderId} unavailable: ${e.message}` });
+        continue;
+      }
+
+      const recordedQty = [...records.fills.values()]
+        .filter(f => f.orderId === o.orderId)
+        .reduce((sum, f) => sum + Number(f.quantity), 0);
+
+      if (status.cumQty > recordedQty + 1e-12) {
+        report.discrepancies.push({
+          type: 'MISSED_FILL',
+          clOrdID: o.orderId,
+          detail: `${o.orderId} filled ${status.cumQty} on TrueX but only ${recordedQty} is recorded (ordStatus=${status.ordStatus})`,
+        });
+      } else {
+        report.discrepancies.push({
+          type: 'ORDER_CLOSED_WHILE_DOWN',
+          clOrdID: o.orderId,
+          detail: `${o.orderId} is ${o.status} in our records but ordStatus=${status.ordStatus} on TrueX`,
+        });
+      }
+    }
+  }
+}
@@ -0,0 +1,439 @@
+import { EventEmitter } from 'events';
+
+/**
+ * PreTradeRiskGateway - Pre-trade checks on every outbound order.
+ *
+ * FIXConnection consults the gateway (options.riskGateway) before writing a
+ * NewOrderSingle (35=D) or OrderCancelReplaceRequest (35=G) to the socket,
+ * so the QuoteEngine, test scripts and TrueXMarketMaker.placeOrder all pass
+ * through the same limits. A violating order never reaches the socket and
+ * no sequence number is consumed.
+ *
+ * Checks:
+ *   - max order size (BTC) and max notional
+ *   - price band vs the reference mid (skipped while no fresh reference)
+ *   - fat-finger band vs the last trade
+ *   - aggregate working-order notional across symbols
+ *   - aggregate USD exposure across symbols, for orders that add to it
+ *   - open-order count
+ *   - per-minute message cap (TrueX: 300/min). Cancels (35=F) and mass
+ *     cancels (35=q) count towards it via recordCancel() but are never
+ *     refused, so quotes can always be pulled.
+ *
+ * With an instrumentRegistry, orders are also checked against the symbol's
+ * exchange spec: trading status, tick and lot alignment, min size and min
+ * notional, and its price band unless priceBandPct is given.
+ *
+ * Reference mid, last trade and position are kept per symbol (tag 55) when
+ * given one; a reference set without a symbol applies to every symbol.
+ *
+ * Events emitted:
+ *   'rejection' - { clOrdID, origClOrdID, msgType, symbol, side, price, size,
+ *                   reason, message, limit, value, timestamp }
+ */
+export class PreTradeRiskGateway extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.logger = options.logger || console;
+    this.instrumentRegistry = options.instrumentRegistry || null;
+
+    // Config
+    this.config = {
+      maxOrderSize: options.maxOrderSize || 1.0,
+      maxNotional: options.maxNotional || 250000,
+      priceBandPct: options.priceBandPct || (this.instrumentRegistry ? null : 2.5),  // null: per instrument
+      referenceMaxAgeMs: options.referenceMaxAgeMs || 10000,
+      fatFingerPct: options.fatFingerPct || 5,
+      maxOpenOrders: options.maxOpenOrders || 50,
+      maxOrdersPerMinute: options.maxOrdersPerMinute || 300,
+      maxOpenNotional: options.maxOpenNotional || Infinity,
+      maxExposureUSD: options.maxExposureUSD || Infinity,
+    };
+
+    // State
+    this.referencePrice = null;
+    this.referencePriceAt = 0;
+    this.lastTradePrice = null;
+    this.markets = new Map();      // symbol -> { referencePrice, referencePriceAt, lastTradePrice, netPosition }
+    this.openOrders = new Set();   // clOrdIDs believed live on the exchange
+    this.openNotional = new Map(); // clOrdID -> working notional (USD)
+    this.orderTimestamps = [];     // approved order and cancel send times, last 60s
+
+    // Stats
+    this.stats = {
+      approved: 0,
+      rejected: 0,
+      rejectionsByReason: {},
+    };
+
+    // Attached connection (standalone use)
+    this.fixConnection = null;
+    this._onMessage = this._onMessage.bind(this);
+  }
+
+  /**
+   * Put the gateway in front of a FIXConnection and track its execution
+   * reports. The orchestrator wires this itself; use attach() elsewhere.
+   */
+  attach(fixConnection) {
+    this.detach();
+    this.fixConnection = fixConnection;
+    fixConnection.riskGateway = this;
+    fixConnection.on('message', this._onMessage);
+  }
+
+  detach() {
+    if (!this.fixConnection) return;
+    this.fixConnection.removeListener('message', this._onMessage);
+    if (this.fixConnection.riskGateway === this) {
+      this.fixConnection.riskGateway = null;
+    }
+    this.fixConnection = null;
+  }
+
+  /**
+   * Update the reference mid used for the price band and exposure.
+   */
+  setReferencePrice(price, timestamp = Date.now(), symbol = null) {
+    if (!price || price <= 0) return;
+    const target = symbol ? this._market(symbol) : this;
+    target.referencePrice = price;
+    target.referencePriceAt = timestamp;
+  }
+
+  /**
+   * Update the last trade price used for the fat-finger check.
+   */
+  onTrade(price, symbol = null) {
+    if (!price || price <= 0) return;
+    const target = symbol ? this._market(symbol) : this;
+    target.lastTradePrice = price;
+  }
+
+  /**
+   * Update a symbol's net position for the exposure cap.
+   */
+  setPosition(symbol, netPosition) {
+    this._market(symbol).netPosition = netPosition || 0;
+  }
+
+  /**
+   * Aggregate USD exposure: |net position| x reference mid per symbol.
+   */
+  getExposure(now = Date.now()) {
+    const bySymbol = {};
+    let totalUSD = 0;
+    for (const [symbol, market] of this.markets) {
+      const price = this._pricesFor(symbol, now).markPrice;
+      const exposureUSD = price ? Math.abs(market.netPosition) * price : 0;
+      bySymbol[symbol] = { netPosition: market.netPosition, price, exposureUSD };
+      totalUSD += exposureUSD;
+    }
+    return { totalUSD, bySymbol };
+  }
+
+  /**
+   * Check an outbound order. Returns { approved: true } or
+   * { approved: false, rejection } and emits 'rejection' on violation.
+   */
+  checkOrder(fields, now = Date.now()) {
+    const msgType = fields['35'];
+    const clOrdID = fields['11'];
+    const origClOrdID = fields['41'];
+    const symbol = fields['55'];
+    const side = fields['54'] === '1' ? 'buy' : 'sell';
+    const size = parseFloat(fields['38']);
+    const price = fields['44'] != null ? parseFloat(fields['44']) : null;
+    const isReplace = msgType === 'G';
+
+    this._pruneWindow(now);
+
+    const prices = this._pricesFor(symbol, now);
+    const violation = this._findViolation({ symbol, side, size, price, prices, isReplace, origClOrdID, now });
+    if (violation) {
+      const rejection = {
+        clOrdID,
+        origClOrdID,
+        msgType,
+        symbol,
+        side,
+        price,
+        size,
+        ...violation,
+        timestamp: now,
+      };
+      this.stats.rejected++;
+      this.stats.rejectionsByReason[violation.reason] = (this.stats.rejectionsByReason[violation.reason] || 0) + 1;
+      this.logger.warn(`[RiskGateway] Rejected ${msgType} clOrdID=${clOrdID}: ${violation.message}`);
+      this.emit('rejection', rejection);
+      return { approved: false, rejection };
+    }
+
+    this.stats.approved++;
+    this.orderTimestamps.push(now);
+    if (!isReplace && clOrdID) {
+      this.openOrders.add(clOrdID);
+    }
+    const notionalPrice = price ?? prices.markPrice;
+    if (clOrdID && notionalPrice) {
+      this.openNotional.set(clOrdID, size * notionalPrice);
+    }
+    return { approved: true };
+  }
+
+  /**
+   * Count a cancel or mass cancel towards the per-minute cap.
+   */
+  recordCancel(now = Date.now()) {
+    this._pruneWindow(now);
+    this.orderTimestamps.push(now);
+  }
+
+  /**
+   * Count an order placed outside the gateway (e.g. adopted at startup)
+   * towards the open-order and open-notional limits.
+   */
+  trackOpenOrder(clOrdID, notional = 0) {
+    if (!clOrdID) return;
+    this.openOrders.add(clOrdID);
+    if (notional > 0) this.openNotional.set(clOrdID, notional);
+  }
+
+  /**
+   * Track open orders and last trade from inbound execution reports.
+   */
+  onExecutionReport(fields) {
+    if (!fields) return;
+
+    const clOrdID = fields['11'];
+    const origClOrdID = fields['41'];
+    const ordStatus = fields['39'];
+    const execType = fields['150'];
+
+    if (fields['31'] && parseFloat(fields['32'] || '0') > 0) {
+      this.onTrade(parseFloat(fields['31']), fields['55'] || null);
+    }
+
+    if (execType === '5') {
+      // Replaced: order now lives under the new ClOrdID
+      if (origClOrdID) {
+        this.openOrders.delete(origClOrdID);
+        this.openNotional.delete(origClOrdID);
+      }
+      if (clOrdID) this.openOrders.add(clOrdID);
+      this._updateOpenNotional(fields);
+      return;
+    }
+
+    // Filled, cancelled, rejected or expired (GTD/DAY)
+    if (ordStatus === '2' || ordStatus === '4' || ordStatus === '8' || ordStatus === 'C') {
+      this.openOrders.delete(clOrdID);
+      this.openNotional.delete(clOrdID);
+      if (origClOrdID && (ordStatus === '4' || ordStatus === 'C')) {
+        this.openOrders.delete(origClOrdID);
+        this.openNotional.delete(origClOrdID);
+      }
+      return;
+    }
+
+    if (ordStatus === '1') this._updateOpenNotional(fields);
+  }
+
+  /**
+   * A rejected replace's new ClOrdID never went live.
+   */
+  onOrderCancelReject(fields) {
+    if (fields && fields['11']) this.openNotional.delete(fields['11']);
+  }
+
+  getOpenNotional() {
+    let total = 0;
+    for (const notional of this.openNotional.values()) total += notional;
+    return total;
+  }
+
+  getStats() {
+    this._pruneWindow(Date.now());
+    return {
+      approved: this.stats.approved,
+      rejected: this.stats.rejected,
+      rejectionsByReason: { ...this.stats.rejectionsByReason },
+      openOrders: this.openOrders.size,
+      ordersLastMinute: this.orderTimestamps.length,
+      referencePrice: this.referencePrice,
+      lastTradePrice: this.lastTradePrice,
+      openNotional: this.getOpenNotional(),
+      exposure: this.getExposure(),
+    };
+  }
+
+  reset() {
+    this.openOrders.clear();
+    this.openNotional.clear();
+    this.orderTimestamps = [];
+    this.stats = { approved: 0, rejected: 0, rejectionsByReason: {} };
+  }
+
+  // --- Private helpers ---
+
+  _findViolation({ symbol, side, size, price, prices, isReplace, origClOrdID, now }) {
+    const {
+      maxOrderSize,
+      maxNotional,
+      priceBandPct,
+      fatFingerPct,
+      maxOpenOrders,
+      maxOrdersPerMinute,
+      maxOpenNotional,
+      maxExposureUSD,
+    } = this.config;
+    const { referencePrice, lastTradePrice, markPrice } = prices;
+
+    if (!Number.isFinite(size) || size <= 0) {
+      return { reason: 'INVALID_SIZE', message: `Invalid order size ${size}`, limit: 0, value: size };
+    }
+
+    const instrument = this.instrumentRegistry ? this.instrumentRegistry.resolve(symbol) : null;
+    if (instrument) {
+      const violation = this._instrumentViolation(instrument, size, price ?? referencePrice, price);
+      if (violation) return violation;
+    }
+
+    if (size > maxOrderSize) {
+      return { reason: 'MAX_ORDER_SIZE', message: `Size ${size} exceeds max ${maxOrderSize}`, limit: maxOrderSize, value: size };
+    }
+
+    const notionalPrice = price ?? referencePrice;
+    if (notionalPrice) {
+      const notional = size * notionalPrice;
+      if (notional > maxNotional) {
+        return { reason: 'MAX_NOTIONAL', message: `Notional ${notional.toFixed(2)} exceeds max ${maxNotional}`, limit: maxNotional, value: notional };
+      }
+    }
+
+    const bandPct = priceBandPct ?? instrument.priceBandPct;
+    if (price !== null && referencePrice) {
+      const deviationPct = Math.abs(price - referencePrice) / referencePrice * 100;
+      if (deviationPct > bandPct) {
+        return { reason: 'PRICE_BAND', message: `Price ${price} is ${deviationPct.toFixed(2)}% from reference ${referencePrice}`, limit: bandPct, value: deviationPct };
+      }
+    }
+
+    if (price !== null && lastTradePrice) {
+      const deviationPct = Math.abs(price - lastTradePrice) / lastTradePrice * 100;
+      if (deviationPct > fatFingerPct) {
+        return { reason: 'FAT_FINGER', message: `Price ${price} is ${deviationPct.toFixed(2)}% from last trade ${lastTradePrice}`, limit: fatFingerPct, value: deviationPct };
+      }
+    }
+
+    const orderPrice = price ?? markPrice;
+    if (orderPrice && Number.isFinite(maxOpenNotional)) {
+      const replaced = isReplace ? (this.openNotional.get(origClOrdID) || 0) : 0;
+      const openNotional = this.getOpenNotional() - replaced + size * orderPrice;
+      if (openNotional > maxOpenNotional) {
+        return { reason: 'MAX_OPEN_NOTIONAL', message: `Open notional ${openNotional.toFixed(2)} would exceed max ${maxOpenNotional}`, limit: maxOpenNotional, value: openNotional };
+      }
+    }
+
+    if (orderPrice && Number.isFinite(maxExposureUSD)) {
+      const position = this.markets.get(symbol)?.netPosition || 0;
+      const after = position + (side === 'buy' ? size : -size);
+      // Orders that reduce this symbol's position are always allowed
+      if (Math.abs(after) > Math.abs(position)) {
+        const { totalUSD, bySymbol } = this.getExposure(now);
+        const exposure = totalUSD - (bySymbol[symbol]?.exposureUSD || 0) + Math.abs(after) * orderPrice;
+        if (exposure > maxExposureUSD) {
+          return { reason: 'MAX_EXPOSURE', message: `Exposure ${exposure.toFixed(2)} would exceed max ${maxExposureUSD}`, limit: maxExposureUSD, value: exposure };
+        }
+      }
+    }
+
+    if (!isReplace && this.openOrders.size >= maxOpenOrders) {
+      return { reason: 'MAX_OPEN_ORDERS', message: `${this.openOrders.size} open orders at limit ${maxOpenOrders}`, limit: maxOpenOrders, value: this.openOrders.size };
+    }
+
+    if (this.orderTimestamps.length >= maxOrdersPerMinute) {
+      return { reason: 'RATE_LIMIT', message: `${this.orderTimestamps.length} orders and cancels in the last minute at limit ${maxOrdersPerMinute}`, limit: maxOrdersPerMinute, value: this.orderTimestamps.length };
+    }
+
+    return null;
+  }
+
+  _instrumentViolation(instrument, size, notionalPrice, price) {
+    const { symbol, status, tickSize, lotSize, minSize, minNotional } = instrument;
+
+    if (status !== 'open') {
+      return { reason: 'TRADING_HALTED', message: `${symbol} trading status is ${status}`, limit: 'open', value: status };
+    }
+
+    if (price !== null && tickSize && !isMultiple(price, tickSize)) {
+      return { reason: 'INVALID_TICK', message: `Price ${price} is not a multiple of tick ${tickSize}`, limit: tickSize, value: price };
+    }
+
+    if (lotSize && !isMultiple(size, lotSize)) {
+      return { reason: 'INVALID_LOT', message: `Size ${size} is not a multiple of lot ${lotSize}`, limit: lotSize, value: size };
+    }
+
+    if (minSize && size < minSize) {
+      return { reason: 'MIN_SIZE', message: `Size ${size} is below min ${minSize}`, limit: minSize, value: size };
+    }
+
+    if (minNotional && notionalPrice && size * notionalPrice < minNotional) {
+      const notional = size * notionalPrice;
+      return { reason: 'MIN_NOTIONAL', message: `Notional ${notional.toFixed(2)} is below min ${minNotional}`, limit: minNotional, value: notional };
+    }
+
+    return null;
+  }
+
+  _market(symbol) {
+    let market = this.markets.get(symbol);
+    if (!market) {
+      market = { referencePrice: null, referencePriceAt: 0, lastTradePrice: null, netPosition: 0 };
+      this.markets.set(symbol, market);
+    }
+    return market;
+  }
+
+  /**
+   * Fresh reference mid and last trade for a symbol, falling back to the
+   * symbol-less ones. markPrice is the best available price for notional.
+   */
+  _pricesFor(symbol, now) {
+    const market = symbol ? this.markets.get(symbol) : null;
+    const own = market && market.referencePrice ? market : this;
+    const referencePrice = own.referencePrice && (now - own.referencePriceAt) <= this.config.referenceMaxAgeMs
+      ? own.referencePrice
+      : null;
+    const lastTradePrice = (market && market.lastTradePrice) || this.lastTradePrice;
+    return { referencePrice, lastTradePrice, markPrice: referencePrice || lastTradePrice };
+  }
+
+  _updateOpenNotional(fields) {
+    const clOrdID = fields['11'];
+    const leavesQty = fields['151'] != null ? parseFloat(fields['151']) : null;
+    const price = fields['44'] != null ? parseFloat(fields['44']) : null;
+    if (clOrdID && leavesQty !== null && price) {
+      this.openNotional.set(clOrdID, leavesQty * price);
+    }
+  }
+
+  _pruneWindow(now) {
+    const cutoff = now - 60000;
+    while (this.orderTimestamps.length > 0 && this.orderTimestamps[0] <= cutoff) {
+      this.orderTimestamps.shift();
+    }
+  }
+
+  _onMessage(message) {
+    if (message && message.fields && message.fields['35'] === '8') {
+      this.onExecutionReport(message.fields);
+    }
+  }
+}
+
+function isMultiple(value, increment) {
+  const units = value / increment;
+  return Math.abs(units - Math.round(units)) < 1e-6;
+}
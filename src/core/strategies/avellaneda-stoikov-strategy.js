@@ -0,0 +1,140 @@
+/**
+ * AvellanedaStoikovStrategy - inventory-aware quoting after Avellaneda & Stoikov (2008).
+ *
+ *   reservation r = mid - q·γ·σ²·τ
+ *   spread      δa + δb = γ·σ²·τ + (2/γ)·ln(1 + γ/k)
+ *
+ * q is net position (BTC), γ risk aversion (1/(USD·BTC)), σ realized mid
+ * volatility (USD/√s), τ the horizon in seconds and k the decay of fill
+ * intensity with distance from mid (1/USD), λ(δ) = A·e^(-kδ).
+ *
+ * σ comes from the mids seen via onMid(); k and A come from our own fills
+ * via onFill(). Until enough fills are seen, k falls back to the value that
+ * reproduces baseSpreadBps, so a cold start quotes like the fixed model.
+ * The reservation price replaces the InventoryManager tick skew; the
+ * signals' part of the skew (alphaBidSkewTicks / alphaAskSkewTicks) still
+ * widens the side an expected move would run over.
+ */
+export class AvellanedaStoikovStrategy {
+  constructor(options = {}) {
+    this.name = 'avellaneda-stoikov';
+    this.logger = options.logger || console;
+
+    this.riskAversion = options.riskAversion || 0.001;
+    this.horizonSeconds = options.horizonSeconds || 60;
+    this.volWindow = options.volWindow || 300;                   // mid samples
+    this.minVolSamples = options.minVolSamples || 30;
+    this.intensityWindowMs = options.intensityWindowMs || 60 * 60 * 1000;
+    this.minFillsForIntensity = options.minFillsForIntensity || 10;
+    this.minHalfSpreadTicks = options.minHalfSpreadTicks || 1;
+
+    // State
+    this.mids = [];   // { ts, mid }
+    this.fills = [];  // { ts, depth }
+    this.lastMid = 0;
+    this.last = null; // last computed { reservation, halfSpread, sigma, k }
+  }
+
+  /**
+   * Record a mid sample for realized volatility.
+   */
+  onMid(mid, now = Date.now()) {
+    if (!mid || mid <= 0) return;
+    this.lastMid = mid;
+    this.mids.push({ ts: now, mid });
+    if (this.mids.length > this.volWindow) this.mids.shift();
+  }
+
+  /**
+   * Record one of our fills; its distance from mid feeds the intensity estimate.
+   */
+  onFill({ price, timestamp }) {
+    if (!this.lastMid || !price) return;
+    this.fills.push({ ts: timestamp || Date.now(), depth: Math.abs(price - this.lastMid) });
+  }
+
+  /**
+   * Realized volatility of mid in USD per √second, or 0 with too few samples.
+   */
+  getVolatility() {
+    if (this.mids.length < this.minVolSamples) return 0;
+
+    let sumSq = 0;
+    for (let i = 1; i < this.mids.length; i++) {
+      const r = Math.log(this.mids[i].mid / this.mids[i - 1].mid);
+      sumSq += r * r;
+    }
+    const elapsedSec = (this.mids[this.mids.length - 1].ts - this.mids[0].ts) / 1000;
+    if (elapsedSec <= 0) return 0;
+
+    return Math.sqrt(sumSq / elapsedSec) * this.lastMid;
+  }
+
+  /**
+   * Fill intensity λ(δ) = A·e^(-kδ) from recent fills: k is the maximum
+   * likelihood rate of the exponential depth distribution, A the fill rate.
+   * Returns null with too few fills.
+   */
+  getIntensity(now = Date.now()) {
+    const cutoff = now - this.intensityWindowMs;
+    while (this.fills.length > 0 && this.fills[0].ts < cutoff) this.fills.shift();
+    if (this.fills.length < this.minFillsForIntensity) return null;
+
+    const meanDepth = this.fills.reduce((sum, f) => sum + f.depth, 0) / this.fills.length;
+    const spanSec = Math.max((now - this.fills[0].ts) / 1000, 1);
+    return {
+      k: 1 / Math.max(meanDepth, 1e-9),
+      A: this.fills.length / spanSec,
+    };
+  }
+
+  /**
+   * Raw (unsnapped, unfiltered) ladder prices around the reservation price.
+   *
+   * @param {Object} ctx - { mid, skew: { alphaBidSkewTicks, alphaAskSkewTicks }, netPosition, config, now }
+   */
+  computeQuotes({ mid, skew = {}, netPosition = 0, config, now = Date.now() }) {
+    const { levels, baseSpreadBps, levelSpacingTicks, tickSize, baseSizeBTC, sizeDecayFactor } = config;
+    const gamma = this.riskAversion;
+    const tau = this.horizonSeconds;
+
+    const sigma = this.getVolatility();
+    const intensity = this.getIntensity(now);
+    // Cold start: the k whose spread term equals the fixed model's spread
+    const k = intensity
+      ? intensity.k
+      : gamma / Math.expm1(gamma * (baseSpreadBps / 10000) * mid / 2);
+
+    const variance = sigma * sigma;
+    const reservation = mid - netPosition * gamma * variance * tau;
+    const spread = gamma * variance * tau + (2 / gamma) * Math.log(1 + gamma / k);
+    const halfSpread = Math.max(spread / 2, this.minHalfSpreadTicks * tickSize);
+
+    this.last = { reservation, halfSpread, sigma, k, A: intensity ? intensity.A : null };
+
+    const alphaBid = (skew.alphaBidSkewTicks || 0) * tickSize;
+    const alphaAsk = (skew.alphaAskSkewTicks || 0) * tickSize;
+    const bids = [];
+    const asks = [];
+    for (let level = 1; level <= levels; level++) {
+      const levelOffset = level * levelSpacingTicks * tickSize;
+      const size = baseSizeBTC * Math.pow(sizeDecayFactor, level - 1);
+
+      bids.push({ price: reservation - halfSpread - levelOffset - alphaBid, size, level });
+      asks.push({ price: reservation + halfSpread + levelOffset + alphaAsk, size, level });
+    }
+
+    return { bids, asks };
+  }
+
+  getState() {
+    return {
+      name: this.name,
+      riskAversion: this.riskAversion,
+      horizonSeconds: this.horizonSeconds,
+      volSamples: this.mids.length,
+      fillSamples: this.fills.length,
+      ...(this.last || {}),
+    };
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * FixedSpreadStrategy - the original QuoteEngine model.
+ *
+ * Quotes a fixed bps spread around mid, steps each further level out by
+ * levelSpacingTicks, and shifts both sides by the InventoryManager tick skew.
+ */
+export class FixedSpreadStrategy {
+  constructor(options = {}) {
+    this.name = 'fixed-spread';
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Raw (unsnapped, unfiltered) ladder prices.
+   *
+   * @param {Object} ctx - { mid, skew: { bidSkewTicks, askSkewTicks }, config }
+   * @returns {{ bids: Array<{ price, size, level }>, asks: Array<{ price, size, level }> }}
+   */
+  computeQuotes({ mid, skew, config }) {
+    const { levels, baseSpreadBps, levelSpacingTicks, tickSize, baseSizeBTC, sizeDecayFactor } = config;
+
+    const halfSpread = (baseSpreadBps / 10000) * mid / 2;
+    const bids = [];
+    const asks = [];
+
+    for (let level = 1; level <= levels; level++) {
+      const levelOffset = level * levelSpacingTicks * tickSize;
+      const size = baseSizeBTC * Math.pow(sizeDecayFactor, level - 1);
+
+      bids.push({ price: mid - halfSpread - levelOffset - (skew.bidSkewTicks * tickSize), size, level });
+      asks.push({ price: mid + halfSpread + levelOffset + (skew.askSkewTicks * tickSize), size, level });
+    }
+
+    return { bids, asks };
+  }
+
+  onMid() {}
+
+  onFill() {}
+
+  getState() {
+    return { name: this.name };
+  }
+}
@@ -0,0 +1,32 @@
+import { FixedSpreadStrategy } from './fixed-spread-strategy.js';
+import { AvellanedaStoikovStrategy } from './avellaneda-stoikov-strategy.js';
+
+/**
+ * Quote strategies selectable by name (config `quoteModel`).
+ *
+ * A strategy implements:
+ *   computeQuotes({ mid, skew, netPosition, config, now }) → { bids, asks }
+ *       raw { price, size, level } ladders; QuoteEngine snaps and filters them
+ *   onMid(mid, now)          - every accepted price update
+ *   onFill({ side, price, size, timestamp }) - every fill of our quotes
+ *   getState()               - diagnostics for status reporting
+ */
+export const QUOTE_STRATEGIES = {
+  'fixed-spread': FixedSpreadStrategy,
+  'avellaneda-stoikov': AvellanedaStoikovStrategy,
+};
+
+/**
+ * Build a strategy from a name, or pass an existing instance through.
+ */
+export function createQuoteStrategy(strategy = 'fixed-spread', options = {}) {
+  if (typeof strategy === 'object' && strategy !== null) return strategy;
+
+  const Strategy = QUOTE_STRATEGIES[strategy];
+  if (!Strategy) {
+    throw new Error(`Unknown quote strategy: ${strategy}`);
+  }
+  return new Strategy(options);
+}
+
+export { FixedSpreadStrategy, AvellanedaStoikovStrategy };
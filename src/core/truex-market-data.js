@@ -35,6 +35,7 @@ export class TrueXMarketDataFeed extends EventEmitter {
       targetCompID: this.targetCompID,
       apiKey: this.apiKey,
       apiSecret: this.apiSecret,
+      logonDelayMs: options.logonDelayMs,
       logger: this.logger,
     });
 
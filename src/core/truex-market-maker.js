@@ -5,6 +5,7 @@ import { TrueXPostgreSQLManager } from '../data-pipeline/truex-postgresql-manage
 import { AuditLogger } from '../data-pipeline/audit-logger.js';
 import { TrueXOhlcBuilder } from '../data-pipeline/ohlc-builder.js';
 import { ExecutionReportRecovery } from './recovery/execution-report-recovery.js';
+import { validateOrderAttributes, fixOrderFields, classifyOrderReject, restatementReason } from './order-attributes.js';
 
 /**
  * TrueXMarketMaker Orchestrator
@@ -27,8 +28,11 @@ export class TrueXMarketMaker {
       apiKey: options.fix?.apiKey,
       apiSecret: options.fix?.apiSecret,
       heartbeatInterval: options.fix?.heartbeatInterval || 30,
+      sessionStore: options.fix?.sessionStore,
+      resetSchedule: options.fix?.resetSchedule,
       logger: this.logger,
-      auditLogger: this.auditLogger
+      auditLogger: this.auditLogger,
+      riskGateway: options.riskGateway
     });
 
     this.data = options.dataManager || new TrueXDataManager({ logger: this.logger });
@@ -46,6 +50,15 @@ export class TrueXMarketMaker {
     this.pg = options.pgManager || new TrueXPostgreSQLManager({ logger: this.logger });
     this.ohlc = options.ohlcBuilder || new TrueXOhlcBuilder({ symbol: this.symbol, logger: this.logger });
 
+    // Order attributes placeOrder() uses unless the order sets its own
+    this.orderAttributes = {
+      postOnly: options.postOnly || false,
+      timeInForce: options.timeInForce || 'GTC',
+      expireAfterMs: options.expireAfterMs || null,
+      selfTradePrevention: options.selfTradePrevention || null
+    };
+    validateOrderAttributes(this.orderAttributes);
+
     // Recovery options
     this.enableRecoveryOnStart = options.enableRecoveryOnStart || false;
     this.executionRecovery = options.executionRecovery || null;
@@ -113,9 +126,11 @@ export class TrueXMarketMaker {
     const orders = this.data.getPendingOrders(100);
     const fills = this.data.getPendingFills(100);
     const ohlc = this.data.getPendingOHLC(100);
+    const markouts = this.data.getPendingMarkouts(100);
     if (orders.length) await this.redis.flushOrders(orders);
     if (fills.length) await this.redis.flushFills(fills);
     if (ohlc.length) await this.redis.flushOHLC(ohlc);
+    if (markouts.length) await this.redis.flushMarkouts(markouts);
   }
 
   async migrateToPostgres() {
@@ -138,8 +153,16 @@ export class TrueXMarketMaker {
     return this.executionRecovery.detectMissingExecutions(this.sessionId, { date });
   }
 
-  // Basic order placement - builds a New Order Single and logs order events
-  async placeOrder({ clientOrderId, side, type = '2', size, price }) {
+  // Basic order placement - builds a New Order Single and logs order events.
+  // postOnly, timeInForce, expireTime, expireAfterMs and selfTradePrevention
+  // override the defaults from the constructor (see order-attributes.js).
+  async placeOrder({ clientOrderId, side, type = '2', size, price, ...overrides }) {
+    const attributes = { ...this.orderAttributes };
+    for (const key of ['postOnly', 'timeInForce', 'expireTime', 'expireAfterMs', 'selfTradePrevention']) {
+      if (overrides[key] !== undefined) attributes[key] = overrides[key];
+    }
+    validateOrderAttributes(attributes);
+
     const order = {
       orderId: clientOrderId || `OID-${Date.now()}`,
       clientOrderId: clientOrderId,
@@ -149,6 +172,8 @@ export class TrueXMarketMaker {
       type,
       size,
       price,
+      timeInForce: attributes.timeInForce,
+      postOnly: attributes.postOnly,
       status: 'CREATED',
       createdAt: Date.now()
     };
@@ -169,10 +194,21 @@ export class TrueXMarketMaker {
       '54': side === 'buy' ? '1' : '2',
       '38': String(size),
       ...(price ? { '44': String(price) } : {}),
-      '40': type // OrdType
+      '40': type, // OrdType
+      ...fixOrderFields(attributes)
     };
 
-    await this.fix.sendMessage(fields);
+    const result = await this.fix.sendMessage(fields);
+
+    // Blocked by the pre-trade risk gateway: never reached the socket
+    if (result && result.rejected) {
+      const { reason, message } = result.rejection;
+      order.status = 'REJECTED';
+      this.logger.warn(`[TrueXMarketMaker] Order ${order.orderId} rejected by risk gateway: ${message}`);
+      this.auditLogger.logOrderEvent('REJECTED', { ...order, reason, riskMessage: message });
+      this.data.updateOrder(order.orderId, { status: 'REJECTED', updatedAt: Date.now() });
+      return order.orderId;
+    }
 
     // Log SENT
     order.status = 'SENT';
@@ -215,6 +251,17 @@ export class TrueXMarketMaker {
 
     // Update order
     const updates = { status: this.mapOrdStatus(ordStatus), exchangeOrderId, updatedAt: Date.now() };
+    if (ordStatus === '8') {
+      updates.rejectKind = classifyOrderReject(fields);
+      updates.reason = fields['58'];
+    }
+    if (execType === 'D') {
+      // Restated by TrueX: repriced (post-only) or reduced (self-trade prevention)
+      if (fields['44'] != null) updates.price = Number(fields['44']);
+      if (fields['151'] != null) updates.size = Number(fields['151']);
+      updates.restatementReason = restatementReason(fields);
+      this.logger.info(`[TrueXMarketMaker] Order ${orderId} restated (${updates.restatementReason})`);
+    }
     this.data.updateOrder(orderId, updates);
 
     // Audit ACK / CANCELLED / REJECTED / FILLED transitions
@@ -306,6 +353,7 @@ export class TrueXMarketMaker {
       case '2': return 'FILLED';
       case '4': return 'CANCELLED';
       case '8': return 'REJECTED';
+      case 'C': return 'EXPIRED';
       default: return 'UNKNOWN';
     }
   }
@@ -316,6 +364,8 @@ export class TrueXMarketMaker {
       case '0': return 'ACKNOWLEDGED'; // New
       case '4': return 'CANCELLED';
       case '8': return 'REJECTED';
+      case 'C': return 'EXPIRED';
+      case 'D': return 'RESTATED';
       case 'F': return 'FILLED';
       default:
         break;
@@ -85,6 +85,41 @@ describe('TrueXMarketMaker', () => {
     expect(auditLogger.logOrderEvent).toHaveBeenCalledWith('SENT', expect.objectContaining({ orderId: 'OID-1', status: 'SENT' }));
   });
 
+  it('placeOrder marks the order REJECTED when the risk gateway blocks it', async () => {
+    fix.sendMessage.mockResolvedValueOnce({
+      rejected: true,
+      rejection: { clOrdID: 'OID-R', reason: 'MAX_ORDER_SIZE', message: 'Size 5 exceeds max 1' },
+    });
+    const oid = await mm.placeOrder({ clientOrderId: 'OID-R', side: 'buy', type: '2', size: 5, price: 100 });
+    expect(oid).toBe('OID-R');
+    expect(auditLogger.logOrderEvent).toHaveBeenCalledWith('REJECTED', expect.objectContaining({ orderId: 'OID-R', reason: 'MAX_ORDER_SIZE' }));
+    expect(auditLogger.logOrderEvent).not.toHaveBeenCalledWith('SENT', expect.anything());
+    expect(mm.data.getOrder('OID-R').status).toBe('REJECTED');
+  });
+
+  it('placeOrder sends post-only, time in force and self-trade prevention', async () => {
+    await mm.placeOrder({ clientOrderId: 'OID-P', side: 'sell', type: '2', size: 1, price: 101, postOnly: true, selfTradePrevention: 'cancel-both' });
+    expect(fix.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ '11': 'OID-P', '18': '6', '59': '1', '2964': '3' }));
+
+    await expect(mm.placeOrder({ clientOrderId: 'OID-X', side: 'buy', size: 1, price: 99, postOnly: true, timeInForce: 'FOK' }))
+      .rejects.toThrow('postOnly cannot be combined with FOK');
+  });
+
+  it('maps post-only rejects, restatements and expiries into order state', async () => {
+    await mm.placeOrder({ clientOrderId: 'OID-A', side: 'buy', type: '2', size: 1, price: 100, postOnly: true });
+    await mm.placeOrder({ clientOrderId: 'OID-B', side: 'buy', type: '2', size: 1, price: 99, timeInForce: 'GTD', expireAfterMs: 60000 });
+
+    await mm.handleFIXMessage({ fields: { '35': '8', '150': '8', '39': '8', '11': 'OID-A', '58': 'Post-only order would cross' } });
+    expect(mm.data.getOrder('OID-A')).toMatchObject({ status: 'REJECTED', rejectKind: 'post-only' });
+
+    await mm.handleFIXMessage({ fields: { '35': '8', '150': 'D', '39': '0', '11': 'OID-B', '378': '5', '151': '0.4' } });
+    expect(mm.data.getOrder('OID-B')).toMatchObject({ status: 'OPEN', size: 0.4, restatementReason: 'partial-decline' });
+    expect(auditLogger.logOrderEvent).toHaveBeenCalledWith('RESTATED', expect.objectContaining({ orderId: 'OID-B' }));
+
+    await mm.handleFIXMessage({ fields: { '35': '8', '150': 'C', '39': 'C', '11': 'OID-B' } });
+    expect(mm.data.getOrder('OID-B').status).toBe('EXPIRED');
+  });
+
   it('handleFIXMessage logs order transitions and fill events', async () => {
     // Seed order in memory
     await mm.placeOrder({ clientOrderId: 'OID-2', side: 'buy', type: '2', size: 1, price: 100 });
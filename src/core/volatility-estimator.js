@@ -0,0 +1,187 @@
+import { EventEmitter } from 'events';
+import { TrueXOhlcBuilder } from '../data-pipeline/ohlc-builder.js';
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * VolatilityEstimator - Rolling realized volatility from OHLC candles.
+ *
+ * Candles come from a TrueXOhlcBuilder / L2OhlcOrchestrator (its 'candle'
+ * events, without taking candles from its flush consumer), from a reference trade stream (built into candles
+ * here), or are pushed directly via onCandle(). Each candle contributes a
+ * Parkinson high-low variance, so a wide candle registers even when it
+ * closes near its open.
+ *
+ * Realized vol is annualized and compared against referenceVolPct to give
+ * the spread multiplier QuoteEngine applies to baseSpreadBps.
+ *
+ * Events emitted:
+ *   'volatility'     - { annualizedVolPct, multiplier, regime, candles }
+ *   'regime-change'  - { from, to, annualizedVolPct }
+ */
+export class VolatilityEstimator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.logger = options.logger || console;
+
+    this.config = {
+      symbol: options.symbol || 'BTC-PYUSD',
+      candleIntervalMs: options.candleIntervalMs || 60_000,
+      windowCandles: options.windowCandles || 30,
+      minCandles: options.minCandles || 5,
+      referenceVolPct: options.referenceVolPct || 50,  // annualized vol that maps to multiplier 1
+      pollIntervalMs: options.pollIntervalMs || 5_000,
+      // multiplier thresholds for each regime
+      regimes: options.regimes || { calm: 0.75, elevated: 1.5, extreme: 3 },
+    };
+
+    // State
+    this.variances = [];  // per-candle Parkinson variance, oldest first
+    this.annualizedVolPct = null;
+    this.regime = 'unknown';
+    this.tradeCandles = new TrueXOhlcBuilder({
+      symbol: this.config.symbol,
+      intervalMs: this.config.candleIntervalMs,
+      exchange: 'reference',
+      logger: this.logger,
+    });
+
+    this.bindings = [];
+  }
+
+  // --- Sources ---
+
+  /**
+   * Read a TrueXOhlcBuilder's or L2OhlcOrchestrator's completed candles.
+   * Candles are left for the source's flushCompleteCandles() consumer (the
+   * Redis pipeline); a flush forwards them here through 'candle', and the
+   * poll marks them complete when nothing flushes between polls.
+   */
+  addOhlcSource(source) {
+    const builder = source.symbolToOhlc ? source.symbolToOhlc.get(this.config.symbol) : source;
+    if (!builder) {
+      this.logger.warn(`[VolatilityEstimator] OHLC source has no ${this.config.symbol} candles`);
+      return;
+    }
+
+    const handler = (candle) => this.onCandle(candle);
+    builder.on('candle', handler);
+    const timer = setInterval(() => builder.markCompleteCandles(), this.config.pollIntervalMs);
+    this.bindings.push(() => {
+      clearInterval(timer);
+      builder.removeListener('candle', handler);
+    });
+  }
+
+  /**
+   * Build candles from a CoinbaseWsIngest trade stream (onTrade callback).
+   */
+  addCoinbaseIngest(ingest) {
+    const prevTrade = ingest.onTrade;
+
+    ingest.onTrade = (symbol, trades) => {
+      if (prevTrade) prevTrade(symbol, trades);
+      if (symbol !== this.config.symbol) return;
+      for (const t of trades) this.onTrade(t);
+    };
+
+    this.bindings.push(() => {
+      ingest.onTrade = prevTrade;
+    });
+  }
+
+  /**
+   * Remove all source bindings and poll timers.
+   */
+  detach() {
+    for (const unbind of this.bindings) unbind();
+    this.bindings = [];
+  }
+
+  // --- Inputs ---
+
+  /**
+   * Add a reference trade; completed candles are folded in as buckets close.
+   */
+  onTrade({ timestamp, price, volume }) {
+    // The builder drops prints without volume; only price matters here
+    this.tradeCandles.updateWithTrade({ timestamp, price, volume: volume || 1e-12 });
+    for (const candle of this.tradeCandles.flushCompleteCandles(timestamp)) {
+      this.onCandle(candle);
+    }
+  }
+
+  /**
+   * Add a completed candle.
+   */
+  onCandle(candle) {
+    if (!candle || !(candle.high > 0) || !(candle.low > 0)) return;
+    if (candle.symbol && !this._symbolMatches(candle.symbol)) return;
+
+    const range = Math.log(candle.high / candle.low);
+    this.variances.push((range * range) / (4 * Math.LN2));
+    if (this.variances.length > this.config.windowCandles) this.variances.shift();
+
+    this._update();
+  }
+
+  // --- Outputs ---
+
+  /**
+   * Spread multiplier: realized vol over referenceVolPct (1 until warmed up).
+   */
+  getSpreadMultiplier() {
+    if (this.annualizedVolPct === null) return 1;
+    return this.annualizedVolPct / this.config.referenceVolPct;
+  }
+
+  getState() {
+    return {
+      regime: this.regime,
+      annualizedVolPct: this.annualizedVolPct,
+      multiplier: this.getSpreadMultiplier(),
+      candles: this.variances.length,
+    };
+  }
+
+  reset() {
+    this.variances = [];
+    this.annualizedVolPct = null;
+    this.regime = 'unknown';
+  }
+
+  // --- Internal ---
+
+  _update() {
+    if (this.variances.length < this.config.minCandles) return;
+
+    const meanVariance = this.variances.reduce((sum, v) => sum + v, 0) / this.variances.length;
+    const perYear = YEAR_MS / this.config.candleIntervalMs;
+    this.annualizedVolPct = Math.sqrt(meanVariance * perYear) * 100;
+
+    const multiplier = this.getSpreadMultiplier();
+    const { calm, elevated, extreme } = this.config.regimes;
+    let regime = 'normal';
+    if (multiplier >= extreme) regime = 'extreme';
+    else if (multiplier >= elevated) regime = 'elevated';
+    else if (multiplier < calm) regime = 'calm';
+
+    if (regime !== this.regime) {
+      const from = this.regime;
+      this.regime = regime;
+      this.logger.info(
+        `[VolatilityEstimator] Regime ${from} → ${regime} (${this.annualizedVolPct.toFixed(1)}% annualized)`
+      );
+      this.emit('regime-change', { from, to: regime, annualizedVolPct: this.annualizedVolPct });
+    }
+
+    this.emit('volatility', this.getState());
+  }
+
+  // Candle symbols vary by source: 'BTC-PYUSD', 'BTC-USD', 'BTC/USD'
+  _symbolMatches(symbol) {
+    const base = (s) => s.split(/[-/]/)[0];
+    return base(symbol) === base(this.config.symbol);
+  }
+}
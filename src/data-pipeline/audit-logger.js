@@ -36,6 +36,7 @@ export class AuditLogger {
       orderEventsLogged: 0,
       fillEventsLogged: 0,
       errorsLogged: 0,
+      controlCommandsLogged: 0,
       writeFailures: 0,
       lastWriteTime: 0
     };
@@ -219,6 +220,30 @@ export class AuditLogger {
     return success;
   }
   
+  /**
+   * Log operator command (control API) with its outcome
+   */
+  logControlCommand(command) {
+    const logEntry = {
+      timestamp: Date.now(),
+      type: 'CONTROL_COMMAND',
+      sessionId: command.sessionId,
+      command: command.command,
+      params: command.params,
+      source: command.source,          // 'http' | 'ws'
+      remoteAddress: command.remoteAddress,
+      ok: command.ok,
+      error: command.error || null
+    };
+    
+    const success = this.writeLogEntry(logEntry);
+    if (success) {
+      this.stats.controlCommandsLogged++;
+    }
+    
+    return success;
+  }
+  
   /**
    * Recover session data from audit log
    */
@@ -19,13 +19,15 @@ async function getWebSocketImpl() {
 export function mapToCoinbaseProductId(symbol) {
   // TrueX BTC-PYUSD -> Coinbase BTC-USD (closest liquid proxy)
   if (symbol === 'BTC-PYUSD' || symbol === 'BTC/USD') return 'BTC-USD';
-  if (symbol === 'ETH/USD') return 'ETH-USD';
+  if (symbol === 'ETH-PYUSD' || symbol === 'ETH/USD') return 'ETH-USD';
   return symbol.replace('/', '-');
 }
 
+// Proxies for TrueX symbols map back to the TrueX symbol, so a multi-symbol
+// orchestrator can route them to the symbol's components
 export function mapFromCoinbaseProductId(productId) {
   if (productId === 'BTC-USD') return 'BTC-PYUSD'; // normalize back to session symbol for consistency
-  if (productId === 'ETH-USD') return 'ETH/USD';
+  if (productId === 'ETH-USD') return 'ETH-PYUSD';
   return productId.replace('-', '/');
 }
 
@@ -86,6 +86,11 @@ export class L2OhlcOrchestrator {
     return book ? book.getTopOfBook() : null;
   }
 
+  markCompleteCandles(symbol, nowTs = Date.now()) {
+    const ohlc = this.symbolToOhlc.get(symbol);
+    return ohlc ? ohlc.markCompleteCandles(nowTs) : [];
+  }
+
   flushCompleteCandles(symbol, nowTs = Date.now()) {
     const ohlc = this.symbolToOhlc.get(symbol);
     return ohlc ? ohlc.flushCompleteCandles(nowTs) : [];
@@ -0,0 +1,169 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import readline from 'readline';
+
+export const RECORDING_VERSION = 1;
+
+/**
+ * MarketDataRecorder - Captures the market maker's raw inputs for replay.
+ *
+ * Writes gzip-compressed JSONL, one { t, source, data } record per line,
+ * where t is the Date.now() arrival time. Sources:
+ *   'coinbase' - raw Coinbase WS message text, as passed to CoinbaseWsIngest.handleMessage
+ *   'kraken'   - Kraken adapter 'orderBookUpdate' payload { symbol, bids, asks, timestamp }
+ *   'truex-md' - raw FIX from the TrueX market data session (35=W / 35=X)
+ *   'truex-oe' - raw FIX application messages from the order entry session (35=8 / 35=9 / 35=r)
+ *
+ * The first line is a 'header' record { version, sources, ...meta } written
+ * by start(), so bind sources before starting. ReplayDriver
+ * (src/simulation/replay-driver.js) reads recordings back.
+ */
+export class MarketDataRecorder {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join('./recordings', `md-${Date.now()}.jsonl.gz`);
+    this.logger = options.logger || console;
+
+    this.sources = new Set();
+    this.bindings = [];
+    this.gzip = null;
+    this.fileStream = null;
+    this.isRecording = false;
+
+    this.stats = {
+      recordsWritten: 0,
+      bySource: {},
+      writeFailures: 0,
+      startedAt: null,
+    };
+  }
+
+  /**
+   * Capture every raw message a CoinbaseWsIngest handles.
+   */
+  addCoinbaseIngest(ingest) {
+    const hadOwn = Object.prototype.hasOwnProperty.call(ingest, 'handleMessage');
+    const original = ingest.handleMessage;
+
+    ingest.handleMessage = (raw) => {
+      this.record('coinbase', typeof raw === 'string' ? raw : raw.toString());
+      return original.call(ingest, raw);
+    };
+
+    this.sources.add('coinbase');
+    this.bindings.push(() => {
+      if (hadOwn) ingest.handleMessage = original;
+      else delete ingest.handleMessage;
+    });
+  }
+
+  /**
+   * Capture a KrakenWebSocketV2ExchangeAdapter's 'orderBookUpdate' events.
+   */
+  addKrakenAdapter(adapter) {
+    const handler = ({ symbol, bids, asks, timestamp }) => {
+      this.record('kraken', { symbol, bids, asks, timestamp });
+    };
+    adapter.on('orderBookUpdate', handler);
+    this.sources.add('kraken');
+    this.bindings.push(() => adapter.removeListener('orderBookUpdate', handler));
+  }
+
+  /**
+   * Capture a TrueXMarketDataFeed's FIX session.
+   */
+  addTrueXFeed(feed) {
+    this.addFIXConnection(feed.fix, 'truex-md');
+  }
+
+  /**
+   * Capture raw application messages from a FIXConnection.
+   */
+  addFIXConnection(fix, source = 'truex-oe') {
+    const handler = (message) => {
+      if (message && message.raw) this.record(source, message.raw);
+    };
+    fix.on('message', handler);
+    this.sources.add(source);
+    this.bindings.push(() => fix.removeListener('message', handler));
+  }
+
+  /**
+   * Open the file and write the header. `meta` (symbol, sessionId, ...)
+   * is stored in the header for the replay side.
+   */
+  start(meta = {}) {
+    if (this.isRecording) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.fileStream = fs.createWriteStream(this.filePath);
+    this.gzip = zlib.createGzip();
+    this.gzip.pipe(this.fileStream);
+    this.gzip.on('error', (err) => this._onWriteError(err));
+    this.fileStream.on('error', (err) => this._onWriteError(err));
+
+    this.isRecording = true;
+    this.stats.startedAt = Date.now();
+    this.record('header', { version: RECORDING_VERSION, sources: [...this.sources], ...meta });
+    this.logger.info(`[MarketDataRecorder] Recording ${[...this.sources].join(', ') || 'no sources'} to ${this.filePath}`);
+  }
+
+  /**
+   * Append one record. Ignored until start() and after stop().
+   */
+  record(source, data, t = Date.now()) {
+    if (!this.isRecording) return;
+
+    try {
+      this.gzip.write(JSON.stringify({ t, source, data }) + '\n');
+      this.stats.recordsWritten++;
+      this.stats.bySource[source] = (this.stats.bySource[source] || 0) + 1;
+    } catch (err) {
+      this._onWriteError(err);
+    }
+  }
+
+  /**
+   * Unbind all sources and flush the file. Resolves once it is closed.
+   */
+  async stop() {
+    for (const unbind of this.bindings) unbind();
+    this.bindings = [];
+
+    if (!this.isRecording) return this.getStats();
+    this.isRecording = false;
+
+    const closed = new Promise((resolve) => {
+      this.fileStream.once('close', resolve);
+      this.fileStream.once('error', resolve);
+    });
+    this.gzip.end();
+    await closed;
+
+    this.logger.info(`[MarketDataRecorder] Wrote ${this.stats.recordsWritten} records to ${this.filePath}`);
+    return this.getStats();
+  }
+
+  getStats() {
+    return { ...this.stats, bySource: { ...this.stats.bySource }, filePath: this.filePath };
+  }
+
+  _onWriteError(err) {
+    this.stats.writeFailures++;
+    this.logger.error(`[MarketDataRecorder] Write failed: ${err.message}`);
+  }
+}
+
+/**
+ * Read a recording back in file order. Yields { t, source, data } records,
+ * header first.
+ */
+export async function* readRecording(filePath) {
+  const input = fs.createReadStream(filePath).pipe(zlib.createGunzip());
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line) continue;
+    yield JSON.parse(line);
+  }
+}
@@ -1,13 +1,25 @@
+import { EventEmitter } from 'events';
+import { instrumentRegistry } from '../core/instrument-registry.js';
+
 /**
  * TrueX OHLC Builder
  * Aggregates trades into time-bucketed OHLC candles.
+ * Trade prices are rounded to the symbol's tick (instrument registry).
+ *
+ * flushCompleteCandles() hands completed candles to their one consumer (the
+ * Redis pipeline); other readers listen for 'candle' instead.
+ *
+ * Events emitted:
+ *   'candle' - each candle once, when it is first found complete
  */
-export class TrueXOhlcBuilder {
+export class TrueXOhlcBuilder extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.symbol = options.symbol || 'BTC/USD';
     this.exchange = options.exchange || 'truex';
     this.intervalMs = options.intervalMs || 60_000; // 1m
     this.logger = options.logger || console;
+    this.instrumentRegistry = options.instrumentRegistry || instrumentRegistry;
 
     // Map key: `${symbol}:${bucketTs}` -> candle
     this.candles = new Map();
@@ -20,6 +32,7 @@ export class TrueXOhlcBuilder {
   updateWithTrade({ timestamp, price, volume, symbol }) {
     if (!timestamp || !price || !volume) return null;
     const sym = symbol || this.symbol;
+    price = this.instrumentRegistry.normalizePrice(sym, price);
     const bucketTs = this.getBucketTs(timestamp);
     const key = `${sym}:${bucketTs}`;
 
@@ -76,13 +89,27 @@ export class TrueXOhlcBuilder {
     return c;
   }
 
-  // Return and mark candles fully before 'now' as complete
+  // Mark candles fully before 'now' as complete, emitting each once; they
+  // stay in the builder until flushed
+  markCompleteCandles(nowTs = Date.now()) {
+    const completed = [];
+    for (const c of this.candles.values()) {
+      if (!c.isComplete && c.timestamp + this.intervalMs <= nowTs) {
+        c.isComplete = true;
+        completed.push(c);
+      }
+    }
+    completed.sort((a, b) => a.timestamp - b.timestamp);
+    for (const c of completed) this.emit('candle', c);
+    return completed;
+  }
+
+  // Return and remove candles fully before 'now', marking them complete
   flushCompleteCandles(nowTs = Date.now()) {
+    this.markCompleteCandles(nowTs);
     const completed = [];
     for (const [key, c] of this.candles.entries()) {
-      const bucketEnd = c.timestamp + this.intervalMs;
-      if (bucketEnd <= nowTs) {
-        c.isComplete = true;
+      if (c.isComplete) {
         completed.push(c);
         this.candles.delete(key);
       }
@@ -41,4 +41,17 @@ describe('TrueXOhlcBuilder', () => {
     expect(after.length).toBe(1);
     expect(after[0].isComplete).toBe(true);
   });
+
+  it('emits each completed candle once, whether marked or flushed', () => {
+    const base = 1_699_999_980_000;  // on a minute boundary
+    const seen = [];
+    b.on('candle', (c) => seen.push(c.timestamp));
+    b.updateWithTrade({ timestamp: base + 1_000, price: 100, volume: 1 });
+    b.updateWithTrade({ timestamp: base + 61_000, price: 101, volume: 1 });
+
+    expect(b.markCompleteCandles(base + 61_000)).toHaveLength(1);
+    expect(b.candles.size).toBe(2);
+    expect(b.flushCompleteCandles(base + 121_000)).toHaveLength(2);
+    expect(seen).toEqual([base, base + 60_000]);
+  });
 });
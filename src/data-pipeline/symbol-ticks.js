@@ -1,11 +1,10 @@
-// Per-symbol tick size map and price normalization helpers
+// Per-symbol tick size lookup and price normalization helpers.
+// Tick sizes come from the shared InstrumentRegistry.
 
-export const SYMBOL_TICK_SIZES = {
-  'BTC-PYUSD': 0.5,
-};
+import { instrumentRegistry } from '../core/instrument-registry.js';
 
 export function getTickSizeForSymbol(symbol) {
-  return SYMBOL_TICK_SIZES[symbol] ?? null;
+  return instrumentRegistry.getTickSize(symbol);
 }
 
 function countDecimals(value) {
@@ -25,6 +24,3 @@ export function normalizePriceForSymbol(symbol, price) {
   const tickSize = getTickSizeForSymbol(symbol);
   return normalizePriceToTick(price, tickSize);
 }
-
-
-
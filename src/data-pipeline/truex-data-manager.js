@@ -21,12 +21,14 @@ export class TrueXDataManager {
     this.fillsByExecId = new Map();       // execID -> Fill (for deduplication)
     this.ohlcBuffer = [];                 // Array of pending OHLC candles
     this.executionReports = new Map();    // execID -> ExecutionReport
+    this.markouts = new Map();            // execID -> fill markout record
     
     // Write-behind queues for Redis batch flushing
     this.pendingWrites = {
       orders: [],
       fills: [],
-      ohlc: []
+      ohlc: [],
+      markouts: []
     };
     
     // Configuration
@@ -212,6 +214,29 @@ export class TrueXDataManager {
     return [...this.ohlcBuffer];
   }
   
+  /**
+   * Add a fill markout record (MarkoutTracker 'markout' event)
+   */
+  addMarkout(markout) {
+    if (!markout.execID) {
+      throw new Error('Markout must have execID');
+    }
+    
+    this.markouts.set(markout.execID, markout);
+    this.pendingWrites.markouts.push(markout);
+    
+    this.logger.debug(`[TrueXDataManager] Markout added: ${markout.execID}`);
+    
+    return markout;
+  }
+  
+  /**
+   * Get markout by execID
+   */
+  getMarkout(execID) {
+    return this.markouts.get(execID);
+  }
+  
   /**
    * Add execution report to memory
    */
@@ -298,6 +323,15 @@ export class TrueXDataManager {
     return cleaned;
   }
   
+  /**
+   * Get pending markouts for flushing to Redis
+   */
+  getPendingMarkouts(limit = 100) {
+    const pending = this.pendingWrites.markouts.splice(0, limit);
+    this.logger.debug(`[TrueXDataManager] Retrieved ${pending.length} pending markouts for flush`);
+    return pending;
+  }
+  
   /**
    * Clear OHLC buffer (after successful flush)
    */
@@ -323,6 +357,8 @@ export class TrueXDataManager {
       pendingOrders: this.pendingWrites.orders.length,
       pendingFills: this.pendingWrites.fills.length,
       pendingOHLC: this.pendingWrites.ohlc.length,
+      pendingMarkouts: this.pendingWrites.markouts.length,
+      markoutsInMemory: this.markouts.size,
       executionReportsInMemory: this.executionReports.size
     };
   }
@@ -337,10 +373,12 @@ export class TrueXDataManager {
     this.fillsByExecId.clear();
     this.ohlcBuffer = [];
     this.executionReports.clear();
+    this.markouts.clear();
     
     this.pendingWrites.orders = [];
     this.pendingWrites.fills = [];
     this.pendingWrites.ohlc = [];
+    this.pendingWrites.markouts = [];
     
     this.stats = {
       ordersInMemory: 0,
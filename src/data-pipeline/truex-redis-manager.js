@@ -98,6 +98,15 @@ export class TrueXRedisManager {
       this.l2KeyPrefix = `adaptive:truex:${String(symbol).toLowerCase().replace(/[^a-z0-9]+/g, '-')}:${sessionId}:l2`;
     }
 
+    // Markout key prefix
+    if (typeof this.keyGenerator.generateCustomKey === 'function') {
+      this.markoutKeyPrefix = this.keyGenerator.generateCustomKey('markout');
+    } else if (typeof this.keyGenerator.generateKey === 'function') {
+      this.markoutKeyPrefix = this.keyGenerator.generateKey('markout');
+    } else {
+      this.markoutKeyPrefix = `adaptive:truex:${String(symbol).toLowerCase().replace(/[^a-z0-9]+/g, '-')}:${sessionId}:markout`;
+    }
+
     // Dedup prefix for execID reservations (requires keyGenerator)
     if (typeof this.keyGenerator.generateCustomKey === 'function') {
       this.dedupKeyPrefix = this.keyGenerator.generateCustomKey('dedup');
@@ -112,6 +121,7 @@ export class TrueXRedisManager {
       ordersFlushed: 0,
       fillsFlushed: 0,
       ohlcFlushed: 0,
+      markoutsFlushed: 0,
       flushErrors: 0,
       lastFlushTime: 0,
       fillsDedupSkipped: 0
@@ -379,6 +389,65 @@ export class TrueXRedisManager {
     return results;
   }
   
+  /**
+   * Flush fill markouts to Redis
+   * Format: ${markoutKeyPrefix}:${execID} hash with one field per horizon
+   */
+  async flushMarkouts(markouts) {
+    const results = {
+      success: 0,
+      failed: 0,
+      skipped: 0,
+      errors: []
+    };
+    
+    if (!markouts || markouts.length === 0) {
+      return results;
+    }
+    
+    for (const markout of markouts) {
+      try {
+        if (!markout || !markout.execID) {
+          this.logger.warn('[TrueXRedisManager] Skipping invalid markout (missing execID)');
+          results.skipped++;
+          continue;
+        }
+        
+        const key = `${this.markoutKeyPrefix}:${markout.execID}`;
+        const markoutData = {
+          execID: markout.execID,
+          orderId: markout.clOrdID,
+          symbol: this.symbol,
+          side: markout.side,
+          level: markout.level,
+          price: markout.price,
+          size: markout.size,
+          midAtFill: markout.midAtFill,
+          timestamp: markout.timestamp,
+        };
+        for (const [horizon, bps] of Object.entries(markout.markouts || {})) {
+          markoutData[`markout_${horizon}`] = bps;
+        }
+        
+        await this.redisClient.hset(key, markoutData);
+        await this.redisClient.expire(key, 86400); // 24 hours
+        
+        results.success++;
+        this.stats.markoutsFlushed++;
+      } catch (error) {
+        this.logger.error(`[TrueXRedisManager] Failed to flush markout ${markout.execID}:`, error.message);
+        results.failed++;
+        results.errors.push({ execID: markout.execID, error: error.message });
+        this.stats.flushErrors++;
+      }
+    }
+    
+    this.stats.lastFlushTime = Date.now();
+    this.logger.info(`[TrueXRedisManager] Markouts flushed: ${results.success} success, ${results.failed} failed`);
+    
+    return results;
+  }
+  
   /**
    * Update session data in Redis
    */
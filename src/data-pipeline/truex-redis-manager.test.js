@@ -344,7 +344,34 @@ describe('TrueXRedisManager', () => {
       expect(results.errors).toHaveLength(1);
     });
   });
-  
+
+  describe('flushMarkouts()', () => {
+    it('should flush markouts keyed by execID with one field per horizon', async () => {
+      const results = await redisManager.flushMarkouts([
+        {
+          execID: 'EXEC-1',
+          clOrdID: 'ORDER-1',
+          side: 'buy',
+          level: 2,
+          price: 50000,
+          size: 0.1,
+          midAtFill: 50010,
+          timestamp: 1696723200000,
+          markouts: { '1s': 1.5, '60s': -3.2 }
+        },
+        { clOrdID: 'NO-EXEC' }
+      ]);
+
+      expect(results.success).toBe(1);
+      expect(results.skipped).toBe(1);
+      const [key, data] = mockRedisClient.hset.mock.calls[0];
+      expect(key).toContain('markout');
+      expect(key).toContain('EXEC-1');
+      expect(data).toMatchObject({ orderId: 'ORDER-1', level: 2, markout_1s: 1.5, markout_60s: -3.2 });
+      expect(redisManager.getStats().markoutsFlushed).toBe(1);
+    });
+  });
+
   describe('updateSession()', () => {
     it('should update session in Redis', async () => {
       const updates = {
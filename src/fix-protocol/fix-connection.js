@@ -1,6 +1,7 @@
 import net from 'net';
 import crypto from 'crypto';
 import { EventEmitter } from 'events';
+import { getSessionKey } from './session-store.js';
 
 /**
  * FIX Protocol Connection Manager for TrueX
@@ -11,9 +12,14 @@ import { EventEmitter } from 'events';
  * 
  * Features:
  * - HMAC-SHA256 authentication
- * - Message sequence management
+ * - Message sequence management (optionally persisted via a session store)
  * - Heartbeat handling
  * - Automatic reconnection with exponential backoff
+ * - Order mass cancel (35=q → 35=r) and mass status (35=AF → 35=8 w/ 584)
+ * - Order status request (35=H → 35=8 w/ 790)
+ * - Inbound gap recovery: out-of-order messages are buffered until a
+ *   ResendRequest fills the gap, SequenceReset (35=4) is applied in GapFill
+ *   and Reset modes, and PossDup (43=Y) replays are processed idempotently
  */
 export class FIXConnection extends EventEmitter {
   constructor(options = {}) {
@@ -33,6 +39,8 @@ export class FIXConnection extends EventEmitter {
     this.beginString = 'FIXT.1.1';
     this.defaultApplVerID = 'FIX.5.0SP2';
     this.heartbeatInterval = options.heartbeatInterval || 30; // seconds
+    // Pause between TCP connect and Logon while the proxy reaches TrueX
+    this.logonDelayMs = options.logonDelayMs ?? 2000;
     
     // Connection state
     this.socket = null;
@@ -43,6 +51,14 @@ export class FIXConnection extends EventEmitter {
     this.msgSeqNum = 1;
     this.expectedSeqNum = 1;
     
+    // Optional persistent session store (FileSessionStore / RedisSessionStore).
+    // Without one, every connect() starts a fresh session at seq 1.
+    this.sessionStore = options.sessionStore || null;
+    this.resetSchedule = options.resetSchedule || { frequency: 'daily', time: '00:00' };
+    this.sessionKey = null;
+    this.resetSeqNumOnLogon = true; // ResetSeqNumFlag (141) sent on Logon
+    this.persistQueue = Promise.resolve(); // outbound writes, in send order
+    
     // Heartbeat management
     this.heartbeatTimer = null;
     this.lastHeartbeatReceived = null;
@@ -59,6 +75,15 @@ export class FIXConnection extends EventEmitter {
     // Message buffer for incomplete messages
     this.messageBuffer = '';
     
+    // Inbound gap recovery
+    this.inboundQueue = new Map();   // seq -> message received ahead of expectedSeqNum
+    this.maxBufferedMessages = options.maxBufferedMessages || 10000;
+    this.resendRange = null;         // outstanding ResendRequest { beginSeqNo, endSeqNo, requestedAt }
+    this.droppedThroughSeqNum = 0;   // highest seq dropped with the buffer full, to request again
+    this.resendTimeoutMs = options.resendTimeoutMs || 10000;
+    this.seenExecIDs = new Set();    // ExecIDs already emitted, for PossDup replays
+    this.maxSeenExecIDs = options.maxSeenExecIDs || 10000;
+    
     // Message storage for resend requests
     this.sentMessages = new Map(); // seq -> { seqNum, fields, rawMessage, sentAt }
     this.maxStoredMessages = options.maxStoredMessages || 10000;
@@ -68,6 +93,8 @@ export class FIXConnection extends EventEmitter {
     this.logger = options.logger || console;
     // Optional audit logger
     this.auditLogger = options.auditLogger || null;
+    // Optional pre-trade risk gateway (checks 35=D / 35=G before they hit the socket)
+    this.riskGateway = options.riskGateway || null;
     
     // FIX message delimiter
     this.SOH = '\x01'; // Start of Header (ASCII 1)
@@ -75,6 +102,31 @@ export class FIXConnection extends EventEmitter {
     // Cleanup timer for message storage
     this.cleanupTimer = null;
     this.cleanupInterval = options.cleanupInterval || 300000; // 5 minutes default
+    
+    // In-flight mass / status requests awaiting their reports
+    this.pendingMassCancels = new Map(); // ClOrdID -> { resolve, reject, timer }
+    this.pendingMassStatus = new Map();  // MassStatusReqID -> { orders, resolve, reject, timer }
+    this.pendingOrderStatus = new Map(); // OrdStatusReqID -> { resolve, reject, timer }
+    this.pendingSecurityLists = new Map(); // SecurityReqID -> { instruments, resolve, reject, timer }
+    this.requestTimeoutMs = options.requestTimeoutMs || 10000;
+    this.requestCounter = 0;
+    
+    // Cumulative session counters, reported by getStats()
+    this.stats = {
+      messagesSent: 0,
+      messagesReceived: 0,
+      resendRequestsSent: 0,
+      resendRequestsReceived: 0,
+      messagesResent: 0,
+      sessionRejects: 0,     // 35=3
+      businessRejects: 0,    // 35=j
+      orderRejects: 0,       // 35=8 with 39=8
+      cancelRejects: 0,      // 35=9
+      duplicatesIgnored: 0,
+      gapsDetected: 0,
+      sequenceResets: 0,
+      reconnects: 0
+    };
   }
 
   /**
@@ -156,6 +208,103 @@ export class FIXConnection extends EventEmitter {
     }
   }
 
+  /**
+   * Load sequence numbers and outbound messages for the current session
+   * period from the session store. A period with no persisted state starts
+   * fresh at seq 1 with ResetSeqNumFlag=Y.
+   */
+  async restoreSession(now = Date.now()) {
+    this.sessionKey = getSessionKey(this.senderCompID, this.targetCompID, this.resetSchedule, now);
+    
+    let state = null;
+    try {
+      state = await this.sessionStore.load(this.sessionKey);
+    } catch (error) {
+      this.logger.error(`[FIXConnection] Failed to load session ${this.sessionKey}: ${error.message}`);
+    }
+    
+    if (!state || !(state.msgSeqNum > 1)) {
+      this.msgSeqNum = 1;
+      this.expectedSeqNum = 1;
+      this.sentMessages.clear();
+      this.resetSeqNumOnLogon = true;
+      this.logger.info(`[FIXConnection] Starting new session ${this.sessionKey}`);
+      return false;
+    }
+    
+    this.msgSeqNum = state.msgSeqNum;
+    this.expectedSeqNum = state.expectedSeqNum || 1;
+    this.sentMessages.clear();
+    for (const stored of state.messages || []) {
+      this.sentMessages.set(stored.seqNum, stored);
+    }
+    this.resetSeqNumOnLogon = false;
+    this.logger.info(
+      `[FIXConnection] Restored session ${this.sessionKey}: msgSeqNum=${this.msgSeqNum}, ` +
+      `expectedSeqNum=${this.expectedSeqNum}, ${this.sentMessages.size} stored messages`
+    );
+    return true;
+  }
+  
+  /**
+   * Persist a sent message and the current sequence numbers.
+   * Credentials (553/554) are never written to the store.
+   * @private
+   */
+  async persistOutbound(stored) {
+    if (!this.sessionStore || !this.sessionKey || !stored) return;
+    
+    const fields = { ...stored.fields };
+    if (fields['553']) fields['553'] = '[REDACTED]';
+    if (fields['554']) fields['554'] = '[REDACTED]';
+    
+    try {
+      // A logon with ResetSeqNumFlag=Y starts the session over
+      if (fields['35'] === 'A' && fields['141'] === 'Y') {
+        await this.sessionStore.reset(this.sessionKey);
+      }
+      await this.sessionStore.saveMessage(this.sessionKey, {
+        ...stored,
+        fields,
+        rawMessage: this.redactRaw(stored.rawMessage),
+      });
+      await this.sessionStore.saveSeqNums(this.sessionKey, {
+        msgSeqNum: this.msgSeqNum,
+        expectedSeqNum: this.expectedSeqNum,
+      });
+    } catch (error) {
+      this.logger.error(`[FIXConnection] Failed to persist seq ${stored.seqNum}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Wait for queued outbound writes and flush anything the store buffers.
+   */
+  async flushSession() {
+    await this.persistQueue;
+    if (!this.sessionStore || !this.sessionStore.flush) return;
+    try {
+      await this.sessionStore.flush();
+    } catch (error) {
+      this.logger.error(`[FIXConnection] Failed to flush session ${this.sessionKey}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Persist sequence numbers after an in-order inbound message.
+   * @private
+   */
+  persistSeqNums() {
+    if (!this.sessionStore || !this.sessionKey) return;
+    
+    this.sessionStore.saveSeqNums(this.sessionKey, {
+      msgSeqNum: this.msgSeqNum,
+      expectedSeqNum: this.expectedSeqNum,
+    }).catch(error => {
+      this.logger.error(`[FIXConnection] Failed to persist seq nums: ${error.message}`);
+    });
+  }
+  
   /**
    * Redact sensitive tags (553/554) in raw FIX string before logging
    */
@@ -175,12 +324,21 @@ export class FIXConnection extends EventEmitter {
    * Connect to FIX server
    */
   async connect() {
-    return new Promise((resolve, reject) => {
-      this.logger.info(`[FIXConnection] Connecting to ${this.targetCompID} at ${this.host}:${this.port}`);
-      
+    if (this.sessionStore) {
+      // Resume the persisted session for this period, if any
+      await this.restoreSession();
+    } else {
       // Reset sequence numbers for new session (we use ResetSeqNumFlag=Y in logon)
       this.msgSeqNum = 1;
       this.expectedSeqNum = 1;
+      this.resetSeqNumOnLogon = true;
+    }
+    this.inboundQueue.clear();
+    this.resendRange = null;
+    this.droppedThroughSeqNum = 0;
+    
+    return new Promise((resolve, reject) => {
+      this.logger.info(`[FIXConnection] Connecting to ${this.targetCompID} at ${this.host}:${this.port}`);
       
       this.socket = new net.Socket();
       let settled = false;
@@ -245,6 +403,7 @@ export class FIXConnection extends EventEmitter {
               if (message.fields['35'] === 'A') { // Logon message
                 if (logonTimeout) clearTimeout(logonTimeout);
                 this.removeListener('message', logonHandler);
+                this.removeListener('reject', rejectHandler);
                 this.isLoggedOn = true;
                 this.reconnectAttempts = 0;
                 this.startHeartbeat();
@@ -257,6 +416,7 @@ export class FIXConnection extends EventEmitter {
               } else if (message.fields['35'] === '3') { // Reject
                 if (logonTimeout) clearTimeout(logonTimeout);
                 this.removeListener('message', logonHandler);
+                this.removeListener('reject', rejectHandler);
                 const rejectReason = message.fields['58'] || 'Unknown reason';
                 if (!settled) {
                   settled = true;
@@ -265,10 +425,14 @@ export class FIXConnection extends EventEmitter {
               }
             };
             
+            // Session-level rejects (35=3) surface as 'reject', not 'message'
+            const rejectHandler = ({ message }) => logonHandler(message);
+            
             this.on('message', logonHandler);
+            this.on('reject', rejectHandler);
           })
           .catch(reject);
-        }, 2000); // Wait 2 seconds for proxy to establish TrueX connection
+        }, this.logonDelayMs);
       });
       
     });
@@ -299,7 +463,7 @@ export class FIXConnection extends EventEmitter {
       '52': sendingTime,                // SendingTime
       '98': '0',                        // EncryptMethod = None
       '108': this.heartbeatInterval.toString(), // HeartBtInt
-      '141': 'Y',                       // ResetSeqNumFlag = Yes (reset sequence numbers)
+      '141': this.resetSeqNumOnLogon ? 'Y' : 'N', // ResetSeqNumFlag (N when resuming a persisted session)
       '553': this.apiKey,               // Username
       '554': signature,                 // Password = HMAC signature (base64)
       '1137': this.defaultApplVerID     // DefaultApplVerID
@@ -312,6 +476,16 @@ export class FIXConnection extends EventEmitter {
    * Send FIX message
    */
   async sendMessage(fields) {
+    // Pre-trade risk: rejected orders never reach the socket or consume a seq num
+    if (this.riskGateway && (fields['35'] === 'D' || fields['35'] === 'G')) {
+      const check = this.riskGateway.checkOrder(fields);
+      if (!check.approved) {
+        return { rejected: true, rejection: check.rejection, fields };
+      }
+    } else if (this.riskGateway && (fields['35'] === 'F' || fields['35'] === 'q')) {
+      this.riskGateway.recordCancel();
+    }
+
     // Ensure standard header fields are present
     const completeFields = {
       '34': this.msgSeqNum.toString(),       // MsgSeqNum (auto-increment)
@@ -409,6 +583,12 @@ export class FIXConnection extends EventEmitter {
     
     // Increment sequence number
     this.msgSeqNum++;
+    this.stats.messagesSent++;
+    
+    // Persist after the write so a restart resumes at the right seq. Queued,
+    // not awaited: store I/O never holds up the send path.
+    const stored = this.sentMessages.get(currentSeqNum);
+    this.persistQueue = this.persistQueue.then(() => this.persistOutbound(stored));
     
     // Emit sent event with redacted sensitive fields
     const redactedFields = { ...fields };
@@ -487,6 +667,8 @@ export class FIXConnection extends EventEmitter {
   handleMessage(message) {
     const msgType = message.fields['35'];
     const msgSeqNum = parseInt(message.fields['34']);
+    const possDup = message.fields['43'] === 'Y';
+    this.stats.messagesReceived++;
     // Audit log inbound FIX if configured
     if (this.auditLogger && message && message.raw) {
       const redacted = this.redactRaw(message.raw);
@@ -499,19 +681,40 @@ export class FIXConnection extends EventEmitter {
       });
     }
     
+    // SequenceReset in Reset mode ignores MsgSeqNum entirely
+    if (msgType === '4' && message.fields['123'] !== 'Y') {
+      this.handleSequenceReset(message);
+      return;
+    }
+    
     // Validate sequence number
     const seqStatus = this.validateSequence(msgSeqNum);
     if (seqStatus === 'DUPLICATE') {
+      this.stats.duplicatesIgnored++;
+      if (possDup) {
+        this.logger.debug(`[FIXConnection] Ignoring PossDup replay: seq ${msgSeqNum}, MsgType=${msgType}`);
+        return;
+      }
       this.logger.warn(`[FIXConnection] Duplicate message received: seq ${msgSeqNum}, MsgType=${msgType}`);
       if (process.env.TRUEX_DEBUG_MODE === 'true') {
         this.logger.warn(`[FIXConnection] Duplicate message fields:`, message.fields);
       }
       return;
     } else if (seqStatus === 'GAP') {
-      this.logger.error(`[FIXConnection] Sequence gap detected: expected ${this.expectedSeqNum}, received ${msgSeqNum}`);
-      this.requestResend(this.expectedSeqNum, msgSeqNum - 1);
+      this.bufferOutOfOrder(message, msgSeqNum);
       return;
     }
+    this.persistSeqNums();
+    
+    this.dispatchMessage(message);
+    this.releaseBuffered();
+  }
+  
+  /**
+   * Route an in-sequence message to its handler and application listeners.
+   */
+  dispatchMessage(message) {
+    const msgType = message.fields['35'];
     
     // Handle specific message types
     switch (msgType) {
@@ -527,15 +730,175 @@ export class FIXConnection extends EventEmitter {
       case '3': // Reject
         this.handleReject(message);
         break;
+      case '4': // Sequence Reset (GapFill mode)
+        this.handleSequenceReset(message);
+        break;
       case '5': // Logout
         this.handleLogout(message);
         break;
+      case 'r': // Order Mass Cancel Report
+        this.handleMassCancelReport(message);
+        this.emit('message', message);
+        break;
+      case 'y': // Security List
+        this.handleSecurityList(message);
+        this.emit('message', message);
+        break;
       default:
+        if (msgType === '8' && !this.trackExecID(message)) {
+          return;
+        }
+        if (msgType === '8' && message.fields['39'] === '8') this.stats.orderRejects++;
+        else if (msgType === '9') this.stats.cancelRejects++;
+        else if (msgType === 'j') this.stats.businessRejects++;
+        // Execution reports answering a mass status request carry MassStatusReqID (584)
+        if (msgType === '8' && message.fields['584']) {
+          this.handleMassStatusReport(message);
+        }
+        // ...and those answering an order status request carry OrdStatusReqID (790)
+        if (msgType === '8' && message.fields['790']) {
+          this.handleOrderStatusReport(message);
+        }
         // Emit message for application handling
         this.emit('message', message);
     }
   }
   
+  /**
+   * Remember an execution report's ExecID. Returns false for a PossDup
+   * replay of one already delivered, which must not be applied twice.
+   */
+  trackExecID(message) {
+    const execID = message.fields['17'];
+    if (!execID) return true;
+    
+    if (this.seenExecIDs.has(execID)) {
+      if (message.fields['43'] === 'Y') {
+        this.logger.info(`[FIXConnection] Skipping replayed execution report: ExecID=${execID}`);
+        return false;
+      }
+      return true;
+    }
+    
+    this.seenExecIDs.add(execID);
+    if (this.seenExecIDs.size > this.maxSeenExecIDs) {
+      this.seenExecIDs.delete(this.seenExecIDs.values().next().value);
+    }
+    return true;
+  }
+  
+  /**
+   * Hold a message received ahead of expectedSeqNum and request the gap.
+   * A Logon is processed immediately so the session can come up, and a
+   * ResendRequest so a counterparty with its own gap is not left waiting
+   * on ours; their sequence slots are still held until the gap closes.
+   * (A Reset-mode SequenceReset never gets here; a GapFill one covers the
+   * seqs from its own slot on, so it waits for the hole before it.)
+   * With the buffer full the message is dropped and requested again once
+   * the buffered ones are released.
+   */
+  bufferOutOfOrder(message, msgSeqNum) {
+    const msgType = message.fields['35'];
+    const immediate = msgType === 'A' || msgType === '2';
+    
+    if (this.inboundQueue.size >= this.maxBufferedMessages && !this.inboundQueue.has(msgSeqNum)) {
+      this.logger.error(`[FIXConnection] Inbound buffer full (${this.inboundQueue.size}), dropping seq ${msgSeqNum} until it is resent`);
+      this.droppedThroughSeqNum = Math.max(this.droppedThroughSeqNum, msgSeqNum);
+    } else if (!this.inboundQueue.has(msgSeqNum)) {
+      this.inboundQueue.set(msgSeqNum, immediate ? { ...message, processed: true } : message);
+    }
+    
+    if (immediate) {
+      this.dispatchMessage(message);
+    }
+    
+    this.requestGapFill(msgSeqNum - 1);
+  }
+  
+  /**
+   * Send a ResendRequest from expectedSeqNum to endSeqNo unless one is
+   * already outstanding and not yet timed out.
+   */
+  requestGapFill(endSeqNo) {
+    const now = Date.now();
+    if (this.resendRange && now - this.resendRange.requestedAt < this.resendTimeoutMs) {
+      return;
+    }
+    
+    this.logger.error(`[FIXConnection] Sequence gap detected: expected ${this.expectedSeqNum}, buffering until ${endSeqNo} is resent`);
+    this.stats.gapsDetected++;
+    this.resendRange = { beginSeqNo: this.expectedSeqNum, endSeqNo, requestedAt: now };
+    this.requestResend(this.expectedSeqNum, endSeqNo).catch(err => {
+      this.logger.error(`[FIXConnection] ResendRequest failed: ${err.message}`);
+      this.resendRange = null;
+    });
+  }
+  
+  /**
+   * Process buffered messages that are now in sequence, then close the
+   * outstanding resend or request the next hole.
+   */
+  releaseBuffered() {
+    if (this.inboundQueue.size === 0 && !this.resendRange && !this.droppedThroughSeqNum) return;
+    
+    let released = 0;
+    while (this.inboundQueue.size > 0) {
+      // Anything behind expectedSeqNum was superseded (e.g. by a SequenceReset)
+      for (const seq of this.inboundQueue.keys()) {
+        if (seq < this.expectedSeqNum) this.inboundQueue.delete(seq);
+      }
+      
+      const next = this.inboundQueue.get(this.expectedSeqNum);
+      if (!next) break;
+      
+      this.inboundQueue.delete(this.expectedSeqNum);
+      this.expectedSeqNum++;
+      released++;
+      if (!next.processed) this.dispatchMessage(next);
+    }
+    
+    if (released > 0) this.persistSeqNums();
+    
+    if (this.resendRange && this.expectedSeqNum > this.resendRange.endSeqNo) {
+      this.logger.info(`[FIXConnection] Gap ${this.resendRange.beginSeqNo}-${this.resendRange.endSeqNo} filled, released ${released} buffered messages`);
+      this.emit('gap-filled', { ...this.resendRange, released });
+      this.resendRange = null;
+    }
+    
+    // Another hole further on, or messages dropped while the buffer was full
+    if (this.droppedThroughSeqNum < this.expectedSeqNum) this.droppedThroughSeqNum = 0;
+    if (this.inboundQueue.size > 0 && !this.resendRange) {
+      this.requestGapFill(Math.min(...this.inboundQueue.keys()) - 1);
+    } else if (this.droppedThroughSeqNum && !this.resendRange) {
+      this.requestGapFill(this.droppedThroughSeqNum);
+    }
+  }
+  
+  /**
+   * Handle SequenceReset (35=4).
+   * GapFill mode (123=Y) arrives in sequence and skips admin messages the
+   * counterparty chose not to resend; Reset mode forces expectedSeqNum.
+   * NewSeqNo (36) may only move the expected sequence forward.
+   */
+  handleSequenceReset(message) {
+    const newSeqNo = parseInt(message.fields['36']);
+    const gapFill = message.fields['123'] === 'Y';
+    
+    if (!(newSeqNo > 0) || newSeqNo < this.expectedSeqNum) {
+      this.logger.error(`[FIXConnection] Ignoring SequenceReset to ${message.fields['36']}: expected seq already ${this.expectedSeqNum}`);
+      return;
+    }
+    
+    this.logger.info(`[FIXConnection] SequenceReset (${gapFill ? 'GapFill' : 'Reset'}): expected seq ${this.expectedSeqNum} → ${newSeqNo}`);
+    this.expectedSeqNum = newSeqNo;
+    this.stats.sequenceResets++;
+    this.persistSeqNums();
+    this.emit('sequence-reset', { newSeqNo, gapFill });
+    
+    // Reset mode is processed outside the normal sequence flow
+    if (!gapFill) this.releaseBuffered();
+  }
+  
   /**
    * Validate message sequence number
    */
@@ -569,6 +932,7 @@ export class FIXConnection extends EventEmitter {
     };
     
     await this.sendMessage(fields);
+    this.stats.resendRequestsSent++;
     this.emit('resend-request', { beginSeqNo, endSeqNo });
   }
   
@@ -609,6 +973,7 @@ export class FIXConnection extends EventEmitter {
     // Parse resend request fields
     const beginSeqNo = parseInt(message.fields['7']);
     const endSeqNoField = parseInt(message.fields['16']);
+    this.stats.resendRequestsReceived++;
     
     // Handle EndSeqNo = 0 as "all messages from BeginSeqNo onwards"
     const endSeqNo = endSeqNoField === 0 ? this.msgSeqNum - 1 : endSeqNoField;
@@ -691,6 +1056,8 @@ export class FIXConnection extends EventEmitter {
       }
     }
     
+    this.stats.messagesResent += resentCount;
+    
     // Log summary after completion
     this.logger.info(`[FIXConnection] Resend complete: ${resentCount} messages resent, ${skippedCount} skipped (${beginSeqNo}-${endSeqNo})`);
     
@@ -710,10 +1077,266 @@ export class FIXConnection extends EventEmitter {
   handleReject(message) {
     const rejectReason = message.fields['58'] || 'Unknown';
     const refSeqNum = message.fields['45'];
+    this.stats.sessionRejects++;
     this.logger.error(`[FIXConnection] Message rejected: ${rejectReason} (RefSeqNum: ${refSeqNum})`);
     this.emit('reject', { reason: rejectReason, refSeqNum, message });
   }
   
+  /**
+   * Send an Order Mass Cancel Request (35=q).
+   * Cancels all orders for `symbol` (MassCancelRequestType=1), or every order
+   * on the session when no symbol is given (MassCancelRequestType=7).
+   * Resolves with the Order Mass Cancel Report (35=r).
+   */
+  async requestMassCancel({ symbol, side } = {}) {
+    const clOrdID = this.generateRequestID('MC');
+    const fields = {
+      '35': 'q',
+      '11': clOrdID,
+      '530': symbol ? '1' : '7',       // MassCancelRequestType: 1 = security, 7 = all orders
+      '60': this.getUTCTimestamp(),    // TransactTime
+    };
+    if (symbol) fields['55'] = symbol;
+    if (side) fields['54'] = side === 'buy' ? '1' : '2';
+    
+    const report = this.awaitReport(this.pendingMassCancels, clOrdID, 'Mass cancel', () => ({}));
+    this.logger.warn(`[FIXConnection] Sending mass cancel ${clOrdID} (${symbol || 'all symbols'})`);
+    await this.sendTrackedRequest(fields, this.pendingMassCancels, clOrdID);
+    return report;
+  }
+  
+  /**
+   * Send an Order Mass Status Request (35=AF).
+   * Resolves with the working orders reported back as execution reports
+   * carrying our MassStatusReqID (584), once LastRptRequested (912) is Y.
+   */
+  async requestMassStatus({ symbol } = {}) {
+    const massStatusReqID = this.generateRequestID('MS');
+    const fields = {
+      '35': 'AF',
+      '584': massStatusReqID,
+      '585': symbol ? '1' : '7',       // MassStatusReqType: 1 = security, 7 = all orders
+    };
+    if (symbol) fields['55'] = symbol;
+    
+    const orders = this.awaitReport(this.pendingMassStatus, massStatusReqID, 'Mass status', () => ({ orders: [] }));
+    this.logger.info(`[FIXConnection] Sending mass status request ${massStatusReqID} (${symbol || 'all symbols'})`);
+    await this.sendTrackedRequest(fields, this.pendingMassStatus, massStatusReqID);
+    return orders;
+  }
+  
+  /**
+   * Send an Order Status Request (35=H) for a single order.
+   * Resolves with the status execution report carrying our OrdStatusReqID (790).
+   */
+  async requestOrderStatus({ clOrdID, orderID, symbol, side }) {
+    const ordStatusReqID = this.generateRequestID('OS');
+    const fields = {
+      '35': 'H',
+      '11': clOrdID,
+      '790': ordStatusReqID,
+      '55': symbol,
+      '54': side === 'buy' ? '1' : '2',
+    };
+    if (orderID) fields['37'] = orderID;
+    
+    const report = this.awaitReport(this.pendingOrderStatus, ordStatusReqID, 'Order status', () => ({}));
+    await this.sendTrackedRequest(fields, this.pendingOrderStatus, ordStatusReqID);
+    return report;
+  }
+  
+  /**
+   * Send a Security List Request (35=x) for one symbol, or every security
+   * when none is given. Resolves with the instruments of the Security List
+   * (35=y) reply, fragments included: field maps keyed by tag.
+   */
+  async requestSecurityList({ symbol } = {}) {
+    const securityReqID = this.generateRequestID('SL');
+    const fields = {
+      '35': 'x',
+      '320': securityReqID,
+      '559': symbol ? '0' : '4',       // SecurityListRequestType: 0 = symbol, 4 = all securities
+    };
+    if (symbol) fields['55'] = symbol;
+    
+    const instruments = this.awaitReport(this.pendingSecurityLists, securityReqID, 'Security list', () => ({ instruments: [] }));
+    this.logger.info(`[FIXConnection] Sending security list request ${securityReqID} (${symbol || 'all securities'})`);
+    await this.sendTrackedRequest(fields, this.pendingSecurityLists, securityReqID);
+    return instruments;
+  }
+  
+  /**
+   * Handle a Security List (35=y) fragment answering a security list request
+   */
+  handleSecurityList(message) {
+    const f = message.fields;
+    const pending = this.pendingSecurityLists.get(f['320']);
+    if (!pending) return;
+    
+    // SecurityRequestResult (560): 0 = valid request
+    if (f['560'] && f['560'] !== '0') {
+      this.pendingSecurityLists.delete(f['320']);
+      clearTimeout(pending.timer);
+      pending.reject(new Error(`Security list request ${f['320']} rejected: result=${f['560']} ${f['58'] || ''}`.trim()));
+      return;
+    }
+    
+    pending.instruments.push(...this.parseRepeatingGroup(message.raw, '146', '55'));
+    
+    // LastFragment (893) is N while more fragments follow
+    if (f['893'] !== 'N') {
+      this.pendingSecurityLists.delete(f['320']);
+      clearTimeout(pending.timer);
+      pending.resolve(pending.instruments);
+    }
+  }
+  
+  /**
+   * Split the repeating group counted by `countTag` out of a raw message.
+   * Each entry starts at `firstTag`; returns one field map per entry.
+   */
+  parseRepeatingGroup(rawMessage, countTag, firstTag) {
+    const entries = [];
+    let inGroup = false;
+    let current = null;
+    for (const part of rawMessage.split(this.SOH)) {
+      const eqIdx = part.indexOf('=');
+      if (eqIdx === -1) continue;
+      const tag = part.substring(0, eqIdx);
+      const value = part.substring(eqIdx + 1);
+      
+      if (tag === countTag) {
+        inGroup = true;
+      } else if (inGroup && tag === firstTag) {
+        current = { [tag]: value };
+        entries.push(current);
+      } else if (current && tag !== '10') {
+        current[tag] = value;
+      }
+    }
+    return entries;
+  }
+  
+  /**
+   * Handle an execution report answering an order status request
+   */
+  handleOrderStatusReport(message) {
+    const f = message.fields;
+    const pending = this.pendingOrderStatus.get(f['790']);
+    if (!pending) return;
+    
+    this.pendingOrderStatus.delete(f['790']);
+    clearTimeout(pending.timer);
+    pending.resolve(this.parseOrderReport(f));
+  }
+  
+  /**
+   * Normalize a status execution report into a plain order description.
+   */
+  parseOrderReport(f) {
+    return {
+      clOrdID: f['11'],
+      orderID: f['37'],
+      symbol: f['55'],
+      side: f['54'] === '1' ? 'buy' : 'sell',
+      price: f['44'] ? parseFloat(f['44']) : null,
+      orderQty: f['38'] ? parseFloat(f['38']) : 0,
+      cumQty: f['14'] ? parseFloat(f['14']) : 0,
+      leavesQty: f['151'] ? parseFloat(f['151']) : 0,
+      avgPx: f['6'] ? parseFloat(f['6']) : 0,
+      ordStatus: f['39'],
+      text: f['58'],
+    };
+  }
+  
+  /**
+   * Handle Order Mass Cancel Report (35=r)
+   */
+  handleMassCancelReport(message) {
+    const f = message.fields;
+    const report = {
+      clOrdID: f['11'],
+      orderID: f['37'],
+      response: f['531'],                        // MassCancelResponse (0 = rejected)
+      accepted: f['531'] !== undefined && f['531'] !== '0',
+      rejectReason: f['532'],
+      totalAffected: f['533'] ? parseInt(f['533']) : 0,
+      text: f['58'],
+    };
+    
+    if (report.accepted) {
+      this.logger.warn(`[FIXConnection] Mass cancel ${report.clOrdID} accepted: ${report.totalAffected} orders affected`);
+    } else {
+      this.logger.error(`[FIXConnection] Mass cancel ${report.clOrdID} rejected: reason=${report.rejectReason || 'N/A'} ${report.text || ''}`);
+    }
+    this.emit('mass-cancel-report', report);
+    
+    const pending = this.pendingMassCancels.get(report.clOrdID);
+    if (pending) {
+      this.pendingMassCancels.delete(report.clOrdID);
+      clearTimeout(pending.timer);
+      pending.resolve(report);
+    }
+  }
+  
+  /**
+   * Handle an execution report answering a mass status request
+   */
+  handleMassStatusReport(message) {
+    const f = message.fields;
+    const pending = this.pendingMassStatus.get(f['584']);
+    if (!pending) return;
+    
+    // "No orders" is signalled by a single report without an order
+    if (f['11'] || f['37']) {
+      pending.orders.push(this.parseOrderReport(f));
+    }
+    
+    const total = f['911'] ? parseInt(f['911']) : null; // TotNumReports
+    if (f['912'] === 'Y' || (total !== null && pending.orders.length >= total)) {
+      this.pendingMassStatus.delete(f['584']);
+      clearTimeout(pending.timer);
+      this.emit('mass-status-report', { massStatusReqID: f['584'], orders: pending.orders });
+      pending.resolve(pending.orders);
+    }
+  }
+  
+  /**
+   * Register a pending request and time it out if no report arrives.
+   * @private
+   */
+  awaitReport(pendingMap, id, label, initState) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingMap.delete(id);
+        reject(new Error(`${label} request ${id} timed out`));
+      }, this.requestTimeoutMs);
+      pendingMap.set(id, { ...initState(), resolve, reject, timer });
+    });
+  }
+  
+  /**
+   * Send a tracked request, dropping its pending entry if the send fails.
+   * @private
+   */
+  async sendTrackedRequest(fields, pendingMap, id) {
+    try {
+      await this.sendMessage(fields);
+    } catch (error) {
+      const pending = pendingMap.get(id);
+      if (pending) clearTimeout(pending.timer);
+      pendingMap.delete(id);
+      throw error;
+    }
+  }
+  
+  /**
+   * @private
+   */
+  generateRequestID(prefix) {
+    return `${prefix}${Date.now().toString(36)}${(++this.requestCounter).toString().padStart(3, '0')}`;
+  }
+  
   /**
    * Handle logout message
    */
@@ -803,6 +1426,7 @@ export class FIXConnection extends EventEmitter {
     }
     
     this.reconnectAttempts++;
+    this.stats.reconnects++;
     const delay = Math.min(
       this.initialReconnectDelay * Math.pow(2, this.reconnectAttempts - 1),
       this.maxReconnectDelay
@@ -852,6 +1476,8 @@ export class FIXConnection extends EventEmitter {
     // Stop cleanup timer
     this.stopCleanupTimer();
     
+    await this.flushSession();
+    
     // Close socket
     if (this.socket) {
       this.socket.destroy();
@@ -904,4 +1530,18 @@ export class FIXConnection extends EventEmitter {
       lastHeartbeatSent: this.lastHeartbeatSent
     };
   }
+  
+  /**
+   * Connection state plus the cumulative counters, for metrics export.
+   * heartbeatAgeMs is null until the first inbound heartbeat.
+   */
+  getStats(now = Date.now()) {
+    return {
+      ...this.getState(),
+      ...this.stats,
+      heartbeatAgeMs: this.lastHeartbeatReceived ? now - this.lastHeartbeatReceived : null,
+      bufferedMessages: this.inboundQueue.size,
+      storedMessages: this.sentMessages.size
+    };
+  }
 }
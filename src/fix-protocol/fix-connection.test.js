@@ -654,4 +654,232 @@ describe('FIXConnection', () => {
       expect(messageHandler).toHaveBeenCalledTimes(2);
     });
   });
+
+  describe('mass cancel / mass status', () => {
+    const sentFields = (call) => Object.fromEntries(
+      call[0].split('\x01').filter(Boolean).map(p => [p.slice(0, p.indexOf('=')), p.slice(p.indexOf('=') + 1)])
+    );
+
+    beforeEach(() => {
+      connection.socket = new MockSocket();
+      mockSocketInstance = connection.socket;
+    });
+
+    it('should send 35=q and resolve on the matching 35=r', async () => {
+      const reportHandler = jest.fn();
+      connection.on('mass-cancel-report', reportHandler);
+
+      const pending = connection.requestMassCancel({ symbol: 'BTC-PYUSD' });
+      await new Promise(r => setImmediate(r));
+      const fields = sentFields(mockSocketInstance.write.mock.calls[0]);
+      expect(fields['35']).toBe('q');
+      expect(fields['530']).toBe('1');
+      expect(fields['55']).toBe('BTC-PYUSD');
+
+      connection.handleMessage({ fields: { '35': 'r', '34': '1', '11': fields['11'], '531': '1', '533': '3' } });
+
+      const report = await pending;
+      expect(report.accepted).toBe(true);
+      expect(report.totalAffected).toBe(3);
+      expect(reportHandler).toHaveBeenCalledWith(report);
+    });
+
+    it('should cancel all orders on the session when no symbol is given', async () => {
+      connection.requestMassCancel().catch(() => {});
+      await new Promise(r => setImmediate(r));
+      const fields = sentFields(mockSocketInstance.write.mock.calls[0]);
+      expect(fields['530']).toBe('7');
+      expect(fields['55']).toBeUndefined();
+    });
+
+    it('should report a rejected mass cancel', async () => {
+      const pending = connection.requestMassCancel({ symbol: 'BTC-PYUSD' });
+      await new Promise(r => setImmediate(r));
+      const clOrdID = sentFields(mockSocketInstance.write.mock.calls[0])['11'];
+
+      connection.handleMessage({ fields: { '35': 'r', '34': '1', '11': clOrdID, '531': '0', '532': '1', '58': 'Unknown security' } });
+
+      const report = await pending;
+      expect(report.accepted).toBe(false);
+      expect(report.rejectReason).toBe('1');
+    });
+
+    it('should time out when no report arrives', async () => {
+      connection.requestTimeoutMs = 20;
+      await expect(connection.requestMassCancel({ symbol: 'BTC-PYUSD' })).rejects.toThrow('timed out');
+      expect(connection.pendingMassCancels.size).toBe(0);
+    });
+
+    it('should send 35=AF and collect status reports until LastRptRequested', async () => {
+      const pending = connection.requestMassStatus({ symbol: 'BTC-PYUSD' });
+      await new Promise(r => setImmediate(r));
+      const fields = sentFields(mockSocketInstance.write.mock.calls[0]);
+      expect(fields['35']).toBe('AF');
+      expect(fields['585']).toBe('1');
+      const reqID = fields['584'];
+
+      const messageHandler = jest.fn();
+      connection.on('message', messageHandler);
+      connection.handleMessage({ fields: { '35': '8', '34': '1', '584': reqID, '911': '2', '11': 'A', '37': 'X1', '54': '1', '44': '99000', '38': '0.1', '14': '0', '151': '0.1', '39': '0', '150': 'I' } });
+      connection.handleMessage({ fields: { '35': '8', '34': '2', '584': reqID, '911': '2', '912': 'Y', '11': 'B', '37': 'X2', '54': '2', '44': '101000', '38': '0.2', '14': '0.05', '151': '0.15', '39': '1', '150': 'I' } });
+
+      const orders = await pending;
+      expect(orders.map(o => o.clOrdID)).toEqual(['A', 'B']);
+      expect(orders[1]).toMatchObject({ side: 'sell', price: 101000, cumQty: 0.05, leavesQty: 0.15, ordStatus: '1' });
+      // Status reports still reach application listeners
+      expect(messageHandler).toHaveBeenCalledTimes(2);
+    });
+
+    it('should resolve with no orders on an empty status report', async () => {
+      const pending = connection.requestMassStatus();
+      await new Promise(r => setImmediate(r));
+      const reqID = sentFields(mockSocketInstance.write.mock.calls[0])['584'];
+
+      connection.handleMessage({ fields: { '35': '8', '34': '1', '584': reqID, '912': 'Y', '150': 'I', '58': 'No orders' } });
+
+      expect(await pending).toEqual([]);
+    });
+
+    it('should drop the pending request when the send fails', async () => {
+      connection.socket = null;
+      await expect(connection.requestMassStatus()).rejects.toThrow('Socket is not writable');
+      expect(connection.pendingMassStatus.size).toBe(0);
+    });
+
+    it('should send 35=H and resolve on the report with the matching OrdStatusReqID', async () => {
+      const pending = connection.requestOrderStatus({ clOrdID: 'C1', orderID: 'X1', symbol: 'BTC-PYUSD', side: 'buy' });
+      await new Promise(r => setImmediate(r));
+      const fields = sentFields(mockSocketInstance.write.mock.calls[0]);
+      expect(fields['35']).toBe('H');
+      expect(fields['11']).toBe('C1');
+      expect(fields['37']).toBe('X1');
+
+      connection.handleMessage({ fields: { '35': '8', '34': '1', '790': fields['790'], '11': 'C1', '37': 'X1', '54': '1', '14': '0.1', '151': '0', '39': '2', '150': 'I' } });
+
+      expect(await pending).toMatchObject({ clOrdID: 'C1', cumQty: 0.1, ordStatus: '2' });
+      expect(connection.pendingOrderStatus.size).toBe(0);
+    });
+  });
+
+  describe('inbound gap recovery', () => {
+    const er = (seq, execID, extra = {}) => ({ fields: { '35': '8', '34': String(seq), '17': execID, '11': `C${execID}`, '39': '0', ...extra } });
+    const resendRequests = () => mockSocketInstance.write.mock.calls
+      .map(([raw]) => Object.fromEntries(raw.split('\x01').filter(Boolean).map(p => p.split('='))))
+      .filter(fields => fields['35'] === '2');
+    let delivered;
+
+    beforeEach(() => {
+      connection.socket = new MockSocket();
+      mockSocketInstance = connection.socket;
+      connection.expectedSeqNum = 5;
+      delivered = [];
+      connection.on('message', (m) => delivered.push(m.fields['34']));
+    });
+
+    it('should buffer messages past a gap and release them in order once filled', async () => {
+      const gapFilled = jest.fn();
+      connection.on('gap-filled', gapFilled);
+
+      connection.handleMessage(er(7, 'E7'));
+      connection.handleMessage(er(8, 'E8'));
+      await new Promise(r => setImmediate(r));
+
+      expect(delivered).toEqual([]);
+      expect(connection.inboundQueue.size).toBe(2);
+      // One ResendRequest for the hole, not one per buffered message
+      expect(resendRequests().length).toBe(1);
+      expect(resendRequests()[0]['7']).toBe('5');
+      expect(resendRequests()[0]['16']).toBe('6');
+
+      connection.handleMessage(er(5, 'E5', { '43': 'Y' }));
+      connection.handleMessage(er(6, 'E6', { '43': 'Y' }));
+
+      expect(delivered).toEqual(['5', '6', '7', '8']);
+      expect(connection.expectedSeqNum).toBe(9);
+      expect(connection.inboundQueue.size).toBe(0);
+      expect(gapFilled).toHaveBeenCalledWith(expect.objectContaining({ beginSeqNo: 5, endSeqNo: 6, released: 2 }));
+    });
+
+    it('should apply a GapFill SequenceReset in sequence', () => {
+      connection.handleMessage(er(8, 'E8'));
+      connection.handleMessage({ fields: { '35': '4', '34': '5', '43': 'Y', '123': 'Y', '36': '8' } });
+
+      expect(delivered).toEqual(['8']);
+      expect(connection.expectedSeqNum).toBe(9);
+    });
+
+    it('should apply a Reset-mode SequenceReset regardless of MsgSeqNum and drop superseded messages', () => {
+      const onReset = jest.fn();
+      connection.on('sequence-reset', onReset);
+      connection.handleMessage(er(7, 'E7'));
+      connection.handleMessage(er(9, 'E9'));
+
+      connection.handleMessage({ fields: { '35': '4', '34': '1', '36': '9' } });
+
+      expect(onReset).toHaveBeenCalledWith({ newSeqNo: 9, gapFill: false });
+      expect(delivered).toEqual(['9']);
+      expect(connection.expectedSeqNum).toBe(10);
+      expect(connection.inboundQueue.size).toBe(0);
+    });
+
+    it('should refuse a SequenceReset that moves the sequence backwards', () => {
+      connection.handleMessage({ fields: { '35': '4', '34': '1', '36': '3' } });
+      expect(connection.expectedSeqNum).toBe(5);
+    });
+
+    it('should process PossDup replays idempotently', () => {
+      connection.handleMessage(er(5, 'E5'));
+      // Replay below expected seq is ignored quietly
+      connection.handleMessage(er(5, 'E5', { '43': 'Y' }));
+      // In-sequence replay of an ExecID already delivered is not re-emitted
+      connection.handleMessage(er(6, 'E5', { '43': 'Y' }));
+      connection.handleMessage(er(7, 'E7'));
+
+      expect(delivered).toEqual(['5', '7']);
+      expect(connection.expectedSeqNum).toBe(8);
+      expect(connection.logger.warn).not.toHaveBeenCalled();
+    });
+
+    it('should answer a ResendRequest ahead of sequence immediately and hold its slot', () => {
+      const onResend = jest.fn();
+      connection.on('resend-request-received', onResend);
+      const handleResendRequest = jest.spyOn(connection, 'handleResendRequest');
+
+      connection.handleMessage({ fields: { '35': '2', '34': '7', '7': '1', '16': '0' } });
+      expect(handleResendRequest).toHaveBeenCalledTimes(1);
+      expect(connection.inboundQueue.get(7).processed).toBe(true);
+
+      connection.handleMessage(er(5, 'E5'));
+      connection.handleMessage(er(6, 'E6'));
+      expect(handleResendRequest).toHaveBeenCalledTimes(1);
+      expect(connection.expectedSeqNum).toBe(8);
+    });
+
+    it('should request messages dropped with the buffer full once it drains', () => {
+      connection.maxBufferedMessages = 2;
+      connection.handleMessage(er(7, 'E7'));
+      connection.handleMessage(er(8, 'E8'));
+      connection.handleMessage(er(9, 'E9'));  // dropped
+      expect(connection.inboundQueue.has(9)).toBe(false);
+
+      connection.handleMessage(er(5, 'E5', { '43': 'Y' }));
+      connection.handleMessage(er(6, 'E6', { '43': 'Y' }));
+
+      expect(delivered).toEqual(['5', '6', '7', '8']);
+      expect(connection.resendRange).toMatchObject({ beginSeqNo: 9, endSeqNo: 9 });
+
+      connection.handleMessage(er(9, 'E9', { '43': 'Y' }));
+      expect(delivered).toEqual(['5', '6', '7', '8', '9']);
+      expect(connection.droppedThroughSeqNum).toBe(0);
+    });
+
+    it('should process a Logon ahead of sequence immediately and hold its slot', () => {
+      connection.handleMessage({ fields: { '35': 'A', '34': '7' } });
+      expect(delivered).toEqual(['7']);
+
+      connection.handleMessage({ fields: { '35': '4', '34': '5', '123': 'Y', '36': '7' } });
+      expect(delivered).toEqual(['7']);
+      expect(connection.expectedSeqNum).toBe(8);
+    });
+  });
 });
@@ -0,0 +1,259 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * FIX session stores - persist sequence numbers and outbound messages so a
+ * restarted FIXConnection resumes its session instead of logging on at 1.
+ *
+ * State is keyed per SenderCompID/TargetCompID/session period. The period
+ * comes from the reset schedule, so a new day (or week) starts a fresh
+ * session with sequence numbers back at 1.
+ *
+ * Store interface (all async):
+ *   load(sessionKey)                         → { msgSeqNum, expectedSeqNum, messages } | null
+ *   saveSeqNums(sessionKey, { msgSeqNum, expectedSeqNum })
+ *   saveMessage(sessionKey, { seqNum, fields, rawMessage, sentAt })
+ *   reset(sessionKey)
+ *   flush()                                  (optional) write anything buffered
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the session period containing `now`.
+ *
+ * @param {Object} schedule - { frequency: 'daily'|'weekly'|'never', time: 'HH:MM' (UTC), dayOfWeek: 0-6 }
+ * @param {number} now
+ * @returns {number} epoch ms (0 when the session never resets)
+ */
+export function getSessionPeriodStart(schedule = {}, now = Date.now()) {
+  const frequency = schedule.frequency || 'daily';
+  if (frequency === 'never') return 0;
+
+  const [hours, minutes] = (schedule.time || '00:00').split(':').map(Number);
+  const date = new Date(now);
+  let start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours, minutes || 0);
+
+  if (frequency === 'weekly') {
+    const dayOfWeek = schedule.dayOfWeek ?? 0;
+    start -= ((date.getUTCDay() - dayOfWeek + 7) % 7) * DAY_MS;
+    if (start > now) start -= 7 * DAY_MS;
+    return start;
+  }
+
+  if (start > now) start -= DAY_MS;
+  return start;
+}
+
+/**
+ * Session key for a SenderCompID/TargetCompID pair in the current period,
+ * e.g. CLI_CLIENT-TRUEX_UAT_OE-20260206.
+ */
+export function getSessionKey(senderCompID, targetCompID, schedule = {}, now = Date.now()) {
+  const start = getSessionPeriodStart(schedule, now);
+  const period = start === 0 ? 'persistent' : new Date(start).toISOString().slice(0, 10).replace(/-/g, '');
+  return `${senderCompID}-${targetCompID}-${period}`;
+}
+
+/**
+ * File-backed store. Sequence numbers are held in memory and rewritten
+ * atomically (tmp + rename) at most every seqNumsFlushMs; outbound messages
+ * are appended as JSON lines. Writes are async and run in order. Once
+ * messages.jsonl passes maxMessagesBytes it is rotated to messages.jsonl.1,
+ * so a session keeps at most two files of messages to resend.
+ *
+ *   <dir>/<sessionKey>.seqnums.json
+ *   <dir>/<sessionKey>.messages.jsonl(.1)
+ *
+ * A crash can lose the last seqNumsFlushMs of sequence numbers; load()
+ * takes msgSeqNum past the last stored message, so no seq is sent twice.
+ */
+export class FileSessionStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.cwd(), 'data', 'fix-sessions');
+    this.seqNumsFlushMs = options.seqNumsFlushMs ?? 100;
+    this.maxMessagesBytes = options.maxMessagesBytes || 64 * 1024 * 1024;
+    this.logger = options.logger || console;
+
+    this.pendingSeqNums = new Map();  // sessionKey -> { msgSeqNum, expectedSeqNum }
+    this.seqNumsTimer = null;
+    this.messagesBytes = new Map();   // sessionKey -> size of messages.jsonl
+    this.writes = Promise.resolve();  // tail of the write queue
+
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  async load(sessionKey) {
+    await this.flush();
+
+    const seqPath = this._seqNumsPath(sessionKey);
+    if (!fs.existsSync(seqPath)) return null;
+
+    let { msgSeqNum, expectedSeqNum } = JSON.parse(await fs.promises.readFile(seqPath, 'utf8'));
+    const messages = [];
+
+    const msgPath = this._messagesPath(sessionKey);
+    for (const p of [`${msgPath}.1`, msgPath]) {
+      if (!fs.existsSync(p)) continue;
+      for (const line of (await fs.promises.readFile(p, 'utf8')).split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          messages.push(JSON.parse(line));
+        } catch {
+          // Torn final line from a crash mid-append
+          this.logger.warn(`[FileSessionStore] Skipping unreadable message line in ${p}`);
+        }
+      }
+    }
+
+    // Sequence numbers are written behind the messages
+    const last = messages[messages.length - 1];
+    if (last && last.seqNum >= msgSeqNum) msgSeqNum = last.seqNum + 1;
+
+    return { msgSeqNum, expectedSeqNum, messages };
+  }
+
+  async saveSeqNums(sessionKey, { msgSeqNum, expectedSeqNum }) {
+    this.pendingSeqNums.set(sessionKey, { msgSeqNum, expectedSeqNum });
+    if (!this.seqNumsTimer) {
+      this.seqNumsTimer = setTimeout(() => {
+        this.flush().catch(error => {
+          this.logger.error(`[FileSessionStore] Failed to write seq nums: ${error.message}`);
+        });
+      }, this.seqNumsFlushMs);
+      if (this.seqNumsTimer.unref) this.seqNumsTimer.unref();
+    }
+  }
+
+  async saveMessage(sessionKey, message) {
+    const line = JSON.stringify(message) + '\n';
+    return this._enqueue(async () => {
+      const msgPath = this._messagesPath(sessionKey);
+      let bytes = this.messagesBytes.get(sessionKey);
+      if (bytes === undefined) {
+        bytes = await fs.promises.stat(msgPath).then(st => st.size, () => 0);
+      }
+      if (bytes > 0 && bytes + Buffer.byteLength(line) > this.maxMessagesBytes) {
+        await fs.promises.rename(msgPath, `${msgPath}.1`);
+        bytes = 0;
+      }
+      await fs.promises.appendFile(msgPath, line);
+      this.messagesBytes.set(sessionKey, bytes + Buffer.byteLength(line));
+    });
+  }
+
+  async reset(sessionKey) {
+    this.pendingSeqNums.delete(sessionKey);
+    return this._enqueue(async () => {
+      this.messagesBytes.delete(sessionKey);
+      const msgPath = this._messagesPath(sessionKey);
+      for (const p of [this._seqNumsPath(sessionKey), msgPath, `${msgPath}.1`]) {
+        await fs.promises.rm(p, { force: true });
+      }
+    });
+  }
+
+  /**
+   * Write pending sequence numbers now and wait for queued writes.
+   */
+  async flush() {
+    if (this.seqNumsTimer) {
+      clearTimeout(this.seqNumsTimer);
+      this.seqNumsTimer = null;
+    }
+    const pending = [...this.pendingSeqNums];
+    this.pendingSeqNums.clear();
+    return this._enqueue(async () => {
+      for (const [sessionKey, { msgSeqNum, expectedSeqNum }] of pending) {
+        const seqPath = this._seqNumsPath(sessionKey);
+        const tmpPath = `${seqPath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify({ msgSeqNum, expectedSeqNum, updatedAt: Date.now() }));
+        await fs.promises.rename(tmpPath, seqPath);
+      }
+    });
+  }
+
+  // Run `fn` after every earlier write; its error goes to its own caller only
+  _enqueue(fn) {
+    const run = this.writes.then(fn);
+    this.writes = run.catch(() => {});
+    return run;
+  }
+
+  _seqNumsPath(sessionKey) {
+    return path.join(this.dir, `${sessionKey}.seqnums.json`);
+  }
+
+  _messagesPath(sessionKey) {
+    return path.join(this.dir, `${sessionKey}.messages.jsonl`);
+  }
+}
+
+/**
+ * Redis-backed store built on lib/utils/redis-client.
+ *
+ *   <prefix>:<sessionKey>:seqnums   hash { msgSeqNum, expectedSeqNum }
+ *   <prefix>:<sessionKey>:messages  hash seqNum → JSON message
+ *
+ * Keys expire after ttlSeconds so old sessions clean themselves up.
+ */
+export class RedisSessionStore {
+  constructor(options = {}) {
+    if (!options.redisClient) {
+      throw new Error('redisClient is required');
+    }
+
+    this.redisClient = options.redisClient;
+    this.keyPrefix = options.keyPrefix || 'fix:session';
+    this.ttlSeconds = options.ttlSeconds || 8 * 24 * 60 * 60; // outlives a weekly session
+    this.logger = options.logger || console;
+  }
+
+  async load(sessionKey) {
+    const seqNums = await this.redisClient.hgetall(this._seqNumsKey(sessionKey));
+    if (!seqNums || seqNums.msgSeqNum === undefined) return null;
+
+    const stored = await this.redisClient.hgetall(this._messagesKey(sessionKey));
+    const messages = [];
+    for (const value of Object.values(stored || {})) {
+      try {
+        messages.push(JSON.parse(value));
+      } catch {
+        this.logger.warn(`[RedisSessionStore] Skipping unreadable message in ${this._messagesKey(sessionKey)}`);
+      }
+    }
+    messages.sort((a, b) => a.seqNum - b.seqNum);
+
+    return {
+      msgSeqNum: parseInt(seqNums.msgSeqNum),
+      expectedSeqNum: parseInt(seqNums.expectedSeqNum),
+      messages,
+    };
+  }
+
+  async saveSeqNums(sessionKey, { msgSeqNum, expectedSeqNum }) {
+    const key = this._seqNumsKey(sessionKey);
+    await this.redisClient.hmset(key, 'msgSeqNum', String(msgSeqNum), 'expectedSeqNum', String(expectedSeqNum));
+    await this.redisClient.expire(key, this.ttlSeconds);
+  }
+
+  async saveMessage(sessionKey, message) {
+    const key = this._messagesKey(sessionKey);
+    await this.redisClient.hset(key, String(message.seqNum), JSON.stringify(message));
+    await this.redisClient.expire(key, this.ttlSeconds);
+  }
+
+  async reset(sessionKey) {
+    await this.redisClient.del(this._seqNumsKey(sessionKey), this._messagesKey(sessionKey));
+  }
+
+  _seqNumsKey(sessionKey) {
+    return `${this.keyPrefix}:${sessionKey}:seqnums`;
+  }
+
+  _messagesKey(sessionKey) {
+    return `${this.keyPrefix}:${sessionKey}:messages`;
+  }
+}
@@ -0,0 +1,250 @@
+import { describe, it, expect, jest, beforeEach, afterEach } from 'bun:test';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FIXConnection } from './fix-connection.js';
+import { FileSessionStore, RedisSessionStore, getSessionKey, getSessionPeriodStart } from './session-store.js';
+
+const logger = () => ({ info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() });
+
+// In-memory stand-in for lib/utils/redis-client
+function makeRedisClient() {
+  const hashes = new Map();
+  return {
+    hashes,
+    hset: jest.fn(async (key, field, value) => {
+      if (!hashes.has(key)) hashes.set(key, {});
+      hashes.get(key)[field] = value;
+      return 1;
+    }),
+    hmset: jest.fn(async (key, ...fv) => {
+      if (!hashes.has(key)) hashes.set(key, {});
+      for (let i = 0; i < fv.length; i += 2) hashes.get(key)[fv[i]] = fv[i + 1];
+      return 'OK';
+    }),
+    hgetall: jest.fn(async (key) => ({ ...(hashes.get(key) || {}) })),
+    expire: jest.fn(async () => 1),
+    del: jest.fn(async (...keys) => keys.filter(k => hashes.delete(k)).length),
+  };
+}
+
+function makeSocket() {
+  const socket = new EventEmitter();
+  socket.written = [];
+  socket.write = (msg) => { socket.written.push(msg); return true; };
+  socket.destroyed = false;
+  return socket;
+}
+
+describe('session schedule', () => {
+  const now = Date.UTC(2026, 1, 6, 12, 0); // Fri 2026-02-06 12:00 UTC
+
+  it('keys daily sessions by UTC date, rolling at the reset time', () => {
+    expect(getSessionKey('CLI', 'OE', { frequency: 'daily' }, now)).toBe('CLI-OE-20260206');
+    // 17:00 reset: noon still belongs to the session that began yesterday
+    expect(getSessionKey('CLI', 'OE', { frequency: 'daily', time: '17:00' }, now)).toBe('CLI-OE-20260205');
+  });
+
+  it('keys weekly sessions by the start of the week', () => {
+    const start = getSessionPeriodStart({ frequency: 'weekly', dayOfWeek: 0, time: '22:00' }, now);
+    expect(new Date(start).toISOString()).toBe('2026-02-01T22:00:00.000Z');
+  });
+
+  it('never resets when frequency is never', () => {
+    expect(getSessionKey('CLI', 'OE', { frequency: 'never' }, now)).toBe('CLI-OE-persistent');
+  });
+});
+
+describe('FileSessionStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fix-session-'));
+    store = new FileSessionStore({ dir, logger: logger() });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('round-trips seq nums and messages, and resets', async () => {
+    expect(await store.load('S1')).toBeNull();
+
+    await store.saveMessage('S1', { seqNum: 2, fields: { '35': 'D' }, rawMessage: 'x', sentAt: 1 });
+    await store.saveSeqNums('S1', { msgSeqNum: 3, expectedSeqNum: 5 });
+
+    const state = await store.load('S1');
+    expect(state.msgSeqNum).toBe(3);
+    expect(state.expectedSeqNum).toBe(5);
+    expect(state.messages).toEqual([{ seqNum: 2, fields: { '35': 'D' }, rawMessage: 'x', sentAt: 1 }]);
+
+    await store.reset('S1');
+    expect(await store.load('S1')).toBeNull();
+  });
+
+  it('skips a torn final message line', async () => {
+    await store.saveMessage('S1', { seqNum: 1, fields: {} });
+    await store.saveSeqNums('S1', { msgSeqNum: 2, expectedSeqNum: 1 });
+    fs.appendFileSync(path.join(dir, 'S1.messages.jsonl'), '{"seqNum": 2, "fie');
+
+    expect((await store.load('S1')).messages.length).toBe(1);
+  });
+
+  it('batches seq num writes until the flush interval or flush()', async () => {
+    const seqPath = path.join(dir, 'S1.seqnums.json');
+    for (let n = 2; n <= 50; n++) await store.saveSeqNums('S1', { msgSeqNum: n, expectedSeqNum: 1 });
+    expect(fs.existsSync(seqPath)).toBe(false);
+
+    await store.flush();
+    expect(JSON.parse(fs.readFileSync(seqPath, 'utf8')).msgSeqNum).toBe(50);
+
+    await store.saveSeqNums('S1', { msgSeqNum: 51, expectedSeqNum: 1 });
+    await new Promise(r => setTimeout(r, 150));
+    await store.writes;
+    expect(JSON.parse(fs.readFileSync(seqPath, 'utf8')).msgSeqNum).toBe(51);
+  });
+
+  it('resumes past the last stored message when seq nums lag behind', async () => {
+    await store.saveSeqNums('S1', { msgSeqNum: 3, expectedSeqNum: 2 });
+    await store.flush();
+    await store.saveMessage('S1', { seqNum: 3, fields: { '35': 'D' } });
+    await store.saveMessage('S1', { seqNum: 4, fields: { '35': 'D' } });
+
+    // A new process, before the last seq nums reached disk
+    const restarted = new FileSessionStore({ dir, logger: logger() });
+    const state = await restarted.load('S1');
+    expect(state.msgSeqNum).toBe(5);
+    expect(state.expectedSeqNum).toBe(2);
+  });
+
+  it('rotates messages past the size cap and drops both files on reset', async () => {
+    store = new FileSessionStore({ dir, maxMessagesBytes: 200, logger: logger() });
+    for (let seqNum = 1; seqNum <= 6; seqNum++) {
+      await store.saveMessage('S1', { seqNum, fields: { '35': 'D', '58': 'x'.repeat(40) } });
+    }
+    await store.saveSeqNums('S1', { msgSeqNum: 7, expectedSeqNum: 1 });
+
+    const msgPath = path.join(dir, 'S1.messages.jsonl');
+    expect(fs.existsSync(`${msgPath}.1`)).toBe(true);
+    expect(fs.statSync(msgPath).size).toBeLessThanOrEqual(200);
+    const { messages } = await store.load('S1');
+    expect(messages.map(m => m.seqNum)).toEqual([3, 4, 5, 6]);
+
+    await store.reset('S1');
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
+
+describe('RedisSessionStore', () => {
+  it('requires a redisClient', () => {
+    expect(() => new RedisSessionStore()).toThrow('redisClient is required');
+  });
+
+  it('round-trips seq nums and messages with expiry', async () => {
+    const redisClient = makeRedisClient();
+    const store = new RedisSessionStore({ redisClient, ttlSeconds: 60, logger: logger() });
+
+    await store.saveMessage('S1', { seqNum: 3, fields: { '35': 'F' } });
+    await store.saveMessage('S1', { seqNum: 2, fields: { '35': 'D' } });
+    await store.saveSeqNums('S1', { msgSeqNum: 4, expectedSeqNum: 2 });
+
+    const state = await store.load('S1');
+    expect(state.msgSeqNum).toBe(4);
+    expect(state.expectedSeqNum).toBe(2);
+    expect(state.messages.map(m => m.seqNum)).toEqual([2, 3]);
+    expect(redisClient.expire).toHaveBeenCalledWith('fix:session:S1:seqnums', 60);
+
+    await store.reset('S1');
+    expect(await store.load('S1')).toBeNull();
+  });
+});
+
+describe('FIXConnection with a session store', () => {
+  let store;
+
+  function makeConnection() {
+    const connection = new FIXConnection({
+      host: 'localhost',
+      port: 1,
+      targetCompID: 'TRUEX_UAT_OE',
+      apiKey: 'key',
+      apiSecret: 'secret',
+      sessionStore: store,
+      logger: logger(),
+    });
+    connection.socket = makeSocket();
+    return connection;
+  }
+
+  beforeEach(() => {
+    store = new RedisSessionStore({ redisClient: makeRedisClient(), logger: logger() });
+  });
+
+  it('starts a fresh session with ResetSeqNumFlag=Y when nothing is stored', async () => {
+    const connection = makeConnection();
+    expect(await connection.restoreSession()).toBe(false);
+
+    await connection.sendLogon();
+    expect(connection.socket.written[0]).toContain('\x01141=Y\x01');
+  });
+
+  it('persists outbound messages without credentials and resumes after restart', async () => {
+    const first = makeConnection();
+    await first.restoreSession();
+    await first.sendLogon();
+    await first.sendMessage({ '35': 'D', '11': 'C1', '55': 'BTC-PYUSD', '54': '1', '38': '0.1', '44': '100000' });
+    first.handleMessage({ fields: { '35': '8', '34': '1' } });
+    await first.flushSession();
+    await new Promise(r => setImmediate(r));
+
+    const stored = await store.load(first.sessionKey);
+    expect(stored.msgSeqNum).toBe(3);
+    expect(stored.expectedSeqNum).toBe(2);
+    expect(stored.messages[0].fields['554']).toBe('[REDACTED]');
+    expect(stored.messages[0].rawMessage).not.toContain('secret');
+
+    // Restart
+    const second = makeConnection();
+    expect(await second.restoreSession()).toBe(true);
+    expect(second.msgSeqNum).toBe(3);
+    expect(second.expectedSeqNum).toBe(2);
+
+    await second.sendLogon();
+    expect(second.socket.written[0]).toContain('\x01141=N\x01');
+    expect(second.socket.written[0]).toContain('\x0134=3\x01');
+
+    // A ResendRequest for the pre-restart order can be honoured
+    second.handleResendRequest({ fields: { '35': '2', '7': '2', '16': '2' } });
+    const resent = second.socket.written[1];
+    expect(resent).toContain('\x0111=C1\x01');
+    expect(resent).toContain('\x0143=Y\x01');
+  });
+
+  it('sends without waiting for the store', async () => {
+    store.saveMessage = jest.fn(() => new Promise(() => {}));  // a store that never finishes
+    const connection = makeConnection();
+    await connection.restoreSession();
+
+    const sent = await connection.sendMessage({ '35': 'D', '11': 'C1', '55': 'BTC-PYUSD', '54': '1', '38': '0.1', '44': '100000' });
+    expect(sent.msgSeqNum).toBe(1);
+    await connection.sendMessage({ '35': 'F', '11': 'C2', '41': 'C1', '55': 'BTC-PYUSD', '54': '1' });
+    expect(connection.socket.written).toHaveLength(2);
+    expect(store.saveMessage).toHaveBeenCalledTimes(1);  // the second waits its turn
+  });
+
+  it('resets stored state when logging on with ResetSeqNumFlag=Y', async () => {
+    const connection = makeConnection();
+    await connection.restoreSession();
+    await store.saveSeqNums(connection.sessionKey, { msgSeqNum: 1, expectedSeqNum: 9 });
+    await store.saveMessage(connection.sessionKey, { seqNum: 7, fields: { '35': 'D' } });
+
+    await connection.sendLogon();
+    await connection.flushSession();
+
+    const stored = await store.load(connection.sessionKey);
+    expect(stored.messages.map(m => m.seqNum)).toEqual([1]);
+    expect(stored.expectedSeqNum).toBe(1);
+  });
+});
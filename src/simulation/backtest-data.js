@@ -0,0 +1,168 @@
+/**
+ * Backtest data loaders.
+ *
+ * Turn recorded or historical market data into the time-ordered event
+ * list the Backtester consumes:
+ *   { t, type: 'book',  source, bids: [[price, size]], asks: [[price, size]] }
+ *   { t, type: 'trade', source, price, size, side }   side = aggressor
+ *
+ * Sources without depth (OHLC candles, trade prints) get a synthetic
+ * book of `depthBTC` per side, `halfSpreadBps` either side of the price.
+ */
+
+import { OrderBookBuilder } from '../data-pipeline/orderbook-builder.js';
+import { readRecording } from '../data-pipeline/market-data-recorder.js';
+
+const DEFAULTS = { halfSpreadBps: 1, depthBTC: 1 };
+
+function syntheticBook(t, source, price, { halfSpreadBps, depthBTC }) {
+  const half = price * halfSpreadBps / 10000;
+  return { t, type: 'book', source, bids: [[price - half, depthBTC]], asks: [[price + half, depthBTC]] };
+}
+
+/**
+ * Candles { timestamp (ms, candle open), open, high, low, close, volume }
+ * → four price points per candle (open, then the nearer extreme, the far
+ * extreme, close), each a synthetic book plus a trade of a quarter of the
+ * candle's volume in the direction of the move.
+ */
+export function candlesToEvents(candles, options = {}) {
+  const opts = { ...DEFAULTS, intervalMs: 60_000, source: 'kraken', ...options };
+  const events = [];
+
+  for (const c of candles) {
+    const up = c.close >= c.open;
+    const path = up ? [c.open, c.low, c.high, c.close] : [c.open, c.high, c.low, c.close];
+    const step = opts.intervalMs / path.length;
+    const volume = (c.volume || 0) / path.length;
+
+    path.forEach((price, i) => {
+      const t = c.timestamp + Math.round(i * step);
+      const prev = i === 0 ? price : path[i - 1];
+      events.push(syntheticBook(t, opts.source, price, opts));
+      if (volume > 0) {
+        events.push({ t, type: 'trade', source: opts.source, price, size: volume, side: price >= prev ? 'buy' : 'sell' });
+      }
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Kraken /0/public/OHLC result ({ <pair>: [[time, o, h, l, c, vwap, volume, count]], last })
+ * → candles.
+ */
+export function krakenOHLCToCandles(result) {
+  const key = Object.keys(result || {}).find(k => k !== 'last' && Array.isArray(result[k]));
+  if (!key) return [];
+
+  return result[key].map(row => ({
+    timestamp: Number(row[0]) * 1000,
+    open: parseFloat(row[1]),
+    high: parseFloat(row[2]),
+    low: parseFloat(row[3]),
+    close: parseFloat(row[4]),
+    volume: parseFloat(row[6]),
+  }));
+}
+
+/**
+ * Fetch OHLC through KrakenRESTClient.getOHLCData and convert to events.
+ */
+export async function loadKrakenOHLC(client, pair, { interval = 1, since, ...options } = {}) {
+  const result = await client.getOHLCData(pair, interval, since);
+  return candlesToEvents(krakenOHLCToCandles(result), { intervalMs: interval * 60_000, source: 'kraken', ...options });
+}
+
+/**
+ * Kraken trades as returned by KrakenRESTClient.getAllTradesForPeriod()
+ * ({ price, volume, timestamp (s), side }) → trades plus a synthetic book
+ * at each print.
+ */
+export function krakenTradesToEvents(trades, options = {}) {
+  const opts = { ...DEFAULTS, source: 'kraken', ...options };
+  const events = [];
+  for (const trade of trades) {
+    const t = Math.round(trade.timestamp * 1000);
+    events.push({ t, type: 'trade', source: opts.source, price: trade.price, size: trade.volume, side: trade.side });
+    events.push(syntheticBook(t, opts.source, trade.price, opts));
+  }
+  return events;
+}
+
+/**
+ * Fetch trades through KrakenRESTClient.getAllTradesForPeriod and convert to events.
+ */
+export async function loadKrakenTrades(client, pair, { start, end, maxResults, ...options } = {}) {
+  const result = await client.getAllTradesForPeriod(pair, { start, end, maxResults });
+  return krakenTradesToEvents(result.trades || [], options);
+}
+
+/**
+ * Coinbase trades ({ time, price, size, side }, REST /trades or WS match
+ * messages). Coinbase reports the maker's side, so the aggressor is the
+ * opposite one.
+ */
+export function coinbaseTradesToEvents(trades, options = {}) {
+  const opts = { ...DEFAULTS, source: 'coinbase', ...options };
+  const events = [];
+  for (const trade of trades) {
+    const t = new Date(trade.time).getTime();
+    const price = Number(trade.price);
+    events.push({ t, type: 'trade', source: opts.source, price, size: Number(trade.size), side: trade.side === 'buy' ? 'sell' : 'buy' });
+    events.push(syntheticBook(t, opts.source, price, opts));
+  }
+  return events;
+}
+
+/**
+ * MarketDataRecorder recording → events: Coinbase level2 as books (top
+ * `depthLevels`), Coinbase matches as trades, Kraken book updates as books.
+ * TrueX and execution records are skipped.
+ */
+export async function recordingToEvents(filePath, { depthLevels = 10 } = {}) {
+  const events = [];
+  let coinbaseBook = null;
+
+  for await (const record of readRecording(filePath)) {
+    if (record.source === 'coinbase') {
+      const msg = JSON.parse(record.data);
+      if (msg.type === 'snapshot' || msg.type === 'l2update') {
+        if (!coinbaseBook) coinbaseBook = new OrderBookBuilder(msg.product_id, depthLevels);
+        if (msg.type === 'snapshot') coinbaseBook.applyCoinbaseSnapshot(msg);
+        else coinbaseBook.applyCoinbaseL2Update(msg);
+        const depth = coinbaseBook.getDepth(depthLevels);
+        events.push({
+          t: record.t,
+          type: 'book',
+          source: 'coinbase',
+          bids: depth.bids.map(l => [l.price, l.size]),
+          asks: depth.asks.map(l => [l.price, l.size]),
+        });
+      } else if (msg.type === 'match') {
+        events.push({
+          t: record.t,
+          type: 'trade',
+          source: 'coinbase',
+          price: Number(msg.price),
+          size: Number(msg.size),
+          side: msg.side === 'buy' ? 'sell' : 'buy',
+        });
+      }
+    } else if (record.source === 'kraken') {
+      events.push({ t: record.t, type: 'book', source: 'kraken', bids: record.data.bids, asks: record.data.asks });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Merge event lists into one, ordered by time (stable within a timestamp).
+ */
+export function mergeEvents(...lists) {
+  return lists.flat().map((e, i) => [e, i])
+    .sort((a, b) => a[0].t - b[0].t || a[1] - b[1])
+    .map(([e]) => e);
+}
@@ -0,0 +1,266 @@
+import { QuoteEngine } from '../core/quote-engine.js';
+import { InventoryManager } from '../core/inventory-manager.js';
+import { PnLTracker } from '../core/pnl-tracker.js';
+import { PriceAggregator } from '../core/price-aggregator.js';
+import { MarkoutTracker } from '../core/markout-tracker.js';
+import { SimulatedOrderGateway } from './simulated-order-gateway.js';
+import { VirtualClock } from './virtual-clock.js';
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Same defaults MarketMakerOrchestrator builds its components with
+export const DEFAULT_PARAMS = {
+  levels: 5,
+  baseSpreadBps: 50,
+  levelSpacingTicks: 1,
+  repriceThresholdTicks: 1,
+  baseSizeBTC: 0.1,
+  sizeDecayFactor: 0.8,
+  maxOrdersPerSecond: 8,
+  tickSize: 0.50,
+  maxPositionBTC: 5.0,
+  hedgeThresholdBTC: 2.0,
+  maxSkewTicks: 3,
+  skewExponent: 1.5,
+};
+
+export const DEFAULT_FEES = {
+  truexMakerFeeBps: 0,
+  truexTakerFeeBps: 10,
+};
+
+/**
+ * Backtester - Event-driven replay of reference market data through
+ * QuoteEngine and InventoryManager against a SimulatedOrderGateway.
+ *
+ * Events (see backtest-data.js) are applied in time order on a
+ * VirtualClock: books go to the gateway first (so stale quotes can be
+ * picked off), then to a PriceAggregator that drives QuoteEngine as in
+ * the orchestrator; trades go to the gateway, which fills our quotes with
+ * queue-position modelling after latencyMs. Fills update InventoryManager,
+ * PnLTracker (with its maker/taker fee config) and MarkoutTracker. There
+ * is no hedging: inventory is managed by quote skew alone.
+ *
+ * run(params) returns, per parameter set:
+ *   { params, fills, inventoryPath, pnlCurve, sharpe, maxDrawdown,
+ *     markouts, pnl, stats }
+ * sweep(grid) runs every combination of the grid's values.
+ */
+export class Backtester {
+  constructor(options = {}) {
+    this.events = options.events || [];
+    this.symbol = options.symbol || 'BTC-PYUSD';
+    this.baseParams = { ...DEFAULT_PARAMS, ...(options.params || {}) };
+    this.fees = { ...DEFAULT_FEES, ...(options.fees || {}) };
+    this.latencyMs = options.latencyMs ?? 50;
+    this.queueAheadBTC = options.queueAheadBTC ?? 0;
+    this.sampleIntervalMs = options.sampleIntervalMs || 60_000;
+    this.markoutHorizonsMs = options.markoutHorizonsMs;
+    this.priceStaleMs = options.priceStaleMs || 60_000;   // backtest data is sparser than live feeds
+    this.drainQueueIntervalMs = options.drainQueueIntervalMs || 200;
+    this.logger = options.logger || console;
+
+    if (this.events.length === 0) {
+      throw new Error('Backtester requires at least one event');
+    }
+  }
+
+  /**
+   * Every combination of the grid's values, e.g.
+   * { baseSpreadBps: [20, 40], levels: [3, 5] } → 4 parameter sets.
+   */
+  static expandGrid(grid = {}) {
+    return Object.entries(grid).reduce(
+      (combos, [key, values]) => combos.flatMap(c => values.map(v => ({ ...c, [key]: v }))),
+      [{}]
+    );
+  }
+
+  /**
+   * Run every parameter set in `grid` (over baseSpreadBps, levels,
+   * maxSkewTicks, repriceThresholdTicks or any other param).
+   */
+  async sweep(grid) {
+    const results = [];
+    for (const params of Backtester.expandGrid(grid)) {
+      results.push(await this.run(params));
+    }
+    return results;
+  }
+
+  /**
+   * Run the events once with `params` over the base parameters.
+   */
+  async run(params = {}) {
+    const merged = { ...this.baseParams, ...params };
+    const clock = new VirtualClock({ startTime: this.events[0].t });
+    clock.install();
+
+    const timers = [];
+    try {
+      const session = this._build(merged);
+      timers.push(setInterval(() => session.quoteEngine.drainQueue(), this.drainQueueIntervalMs));
+      timers.push(setInterval(() => this._sample(session), this.sampleIntervalMs));
+
+      for (const event of this.events) {
+        await clock.advanceTo(event.t);
+        this._apply(session, event);
+      }
+      // Let in-flight acks and fills land
+      await clock.advanceBy(this.latencyMs);
+      this._sample(session);
+
+      const result = this._result(merged, session);
+      this.logger.info(`[Backtester] ${formatParams(params)}: ${result.fills.length} fills, PnL ${result.pnl.totalPnL.toFixed(2)}, Sharpe ${result.sharpe.toFixed(2)}, max DD ${result.maxDrawdown.toFixed(2)}`);
+      return result;
+    } finally {
+      for (const timer of timers) clearInterval(timer);
+      clock.uninstall();
+    }
+  }
+
+  // --- Internal ---
+
+  _build(params) {
+    const quiet = { info: () => {}, debug: () => {}, warn: () => {}, error: this.logger.error.bind(this.logger) };
+    const expectedSources = new Set(this.events.filter(e => e.type === 'book').map(e => e.source)).size || 1;
+
+    const gateway = new SimulatedOrderGateway({
+      symbol: this.symbol,
+      latencyMs: this.latencyMs,
+      queueAheadBTC: this.queueAheadBTC,
+      logger: quiet,
+    });
+    const inventoryManager = new InventoryManager({ ...params, logger: quiet });
+    const quoteEngine = new QuoteEngine({
+      ...params,
+      strategy: params.quoteModel || params.strategy,
+      strategyOptions: params.quoteModelParams || params.strategyOptions,
+      symbol: this.symbol,
+      inventoryManager,
+      fixConnection: gateway,
+      logger: quiet,
+    });
+    const pnlTracker = new PnLTracker({ ...this.fees, logger: quiet });
+    const markoutTracker = new MarkoutTracker({ horizonsMs: this.markoutHorizonsMs, logger: quiet });
+    const priceAggregator = new PriceAggregator({
+      symbol: this.symbol,
+      staleMs: this.priceStaleMs,
+      expectedSources,
+      logger: quiet,
+    });
+
+    const session = {
+      gateway,
+      inventoryManager,
+      quoteEngine,
+      pnlTracker,
+      markoutTracker,
+      priceAggregator,
+      fills: [],
+      inventoryPath: [{ t: Date.now(), netPosition: 0 }],
+      pnlCurve: [],
+      takerExecIDs: new Set(),
+    };
+
+    priceAggregator.on('price', (price) => {
+      quoteEngine.onPriceUpdate(price);
+      if (price.weightedMidpoint) {
+        markoutTracker.onMid(price.weightedMidpoint);
+        pnlTracker.markToMarket(price.weightedMidpoint);
+      }
+    });
+
+    gateway.on('message', ({ fields }) => {
+      if (fields['35'] === '9') {
+        quoteEngine.onOrderCancelReject(fields);
+        return;
+      }
+      if (fields['1057'] === 'Y') session.takerExecIDs.add(fields['17']);
+      quoteEngine.onExecutionReport(fields);
+    });
+
+    quoteEngine.on('fill', ({ side, price, size, clOrdID, execID, level }) => {
+      const isMaker = !session.takerExecIDs.has(execID);
+      const t = Date.now();
+      inventoryManager.onFill({ side, quantity: size, price, venue: 'truex', execID });
+      pnlTracker.onFill({ side, quantity: size, price, venue: 'truex', isMaker, execID, timestamp: t });
+      markoutTracker.onFill({ side, price, size, level, clOrdID, execID, timestamp: t });
+      session.fills.push({ t, side, price, size, level, clOrdID, execID, isMaker });
+      session.inventoryPath.push({ t, netPosition: inventoryManager.netPosition });
+    });
+
+    inventoryManager.on('emergency', ({ reason }) => {
+      quoteEngine.cancelAllQuotes(`emergency: ${reason}`);
+    });
+
+    return session;
+  }
+
+  _apply(session, event) {
+    if (event.type === 'book') {
+      session.gateway.onBook(event);
+      session.priceAggregator.updateBook(event.source, { bids: event.bids, asks: event.asks, timestamp: event.t });
+    } else if (event.type === 'trade') {
+      session.gateway.onTrade(event);
+    }
+  }
+
+  _sample(session) {
+    const summary = session.pnlTracker.getSummary();
+    session.pnlCurve.push({
+      t: Date.now(),
+      totalPnL: summary.totalPnL,
+      realizedPnL: summary.realizedPnL,
+      netPosition: session.inventoryManager.netPosition,
+    });
+  }
+
+  _result(params, session) {
+    const curve = session.pnlCurve;
+    const returns = [];
+    for (let i = 1; i < curve.length; i++) returns.push(curve[i].totalPnL - curve[i - 1].totalPnL);
+
+    return {
+      params,
+      fills: session.fills,
+      inventoryPath: session.inventoryPath,
+      pnlCurve: curve,
+      sharpe: sharpeRatio(returns, this.sampleIntervalMs),
+      maxDrawdown: maxDrawdown(curve.map(p => p.totalPnL)),
+      markouts: session.markoutTracker.getSummary(),
+      pnl: session.pnlTracker.getSummary(),
+      stats: session.gateway.getStats(),
+    };
+  }
+}
+
+/**
+ * Annualized Sharpe of per-sample PnL changes (0 without variance).
+ */
+export function sharpeRatio(returns, sampleIntervalMs) {
+  if (returns.length < 2) return 0;
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  const std = Math.sqrt(variance);
+  if (std === 0) return 0;
+  return (mean / std) * Math.sqrt(YEAR_MS / sampleIntervalMs);
+}
+
+/**
+ * Largest peak-to-trough drop of a PnL series, as a positive amount.
+ */
+export function maxDrawdown(series) {
+  let peak = -Infinity;
+  let worst = 0;
+  for (const value of series) {
+    peak = Math.max(peak, value);
+    worst = Math.max(worst, peak - value);
+  }
+  return worst;
+}
+
+function formatParams(params) {
+  const entries = Object.entries(params);
+  return entries.length > 0 ? entries.map(([k, v]) => `${k}=${v}`).join(' ') : 'base params';
+}
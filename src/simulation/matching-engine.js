@@ -0,0 +1,256 @@
+/**
+ * MatchingEngine - Price-time priority limit order book.
+ *
+ * One book per symbol. Resting orders queue at their limit price in arrival
+ * order; an incoming order matches the opposite side best price first,
+ * oldest first within a level, and trades at the resting order's price.
+ *
+ * Methods return the executions they caused instead of emitting them, so
+ * the caller (TrueXExchangeSimulator) decides who gets which report.
+ *
+ * Order: { orderID, clOrdID, owner, symbol, side ('buy'|'sell'), ordType
+ *          ('limit'|'market'), timeInForce ('GTC'|'DAY'|'IOC'|'FOK'), price,
+ *          orderQty, cumQty, leavesQty, avgPx, status, seq }
+ * status: 'new' | 'partial' | 'filled' | 'cancelled'
+ */
+
+const round = (x) => Math.round(x * 1e8) / 1e8;
+
+export class MatchingEngine {
+  constructor(options = {}) {
+    this.logger = options.logger || console;
+
+    this.books = new Map();   // symbol -> { bids: [order], asks: [order] } in priority order
+    this.orders = new Map();  // orderID -> order (open and closed)
+    this.orderCounter = 0;
+    this.seqCounter = 0;      // time priority
+  }
+
+  /**
+   * Submit an order. Returns { order, fills, cancelledQty } where fills are
+   * { resting, price, qty } against existing orders, in execution order,
+   * and cancelledQty is any IOC/FOK/market remainder that did not rest.
+   */
+  submit({ clOrdID = null, owner = null, symbol, side, ordType = 'limit', timeInForce = 'GTC', price = null, orderQty }) {
+    if (side !== 'buy' && side !== 'sell') throw new Error(`Invalid side: ${side}`);
+    if (!(orderQty > 0)) throw new Error(`Invalid order quantity: ${orderQty}`);
+    if (ordType === 'limit' && !(price > 0)) throw new Error(`Invalid limit price: ${price}`);
+
+    const order = {
+      orderID: `SIM${++this.orderCounter}`,
+      clOrdID,
+      owner,
+      symbol,
+      side,
+      ordType,
+      timeInForce,
+      price: ordType === 'market' ? null : price,
+      orderQty,
+      cumQty: 0,
+      leavesQty: orderQty,
+      avgPx: 0,
+      status: 'new',
+      seq: ++this.seqCounter,
+    };
+    this.orders.set(order.orderID, order);
+
+    // Fill-or-kill never touches the book unless it can complete
+    if (timeInForce === 'FOK' && this.availableQty(symbol, side, order.price) < orderQty) {
+      order.status = 'cancelled';
+      order.leavesQty = 0;
+      return { order, fills: [], cancelledQty: orderQty };
+    }
+
+    const fills = this._match(order);
+
+    let cancelledQty = 0;
+    if (order.leavesQty > 0) {
+      if (ordType === 'market' || timeInForce === 'IOC' || timeInForce === 'FOK') {
+        cancelledQty = order.leavesQty;
+        order.leavesQty = 0;
+        order.status = 'cancelled';
+      } else {
+        this._rest(order);
+      }
+    }
+
+    return { order, fills, cancelledQty };
+  }
+
+  /**
+   * Cancel an open order. Returns the order, or null if it is not open.
+   */
+  cancel(orderID) {
+    const order = this.orders.get(orderID);
+    if (!order || !this.isOpen(order)) return null;
+
+    this._unrest(order);
+    order.leavesQty = 0;
+    order.status = 'cancelled';
+    return order;
+  }
+
+  /**
+   * Amend an open order's price and/or total quantity.
+   *
+   * Reducing quantity keeps time priority; a price change or quantity
+   * increase sends the order to the back of its new level. A new price
+   * may cross, in which case the order trades immediately.
+   *
+   * Returns { order, fills } or throws if the order is not open or the new
+   * quantity is not above what has already filled.
+   */
+  replace(orderID, { price, orderQty }) {
+    const order = this.orders.get(orderID);
+    if (!order || !this.isOpen(order)) throw new Error('Unknown order');
+
+    const newQty = orderQty != null ? orderQty : order.orderQty;
+    const newPrice = price != null ? price : order.price;
+    if (newQty <= order.cumQty) throw new Error('Too late to replace');
+
+    const losesPriority = newPrice !== order.price || newQty > order.orderQty;
+
+    this._unrest(order);
+    order.price = newPrice;
+    order.orderQty = newQty;
+    order.leavesQty = round(newQty - order.cumQty);
+    if (losesPriority) order.seq = ++this.seqCounter;
+
+    const fills = this._match(order);
+    if (order.leavesQty > 0) this._rest(order);
+
+    return { order, fills };
+  }
+
+  /**
+   * Cancel every open order matching the filter. Returns the cancelled orders.
+   */
+  cancelAll({ owner, symbol, side } = {}) {
+    return this.getOpenOrders({ owner, symbol, side }).map(o => this.cancel(o.orderID));
+  }
+
+  getOrder(orderID) {
+    return this.orders.get(orderID) || null;
+  }
+
+  isOpen(order) {
+    return order.status === 'new' || order.status === 'partial';
+  }
+
+  getOpenOrders({ owner, symbol, side } = {}) {
+    const open = [];
+    for (const [sym, book] of this.books) {
+      if (symbol && sym !== symbol) continue;
+      for (const o of [...book.bids, ...book.asks]) {
+        if (owner !== undefined && o.owner !== owner) continue;
+        if (side && o.side !== side) continue;
+        open.push(o);
+      }
+    }
+    return open.sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Aggregated depth: { bids: [{ price, size, orders }], asks: [...] },
+   * best price first.
+   */
+  getDepth(symbol, levels = Infinity) {
+    const book = this.books.get(symbol);
+    const aggregate = (orders) => {
+      const out = [];
+      for (const o of orders) {
+        const last = out[out.length - 1];
+        if (last && last.price === o.price) {
+          last.size = round(last.size + o.leavesQty);
+          last.orders++;
+        } else {
+          if (out.length >= levels) break;
+          out.push({ price: o.price, size: o.leavesQty, orders: 1 });
+        }
+      }
+      return out;
+    };
+    return {
+      bids: book ? aggregate(book.bids) : [],
+      asks: book ? aggregate(book.asks) : [],
+    };
+  }
+
+  /**
+   * Quantity an order on `side` could take from the book at `limit`
+   * (null = any price).
+   */
+  availableQty(symbol, side, limit = null) {
+    const book = this.books.get(symbol);
+    if (!book) return 0;
+    let qty = 0;
+    for (const o of side === 'buy' ? book.asks : book.bids) {
+      if (!this._crosses(side, limit, o.price)) break;
+      qty += o.leavesQty;
+    }
+    return round(qty);
+  }
+
+  // --- Internal ---
+
+  _book(symbol) {
+    let book = this.books.get(symbol);
+    if (!book) {
+      book = { bids: [], asks: [] };
+      this.books.set(symbol, book);
+    }
+    return book;
+  }
+
+  _crosses(side, limit, restingPrice) {
+    if (limit === null) return true;
+    return side === 'buy' ? restingPrice <= limit : restingPrice >= limit;
+  }
+
+  _match(order) {
+    const book = this._book(order.symbol);
+    const opposite = order.side === 'buy' ? book.asks : book.bids;
+    const fills = [];
+
+    while (order.leavesQty > 0 && opposite.length > 0) {
+      const resting = opposite[0];
+      if (!this._crosses(order.side, order.price, resting.price)) break;
+
+      const qty = Math.min(order.leavesQty, resting.leavesQty);
+      const price = resting.price;
+      this._applyFill(order, qty, price);
+      this._applyFill(resting, qty, price);
+      if (resting.leavesQty === 0) opposite.shift();
+
+      fills.push({ resting, price, qty });
+    }
+
+    return fills;
+  }
+
+  _applyFill(order, qty, price) {
+    order.avgPx = (order.avgPx * order.cumQty + price * qty) / (order.cumQty + qty);
+    order.cumQty = round(order.cumQty + qty);
+    order.leavesQty = round(order.leavesQty - qty);
+    order.status = order.leavesQty === 0 ? 'filled' : 'partial';
+  }
+
+  _rest(order) {
+    const side = this._book(order.symbol)[order.side === 'buy' ? 'bids' : 'asks'];
+    const better = order.side === 'buy'
+      ? (a, b) => a.price > b.price || (a.price === b.price && a.seq < b.seq)
+      : (a, b) => a.price < b.price || (a.price === b.price && a.seq < b.seq);
+
+    let i = side.length;
+    while (i > 0 && better(order, side[i - 1])) i--;
+    side.splice(i, 0, order);
+  }
+
+  _unrest(order) {
+    const book = this.books.get(order.symbol);
+    if (!book) return;
+    const side = book[order.side === 'buy' ? 'bids' : 'asks'];
+    const i = side.indexOf(order);
+    if (i !== -1) side.splice(i, 1);
+  }
+}
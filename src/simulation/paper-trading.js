@@ -0,0 +1,192 @@
+import { SimulatedOrderGateway } from './simulated-order-gateway.js';
+
+/**
+ * PaperOrderGateway - SimulatedOrderGateway bound to live feeds, standing
+ * in for the TrueX OE FIXConnection in MarketMakerOrchestrator's paper mode.
+ *
+ * Resting quotes fill when reference trades reach them (Coinbase matches,
+ * Kraken trades) or the TrueX MD book crosses them; the TrueX book also
+ * sets their queue position. Mass cancel and mass status answer from the
+ * simulated book like FIXConnection's requests, so emergency pullbacks and
+ * cancelOrdersOnStart behave as in live mode. Nothing leaves the process.
+ *
+ * Events emitted: as SimulatedOrderGateway, plus
+ *   'mass-cancel-report' - { clOrdID, accepted, totalAffected }
+ */
+export class PaperOrderGateway extends SimulatedOrderGateway {
+  constructor(options = {}) {
+    super(options);
+    this.bindings = [];
+    this.requestCounter = 0;
+  }
+
+  /**
+   * Fill against a TrueXMarketDataFeed's book ('book-change' events).
+   */
+  addTrueXFeed(feed) {
+    const handler = (book) => this.onBook(book);
+    feed.on('book-change', handler);
+    this.bindings.push(() => feed.removeListener('book-change', handler));
+  }
+
+  /**
+   * Fill against CoinbaseWsIngest matches. Coinbase's feed carries no
+   * aggressor side, so a print can reach quotes on either side.
+   */
+  addCoinbaseIngest(ingest) {
+    const prevTrade = ingest.onTrade;
+
+    ingest.onTrade = (symbol, trades) => {
+      if (prevTrade) prevTrade(symbol, trades);
+      if (symbol !== this.symbol) return;
+      for (const t of trades) this.onTrade({ price: t.price, size: t.volume });
+    };
+
+    this.bindings.push(() => {
+      ingest.onTrade = prevTrade;
+    });
+  }
+
+  /**
+   * Fill against KrakenWebSocketV2ExchangeAdapter trades ('trade' events).
+   */
+  addKrakenAdapter(adapter) {
+    const handler = ({ price, size, side }) => this.onTrade({ price, size, side });
+    adapter.on('trade', handler);
+    this.bindings.push(() => adapter.removeListener('trade', handler));
+  }
+
+  /**
+   * Remove all feed bindings.
+   */
+  detach() {
+    for (const unbind of this.bindings) unbind();
+    this.bindings = [];
+  }
+
+  /**
+   * Cancel every working order (optionally one side), resolving with a
+   * report shaped like FIXConnection.requestMassCancel's.
+   */
+  async requestMassCancel({ symbol, side } = {}) {
+    const clOrdID = `PAPERMC${++this.requestCounter}`;
+    const orders = this._liveOrders().filter(o => !side || o.side === side);
+
+    for (const order of orders) {
+      this.orders.delete(order.clOrdID);
+      order.status = 'cancelled';
+      order.leavesQty = 0;
+      this._report(order, { '150': '4', '39': '4', '41': order.clOrdID });
+    }
+
+    const report = {
+      clOrdID,
+      response: symbol ? '1' : '7',
+      accepted: true,
+      totalAffected: orders.length,
+    };
+    this.logger.warn(`[PaperOrderGateway] Mass cancel ${clOrdID}: ${orders.length} orders affected`);
+    this.emit('mass-cancel-report', report);
+    return report;
+  }
+
+  /**
+   * Working orders in FIXConnection.requestMassStatus's shape.
+   */
+  async requestMassStatus() {
+    return this._liveOrders().map(o => ({
+      clOrdID: o.clOrdID,
+      orderID: o.orderID,
+      symbol: this.symbol,
+      side: o.side,
+      price: o.price,
+      orderQty: o.orderQty,
+      cumQty: o.cumQty,
+      leavesQty: o.leavesQty,
+      avgPx: o.avgPx,
+      ordStatus: o.cumQty > 0 ? '1' : '0',
+    }));
+  }
+}
+
+/**
+ * PaperKrakenClient - Stand-in Kraken REST client for HedgeExecutor.
+ *
+ * Fills against the touch of the last Kraken book it was given (or the
+ * fallback price when there is none): market orders immediately, limit
+ * orders once the touch crosses their price, checked on each query.
+ */
+export class PaperKrakenClient {
+  constructor(options = {}) {
+    this.fallbackPrice = options.fallbackPrice || (() => null);
+    this.bestBid = null;
+    this.bestAsk = null;
+    this.orders = new Map();  // txid -> { type, ordertype, price, volume, status, fillPrice }
+    this.orderCounter = 0;
+    this.bindings = [];
+  }
+
+  /**
+   * Track a KrakenWebSocketV2ExchangeAdapter's book ('orderBookUpdate' events).
+   */
+  addKrakenAdapter(adapter) {
+    const handler = (book) => this.setBook(book);
+    adapter.on('orderBookUpdate', handler);
+    this.bindings.push(() => adapter.removeListener('orderBookUpdate', handler));
+  }
+
+  detach() {
+    for (const unbind of this.bindings) unbind();
+    this.bindings = [];
+  }
+
+  /**
+   * Levels may be [price, size] tuples or { price, size } objects.
+   */
+  setBook({ bids, asks }) {
+    const price = (level) => Number(Array.isArray(level) ? level[0] : level.price);
+    if (bids && bids.length > 0) this.bestBid = price(bids[0]);
+    if (asks && asks.length > 0) this.bestAsk = price(asks[0]);
+  }
+
+  async addOrder({ type, ordertype, price, volume }) {
+    const txid = `PAPK${++this.orderCounter}`;
+    const order = { type, ordertype, price: price != null ? Number(price) : null, volume, status: 'open', fillPrice: null };
+    this.orders.set(txid, order);
+    this._tryFill(order);
+    return { txid: [txid] };
+  }
+
+  async queryOrders({ txid }) {
+    const order = this.orders.get(txid);
+    if (!order) return {};
+    this._tryFill(order);
+    return {
+      [txid]: {
+        status: order.status,
+        vol_exec: order.status === 'closed' ? order.volume : '0',
+        price: order.fillPrice != null ? String(order.fillPrice) : '0',
+      },
+    };
+  }
+
+  async cancelOrder({ txid }) {
+    const order = this.orders.get(txid);
+    if (order && order.status === 'open') order.status = 'canceled';
+    return { count: order ? 1 : 0 };
+  }
+
+  _tryFill(order) {
+    if (order.status !== 'open') return;
+    const touch = order.type === 'buy' ? this.bestAsk : this.bestBid;
+    const price = touch ?? this.fallbackPrice(order.type);
+    if (price == null) return;
+
+    const crosses = order.ordertype === 'market'
+      || (order.type === 'buy' ? price <= order.price : price >= order.price);
+    if (!crosses) return;
+
+    order.status = 'closed';
+    order.fillPrice = price;
+  }
+}
@@ -0,0 +1,296 @@
+import { EventEmitter } from 'events';
+import { FIXConnection } from '../fix-protocol/fix-connection.js';
+import { MarketMakerOrchestrator } from '../core/market-maker-orchestrator.js';
+import { InstrumentRegistry } from '../core/instrument-registry.js';
+import { TrueXMarketDataFeed } from '../core/truex-market-data.js';
+import { CoinbaseWsIngest } from '../data-pipeline/coinbase-ws-ingest.js';
+import { readRecording } from '../data-pipeline/market-data-recorder.js';
+import { VirtualClock } from './virtual-clock.js';
+import { PaperKrakenClient } from './paper-trading.js';
+
+const SOH = '\x01';
+const SIDES = { '1': 'buy', '2': 'sell' };
+
+/**
+ * ReplayFIXConnection - FIXConnection with no socket, for replays.
+ *
+ * Outbound orders are logged as actions and acknowledged after
+ * ackLatencyMs (on whatever clock is installed): 35=D → New, 35=F →
+ * Cancelled, 35=G → Replaced, 35=q → Mass Cancel Report plus a Cancelled
+ * report per open order. Nothing is ever filled here; the driver injects
+ * recorded fills with inject().
+ *
+ * Action: { t, type ('new'|'cancel'|'replace'|'mass-cancel'), clOrdID,
+ *           origClOrdID, side, price, size }
+ */
+export class ReplayFIXConnection extends FIXConnection {
+  constructor(options = {}) {
+    super({ senderCompID: 'REPLAY', targetCompID: 'REPLAY', ...options });
+    this.ackLatencyMs = options.ackLatencyMs ?? 0;
+
+    this.actions = [];
+    this.openOrders = new Map();  // clOrdID -> { side, price, size }
+    this.execCounter = 0;
+  }
+
+  async connect() {
+    this.socket = {
+      destroyed: false,
+      write: (raw) => {
+        this._onOutbound(raw);
+        return true;
+      },
+      destroy() { this.destroyed = true; },
+    };
+    this.isConnected = true;
+    this.isLoggedOn = true;
+  }
+
+  /**
+   * Recordings carry no instrument specs: an empty list, so the registry
+   * keeps its defaults. Answered at once, since the virtual clock is
+   * paused while the orchestrator starts.
+   */
+  async requestSecurityList() {
+    return [];
+  }
+
+  /**
+   * Deliver a recorded inbound message as if it arrived in sequence.
+   */
+  inject(raw) {
+    const message = this.parseMessage(raw);
+    const f = message.fields;
+    if (f['35'] === '8' && (f['39'] === '2' || f['39'] === '4' || f['39'] === '8')) {
+      this.openOrders.delete(f['11']);
+    }
+    this.dispatchMessage(message);
+  }
+
+  _onOutbound(raw) {
+    const f = this.parseMessage(raw).fields;
+    const t = Date.now();
+    const price = f['44'] != null ? parseFloat(f['44']) : null;
+    const size = f['38'] != null ? parseFloat(f['38']) : null;
+
+    switch (f['35']) {
+      case 'D':
+        this.actions.push({ t, type: 'new', clOrdID: f['11'], origClOrdID: null, side: SIDES[f['54']], price, size });
+        this.openOrders.set(f['11'], { side: f['54'], price: f['44'], size: f['38'] });
+        this._ack({ '150': '0', '39': '0', '11': f['11'], '54': f['54'], '44': f['44'], '38': f['38'], '151': f['38'], '14': '0' });
+        break;
+
+      case 'F':
+        this.actions.push({ t, type: 'cancel', clOrdID: f['11'], origClOrdID: f['41'], side: SIDES[f['54']], price: null, size: null });
+        this.openOrders.delete(f['41']);
+        this._ack({ '150': '4', '39': '4', '11': f['11'], '41': f['41'], '54': f['54'] });
+        break;
+
+      case 'G': {
+        this.actions.push({ t, type: 'replace', clOrdID: f['11'], origClOrdID: f['41'], side: SIDES[f['54']], price, size });
+        this.openOrders.delete(f['41']);
+        this.openOrders.set(f['11'], { side: f['54'], price: f['44'], size: f['38'] });
+        this._ack({ '150': '5', '39': '0', '11': f['11'], '41': f['41'], '54': f['54'], '44': f['44'], '38': f['38'] });
+        break;
+      }
+
+      case 'q': {
+        this.actions.push({ t, type: 'mass-cancel', clOrdID: f['11'], origClOrdID: null, side: SIDES[f['54']] || null, price: null, size: null });
+        const cancelled = [...this.openOrders.entries()];
+        this.openOrders.clear();
+        for (const [clOrdID, order] of cancelled) {
+          this._ack({ '150': '4', '39': '4', '11': clOrdID, '54': order.side, '44': order.price });
+        }
+        this._ack({ '35': 'r', '11': f['11'], '530': f['530'], '531': f['530'], '533': String(cancelled.length) });
+        break;
+      }
+
+      default:
+        // Logout, market data requests etc. need no answer
+        break;
+    }
+  }
+
+  _ack(fields) {
+    const full = { '35': '8', '17': `RPL${++this.execCounter}`, ...fields };
+    if (full['35'] !== '8') delete full['17'];
+    const raw = Object.entries(full).map(([tag, value]) => `${tag}=${value}`).join(SOH) + SOH;
+    setTimeout(() => this.dispatchMessage({ raw, fields: full }), this.ackLatencyMs);
+  }
+}
+
+/**
+ * ReplayDriver - Feeds a MarketDataRecorder recording back through a
+ * MarketMakerOrchestrator on a VirtualClock.
+ *
+ * The clock starts at the header's time and jumps to each record's
+ * arrival time before delivering it, so QuoteEngine, InventoryManager,
+ * PnLTracker and their timers see exactly the recorded sequence and make
+ * the same decisions on every run:
+ *   'coinbase' → CoinbaseWsIngest.handleMessage
+ *   'kraken'   → 'orderBookUpdate' on a stand-in adapter (and the hedge client's book)
+ *   'truex-md' → TrueXMarketDataFeed over a ReplayFIXConnection
+ *   'truex-oe' → fills only (39=1/2); acks come from ReplayFIXConnection
+ *
+ * Fills are the ones the recorded session actually received, so they only
+ * line up with the replay's orders while its decisions match the
+ * original; modelling which quotes would have traded is out of scope.
+ *
+ * run() resolves with { header, records, startTime, endTime, actions,
+ * fills, hedges, riskRejections, pnl, inventory, markouts }, taken at the
+ * end of the recording, before the orchestrator is stopped.
+ */
+export class ReplayDriver {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.records = options.records || null;  // in-memory alternative to filePath
+    this.orchestratorOptions = options.orchestratorOptions || {};
+    this.ackLatencyMs = options.ackLatencyMs ?? 0;
+    this.settleMs = options.settleMs ?? 0;     // virtual time to run on after the last record
+    this.logger = options.logger || console;
+
+    if (!this.filePath && !this.records) {
+      throw new Error('ReplayDriver requires filePath or records');
+    }
+  }
+
+  async run() {
+    const clock = new VirtualClock();
+    clock.install();
+
+    let session = null;
+    try {
+      for await (const record of this._readRecords()) {
+        if (!session) {
+          if (record.source !== 'header') throw new Error('Recording does not start with a header');
+          clock.setTime(record.t);
+          session = await this._startSession(record.data);
+          continue;
+        }
+        await clock.advanceTo(record.t);
+        this._dispatch(session, record);
+      }
+      if (!session) throw new Error('Recording is empty');
+
+      await clock.advanceBy(this.settleMs);
+      const report = this._buildReport(session, clock);
+      this.logger.info(`[ReplayDriver] Replayed ${report.records} records: ${report.actions.length} order actions, ${report.fills.length} fills, PnL ${report.pnl.totalPnL.toFixed(2)}`);
+
+      await session.orchestrator.stop();
+      return report;
+    } finally {
+      clock.uninstall();
+    }
+  }
+
+  async *_readRecords() {
+    if (this.records) {
+      yield* this.records;
+      return;
+    }
+    yield* readRecording(this.filePath);
+  }
+
+  async _startSession(header) {
+    const symbol = this.orchestratorOptions.symbol || header.symbol || 'BTC-PYUSD';
+    const sources = new Set(header.sources || []);
+    const session = {
+      header,
+      records: 0,
+      bySource: {},
+      startTime: Date.now(),
+      fills: [],
+      hedges: [],
+      riskRejections: [],
+    };
+
+    session.fixOE = new ReplayFIXConnection({ ackLatencyMs: this.ackLatencyMs, logger: this.logger });
+    session.coinbaseIngest = sources.has('coinbase')
+      ? new CoinbaseWsIngest({ symbols: [symbol], logger: this.logger })
+      : null;
+    session.krakenAdapter = sources.has('kraken') ? new EventEmitter() : null;
+    session.marketDataFeed = sources.has('truex-md')
+      ? new TrueXMarketDataFeed({ symbol, fixConnection: new ReplayFIXConnection({ logger: this.logger }), logger: this.logger })
+      : null;
+    session.krakenClient = new PaperKrakenClient({
+      fallbackPrice: (side) => {
+        if (!session.orchestrator.priceAggregator) return null;
+        const price = session.orchestrator.priceAggregator.getAggregatedPrice();
+        return side === 'buy' ? price.bestAsk : price.bestBid;
+      },
+    });
+
+    session.orchestrator = new MarketMakerOrchestrator({
+      // Own registry: a replay never sees specs loaded earlier in the process
+      instrumentRegistry: new InstrumentRegistry({ logger: this.logger }),
+      ...this.orchestratorOptions,
+      symbol,
+      sessionId: this.orchestratorOptions.sessionId || `replay-${header.sessionId || session.startTime}`,
+      fixConnection: session.fixOE,
+      coinbaseIngest: session.coinbaseIngest,
+      krakenAdapter: session.krakenAdapter,
+      marketDataFeed: session.marketDataFeed,
+      krakenClient: session.krakenClient,
+      recorder: null,
+      reconcileOnStart: false,
+      cancelOrdersOnStart: false,
+      logger: this.logger,
+    });
+
+    session.orchestrator.on('fill', (fill) => session.fills.push({ t: Date.now(), ...fill }));
+    session.orchestrator.on('hedge', (hedge) => session.hedges.push({ t: Date.now(), ...hedge }));
+    session.orchestrator.on('risk-rejection', (rejection) => session.riskRejections.push({ t: Date.now(), ...rejection }));
+    session.orchestrator.on('error', (err) => this.logger.error(`[ReplayDriver] Orchestrator error: ${err.message || err}`));
+
+    await session.orchestrator.start();
+    return session;
+  }
+
+  _dispatch(session, { source, data }) {
+    session.records++;
+    session.bySource[source] = (session.bySource[source] || 0) + 1;
+
+    switch (source) {
+      case 'coinbase':
+        if (session.coinbaseIngest) session.coinbaseIngest.handleMessage(data);
+        break;
+
+      case 'kraken':
+        session.krakenClient.setBook(data);
+        if (session.krakenAdapter) session.krakenAdapter.emit('orderBookUpdate', data);
+        break;
+
+      case 'truex-md':
+        if (session.marketDataFeed) session.marketDataFeed.fix.inject(data);
+        break;
+
+      case 'truex-oe': {
+        const f = session.fixOE.parseMessage(data).fields;
+        const isFill = f['35'] === '8' && (f['39'] === '1' || f['39'] === '2') && !f['584'] && !f['790'];
+        if (isFill) session.fixOE.inject(data);
+        break;
+      }
+
+      default:
+        this.logger.warn(`[ReplayDriver] Skipping record with unknown source: ${source}`);
+    }
+  }
+
+  _buildReport(session, clock) {
+    const { orchestrator } = session;
+    return {
+      header: session.header,
+      records: session.records,
+      bySource: { ...session.bySource },
+      startTime: session.startTime,
+      endTime: clock.now(),
+      actions: session.fixOE.actions.map(a => ({ ...a })),
+      fills: session.fills,
+      hedges: session.hedges,
+      riskRejections: session.riskRejections,
+      pnl: orchestrator.pnlTracker.getSummary(),
+      inventory: orchestrator.inventoryManager.getPositionSummary(),
+      markouts: orchestrator.markoutTracker.getSummary(),
+    };
+  }
+}
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * QuoteEngine Backtest
+ *
+ * Runs the Backtester over one data source and prints per-parameter-set
+ * results. Comma-separated values sweep the grid.
+ *
+ * Data (one of):
+ *   --recording=<file.jsonl.gz>          MarketDataRecorder recording
+ *   --kraken-ohlc=<pair> [--interval=1]  Kraken OHLC via KrakenRESTClient (last 720 candles)
+ *   --kraken-trades=<pair> [--hours=1]   Kraken trades via KrakenRESTClient
+ *   --coinbase-trades=<file.json>        Coinbase trades [{ time, price, size, side }]
+ *
+ * Parameters (comma-separated to sweep):
+ *   --spread=<bps> --levels=<n> --skew=<ticks> --reprice=<ticks> --size=<btc>
+ *
+ * Simulation:
+ *   --latency=<ms> --queue-ahead=<btc> --maker-fee=<bps> --taker-fee=<bps> [--json]
+ *
+ * @module run-backtest
+ */
+
+import fs from 'fs';
+import { Backtester } from './backtester.js';
+import {
+  recordingToEvents,
+  loadKrakenOHLC,
+  loadKrakenTrades,
+  coinbaseTradesToEvents,
+  mergeEvents,
+} from './backtest-data.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+      const [key, value] = arg.slice(2).split('=');
+      return [key, value ?? true];
+    })
+);
+
+async function loadEvents() {
+  if (args.recording) return recordingToEvents(args.recording);
+  if (args['coinbase-trades']) {
+    return coinbaseTradesToEvents(JSON.parse(fs.readFileSync(args['coinbase-trades'], 'utf8')));
+  }
+  if (args['kraken-ohlc'] || args['kraken-trades']) {
+    const { KrakenRESTClient } = await import('../../lib/exchanges/KrakenRESTClient.js');
+    const client = new KrakenRESTClient();
+    if (args['kraken-ohlc']) {
+      return loadKrakenOHLC(client, args['kraken-ohlc'], { interval: Number(args.interval || 1) });
+    }
+    const end = Math.floor(Date.now() / 1000);
+    return loadKrakenTrades(client, args['kraken-trades'], { start: end - Number(args.hours || 1) * 3600, end });
+  }
+  return null;
+}
+
+const events = await loadEvents();
+if (!events) {
+  console.error('Usage: node run-backtest.js (--recording=<file> | --kraken-ohlc=<pair> | --kraken-trades=<pair> | --coinbase-trades=<file>) [--spread=20,40] [--levels=3,5] [--skew=2,3] [--reprice=1,2] [--json]');
+  process.exit(1);
+}
+
+const list = (value) => String(value).split(',').map(Number);
+const grid = {};
+if (args.spread) grid.baseSpreadBps = list(args.spread);
+if (args.levels) grid.levels = list(args.levels);
+if (args.skew) grid.maxSkewTicks = list(args.skew);
+if (args.reprice) grid.repriceThresholdTicks = list(args.reprice);
+if (args.size) grid.baseSizeBTC = list(args.size);
+
+const fees = {};
+if (args['maker-fee']) fees.truexMakerFeeBps = Number(args['maker-fee']);
+if (args['taker-fee']) fees.truexTakerFeeBps = Number(args['taker-fee']);
+
+const backtester = new Backtester({
+  events: mergeEvents(events),
+  fees,
+  latencyMs: args.latency !== undefined ? Number(args.latency) : undefined,
+  queueAheadBTC: args['queue-ahead'] !== undefined ? Number(args['queue-ahead']) : undefined,
+  logger: { info: () => {}, debug: () => {}, warn: console.warn, error: console.error },
+});
+
+console.log(`📼 ${events.length} events, ${new Date(events[0].t).toISOString()} → ${new Date(events[events.length - 1].t).toISOString()}`);
+const results = await backtester.sweep(grid);
+
+if (args.json) {
+  console.log(JSON.stringify(results, null, 2));
+  process.exit(0);
+}
+
+const horizon = (r) => {
+  const labels = r.markouts.horizons;
+  const last = labels[labels.length - 1];
+  const bucket = r.markouts.overall[last];
+  return bucket ? `${bucket.avgBps.toFixed(2)}bps@${last}` : '-';
+};
+
+console.log('\nspread levels skew reprice |  fills   volume |   totalPnL   realized     fees | sharpe   maxDD | markout');
+for (const r of [...results].sort((a, b) => b.pnl.totalPnL - a.pnl.totalPnL)) {
+  const p = r.params;
+  console.log([
+    String(p.baseSpreadBps).padStart(6),
+    String(p.levels).padStart(6),
+    String(p.maxSkewTicks).padStart(4),
+    String(p.repriceThresholdTicks).padStart(7),
+    '|',
+    String(r.fills.length).padStart(6),
+    r.stats.filledQty.toFixed(3).padStart(8),
+    '|',
+    r.pnl.totalPnL.toFixed(2).padStart(10),
+    r.pnl.realizedPnL.toFixed(2).padStart(10),
+    r.pnl.totalFees.toFixed(2).padStart(8),
+    '|',
+    r.sharpe.toFixed(2).padStart(6),
+    r.maxDrawdown.toFixed(2).padStart(7),
+    '|',
+    horizon(r),
+  ].join(' '));
+}
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Local TrueX Exchange Simulator
+ *
+ * Runs a TrueXExchangeSimulator on localhost so the market maker can be
+ * pointed at it (TRUEX_FIX_HOST=127.0.0.1, TRUEX_FIX_PORT=<port>) instead of
+ * the TrueX UAT. Accepts logons signed with TRUEX_API_KEY / TRUEX_API_SECRET
+ * and optionally seeds a symmetric ladder of house liquidity.
+ *
+ * Usage:
+ *   node run-exchange-simulator.js [--port=<port>] [--mid=<price>] [--levels=<n>] [--size=<btc>]
+ *
+ * @module run-exchange-simulator
+ */
+
+import dotenv from 'dotenv';
+import { TrueXExchangeSimulator } from './truex-exchange-simulator.js';
+
+dotenv.config();
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.slice(2).split('='))
+);
+
+const symbol = process.env.SYMBOL || 'BTC-PYUSD';
+const mid = Number(args.mid || 0);
+const levels = Number(args.levels || 5);
+const size = Number(args.size || 0.1);
+const tick = Number(process.env.SPREAD || 0.50);
+
+const simulator = new TrueXExchangeSimulator({
+  port: Number(args.port || process.env.TRUEX_FIX_PORT || 0),
+  symbols: [symbol],
+  credentials: process.env.TRUEX_API_KEY
+    ? { [process.env.TRUEX_API_KEY]: process.env.TRUEX_API_SECRET }
+    : {},
+});
+
+const port = await simulator.start();
+console.log(`🏦 TrueX simulator listening on 127.0.0.1:${port} (${symbol})`);
+if (!process.env.TRUEX_API_KEY) {
+  console.log('⚠️  TRUEX_API_KEY not set: every logon will be rejected');
+}
+
+if (mid > 0) {
+  for (let i = 1; i <= levels; i++) {
+    simulator.placeOrder({ symbol, side: 'buy', price: mid - i * tick, size });
+    simulator.placeOrder({ symbol, side: 'sell', price: mid + i * tick, size });
+  }
+  console.log(`   Seeded ${levels} levels of ${size} BTC each side around ${mid}`);
+}
+
+const shutdown = async () => {
+  console.log('\n🛑 Stopping simulator...');
+  await simulator.stop();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,348 @@
+import { EventEmitter } from 'events';
+
+const round = (x) => Math.round(x * 1e8) / 1e8;
+const SIDE_CODES = { '1': 'buy', '2': 'sell' };
+
+/**
+ * SimulatedOrderGateway - Stand-in for the TrueX OE FIXConnection that
+ * fills our orders against a reference market instead of an exchange.
+ *
+ * Takes 35=D / 35=F / 35=G through sendMessage() like FIXConnection and
+ * answers with execution reports on 'message' after latencyMs. Orders only
+ * rest in our own book; fills come from the reference flow fed in:
+ *   onTrade({ price, size, side }) - a print, side = aggressor. It fills
+ *     our orders priced through it outright, and our orders at its price
+ *     once the queue ahead of them has traded.
+ *   onBook({ bids, asks }) - reference depth. Sets and shrinks the queue
+ *     ahead of orders at a visible level, and fills resting orders the
+ *     book has moved through.
+ * An order that crosses the reference touch on arrival takes liquidity
+ * from the visible levels (AggressorIndicator 1057=Y).
+ *
+ * Queue ahead is the visible size at our price when the order goes live
+ * (0 inside the visible book with no size, queueAheadBTC beyond it). A
+ * price change or size increase re-queues the order.
+ *
+ * Events emitted:
+ *   'message' - { raw, fields } execution report (35=8) or cancel reject (35=9)
+ *   'sent'    - { fields } every order message accepted by sendMessage()
+ */
+export class SimulatedOrderGateway extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.symbol = options.symbol || 'BTC-PYUSD';
+    this.latencyMs = options.latencyMs ?? 0;
+    this.queueAheadBTC = options.queueAheadBTC ?? 0;
+    this.riskGateway = options.riskGateway || null;
+    this.logger = options.logger || console;
+
+    // FIXConnection-shaped state
+    this.isConnected = false;
+    this.isLoggedOn = false;
+    this.msgSeqNum = 1;
+
+    // State
+    this.orders = new Map();    // clOrdID -> order (live and pending)
+    this.reference = { bids: [], asks: [] };  // latest reference depth, best first
+    this.orderCounter = 0;
+    this.execCounter = 0;
+    this.liveCounter = 0;       // time priority among our own orders
+
+    this.stats = {
+      ordersReceived: 0,
+      cancelsReceived: 0,
+      replacesReceived: 0,
+      fills: 0,
+      makerFills: 0,
+      takerFills: 0,
+      filledQty: 0,
+      cancelRejects: 0,
+    };
+  }
+
+  async connect() {
+    this.isConnected = true;
+    this.isLoggedOn = true;
+  }
+
+  async disconnect() {
+    this.isConnected = false;
+    this.isLoggedOn = false;
+  }
+
+  /**
+   * Accept an order message. Pre-trade risk applies as on FIXConnection.
+   */
+  async sendMessage(fields) {
+    if (this.riskGateway && (fields['35'] === 'D' || fields['35'] === 'G')) {
+      const check = this.riskGateway.checkOrder(fields);
+      if (!check.approved) {
+        return { rejected: true, rejection: check.rejection, fields };
+      }
+    } else if (this.riskGateway && (fields['35'] === 'F' || fields['35'] === 'q')) {
+      this.riskGateway.recordCancel();
+    }
+
+    const msgSeqNum = this.msgSeqNum++;
+    switch (fields['35']) {
+      case 'D':
+        this.stats.ordersReceived++;
+        this._afterLatency(() => this._onNewOrder(fields));
+        break;
+      case 'F':
+        this.stats.cancelsReceived++;
+        this._afterLatency(() => this._onCancel(fields));
+        break;
+      case 'G':
+        this.stats.replacesReceived++;
+        this._afterLatency(() => this._onReplace(fields));
+        break;
+      default:
+        break;
+    }
+
+    this.emit('sent', { fields: { ...fields }, msgSeqNum });
+    return { fields, msgSeqNum };
+  }
+
+  // --- Reference market ---
+
+  /**
+   * Apply a reference book. Levels may be [price, size] or { price, size }.
+   */
+  onBook({ bids = [], asks = [] } = {}) {
+    this.reference = {
+      bids: normalizeLevels(bids).sort((a, b) => b.price - a.price),
+      asks: normalizeLevels(asks).sort((a, b) => a.price - b.price),
+    };
+
+    for (const order of this._liveOrders()) {
+      const touch = order.side === 'buy' ? this.reference.asks[0] : this.reference.bids[0];
+      const crossed = touch && (order.side === 'buy' ? touch.price <= order.price : touch.price >= order.price);
+      if (crossed) {
+        this._fill(order, order.leavesQty, order.price, false);
+        continue;
+      }
+      const visible = this._visibleSizeAt(order.side, order.price);
+      if (visible !== null) order.queueAhead = Math.min(order.queueAhead, visible);
+    }
+  }
+
+  /**
+   * Apply a reference trade. `side` is the aggressor: a buy lifts our asks.
+   * A print without a side is applied to both sides.
+   */
+  onTrade({ price, size, side }) {
+    if (!side) {
+      this._tradeAgainst('buy', price, size);
+      this._tradeAgainst('sell', price, size);
+      return;
+    }
+    this._tradeAgainst(side === 'buy' ? 'sell' : 'buy', price, size);
+  }
+
+  /**
+   * Working orders (pending ones excluded).
+   */
+  getOpenOrders() {
+    return this._liveOrders().map(o => ({ ...o }));
+  }
+
+  getStats() {
+    return { ...this.stats, openOrders: this._liveOrders().length };
+  }
+
+  // --- Order handling ---
+
+  _tradeAgainst(restingSide, price, size) {
+    let remaining = size;
+    const hit = this._liveOrders()
+      .filter(o => o.side === restingSide && (restingSide === 'sell' ? o.price <= price : o.price >= price))
+      .sort((a, b) => (restingSide === 'sell' ? a.price - b.price : b.price - a.price) || a.liveSeq - b.liveSeq);
+
+    for (const order of hit) {
+      if (remaining <= 0) break;
+      if (order.price === price) {
+        const traded = Math.min(order.queueAhead, remaining);
+        order.queueAhead = round(order.queueAhead - traded);
+        remaining = round(remaining - traded);
+        if (remaining <= 0) break;
+      }
+      const qty = Math.min(order.leavesQty, remaining);
+      remaining = round(remaining - qty);
+      this._fill(order, qty, order.price, false);
+    }
+  }
+
+  _onNewOrder(fields) {
+    const order = {
+      clOrdID: fields['11'],
+      orderID: `SIMO${++this.orderCounter}`,
+      side: SIDE_CODES[fields['54']],
+      price: parseFloat(fields['44']),
+      orderQty: parseFloat(fields['38']),
+      cumQty: 0,
+      leavesQty: parseFloat(fields['38']),
+      avgPx: 0,
+      queueAhead: 0,
+      liveSeq: 0,
+      status: 'open',
+    };
+    this.orders.set(order.clOrdID, order);
+    this._report(order, { '150': '0', '39': '0' });
+    this._goLive(order);
+  }
+
+  _onCancel(fields) {
+    const order = this.orders.get(fields['41']);
+    if (!order || order.status !== 'open') {
+      this._cancelReject(fields, '1');
+      return;
+    }
+
+    this.orders.delete(order.clOrdID);
+    order.status = 'cancelled';
+    order.leavesQty = 0;
+    this._report(order, { '150': '4', '39': '4', '11': fields['11'], '41': order.clOrdID });
+  }
+
+  _onReplace(fields) {
+    const order = this.orders.get(fields['41']);
+    const orderQty = fields['38'] != null ? parseFloat(fields['38']) : null;
+    if (!order || order.status !== 'open' || (orderQty !== null && orderQty <= order.cumQty)) {
+      this._cancelReject(fields, '2');
+      return;
+    }
+
+    const price = fields['44'] != null ? parseFloat(fields['44']) : order.price;
+    const newQty = orderQty ?? order.orderQty;
+    const requeue = price !== order.price || newQty > order.orderQty;
+
+    this.orders.delete(order.clOrdID);
+    const origClOrdID = order.clOrdID;
+    order.clOrdID = fields['11'];
+    order.price = price;
+    order.orderQty = newQty;
+    order.leavesQty = round(newQty - order.cumQty);
+    this.orders.set(order.clOrdID, order);
+
+    this._report(order, { '150': '5', '39': order.cumQty > 0 ? '1' : '0', '41': origClOrdID });
+    if (requeue) this._goLive(order);
+  }
+
+  /**
+   * Queue the order behind visible size, or take liquidity if it crosses.
+   */
+  _goLive(order) {
+    order.liveSeq = ++this.liveCounter;
+
+    const opposite = order.side === 'buy' ? this.reference.asks : this.reference.bids;
+    for (const level of opposite) {
+      if (order.leavesQty <= 0) break;
+      const crosses = order.side === 'buy' ? level.price <= order.price : level.price >= order.price;
+      if (!crosses) break;
+      this._fill(order, Math.min(order.leavesQty, level.size), level.price, true);
+    }
+    if (order.status !== 'open') return;
+
+    const visible = this._visibleSizeAt(order.side, order.price);
+    order.queueAhead = visible !== null ? visible : this.queueAheadBTC;
+  }
+
+  _fill(order, qty, price, aggressor) {
+    if (qty <= 0) return;
+
+    order.avgPx = (order.avgPx * order.cumQty + price * qty) / (order.cumQty + qty);
+    order.cumQty = round(order.cumQty + qty);
+    order.leavesQty = round(order.leavesQty - qty);
+    if (order.leavesQty <= 0) {
+      order.status = 'filled';
+      this.orders.delete(order.clOrdID);
+    }
+
+    this.stats.fills++;
+    this.stats.filledQty = round(this.stats.filledQty + qty);
+    if (aggressor) this.stats.takerFills++;
+    else this.stats.makerFills++;
+
+    this._report(order, {
+      '150': 'F',
+      '39': order.status === 'filled' ? '2' : '1',
+      '31': String(price),
+      '32': String(qty),
+      '1057': aggressor ? 'Y' : 'N',
+    });
+  }
+
+  _report(order, fields) {
+    this._emitMessage({
+      '35': '8',
+      '17': `SIME${++this.execCounter}`,
+      '11': order.clOrdID,
+      '37': order.orderID,
+      '55': this.symbol,
+      '54': order.side === 'buy' ? '1' : '2',
+      '44': String(order.price),
+      '38': String(order.orderQty),
+      '14': String(order.cumQty),
+      '151': String(order.leavesQty),
+      '6': String(order.avgPx),
+      ...fields,
+    });
+  }
+
+  _cancelReject(fields, responseTo) {
+    this.stats.cancelRejects++;
+    this._emitMessage({
+      '35': '9',
+      '11': fields['11'],
+      '41': fields['41'],
+      '39': '8',
+      '434': responseTo,   // CxlRejResponseTo: 1 = cancel, 2 = cancel/replace
+      '102': '1',          // CxlRejReason: unknown order
+      '58': 'Unknown order',
+    });
+  }
+
+  _emitMessage(fields) {
+    const raw = Object.entries(fields).map(([tag, value]) => `${tag}=${value}`).join('\x01') + '\x01';
+    this.emit('message', { raw, fields });
+  }
+
+  _afterLatency(fn) {
+    setTimeout(fn, this.latencyMs);
+  }
+
+  _liveOrders() {
+    return [...this.orders.values()].filter(o => o.status === 'open');
+  }
+
+  /**
+   * Visible reference size at `price` on `side`: the level's size, 0 when
+   * the price is inside the visible book without a level, null beyond it.
+   */
+  _visibleSizeAt(side, price) {
+    const levels = side === 'buy' ? this.reference.bids : this.reference.asks;
+    if (levels.length === 0) return null;
+
+    const level = levels.find(l => l.price === price);
+    if (level) return level.size;
+
+    const worst = levels[levels.length - 1].price;
+    const beyond = side === 'buy' ? price < worst : price > worst;
+    return beyond ? null : 0;
+  }
+}
+
+function normalizeLevels(levels) {
+  const out = [];
+  for (const level of levels || []) {
+    const price = Number(Array.isArray(level) ? level[0] : level.price);
+    const size = Number(Array.isArray(level) ? level[1] : level.size);
+    if (Number.isFinite(price) && Number.isFinite(size) && price > 0 && size > 0) {
+      out.push({ price, size });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,863 @@
+import net from 'net';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { MatchingEngine } from './matching-engine.js';
+import { INSTRUMENT_DEFAULTS, GENERIC_INSTRUMENT } from '../config/instruments.js';
+
+const SOH = '\x01';
+
+// Admin messages are gap-filled rather than replayed on a ResendRequest
+const ADMIN_MSG_TYPES = new Set(['0', '1', '2', '3', '4', '5', 'A']);
+
+const SIDES = { '1': 'buy', '2': 'sell' };
+const TIME_IN_FORCE = { '0': 'DAY', '1': 'GTC', '3': 'IOC', '4': 'FOK' };
+const TIME_IN_FORCE_CODES = { DAY: '0', GTC: '1', IOC: '3', FOK: '4' };
+const ORD_STATUS = { new: '0', partial: '1', filled: '2', cancelled: '4' };
+
+const fmt = (n) => String(Math.round(n * 1e8) / 1e8);
+
+function utcTimestamp(date = new Date()) {
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}-` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}.${pad(date.getUTCMilliseconds(), 3)}`;
+}
+
+function checksum(str) {
+  let sum = 0;
+  for (let i = 0; i < str.length; i++) sum += str.charCodeAt(i);
+  return String(sum % 256).padStart(3, '0');
+}
+
+/**
+ * TrueXExchangeSimulator - Local TrueX FIX acceptor for end-to-end tests.
+ *
+ * Speaks FIX 5.0SP2 over FIXT.1.1 like the TrueX OE and MD gateways:
+ * - Logon (35=A) is verified against the TrueX HMAC-SHA256 signature
+ *   (553/554); bad credentials get a session Reject (35=3, 373=8)
+ * - Heartbeat, TestRequest, ResendRequest, SequenceReset and Logout;
+ *   resends replay application messages with PossDup (43=Y) and gap-fill
+ *   admin messages
+ * - 35=D / F / G / H / q / AF → 35=8 execution reports (partials included,
+ *   post-only orders that would cross rejected),
+ *   35=9 cancel rejects and 35=r mass cancel reports, matched price-time by
+ *   a MatchingEngine
+ * - 35=V subscriptions → 35=W snapshot, then 35=X incremental refreshes
+ * - 35=x → 35=y Security List of the simulated symbols, with their specs
+ *   from options.instruments or INSTRUMENT_DEFAULTS
+ *
+ * Sessions are keyed by SenderCompID:TargetCompID. Sequence numbers and sent
+ * messages survive a disconnect, so a client that logs back on with
+ * ResetSeqNumFlag=N can recover reports it missed via ResendRequest.
+ *
+ * Scripted faults: rejectNext(), dropOutbound() (sequence gaps) and
+ * disconnect(). placeOrder() adds house liquidity for sessions to trade with.
+ *
+ * Events emitted:
+ *   'logon'          - { senderCompID, targetCompID }
+ *   'logon-rejected' - { senderCompID, targetCompID, reason }
+ *   'disconnect'     - { senderCompID, targetCompID }
+ *   'message'        - { senderCompID, targetCompID, fields } each inbound message
+ *   'trade'          - { symbol, price, qty, aggressorSide, buyOrderID, sellOrderID }
+ */
+export class TrueXExchangeSimulator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.logger = options.logger || console;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;                 // 0 = any free port
+    this.compIDs = options.compIDs || ['TRUEX_UAT_OE', 'TRUEX_UAT_MD'];
+    this.credentials = options.credentials || {};  // apiKey -> apiSecret
+    this.symbols = new Set(options.symbols || ['BTC-PYUSD']);
+    this.instruments = options.instruments || {};  // symbol -> { tickSize, lotSize, minSize, priceBandPct }
+    this.engine = options.engine || new MatchingEngine({ logger: this.logger });
+    this.maxStoredMessages = options.maxStoredMessages || 10000;
+
+    // State
+    this.server = null;
+    this.sessions = new Set();        // live connections
+    this.sessionState = new Map();    // session key -> { outSeqNum, inSeqNum, sent }
+    this.clOrdIndex = new Map();      // 'key|ClOrdID' -> orderID
+    this.publishedDepth = new Map();  // symbol -> { bids, asks } last published as 35=W/X
+    this.faults = { rejects: [], drops: [] };
+    this.execCounter = 0;
+    this.massCancelCounter = 0;
+  }
+
+  // --- Lifecycle ---
+
+  /**
+   * Start listening. Resolves with the bound port.
+   */
+  async start() {
+    this.server = net.createServer((socket) => this._onConnection(socket));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    this.port = this.server.address().port;
+    this.logger.info(`[ExchangeSimulator] Listening on ${this.host}:${this.port}`);
+    return this.port;
+  }
+
+  /**
+   * Drop every connection and stop listening.
+   */
+  async stop() {
+    for (const session of this.sessions) this._close(session);
+    if (!this.server) return;
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+    this.logger.info('[ExchangeSimulator] Stopped');
+  }
+
+  // --- Liquidity ---
+
+  /**
+   * Add a house order. It rests or trades like any session order, and its
+   * counterparties get execution reports.
+   */
+  placeOrder({ symbol = [...this.symbols][0], side, price, size, ordType = 'limit', timeInForce = 'GTC' }) {
+    const { order, fills } = this.engine.submit({ symbol, side, ordType, timeInForce, price, orderQty: size });
+    this._reportFills(order, fills, 0, 0);
+    this._publishMarketData(symbol, fills);
+    return order;
+  }
+
+  /**
+   * Cancel any order on the exchange's initiative (unsolicited 150=4 to its owner).
+   */
+  cancelOrder(orderID) {
+    const order = this.engine.cancel(orderID);
+    if (!order) return null;
+    this._deliver(order.owner, '8', this._executionReport(order, { execType: '4' }));
+    this._publishMarketData(order.symbol);
+    return order;
+  }
+
+  getBook(symbol = [...this.symbols][0], levels) {
+    return this.engine.getDepth(symbol, levels);
+  }
+
+  // --- Scripted faults ---
+
+  /**
+   * Reject the next `count` inbound messages of `msgType` (D, F, G, q or V):
+   * 35=8 with 39=8 for orders, 35=9 for cancels/replaces, 35=r with 531=0
+   * for mass cancels and 35=Y for market data requests.
+   */
+  rejectNext(msgType = 'D', { text = 'Simulated reject', count = 1, senderCompID } = {}) {
+    this.faults.rejects.push({ msgType, text, remaining: count, senderCompID });
+  }
+
+  /**
+   * Consume sequence numbers for the next `count` outbound application
+   * messages without sending them. The client sees a gap on the next message
+   * and recovers them with a ResendRequest.
+   */
+  dropOutbound(count = 1, { senderCompID } = {}) {
+    this.faults.drops.push({ remaining: count, senderCompID });
+  }
+
+  /**
+   * Abruptly close live sessions (all, or those for one SenderCompID)
+   * without a Logout. Returns the number of sessions closed.
+   */
+  disconnect(senderCompID) {
+    let closed = 0;
+    for (const session of this.sessions) {
+      if (senderCompID && session.senderCompID !== senderCompID) continue;
+      this._close(session);
+      closed++;
+    }
+    return closed;
+  }
+
+  // --- Transport ---
+
+  _onConnection(socket) {
+    const session = {
+      socket,
+      buffer: '',
+      key: null,
+      senderCompID: null,
+      targetCompID: null,
+      state: null,
+      loggedOn: false,
+      heartbeatTimer: null,
+      subscriptions: new Map(),  // symbol -> MDReqID
+    };
+    this.sessions.add(session);
+
+    socket.on('data', (data) => this._onData(session, data));
+    socket.on('close', () => this._onClose(session));
+    socket.on('error', (error) => {
+      this.logger.warn(`[ExchangeSimulator] Socket error (${session.senderCompID || 'not logged on'}): ${error.message}`);
+    });
+  }
+
+  _onData(session, data) {
+    session.buffer += data.toString('binary');
+
+    while (true) {
+      const start = session.buffer.indexOf('8=');
+      if (start === -1) break;
+      const checksumIndex = session.buffer.indexOf(`${SOH}10=`, start);
+      if (checksumIndex === -1) break;
+      const end = session.buffer.indexOf(SOH, checksumIndex + 4);
+      if (end === -1) break;
+
+      const raw = session.buffer.substring(start, end + 1);
+      session.buffer = session.buffer.substring(end + 1);
+
+      // Garbled messages are ignored, as a real acceptor would
+      const expected = checksum(raw.substring(0, checksumIndex - start + 1));
+      if (raw.substring(checksumIndex - start + 4, raw.length - 1) !== expected) {
+        this.logger.warn(`[ExchangeSimulator] Dropping message with bad checksum from ${session.senderCompID || 'unknown'}`);
+        continue;
+      }
+
+      const fields = {};
+      for (const part of raw.split(SOH)) {
+        const eq = part.indexOf('=');
+        if (eq > 0) fields[part.substring(0, eq)] = part.substring(eq + 1);
+      }
+
+      try {
+        this._onMessage(session, fields);
+      } catch (error) {
+        this.logger.error(`[ExchangeSimulator] Error handling 35=${fields['35']}: ${error.message}`);
+      }
+      if (!this.sessions.has(session)) break;
+    }
+  }
+
+  _onClose(session) {
+    if (!this.sessions.delete(session)) return;
+    clearInterval(session.heartbeatTimer);
+    if (session.loggedOn) {
+      this.logger.info(`[ExchangeSimulator] ${session.senderCompID} disconnected from ${session.targetCompID}`);
+      this.emit('disconnect', { senderCompID: session.senderCompID, targetCompID: session.targetCompID });
+    }
+  }
+
+  _close(session) {
+    clearInterval(session.heartbeatTimer);
+    session.socket.destroy();
+    this._onClose(session);
+  }
+
+  _write(session, raw) {
+    if (session.socket.destroyed) return;
+    session.socket.write(raw);
+  }
+
+  /**
+   * Encode a message. Header fields precede `body` ([tag, value] pairs,
+   * so repeating groups keep their order).
+   */
+  _encode({ senderCompID, targetCompID, msgType, seqNum, sendingTime, origSendingTime }, body) {
+    let str = `35=${msgType}${SOH}49=${senderCompID}${SOH}56=${targetCompID}${SOH}34=${seqNum}${SOH}52=${sendingTime}${SOH}`;
+    if (origSendingTime) str += `43=Y${SOH}122=${origSendingTime}${SOH}`;
+    for (const [tag, value] of body) {
+      if (value !== undefined && value !== null) str += `${tag}=${value}${SOH}`;
+    }
+    const head = `8=FIXT.1.1${SOH}9=${str.length}${SOH}${str}`;
+    return `${head}10=${checksum(head)}${SOH}`;
+  }
+
+  /**
+   * Assign the next outbound seq and store the message for resends.
+   */
+  _store(state, senderCompID, targetCompID, msgType, body) {
+    const seqNum = state.outSeqNum++;
+    const sendingTime = utcTimestamp();
+    state.sent.set(seqNum, { msgType, body, sendingTime });
+    if (state.sent.size > this.maxStoredMessages) {
+      state.sent.delete(state.sent.keys().next().value);
+    }
+    return this._encode({ senderCompID, targetCompID, msgType, seqNum, sendingTime }, body);
+  }
+
+  _send(session, msgType, body) {
+    // Our SenderCompID is the client's TargetCompID
+    const raw = this._store(session.state, session.targetCompID, session.senderCompID, msgType, body);
+    if (!ADMIN_MSG_TYPES.has(msgType) && this._consumeFault(this.faults.drops, session)) {
+      this.logger.warn(`[ExchangeSimulator] Dropping outbound seq ${session.state.outSeqNum - 1} to ${session.senderCompID}`);
+      return;
+    }
+    this._write(session, raw);
+  }
+
+  /**
+   * Send to an order's owning session. While the owner is disconnected the
+   * message still takes a sequence number, to be recovered by resend.
+   */
+  _deliver(owner, msgType, body) {
+    if (!owner) return;
+    const session = [...this.sessions].find(s => s.loggedOn && s.key === owner);
+    if (session) {
+      this._send(session, msgType, body);
+      return;
+    }
+    const state = this.sessionState.get(owner);
+    if (state) {
+      const [senderCompID, targetCompID] = owner.split(':');
+      this._store(state, targetCompID, senderCompID, msgType, body);
+    }
+  }
+
+  _consumeFault(list, session, msgType) {
+    const i = list.findIndex(f =>
+      (!f.senderCompID || f.senderCompID === session.senderCompID) &&
+      (!msgType || f.msgType === msgType)
+    );
+    if (i === -1) return null;
+    const fault = list[i];
+    if (--fault.remaining <= 0) list.splice(i, 1);
+    return fault;
+  }
+
+  // --- Session layer ---
+
+  _onMessage(session, f) {
+    const msgType = f['35'];
+
+    if (!session.loggedOn) {
+      if (msgType === 'A') {
+        this._handleLogon(session, f);
+      } else {
+        this.logger.warn(`[ExchangeSimulator] First message was 35=${msgType}, not Logon; disconnecting`);
+        this._close(session);
+      }
+      return;
+    }
+
+    // SequenceReset in Reset mode ignores MsgSeqNum
+    if (msgType === '4' && f['123'] !== 'Y') {
+      session.state.inSeqNum = parseInt(f['36']);
+      return;
+    }
+    if (!this._checkInboundSeq(session, f)) return;
+
+    this.emit('message', { senderCompID: session.senderCompID, targetCompID: session.targetCompID, fields: f });
+
+    switch (msgType) {
+      case '0': // Heartbeat
+        break;
+      case '1': // TestRequest
+        this._send(session, '0', [['112', f['112']]]);
+        break;
+      case '2':
+        this._handleResendRequest(session, f);
+        break;
+      case '4': // SequenceReset-GapFill
+        session.state.inSeqNum = parseInt(f['36']);
+        break;
+      case '5':
+        this._send(session, '5', []);
+        session.socket.end();
+        break;
+      case 'D':
+        this._handleNewOrder(session, f);
+        break;
+      case 'F':
+        this._handleCancel(session, f);
+        break;
+      case 'G':
+        this._handleReplace(session, f);
+        break;
+      case 'H':
+        this._handleOrderStatus(session, f);
+        break;
+      case 'q':
+        this._handleMassCancel(session, f);
+        break;
+      case 'AF':
+        this._handleMassStatus(session, f);
+        break;
+      case 'V':
+        this._handleMarketDataRequest(session, f);
+        break;
+      case 'x':
+        this._handleSecurityListRequest(session, f);
+        break;
+      default:
+        this._send(session, '3', [
+          ['45', f['34']], ['372', msgType], ['373', '11'], ['58', `Unsupported MsgType ${msgType}`],
+        ]);
+    }
+  }
+
+  _handleLogon(session, f) {
+    const senderCompID = f['49'];
+    const targetCompID = f['56'];
+    session.senderCompID = senderCompID;
+    session.targetCompID = targetCompID;
+
+    const reason = this._verifyLogon(f);
+    if (reason) {
+      this.logger.warn(`[ExchangeSimulator] Logon rejected for ${senderCompID}: ${reason}`);
+      const sendingTime = utcTimestamp();
+      this._write(session, this._encode({ senderCompID: targetCompID, targetCompID: senderCompID, msgType: '3', seqNum: 1, sendingTime }, [
+        ['45', f['34']], ['372', 'A'], ['373', '8'], ['58', reason],
+      ]));
+      this.emit('logon-rejected', { senderCompID, targetCompID, reason });
+      session.socket.end();
+      return;
+    }
+
+    session.key = `${senderCompID}:${targetCompID}`;
+    let state = this.sessionState.get(session.key);
+    if (!state || f['141'] === 'Y') {
+      state = { outSeqNum: 1, inSeqNum: 1, sent: new Map() };
+      this.sessionState.set(session.key, state);
+    }
+    session.state = state;
+    this._checkInboundSeq(session, f);
+    session.loggedOn = true;
+
+    const heartBtInt = parseInt(f['108']) || 30;
+    this._send(session, 'A', [['98', '0'], ['108', String(heartBtInt)], ['141', f['141']], ['1137', '9']]);
+    session.heartbeatTimer = setInterval(() => this._send(session, '0', []), heartBtInt * 1000);
+    session.heartbeatTimer.unref();
+
+    this.logger.info(`[ExchangeSimulator] ${senderCompID} logged on to ${targetCompID} (next seq ${state.outSeqNum})`);
+    this.emit('logon', { senderCompID, targetCompID });
+  }
+
+  /**
+   * Check the TrueX logon signature: base64 HMAC-SHA256 over
+   * SendingTime + MsgType + MsgSeqNum + SenderCompID + TargetCompID + Username.
+   * Returns a rejection reason, or null if the logon is valid.
+   */
+  _verifyLogon(f) {
+    if (!this.compIDs.includes(f['56'])) return `Unknown TargetCompID ${f['56']}`;
+
+    const secret = this.credentials[f['553']];
+    if (secret === undefined) return 'Authentication failed';
+
+    const payload = f['52'] + 'A' + f['34'] + f['49'] + f['56'] + f['553'];
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(payload).digest('base64'));
+    const given = Buffer.from(f['554'] || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return 'Authentication failed';
+    }
+    return null;
+  }
+
+  /**
+   * Advance the inbound sequence. Messages below it are ignored; gaps are
+   * logged and skipped, so the simulator never asks the client to resend.
+   */
+  _checkInboundSeq(session, f) {
+    const seq = parseInt(f['34']);
+    const state = session.state;
+
+    if (seq < state.inSeqNum) {
+      if (f['43'] !== 'Y') {
+        this.logger.warn(`[ExchangeSimulator] MsgSeqNum too low from ${session.senderCompID}: ${seq} < ${state.inSeqNum}`);
+      }
+      return false;
+    }
+    if (seq > state.inSeqNum) {
+      this.logger.warn(`[ExchangeSimulator] Inbound gap from ${session.senderCompID}: expected ${state.inSeqNum}, got ${seq}`);
+    }
+    state.inSeqNum = seq + 1;
+    return true;
+  }
+
+  /**
+   * Replay stored application messages with PossDup; admin messages and
+   * anything no longer stored are covered by SequenceReset-GapFill.
+   */
+  _handleResendRequest(session, f) {
+    const { state } = session;
+    const beginSeqNo = parseInt(f['7']);
+    const lastSent = state.outSeqNum - 1;
+    const endSeqNo = f['16'] === '0' ? lastSent : Math.min(parseInt(f['16']), lastSent);
+    const header = { senderCompID: session.targetCompID, targetCompID: session.senderCompID };
+
+    this.logger.info(`[ExchangeSimulator] Resending ${beginSeqNo}-${endSeqNo} to ${session.senderCompID}`);
+
+    let gapStart = null;
+    const flushGap = (newSeqNo) => {
+      if (gapStart === null) return;
+      const sendingTime = utcTimestamp();
+      this._write(session, this._encode({ ...header, msgType: '4', seqNum: gapStart, sendingTime, origSendingTime: sendingTime }, [
+        ['123', 'Y'], ['36', String(newSeqNo)],
+      ]));
+      gapStart = null;
+    };
+
+    for (let seq = beginSeqNo; seq <= endSeqNo; seq++) {
+      const stored = state.sent.get(seq);
+      if (!stored || ADMIN_MSG_TYPES.has(stored.msgType)) {
+        if (gapStart === null) gapStart = seq;
+        continue;
+      }
+      flushGap(seq);
+      this._write(session, this._encode({
+        ...header,
+        msgType: stored.msgType,
+        seqNum: seq,
+        sendingTime: utcTimestamp(),
+        origSendingTime: stored.sendingTime,
+      }, stored.body));
+    }
+    flushGap(endSeqNo + 1);
+  }
+
+  // --- Orders ---
+
+  _handleNewOrder(session, f) {
+    const fault = this._consumeFault(this.faults.rejects, session, 'D');
+    const text = fault ? fault.text : this._validateNewOrder(session, f);
+    if (text) {
+      this._send(session, '8', this._orderReject(f, text));
+      return;
+    }
+
+    const { order, fills, cancelledQty } = this.engine.submit({
+      clOrdID: f['11'],
+      owner: session.key,
+      symbol: f['55'],
+      side: SIDES[f['54']],
+      ordType: f['40'] === '1' ? 'market' : 'limit',
+      timeInForce: TIME_IN_FORCE[f['59']] || 'GTC',
+      price: f['44'] ? parseFloat(f['44']) : null,
+      orderQty: parseFloat(f['38']),
+    });
+    this.clOrdIndex.set(`${session.key}|${order.clOrdID}`, order.orderID);
+
+    // The ack shows the order as it arrived, before it traded
+    const arrived = { ...order, status: 'new', cumQty: 0, leavesQty: order.orderQty, avgPx: 0 };
+    this._send(session, '8', this._executionReport(arrived, { execType: '0' }));
+
+    this._reportFills(order, fills, 0, 0);
+    if (cancelledQty > 0) {
+      this._send(session, '8', this._executionReport(order, { execType: '4', text: `Unfilled ${order.timeInForce} quantity cancelled` }));
+    }
+    this._publishMarketData(order.symbol, fills);
+  }
+
+  _validateNewOrder(session, f) {
+    if (!this.symbols.has(f['55'])) return `Unknown symbol ${f['55']}`;
+    if (!SIDES[f['54']]) return `Invalid side ${f['54']}`;
+    if (!(parseFloat(f['38']) > 0)) return 'Invalid order quantity';
+    if (f['40'] !== '1' && !(parseFloat(f['44']) > 0)) return 'Invalid price';
+    if (!f['11']) return 'Missing ClOrdID';
+
+    // ExecInst 6: participate don't initiate
+    const postOnly = String(f['18'] || '').split(' ').includes('6');
+    if (postOnly && this.engine.availableQty(f['55'], SIDES[f['54']], parseFloat(f['44'])) > 0) return 'Post-only order would cross';
+
+    const existing = this.clOrdIndex.get(`${session.key}|${f['11']}`);
+    if (existing && this.engine.isOpen(this.engine.getOrder(existing))) return 'Duplicate ClOrdID';
+    return null;
+  }
+
+  _handleCancel(session, f) {
+    const order = this._findOrder(session, f);
+    const fault = this._consumeFault(this.faults.rejects, session, 'F');
+    const text = fault ? fault.text : (order ? null : 'Unknown order');
+    if (text) {
+      this._send(session, '9', this._cancelReject(f, order, '1', text));
+      return;
+    }
+
+    this.engine.cancel(order.orderID);
+    this._rekey(session, order, f['11']);
+    this._send(session, '8', this._executionReport(order, { execType: '4', origClOrdID: f['41'] }));
+    this._publishMarketData(order.symbol);
+  }
+
+  _handleReplace(session, f) {
+    const order = this._findOrder(session, f);
+    const fault = this._consumeFault(this.faults.rejects, session, 'G');
+    let text = fault ? fault.text : (order ? null : 'Unknown order');
+
+    const before = order ? { cumQty: order.cumQty, avgPx: order.avgPx } : null;
+    let fills = [];
+    if (!text) {
+      try {
+        ({ fills } = this.engine.replace(order.orderID, {
+          price: f['44'] ? parseFloat(f['44']) : undefined,
+          orderQty: f['38'] ? parseFloat(f['38']) : undefined,
+        }));
+      } catch (error) {
+        text = error.message;
+      }
+    }
+    if (text) {
+      this._send(session, '9', this._cancelReject(f, order, '2', text));
+      return;
+    }
+
+    this._rekey(session, order, f['11']);
+    const replaced = {
+      ...order,
+      cumQty: before.cumQty,
+      avgPx: before.avgPx,
+      leavesQty: order.orderQty - before.cumQty,
+      status: before.cumQty > 0 ? 'partial' : 'new',
+    };
+    this._send(session, '8', this._executionReport(replaced, { execType: '5', origClOrdID: f['41'] }));
+    this._reportFills(order, fills, before.cumQty, before.avgPx);
+    this._publishMarketData(order.symbol, fills);
+  }
+
+  _handleOrderStatus(session, f) {
+    const orderID = this.clOrdIndex.get(`${session.key}|${f['11']}`) || f['37'];
+    const order = orderID ? this.engine.getOrder(orderID) : null;
+    const extra = [['790', f['790']]];
+
+    if (!order || order.owner !== session.key) {
+      this._send(session, '8', this._orderReject(f, 'Unknown order', 'I', extra));
+      return;
+    }
+    this._send(session, '8', this._executionReport(order, { execType: 'I', extra }));
+  }
+
+  _handleMassCancel(session, f) {
+    const requestType = f['530'];
+    const reportID = `MC${++this.massCancelCounter}`;
+    const fault = this._consumeFault(this.faults.rejects, session, 'q');
+    if (fault) {
+      this._send(session, 'r', [['11', f['11']], ['37', reportID], ['530', requestType], ['531', '0'], ['532', '99'], ['58', fault.text]]);
+      return;
+    }
+
+    const cancelled = this.engine.cancelAll({
+      owner: session.key,
+      symbol: requestType === '1' ? f['55'] : undefined,
+      side: SIDES[f['54']],
+    });
+    for (const order of cancelled) {
+      this._send(session, '8', this._executionReport(order, { execType: '4' }));
+    }
+    this._send(session, 'r', [['11', f['11']], ['37', reportID], ['530', requestType], ['531', requestType], ['533', String(cancelled.length)]]);
+
+    for (const symbol of new Set(cancelled.map(o => o.symbol))) this._publishMarketData(symbol);
+  }
+
+  _handleMassStatus(session, f) {
+    const open = this.engine.getOpenOrders({
+      owner: session.key,
+      symbol: f['585'] === '1' ? f['55'] : undefined,
+    });
+
+    if (open.length === 0) {
+      this._send(session, '8', [
+        ['17', this._nextExecID()], ['150', 'I'], ['584', f['584']], ['911', '0'], ['912', 'Y'], ['58', 'No orders'],
+      ]);
+      return;
+    }
+    open.forEach((order, i) => {
+      this._send(session, '8', this._executionReport(order, {
+        execType: 'I',
+        extra: [['584', f['584']], ['911', String(open.length)], ['912', i === open.length - 1 ? 'Y' : 'N']],
+      }));
+    });
+  }
+
+  _handleSecurityListRequest(session, f) {
+    const symbols = f['559'] === '0' ? [f['55']].filter(s => this.symbols.has(s)) : [...this.symbols];
+    const body = [['320', f['320']], ['322', `SL${f['320']}`]];
+
+    if (symbols.length === 0) {
+      this._send(session, 'y', [...body, ['560', '2'], ['58', `Unknown symbol ${f['55']}`]]);
+      return;
+    }
+
+    body.push(['560', '0'], ['893', 'Y'], ['146', String(symbols.length)]);
+    for (const symbol of symbols) {
+      const spec = this.instruments[symbol] || INSTRUMENT_DEFAULTS[symbol] || GENERIC_INSTRUMENT;
+      body.push(
+        ['55', symbol], ['969', fmt(spec.tickSize)], ['561', fmt(spec.lotSize)],
+        ['562', fmt(spec.minSize)], ['1143', fmt(spec.priceBandPct)], ['326', '17'],
+      );
+    }
+    this._send(session, 'y', body);
+  }
+
+  _findOrder(session, f) {
+    const orderID = this.clOrdIndex.get(`${session.key}|${f['41']}`) || f['37'];
+    const order = orderID ? this.engine.getOrder(orderID) : null;
+    if (!order || order.owner !== session.key || !this.engine.isOpen(order)) return null;
+    return order;
+  }
+
+  // A cancel/replace moves the order onto the request's ClOrdID
+  _rekey(session, order, clOrdID) {
+    order.clOrdID = clOrdID;
+    this.clOrdIndex.set(`${session.key}|${clOrdID}`, order.orderID);
+  }
+
+  /**
+   * Report each fill to the aggressor, with its cumulative state as of
+   * that fill, and to the resting order's owner.
+   */
+  _reportFills(order, fills, startCumQty, startAvgPx) {
+    let cumQty = startCumQty;
+    let notional = startAvgPx * startCumQty;
+
+    for (const { resting, price, qty } of fills) {
+      cumQty += qty;
+      notional += price * qty;
+      const asOfFill = {
+        ...order,
+        cumQty,
+        leavesQty: Math.max(0, order.orderQty - cumQty),
+        avgPx: notional / cumQty,
+        status: cumQty >= order.orderQty - 1e-12 ? 'filled' : 'partial',
+      };
+      this._deliver(order.owner, '8', this._executionReport(asOfFill, { execType: 'F', lastQty: qty, lastPx: price }));
+      this._deliver(resting.owner, '8', this._executionReport(resting, { execType: 'F', lastQty: qty, lastPx: price }));
+
+      this.emit('trade', {
+        symbol: order.symbol,
+        price,
+        qty,
+        aggressorSide: order.side,
+        buyOrderID: order.side === 'buy' ? order.orderID : resting.orderID,
+        sellOrderID: order.side === 'sell' ? order.orderID : resting.orderID,
+      });
+    }
+  }
+
+  _executionReport(order, { execType, origClOrdID, lastQty, lastPx, text, extra = [] }) {
+    const body = [
+      ['37', order.orderID],
+      ['11', order.clOrdID],
+      ['41', origClOrdID],
+      ['17', this._nextExecID()],
+      ['150', execType],
+      ['39', ORD_STATUS[order.status]],
+      ['55', order.symbol],
+      ['54', order.side === 'buy' ? '1' : '2'],
+      ['38', fmt(order.orderQty)],
+      ['44', order.price !== null ? fmt(order.price) : undefined],
+      ['40', order.ordType === 'market' ? '1' : '2'],
+      ['59', TIME_IN_FORCE_CODES[order.timeInForce]],
+    ];
+    if (lastQty) body.push(['32', fmt(lastQty)], ['31', fmt(lastPx)]);
+    body.push(
+      ['14', fmt(order.cumQty)],
+      ['151', fmt(order.leavesQty)],
+      ['6', fmt(order.avgPx)],
+      ['60', utcTimestamp()],
+      ['58', text],
+    );
+    return [...body, ...extra];
+  }
+
+  _orderReject(f, text, execType = '8', extra = []) {
+    return [
+      ['37', 'NONE'],
+      ['11', f['11']],
+      ['17', this._nextExecID()],
+      ['150', execType],
+      ['39', '8'],
+      ['55', f['55']],
+      ['54', f['54']],
+      ['38', f['38']],
+      ['44', f['44']],
+      ['40', f['40']],
+      ['59', f['59']],
+      ['14', '0'],
+      ['151', '0'],
+      ['60', utcTimestamp()],
+      ['58', text],
+      ...extra,
+    ];
+  }
+
+  _cancelReject(f, order, responseTo, text) {
+    return [
+      ['37', order ? order.orderID : 'NONE'],
+      ['11', f['11']],
+      ['41', f['41']],
+      ['39', order ? ORD_STATUS[order.status] : '8'],
+      ['434', responseTo],  // CxlRejResponseTo: 1 = cancel, 2 = cancel/replace
+      ['102', order ? '99' : '1'],  // CxlRejReason: 1 = unknown order, 99 = other
+      ['58', text],
+    ];
+  }
+
+  _nextExecID() {
+    return `EX${Date.now().toString(36)}${++this.execCounter}`;
+  }
+
+  // --- Market data ---
+
+  _handleMarketDataRequest(session, f) {
+    const mdReqID = f['262'];
+    const symbol = f['55'];
+    const fault = this._consumeFault(this.faults.rejects, session, 'V');
+    const text = fault ? fault.text : (this.symbols.has(symbol) ? null : `Unknown symbol ${symbol}`);
+    if (text) {
+      this._send(session, 'Y', [['262', mdReqID], ['281', '0'], ['58', text]]);
+      return;
+    }
+
+    if (f['263'] === '2') {
+      session.subscriptions.delete(symbol);
+      return;
+    }
+    if (f['263'] === '1') session.subscriptions.set(symbol, mdReqID);
+
+    const depth = this.engine.getDepth(symbol);
+    const entries = [
+      ...depth.bids.map((l, i) => ['0', l, i + 1]),
+      ...depth.asks.map((l, i) => ['1', l, i + 1]),
+    ];
+    const body = [['262', mdReqID], ['55', symbol], ['268', String(entries.length)]];
+    for (const [type, level, n] of entries) {
+      body.push(['269', type], ['270', fmt(level.price)], ['271', fmt(level.size)], ['1023', String(n)]);
+    }
+    this._send(session, 'W', body);
+  }
+
+  /**
+   * Diff the book against what was last published and send the changed
+   * levels (and any trades) to subscribers as 35=X.
+   */
+  _publishMarketData(symbol, fills = []) {
+    const depth = this.engine.getDepth(symbol);
+    const current = {
+      bids: new Map(depth.bids.map(l => [l.price, l.size])),
+      asks: new Map(depth.asks.map(l => [l.price, l.size])),
+    };
+    const previous = this.publishedDepth.get(symbol) || { bids: new Map(), asks: new Map() };
+    this.publishedDepth.set(symbol, current);
+
+    const entries = [];
+    for (const [side, type] of [['bids', '0'], ['asks', '1']]) {
+      for (const [price, size] of current[side]) {
+        const prev = previous[side].get(price);
+        if (prev === undefined) entries.push(['0', type, price, size]);
+        else if (prev !== size) entries.push(['1', type, price, size]);
+      }
+      for (const price of previous[side].keys()) {
+        if (!current[side].has(price)) entries.push(['2', type, price, 0]);
+      }
+    }
+    for (const { price, qty } of fills) entries.push(['0', '2', price, qty]);
+    if (entries.length === 0) return;
+
+    for (const session of this.sessions) {
+      const mdReqID = session.loggedOn && session.subscriptions.get(symbol);
+      if (!mdReqID) continue;
+
+      const body = [['262', mdReqID], ['268', String(entries.length)]];
+      for (const [action, type, price, size] of entries) {
+        body.push(['279', action], ['269', type], ['55', symbol], ['270', fmt(price)], ['271', fmt(size)]);
+      }
+      this._send(session, 'X', body);
+    }
+  }
+}
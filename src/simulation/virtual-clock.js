@@ -0,0 +1,145 @@
+/**
+ * VirtualClock - Deterministic stand-in for Date.now() and timers.
+ *
+ * install() replaces the global Date.now, setTimeout, clearTimeout,
+ * setInterval and clearInterval so every component sees recorded time
+ * instead of wall time. Time only moves when advanceTo() is called; due
+ * timers then run in (time, creation) order with the clock set to each
+ * timer's due time, and pending promise continuations are drained after
+ * each one so async code schedules its follow-up timers before the next
+ * is picked.
+ *
+ * `new Date()` without arguments still reads the wall clock.
+ */
+
+const realTimers = {
+  dateNow: Date.now,
+  setTimeout: globalThis.setTimeout,
+  clearTimeout: globalThis.clearTimeout,
+  setInterval: globalThis.setInterval,
+  clearInterval: globalThis.clearInterval,
+  setImmediate: globalThis.setImmediate,
+};
+
+export class VirtualClock {
+  constructor(options = {}) {
+    this.currentTime = options.startTime ?? 0;
+    this.timers = new Map();   // id -> { id, dueAt, intervalMs, callback, args }
+    this.timerCounter = 0;
+    this.installed = false;
+  }
+
+  now() {
+    return this.currentTime;
+  }
+
+  /**
+   * Jump to `time` without running timers. Only for positioning the clock
+   * before anything has been scheduled (e.g. at the start of a recording).
+   */
+  setTime(time) {
+    this.currentTime = time;
+  }
+
+  setTimeout(callback, delayMs = 0, ...args) {
+    return this._schedule(callback, delayMs, null, args);
+  }
+
+  setInterval(callback, intervalMs = 0, ...args) {
+    return this._schedule(callback, intervalMs, Math.max(1, Number(intervalMs) || 0), args);
+  }
+
+  clearTimer(handle) {
+    if (handle == null) return;
+    this.timers.delete(typeof handle === 'object' ? handle.id : handle);
+  }
+
+  /**
+   * Number of timers waiting to fire.
+   */
+  pendingTimers() {
+    return this.timers.size;
+  }
+
+  /**
+   * Run every timer due at or before `time`, then leave the clock at `time`.
+   */
+  async advanceTo(time) {
+    await this.flush();
+    for (let timer = this._nextDue(time); timer; timer = this._nextDue(time)) {
+      this.currentTime = Math.max(this.currentTime, timer.dueAt);
+      if (timer.intervalMs !== null) {
+        timer.dueAt += timer.intervalMs;
+      } else {
+        this.timers.delete(timer.id);
+      }
+      timer.callback(...timer.args);
+      await this.flush();
+    }
+    this.currentTime = Math.max(this.currentTime, time);
+  }
+
+  async advanceBy(ms) {
+    await this.advanceTo(this.currentTime + ms);
+  }
+
+  /**
+   * Let queued promise continuations run without moving the clock.
+   */
+  flush() {
+    return new Promise(resolve => realTimers.setImmediate(resolve));
+  }
+
+  install() {
+    if (this.installed) return this;
+    Date.now = () => this.currentTime;
+    globalThis.setTimeout = this.setTimeout.bind(this);
+    globalThis.clearTimeout = this.clearTimer.bind(this);
+    globalThis.setInterval = this.setInterval.bind(this);
+    globalThis.clearInterval = this.clearTimer.bind(this);
+    this.installed = true;
+    return this;
+  }
+
+  uninstall() {
+    if (!this.installed) return;
+    Date.now = realTimers.dateNow;
+    globalThis.setTimeout = realTimers.setTimeout;
+    globalThis.clearTimeout = realTimers.clearTimeout;
+    globalThis.setInterval = realTimers.setInterval;
+    globalThis.clearInterval = realTimers.clearInterval;
+    this.installed = false;
+  }
+
+  // --- Internal ---
+
+  _schedule(callback, delayMs, intervalMs, args) {
+    const id = ++this.timerCounter;
+    this.timers.set(id, {
+      id,
+      dueAt: this.currentTime + Math.max(0, Number(delayMs) || 0),
+      intervalMs,
+      callback,
+      args,
+    });
+    // Node-style handle: callers may unref() or coerce it to a number
+    return {
+      id,
+      ref() { return this; },
+      unref() { return this; },
+      hasRef() { return false; },
+      [Symbol.toPrimitive]() { return id; },
+    };
+  }
+
+  _nextDue(time) {
+    let next = null;
+    for (const timer of this.timers.values()) {
+      if (timer.dueAt > time) continue;
+      if (!next || timer.dueAt < next.dueAt || (timer.dueAt === next.dueAt && timer.id < next.id)) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+}
@@ -0,0 +1,286 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from 'bun:test';
+import { VirtualClock } from '../src/simulation/virtual-clock.js';
+import { SimulatedOrderGateway } from '../src/simulation/simulated-order-gateway.js';
+import { Backtester, sharpeRatio, maxDrawdown } from '../src/simulation/backtester.js';
+import {
+  candlesToEvents,
+  krakenOHLCToCandles,
+  coinbaseTradesToEvents,
+  mergeEvents,
+} from '../src/simulation/backtest-data.js';
+
+// --- Helpers ---
+
+function createMockLogger() {
+  return { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+}
+
+const T0 = 1_700_000_000_000;
+
+function newOrder(clOrdID, side, price, size) {
+  return { '35': 'D', '11': clOrdID, '55': 'BTC-PYUSD', '54': side === 'buy' ? '1' : '2', '38': String(size), '44': String(price), '40': '2' };
+}
+
+// Sideways market oscillating ±0.2% around 100000
+function buildCandles(count = 30) {
+  const candles = [];
+  for (let i = 0; i < count; i++) {
+    const open = 100000 * (1 + 0.002 * Math.sin(i / 2));
+    const close = 100000 * (1 + 0.002 * Math.sin((i + 1) / 2));
+    candles.push({
+      timestamp: T0 + i * 60_000,
+      open,
+      close,
+      high: Math.max(open, close) * 1.0005,
+      low: Math.min(open, close) * 0.9995,
+      volume: 4,
+    });
+  }
+  return candles;
+}
+
+// --- SimulatedOrderGateway ---
+
+describe('SimulatedOrderGateway', () => {
+  let clock;
+  let gateway;
+  let reports;
+
+  beforeEach(() => {
+    clock = new VirtualClock({ startTime: T0 }).install();
+    gateway = new SimulatedOrderGateway({ latencyMs: 50, logger: createMockLogger() });
+    reports = [];
+    gateway.on('message', ({ fields }) => reports.push(fields));
+  });
+
+  afterEach(() => {
+    clock.uninstall();
+  });
+
+  const fills = () => reports.filter(r => r['150'] === 'F');
+
+  test('acknowledges orders after latencyMs', async () => {
+    await gateway.sendMessage(newOrder('A', 'buy', 100, 1));
+    expect(reports).toHaveLength(0);
+
+    await clock.advanceBy(50);
+    expect(reports).toHaveLength(1);
+    expect(reports[0]['150']).toBe('0');
+    expect(reports[0]['11']).toBe('A');
+    expect(gateway.getOpenOrders()).toHaveLength(1);
+  });
+
+  test('fills at our price only after the visible queue ahead has traded', async () => {
+    gateway.onBook({ bids: [[100, 1]], asks: [[101, 1]] });
+    await gateway.sendMessage(newOrder('A', 'buy', 100, 0.5));
+    await clock.advanceBy(50);
+    expect(gateway.getOpenOrders()[0].queueAhead).toBe(1);
+
+    gateway.onTrade({ price: 100, size: 0.6, side: 'sell' });
+    expect(fills()).toHaveLength(0);
+    expect(gateway.getOpenOrders()[0].queueAhead).toBe(0.4);
+
+    gateway.onTrade({ price: 100, size: 0.6, side: 'sell' });
+    expect(fills()).toHaveLength(1);
+    expect(fills()[0]['32']).toBe('0.2');
+    expect(fills()[0]['39']).toBe('1');
+    expect(fills()[0]['1057']).toBe('N');
+  });
+
+  test('shrinking visible size moves the order up the queue', async () => {
+    gateway.onBook({ bids: [[100, 2]], asks: [[101, 1]] });
+    await gateway.sendMessage(newOrder('A', 'buy', 100, 0.5));
+    await clock.advanceBy(50);
+
+    gateway.onBook({ bids: [[100, 0.3]], asks: [[101, 1]] });
+    expect(gateway.getOpenOrders()[0].queueAhead).toBe(0.3);
+  });
+
+  test('trades through our price fill the order outright at its limit', async () => {
+    gateway.onBook({ bids: [[100, 5]], asks: [[101, 1]] });
+    await gateway.sendMessage(newOrder('A', 'buy', 100, 0.5));
+    await clock.advanceBy(50);
+
+    gateway.onTrade({ price: 99.5, size: 1, side: 'sell' });
+    expect(fills()).toHaveLength(1);
+    expect(fills()[0]['31']).toBe('100');
+    expect(fills()[0]['39']).toBe('2');
+  });
+
+  test('fills resting orders the reference book moves through', async () => {
+    gateway.onBook({ bids: [[100, 1]], asks: [[101, 1]] });
+    await gateway.sendMessage(newOrder('A', 'sell', 101.5, 0.5));
+    await clock.advanceBy(50);
+
+    gateway.onBook({ bids: [[102, 1]], asks: [[103, 1]] });
+    expect(fills()).toHaveLength(1);
+    expect(fills()[0]['31']).toBe('101.5');
+    expect(fills()[0]['1057']).toBe('N');
+  });
+
+  test('orders crossing on arrival take visible liquidity as aggressor', async () => {
+    gateway.onBook({ bids: [[99, 1]], asks: [[100, 0.2], [100.5, 1]] });
+    await gateway.sendMessage(newOrder('A', 'buy', 100.5, 0.5));
+    await clock.advanceBy(50);
+
+    expect(fills().map(f => [f['31'], f['32'], f['1057']])).toEqual([['100', '0.2', 'Y'], ['100.5', '0.3', 'Y']]);
+    expect(gateway.getStats().takerFills).toBe(2);
+  });
+
+  test('a replace to a new price re-queues the order', async () => {
+    gateway.onBook({ bids: [[100, 1], [99.5, 3]], asks: [[101, 1]] });
+    await gateway.sendMessage(newOrder('A', 'buy', 100, 0.5));
+    await clock.advanceBy(50);
+    gateway.onTrade({ price: 100, size: 0.8, side: 'sell' });
+
+    await gateway.sendMessage({ '35': 'G', '11': 'B', '41': 'A', '54': '1', '38': '0.5', '44': '99.5' });
+    await clock.advanceBy(50);
+
+    const replaced = reports.find(r => r['150'] === '5');
+    expect(replaced['11']).toBe('B');
+    expect(replaced['41']).toBe('A');
+    expect(gateway.getOpenOrders()[0]).toMatchObject({ clOrdID: 'B', price: 99.5, queueAhead: 3 });
+  });
+
+  test('cancels unknown orders with an Order Cancel Reject', async () => {
+    await gateway.sendMessage({ '35': 'F', '11': 'C', '41': 'missing', '54': '1' });
+    await clock.advanceBy(50);
+
+    expect(reports[0]).toMatchObject({ '35': '9', '11': 'C', '41': 'missing', '434': '1', '102': '1' });
+    expect(gateway.getStats().cancelRejects).toBe(1);
+  });
+
+  test('applies the risk gateway before accepting new orders', async () => {
+    const rejection = { clOrdID: 'A', reason: 'max-order-size' };
+    gateway.riskGateway = { checkOrder: jest.fn(() => ({ approved: false, rejection })) };
+
+    const result = await gateway.sendMessage(newOrder('A', 'buy', 100, 50));
+    await clock.advanceBy(50);
+
+    expect(result).toMatchObject({ rejected: true, rejection });
+    expect(reports).toHaveLength(0);
+  });
+});
+
+// --- Data loaders ---
+
+describe('backtest data', () => {
+  test('candlesToEvents walks open, near extreme, far extreme, close', () => {
+    const events = candlesToEvents([{ timestamp: T0, open: 100, high: 110, low: 95, close: 105, volume: 8 }]);
+    const trades = events.filter(e => e.type === 'trade');
+    const books = events.filter(e => e.type === 'book');
+
+    expect(trades.map(t => t.price)).toEqual([100, 95, 110, 105]);
+    expect(trades.map(t => t.side)).toEqual(['buy', 'sell', 'buy', 'sell']);
+    expect(trades.map(t => t.t)).toEqual([T0, T0 + 15_000, T0 + 30_000, T0 + 45_000]);
+    expect(trades.every(t => t.size === 2)).toBe(true);
+    expect(books[0].bids[0][0]).toBeLessThan(100);
+    expect(books[0].asks[0][0]).toBeGreaterThan(100);
+  });
+
+  test('krakenOHLCToCandles parses the OHLC result', () => {
+    const candles = krakenOHLCToCandles({
+      XXBTZUSD: [[1700000000, '100.0', '110.0', '95.0', '105.0', '102.0', '3.5', 12]],
+      last: 1700000000,
+    });
+    expect(candles).toEqual([{ timestamp: 1700000000000, open: 100, high: 110, low: 95, close: 105, volume: 3.5 }]);
+    expect(krakenOHLCToCandles({})).toEqual([]);
+  });
+
+  test('coinbaseTradesToEvents uses the aggressor side', () => {
+    const events = coinbaseTradesToEvents([
+      { time: new Date(T0).toISOString(), price: '100.5', size: '0.25', side: 'buy' },
+    ]);
+    const trade = events.find(e => e.type === 'trade');
+    expect(trade).toEqual({ t: T0, type: 'trade', source: 'coinbase', price: 100.5, size: 0.25, side: 'sell' });
+  });
+
+  test('mergeEvents orders by time and keeps input order within a timestamp', () => {
+    const a = [{ t: 2, id: 'a2' }, { t: 1, id: 'a1' }];
+    const b = [{ t: 1, id: 'b1' }, { t: 3, id: 'b3' }];
+    expect(mergeEvents(a, b).map(e => e.id)).toEqual(['a1', 'b1', 'a2', 'b3']);
+  });
+});
+
+// --- Backtester ---
+
+describe('Backtester', () => {
+  const createBacktester = (options = {}) => new Backtester({
+    events: candlesToEvents(buildCandles()),
+    params: { levels: 2, baseSpreadBps: 10 },
+    logger: createMockLogger(),
+    ...options,
+  });
+
+  test('requires events', () => {
+    expect(() => new Backtester({ events: [] })).toThrow('at least one event');
+  });
+
+  test('expandGrid returns every combination', () => {
+    const combos = Backtester.expandGrid({ baseSpreadBps: [20, 40], levels: [3, 5] });
+    expect(combos).toEqual([
+      { baseSpreadBps: 20, levels: 3 },
+      { baseSpreadBps: 20, levels: 5 },
+      { baseSpreadBps: 40, levels: 3 },
+      { baseSpreadBps: 40, levels: 5 },
+    ]);
+    expect(Backtester.expandGrid({})).toEqual([{}]);
+  });
+
+  test('run reports fills, inventory path, PnL curve and risk metrics', async () => {
+    const realNow = Date.now;
+    const result = await createBacktester().run();
+
+    expect(Date.now).toBe(realNow);
+    expect(result.fills.length).toBeGreaterThan(0);
+    expect(result.inventoryPath).toHaveLength(result.fills.length + 1);
+    expect(result.pnlCurve.length).toBeGreaterThanOrEqual(30);
+    expect(result.pnlCurve[0].t).toBe(T0 + 60_000);
+    expect(Number.isFinite(result.sharpe)).toBe(true);
+    expect(result.maxDrawdown).toBeGreaterThanOrEqual(0);
+    expect(result.pnl.numTrades).toBe(result.fills.length);
+    expect(result.markouts.completedFills + result.markouts.pendingFills).toBe(result.fills.length);
+    expect(result.stats.fills).toBe(result.fills.length);
+  });
+
+  test('runs are deterministic', async () => {
+    const backtester = createBacktester();
+    const first = await backtester.run();
+    const second = await backtester.run();
+
+    expect(second.fills).toEqual(first.fills);
+    expect(second.pnlCurve).toEqual(first.pnlCurve);
+  });
+
+  test('sweep runs each parameter set over the base params', async () => {
+    const results = await createBacktester().sweep({ baseSpreadBps: [10, 60] });
+
+    expect(results).toHaveLength(2);
+    expect(results.map(r => r.params.baseSpreadBps)).toEqual([10, 60]);
+    expect(results.every(r => r.params.levels === 2)).toBe(true);
+    // Wider quotes are reached by less of the same flow
+    expect(results[1].stats.filledQty).toBeLessThan(results[0].stats.filledQty);
+  });
+
+  test('taker fills are charged the taker fee', async () => {
+    const result = await createBacktester({ fees: { truexMakerFeeBps: 0, truexTakerFeeBps: 10 } }).run();
+    const takerNotional = result.fills.filter(f => !f.isMaker).reduce((sum, f) => sum + f.price * f.size, 0);
+
+    expect(result.pnl.totalFees).toBeCloseTo(takerNotional * 10 / 10000, 6);
+  });
+});
+
+describe('sharpeRatio / maxDrawdown', () => {
+  test('sharpeRatio annualizes the mean/std of returns', () => {
+    const day = 24 * 60 * 60 * 1000;
+    expect(sharpeRatio([1, 3, 1, 3], day)).toBeCloseTo((2 / Math.sqrt(4 / 3)) * Math.sqrt(365), 6);
+    expect(sharpeRatio([1, 1, 1], day)).toBe(0);
+    expect(sharpeRatio([5], day)).toBe(0);
+  });
+
+  test('maxDrawdown is the largest peak-to-trough drop', () => {
+    expect(maxDrawdown([0, 5, 2, 8, 1, 4])).toBe(7);
+    expect(maxDrawdown([1, 2, 3])).toBe(0);
+    expect(maxDrawdown([])).toBe(0);
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect, mock } from 'bun:test';
+import {
+  CoinbaseWsIngest,
+  mapToCoinbaseProductId,
+  mapFromCoinbaseProductId,
+} from '../src/data-pipeline/coinbase-ws-ingest.js';
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+describe('Coinbase product mapping', () => {
+  it('maps TrueX symbols to their Coinbase proxies and back', () => {
+    expect(mapToCoinbaseProductId('BTC-PYUSD')).toBe('BTC-USD');
+    expect(mapToCoinbaseProductId('ETH-PYUSD')).toBe('ETH-USD');
+    expect(mapToCoinbaseProductId('ETH/USD')).toBe('ETH-USD');
+
+    expect(mapFromCoinbaseProductId('BTC-USD')).toBe('BTC-PYUSD');
+    expect(mapFromCoinbaseProductId('ETH-USD')).toBe('ETH-PYUSD');
+    expect(mapFromCoinbaseProductId('SOL-USD')).toBe('SOL/USD');
+  });
+
+  it('reports ETH-USD trades under the TrueX symbol', () => {
+    const onTrade = mock(() => {});
+    const ingest = new CoinbaseWsIngest({ symbols: ['ETH-PYUSD'], onTrade, logger: silentLogger });
+
+    ingest.handleMessage(JSON.stringify({ type: 'match', product_id: 'ETH-USD', price: '3000.25', size: '1.5', time: '2026-10-18T12:00:00Z' }));
+
+    expect(onTrade).toHaveBeenCalledTimes(1);
+    expect(onTrade.mock.calls[0][0]).toBe('ETH-PYUSD');
+    expect(onTrade.mock.calls[0][1][0]).toMatchObject({ volume: 1.5 });
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from 'bun:test';
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { ControlServer } from '../src/core/control-server.js';
+
+// --- Helpers ---
+
+const TOKEN = 'test-token';
+
+function createMockLogger() {
+  return { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+}
+
+function createMockOrchestrator() {
+  const orch = new EventEmitter();
+  orch.sessionId = 'mm-test';
+  orch.getStatus = jest.fn(() => ({
+    sessionId: 'mm-test',
+    isRunning: true,
+    symbols: {
+      'BTC-PYUSD': { quotes: { bidLevels: 3 }, inventory: { netPosition: 0.5 }, pnl: { totalPnL: 12 }, hedge: { totalHedges: 1 } },
+      'ETH-PYUSD': { quotes: { bidLevels: 2 }, inventory: { netPosition: -1 }, pnl: { totalPnL: -3 }, hedge: { totalHedges: 0 } },
+    },
+  }));
+  orch.pauseQuoting = jest.fn((side) => {
+    if (side !== 'buy' && side !== 'sell' && side !== 'both') throw new Error(`Invalid side: ${side}`);
+    return { symbols: ['BTC-PYUSD'], sides: [side] };
+  });
+  orch.resumeQuoting = jest.fn(() => ({ symbols: ['BTC-PYUSD'], sides: ['buy'] }));
+  orch.cancelAll = jest.fn(async () => ({ 'BTC-PYUSD': { accepted: true, totalAffected: 4 } }));
+  orch.flatten = jest.fn(async () => ({ 'BTC-PYUSD': { side: 'sell', size: 0.5 } }));
+  orch.updateQuoteConfig = jest.fn((changes, symbol) => ({ symbol, previous: { baseSpreadBps: 50 } }));
+  return orch;
+}
+
+function nextFrame(ws, type) {
+  return new Promise((resolve) => {
+    const onMessage = (data) => {
+      const frame = JSON.parse(data.toString());
+      if (frame.type !== type) return;
+      ws.off('message', onMessage);
+      resolve(frame);
+    };
+    ws.on('message', onMessage);
+  });
+}
+
+describe('ControlServer', () => {
+  let orchestrator;
+  let auditLogger;
+  let server;
+  let base;
+
+  const request = (path, { method = 'GET', body, token = TOKEN } = {}) => fetch(`${base}${path}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body,
+  });
+
+  beforeEach(async () => {
+    orchestrator = createMockOrchestrator();
+    auditLogger = { logControlCommand: jest.fn(() => true) };
+    server = new ControlServer({ orchestrator, auditLogger, token: TOKEN, port: 0, logger: createMockLogger() });
+    const { host, port } = await server.start();
+    base = `http://${host}:${port}`;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('requires an orchestrator and a token', () => {
+    expect(() => new ControlServer({ token: TOKEN })).toThrow('requires an orchestrator');
+    expect(() => new ControlServer({ orchestrator })).toThrow('requires a token');
+  });
+
+  test('binds to localhost and rejects missing or wrong tokens', async () => {
+    expect(server.host).toBe('127.0.0.1');
+    expect((await request('/status', { token: null })).status).toBe(401);
+    expect((await request('/status', { token: 'wrong' })).status).toBe(401);
+    expect((await fetch(`${base}/status?token=${TOKEN}`)).status).toBe(401);
+    expect(orchestrator.getStatus).not.toHaveBeenCalled();
+  });
+
+  test('serves status and per-symbol views', async () => {
+    const status = await request('/status');
+    expect(status.status).toBe(200);
+    expect((await status.json()).sessionId).toBe('mm-test');
+
+    expect(await (await request('/inventory')).json()).toEqual({
+      'BTC-PYUSD': { netPosition: 0.5 },
+      'ETH-PYUSD': { netPosition: -1 },
+    });
+    expect(await (await request('/pnl?symbol=ETH-PYUSD')).json()).toEqual({ totalPnL: -3 });
+    expect((await request('/hedge?symbol=SOL-PYUSD')).status).toBe(404);
+    expect((await request('/orders')).status).toBe(404);
+  });
+
+  test('runs commands and audit-logs each one', async () => {
+    const res = await request('/commands/config', {
+      method: 'POST',
+      body: JSON.stringify({ symbol: 'BTC-PYUSD', baseSpreadBps: 30, levels: 4 }),
+    });
+
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ ok: true, result: { symbol: 'BTC-PYUSD', previous: { baseSpreadBps: 50 } } });
+    expect(orchestrator.updateQuoteConfig).toHaveBeenCalledWith({ baseSpreadBps: 30, levels: 4 }, 'BTC-PYUSD');
+    expect(auditLogger.logControlCommand).toHaveBeenCalledWith(expect.objectContaining({
+      sessionId: 'mm-test',
+      command: 'config',
+      params: { symbol: 'BTC-PYUSD', baseSpreadBps: 30, levels: 4 },
+      source: 'http',
+      ok: true,
+    }));
+
+    await request('/commands/cancel-all', { method: 'POST' });
+    await request('/commands/flatten', { method: 'POST', body: '{"symbol":"BTC-PYUSD"}' });
+    expect(orchestrator.cancelAll).toHaveBeenCalledWith(undefined);
+    expect(orchestrator.flatten).toHaveBeenCalledWith('BTC-PYUSD');
+    expect(auditLogger.logControlCommand).toHaveBeenCalledTimes(3);
+  });
+
+  test('reports failed and unknown commands as 400s, still audit-logged', async () => {
+    const res = await request('/commands/pause', { method: 'POST', body: JSON.stringify({ side: 'up' }) });
+    expect(res.status).toBe(400);
+    expect(await res.json()).toEqual({ ok: false, error: 'Invalid side: up' });
+
+    expect((await request('/commands/shutdown', { method: 'POST' })).status).toBe(400);
+    expect(auditLogger.logControlCommand.mock.calls.map(([c]) => [c.command, c.ok])).toEqual([['pause', false], ['shutdown', false]]);
+
+    expect((await request('/commands/pause', { method: 'POST', body: '[1]' })).status).toBe(400);
+    expect(auditLogger.logControlCommand).toHaveBeenCalledTimes(2);
+  });
+
+  test('streams status and events over the WebSocket and takes commands', async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.port}/ws?token=${TOKEN}`);
+    const status = await nextFrame(ws, 'status');
+    expect(status.data.sessionId).toBe('mm-test');
+
+    const fill = nextFrame(ws, 'fill');
+    orchestrator.emit('fill', { symbol: 'BTC-PYUSD', side: 'buy', price: 100000, size: 0.1 });
+    expect((await fill).data).toMatchObject({ side: 'buy', size: 0.1 });
+
+    const response = nextFrame(ws, 'response');
+    const broadcast = nextFrame(ws, 'command');
+    ws.send(JSON.stringify({ id: 7, command: 'pause', params: { side: 'sell' } }));
+
+    expect(await response).toMatchObject({ id: 7, ok: true, result: { sides: ['sell'] } });
+    expect((await broadcast).data).toMatchObject({ command: 'pause', source: 'ws', ok: true });
+    expect(auditLogger.logControlCommand).toHaveBeenCalledWith(expect.objectContaining({ command: 'pause', source: 'ws' }));
+    ws.close();
+  });
+
+  test('answers WebSocket messages that are not a JSON object, or whose command throws', async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.port}/ws?token=${TOKEN}`);
+    await nextFrame(ws, 'status');
+
+    for (const raw of ['null', '[1]', '42', '{']) {
+      const response = nextFrame(ws, 'response');
+      ws.send(raw);
+      expect((await response).ok).toBe(false);
+    }
+
+    server.on('command', () => { throw new Error('listener failed'); });
+    const response = nextFrame(ws, 'response');
+    ws.send(JSON.stringify({ id: 9, command: 'resume', params: {} }));
+    expect(await response).toMatchObject({ id: 9, ok: false, error: 'listener failed' });
+    ws.close();
+  });
+
+  test('refuses WebSocket upgrades without the token', async () => {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.port}/ws`);
+    const statusCode = await new Promise((resolve) => {
+      ws.on('unexpected-response', (_req, res) => resolve(res.statusCode));
+      ws.on('error', () => {});
+    });
+    expect(statusCode).toBe(401);
+  });
+
+  test('stop releases the orchestrator listeners', async () => {
+    expect(orchestrator.listenerCount('fill')).toBe(1);
+    await server.stop();
+    expect(orchestrator.listenerCount('fill')).toBe(0);
+    expect(orchestrator.listenerCount('emergency')).toBe(0);
+  });
+});
@@ -0,0 +1,303 @@
+import { describe, it, expect, beforeEach, afterEach, mock } from 'bun:test';
+import { EventEmitter } from 'events';
+import { MatchingEngine } from '../src/simulation/matching-engine.js';
+import { TrueXExchangeSimulator } from '../src/simulation/truex-exchange-simulator.js';
+import { FIXConnection } from '../src/fix-protocol/fix-connection.js';
+import { TrueXMarketDataFeed } from '../src/core/truex-market-data.js';
+import { MarketMakerOrchestrator } from '../src/core/market-maker-orchestrator.js';
+import { InstrumentRegistry } from '../src/core/instrument-registry.js';
+
+const logger = () => ({ info: mock(() => {}), warn: mock(() => {}), error: mock(() => {}), debug: mock(() => {}) });
+
+async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('waitFor timed out');
+    await new Promise(r => setTimeout(r, 5));
+  }
+}
+
+describe('MatchingEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new MatchingEngine({ logger: logger() });
+  });
+
+  const limit = (side, price, orderQty, owner = 'A') =>
+    engine.submit({ symbol: 'BTC-PYUSD', side, price, orderQty, owner });
+
+  it('matches best price first, then oldest first, at the resting price', () => {
+    const first = limit('sell', 100010, 0.1).order;
+    const second = limit('sell', 100010, 0.1).order;
+    const better = limit('sell', 100005, 0.1).order;
+
+    const { order, fills } = limit('buy', 100010, 0.25, 'B');
+
+    expect(fills.map(f => [f.resting.orderID, f.price, f.qty])).toEqual([
+      [better.orderID, 100005, 0.1],
+      [first.orderID, 100010, 0.1],
+      [second.orderID, 100010, 0.05],
+    ]);
+    expect(order.status).toBe('filled');
+    expect(order.avgPx).toBeCloseTo(100008, 6);
+    expect(second.status).toBe('partial');
+    expect(second.leavesQty).toBe(0.05);
+    expect(engine.getDepth('BTC-PYUSD').asks).toEqual([{ price: 100010, size: 0.05, orders: 1 }]);
+  });
+
+  it('keeps priority on a size reduction but not on a price change', () => {
+    const a = limit('buy', 99990, 0.2).order;
+    const b = limit('buy', 99990, 0.2).order;
+
+    engine.replace(a.orderID, { orderQty: 0.1 });
+    expect(engine.getOpenOrders({ side: 'buy' })[0].orderID).toBe(a.orderID);
+
+    engine.replace(a.orderID, { price: 99995 });
+    engine.replace(a.orderID, { price: 99990 });
+    const { fills } = limit('sell', 99990, 0.2, 'B');
+    expect(fills[0].resting.orderID).toBe(b.orderID);
+
+    expect(() => engine.replace(b.orderID, { orderQty: 0.1 })).toThrow('Unknown order');
+  });
+
+  it('cancels IOC remainders and kills FOK orders that cannot fill completely', () => {
+    limit('sell', 100000, 0.1);
+
+    const fok = engine.submit({ symbol: 'BTC-PYUSD', side: 'buy', price: 100000, orderQty: 0.2, timeInForce: 'FOK' });
+    expect(fok.fills).toEqual([]);
+    expect(fok.cancelledQty).toBe(0.2);
+
+    const ioc = engine.submit({ symbol: 'BTC-PYUSD', side: 'buy', price: 100000, orderQty: 0.3, timeInForce: 'IOC' });
+    expect(ioc.fills.length).toBe(1);
+    expect(ioc.cancelledQty).toBe(0.2);
+    expect(engine.getDepth('BTC-PYUSD')).toEqual({ bids: [], asks: [] });
+  });
+});
+
+describe('TrueXExchangeSimulator', () => {
+  let sim;
+  let port;
+  let clients;
+
+  const connect = async (overrides = {}) => {
+    const fix = new FIXConnection({
+      host: '127.0.0.1',
+      port,
+      senderCompID: 'CLI_TEST',
+      targetCompID: 'TRUEX_UAT_OE',
+      apiKey: 'test-key',
+      apiSecret: 'test-secret',
+      logonDelayMs: 0,
+      logger: logger(),
+      ...overrides,
+    });
+    clients.push(fix);
+    await fix.connect();
+    return fix;
+  };
+
+  // Collect inbound execution reports on a client
+  const reports = (fix) => {
+    const list = [];
+    fix.on('message', (m) => { if (m.fields['35'] === '8') list.push(m.fields); });
+    return list;
+  };
+
+  beforeEach(async () => {
+    sim = new TrueXExchangeSimulator({ credentials: { 'test-key': 'test-secret' }, logger: logger() });
+    port = await sim.start();
+    clients = [];
+  });
+
+  afterEach(async () => {
+    for (const fix of clients) await fix.disconnect().catch(() => {});
+    await sim.stop();
+  });
+
+  it('accepts a correctly signed logon and rejects a bad signature', async () => {
+    const fix = await connect();
+    expect(fix.isLoggedOn).toBe(true);
+
+    const rejected = mock(() => {});
+    sim.on('logon-rejected', rejected);
+    await expect(connect({ senderCompID: 'CLI_BAD', apiSecret: 'wrong' })).rejects.toThrow('Logon rejected: Authentication failed');
+    expect(rejected).toHaveBeenCalledWith(expect.objectContaining({ senderCompID: 'CLI_BAD' }));
+  });
+
+  it('acknowledges and partially fills an order against resting liquidity', async () => {
+    sim.placeOrder({ side: 'sell', price: 100000, size: 0.04 });
+    const fix = await connect();
+    const ers = reports(fix);
+
+    await fix.sendMessage({ '35': 'D', '11': 'C1', '55': 'BTC-PYUSD', '54': '1', '38': '0.1', '44': '100000', '40': '2', '59': '1' });
+    await waitFor(() => ers.length === 2);
+
+    expect(ers[0]).toMatchObject({ '11': 'C1', '150': '0', '39': '0', '151': '0.1' });
+    expect(ers[1]).toMatchObject({ '11': 'C1', '150': 'F', '39': '1', '32': '0.04', '31': '100000', '14': '0.04', '151': '0.06' });
+    expect(sim.getBook().bids).toEqual([{ price: 100000, size: 0.06, orders: 1 }]);
+
+    // A later seller takes the rest
+    sim.placeOrder({ side: 'sell', price: 99990, size: 0.06 });
+    await waitFor(() => ers.length === 3);
+    expect(ers[2]).toMatchObject({ '150': 'F', '39': '2', '31': '100000', '14': '0.1', '151': '0' });
+  });
+
+  it('replaces and cancels orders, and rejects cancels for unknown orders', async () => {
+    const fix = await connect();
+    const ers = reports(fix);
+    const cancelRejects = [];
+    fix.on('message', (m) => { if (m.fields['35'] === '9') cancelRejects.push(m.fields); });
+
+    await fix.sendMessage({ '35': 'D', '11': 'C1', '55': 'BTC-PYUSD', '54': '2', '38': '0.1', '44': '100100', '40': '2', '59': '1' });
+    await fix.sendMessage({ '35': 'G', '11': 'C2', '41': 'C1', '55': 'BTC-PYUSD', '54': '2', '38': '0.2', '44': '100050', '40': '2', '59': '1' });
+    await fix.sendMessage({ '35': 'F', '11': 'C3', '41': 'C2', '55': 'BTC-PYUSD', '54': '2' });
+    await fix.sendMessage({ '35': 'F', '11': 'C4', '41': 'C2', '55': 'BTC-PYUSD', '54': '2' });
+    await waitFor(() => ers.length === 3 && cancelRejects.length === 1);
+
+    expect(ers[1]).toMatchObject({ '11': 'C2', '41': 'C1', '150': '5', '38': '0.2', '44': '100050' });
+    expect(ers[2]).toMatchObject({ '11': 'C3', '41': 'C2', '150': '4', '39': '4' });
+    expect(cancelRejects[0]).toMatchObject({ '11': 'C4', '434': '1', '102': '1' });
+    expect(sim.getBook().asks).toEqual([]);
+  });
+
+  it('rejects orders on request', async () => {
+    const fix = await connect();
+    const ers = reports(fix);
+    sim.rejectNext('D', { text: 'Invalid client' });
+
+    await fix.sendMessage({ '35': 'D', '11': 'C1', '55': 'BTC-PYUSD', '54': '1', '38': '0.1', '44': '100000', '40': '2', '59': '1' });
+    await fix.sendMessage({ '35': 'D', '11': 'C2', '55': 'BTC-PYUSD', '54': '1', '38': '0.1', '44': '100000', '40': '2', '59': '1' });
+    await waitFor(() => ers.length === 2);
+
+    expect(ers[0]).toMatchObject({ '11': 'C1', '150': '8', '39': '8', '58': 'Invalid client' });
+    expect(ers[1]).toMatchObject({ '11': 'C2', '150': '0' });
+  });
+
+  it('rejects post-only orders that would cross', async () => {
+    sim.placeOrder({ side: 'sell', price: 100000, size: 0.1 });
+    const fix = await connect();
+    const ers = reports(fix);
+
+    await fix.sendMessage({ '35': 'D', '11': 'C1', '55': 'BTC-PYUSD', '54': '1', '38': '0.1', '44': '100000', '40': '2', '59': '1', '18': '6' });
+    await fix.sendMessage({ '35': 'D', '11': 'C2', '55': 'BTC-PYUSD', '54': '1', '38': '0.1', '44': '99999.5', '40': '2', '59': '1', '18': '6' });
+    await waitFor(() => ers.length === 2);
+
+    expect(ers[0]).toMatchObject({ '11': 'C1', '39': '8', '58': 'Post-only order would cross' });
+    expect(ers[1]).toMatchObject({ '11': 'C2', '150': '0' });
+  });
+
+  it('opens a sequence gap that the client recovers by ResendRequest', async () => {
+    const fix = await connect();
+    const ers = reports(fix);
+    const gapFilled = mock(() => {});
+    fix.on('gap-filled', gapFilled);
+
+    sim.dropOutbound(1);
+    await fix.sendMessage({ '35': 'D', '11': 'C1', '55': 'BTC-PYUSD', '54': '1', '38': '0.1', '44': '100000', '40': '2', '59': '1' });
+    await fix.sendMessage({ '35': 'F', '11': 'C2', '41': 'C1', '55': 'BTC-PYUSD', '54': '1' });
+    await waitFor(() => ers.length === 2);
+
+    // The dropped ack is replayed with PossDup ahead of the buffered cancel
+    expect(ers.map(f => f['150'])).toEqual(['0', '4']);
+    expect(ers[0]['43']).toBe('Y');
+    expect(gapFilled).toHaveBeenCalledTimes(1);
+  });
+
+  it('drops connections on request and lets the client reconnect', async () => {
+    const fix = await connect({ maxReconnectAttempts: 1, initialReconnectDelay: 10 });
+    const logons = mock(() => {});
+    sim.on('logon', logons);
+
+    expect(sim.disconnect('CLI_TEST')).toBe(1);
+    await waitFor(() => logons.mock.calls.length === 1 && fix.isLoggedOn);
+  });
+
+  it('answers security list requests that load the instrument registry', async () => {
+    sim.symbols.add('ETH-PYUSD');
+    sim.instruments['ETH-PYUSD'] = { tickSize: 0.01, lotSize: 0.001, minSize: 0.01, priceBandPct: 5 };
+    const fix = await connect();
+
+    const list = await fix.requestSecurityList();
+    expect(list.map(f => f['55'])).toEqual(['BTC-PYUSD', 'ETH-PYUSD']);
+    expect(list[1]).toMatchObject({ '969': '0.01', '561': '0.001', '562': '0.01', '1143': '5', '326': '17' });
+
+    const registry = new InstrumentRegistry({ logger: logger() });
+    expect(await registry.load({ fixConnection: fix })).toBe('fix');
+    expect(registry.get('ETH-PYUSD')).toMatchObject({ tickSize: 0.01, lotSize: 0.001, minSize: 0.01, priceBandPct: 5, status: 'open', source: 'fix' });
+    expect(registry.get('BTC-PYUSD').tickSize).toBe(0.5);
+
+    await expect(fix.requestSecurityList({ symbol: 'SOL-PYUSD' })).rejects.toThrow('rejected: result=2 Unknown symbol SOL-PYUSD');
+  });
+
+  it('serves snapshots and incremental refreshes to TrueXMarketDataFeed', async () => {
+    sim.placeOrder({ side: 'buy', price: 99990, size: 0.5 });
+    sim.placeOrder({ side: 'sell', price: 100010, size: 0.3 });
+
+    const mdConnection = new FIXConnection({
+      host: '127.0.0.1', port, senderCompID: 'CLI_TEST', targetCompID: 'TRUEX_UAT_MD',
+      apiKey: 'test-key', apiSecret: 'test-secret', logonDelayMs: 0, logger: logger(),
+    });
+    const feed = new TrueXMarketDataFeed({ fixConnection: mdConnection, logger: logger() });
+    const snapshot = new Promise(resolve => feed.once('snapshot', resolve));
+    await feed.connect();
+    await feed.subscribe('BTC-PYUSD');
+
+    expect((await snapshot).bids).toEqual([{ price: 99990, size: 0.5 }]);
+
+    const update = new Promise(resolve => feed.once('update', resolve));
+    sim.placeOrder({ side: 'sell', price: 99990, size: 0.2 });
+    await update;
+    expect(feed.getBestBidAsk()).toMatchObject({ bestBid: 99990, bestBidSize: 0.3, bestAsk: 100010 });
+
+    await feed.disconnect();
+  });
+});
+
+describe('MarketMakerOrchestrator against the simulator', () => {
+  it('quotes, gets filled and updates inventory', async () => {
+    const sim = new TrueXExchangeSimulator({ credentials: { 'test-key': 'test-secret' }, logger: logger() });
+    const port = await sim.start();
+    const priceAggregator = new EventEmitter();
+    const hedgeExecutor = new EventEmitter();
+    hedgeExecutor.config = { minHedgeSizeBTC: 0.001 };
+    hedgeExecutor.executeHedge = mock(async () => ({}));
+    hedgeExecutor.getHedgeStats = mock(() => ({}));
+
+    const orchestrator = new MarketMakerOrchestrator({
+      truexHost: '127.0.0.1',
+      truexPort: port,
+      senderCompID: 'CLI_MM',
+      apiKey: 'test-key',
+      apiSecret: 'test-secret',
+      logonDelayMs: 0,
+      priceAggregator,
+      hedgeExecutor,
+      levels: 2,
+      baseSizeBTC: 0.1,
+      drainQueueIntervalMs: 10,
+      logger: logger(),
+    });
+
+    try {
+      await orchestrator.start();
+      priceAggregator.emit('price', { weightedMidpoint: 100000, confidence: 0.95 });
+      await waitFor(() => sim.getBook().bids.length === 2 && sim.getBook().asks.length === 2);
+
+      const bestBid = sim.getBook().bids[0];
+      const fill = new Promise(resolve => orchestrator.once('fill', resolve));
+      sim.placeOrder({ side: 'sell', price: bestBid.price, size: bestBid.size, timeInForce: 'IOC' });
+      await fill;
+
+      expect(orchestrator.inventoryManager.getPositionSummary().netPosition).toBeCloseTo(bestBid.size, 8);
+
+      // Cancel acks (11 = cancel ClOrdID, 41 = original) clear the quote book
+      orchestrator.quoteEngine.cancelAllQuotes('test');
+      await waitFor(() => orchestrator.quoteEngine.activeOrders.size === 0);
+      expect(sim.getBook()).toEqual({ bids: [], asks: [] });
+    } finally {
+      await orchestrator.stop();
+      await sim.stop();
+    }
+  });
+});
@@ -614,5 +614,41 @@ describe('FIXConnection - Integration Scenarios', () => {
       requested: 5
     });
   });
-});
 
+  test('getStats counts traffic, gaps, resends and rejects', async () => {
+    // Arrange
+    await fixConnection.sendMessage({ '35': 'D', '11': 'ORDER1' });
+    await fixConnection.sendMessage({ '35': 'D', '11': 'ORDER2' });
+
+    // Act
+    const inbound = (fields) => fixConnection.handleMessage({ raw: '', fields });
+    inbound({ '35': '8', '34': '1', '17': 'E1', '39': '8' });   // order reject
+    inbound({ '35': '3', '34': '2', '45': '1', '58': 'Bad' }); // session reject
+    inbound({ '35': '9', '34': '3', '41': 'ORDER2' });         // cancel reject
+    inbound({ '35': '0', '34': '2' });                         // duplicate
+    inbound({ '35': '0', '34': '4' });                         // heartbeat
+    inbound({ '35': '0', '34': '6' });                         // gap at 5
+    await new Promise(resolve => setTimeout(resolve, 0));
+    fixConnection.handleResendRequest({ fields: { '35': '2', '7': '1', '16': '2' } });
+
+    // Assert
+    const stats = fixConnection.getStats(fixConnection.lastHeartbeatReceived + 1500);
+    expect(stats).toMatchObject({
+      msgSeqNum: 4,
+      expectedSeqNum: 5,
+      messagesSent: 3, // two orders and the ResendRequest
+      messagesReceived: 6,
+      orderRejects: 1,
+      sessionRejects: 1,
+      cancelRejects: 1,
+      businessRejects: 0,
+      duplicatesIgnored: 1,
+      gapsDetected: 1,
+      resendRequestsSent: 1,
+      resendRequestsReceived: 1,
+      messagesResent: 2,
+      heartbeatAgeMs: 1500,
+      bufferedMessages: 1
+    });
+  });
+});
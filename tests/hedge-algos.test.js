@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'bun:test';
+import { TwapAlgo, IcebergAlgo, AdaptiveAlgo, createHedgeAlgo } from '../src/core/hedge-algos/index.js';
+
+const quote = { bid: 100000, ask: 100010, bidSize: 2, askSize: 0.1 };
+
+describe('hedge algos', () => {
+  it('createHedgeAlgo builds by name and passes instances through', () => {
+    const twap = createHedgeAlgo('twap', { durationMs: 1000 });
+    expect(twap).toBeInstanceOf(TwapAlgo);
+    expect(createHedgeAlgo(twap)).toBe(twap);
+    expect(() => createHedgeAlgo('vwap')).toThrow('Unknown hedge algo: vwap');
+  });
+
+  describe('TwapAlgo', () => {
+    const twap = new TwapAlgo({ durationMs: 400, slices: 4, limitOffsetBps: 5 });
+
+    it('releases an equal part per interval, priced through the far touch', () => {
+      const slice = twap.nextSlice({ side: 'sell', size: 1, filled: 0, elapsedMs: 0, quote });
+      expect(slice.size).toBe(0.25);
+      expect(slice.price).toBeCloseTo(100000 * (1 - 0.0005), 6);
+      expect(slice.waitMs).toBe(100);
+
+      const buy = twap.nextSlice({ side: 'buy', size: 1, filled: 0, elapsedMs: 0, quote });
+      expect(buy.price).toBeCloseTo(100010 * 1.0005, 6);
+    });
+
+    it('catches up on what earlier slices left and waits when ahead', () => {
+      const behind = twap.nextSlice({ side: 'sell', size: 1, filled: 0.1, elapsedMs: 150, quote });
+      expect(behind.size).toBe(0.4);
+      expect(behind.waitMs).toBe(50);
+
+      const ahead = twap.nextSlice({ side: 'sell', size: 1, filled: 0.5, elapsedMs: 150, quote });
+      expect(ahead.size).toBe(0);
+      expect(ahead.waitMs).toBe(50);
+    });
+
+    it('releases everything once the schedule has run out', () => {
+      const late = twap.nextSlice({ side: 'sell', size: 1, filled: 0.6, elapsedMs: 450, quote });
+      expect(late.size).toBe(0.4);
+      expect(late.waitMs).toBe(100);
+      expect(twap.deadlineMs).toBe(500);
+    });
+  });
+
+  describe('IcebergAlgo', () => {
+    it('joins the near touch showing at most the display size', () => {
+      const iceberg = new IcebergAlgo({ displaySizeBTC: 0.2, depthFraction: 0.5, refreshMs: 300 });
+
+      const buy = iceberg.nextSlice({ side: 'buy', remaining: 1, quote });
+      expect(buy).toEqual({ size: 0.2, price: 100000, waitMs: 300 });
+
+      // Only 0.1 shown on the ask: show half of it
+      const sell = iceberg.nextSlice({ side: 'sell', remaining: 1, quote });
+      expect(sell).toEqual({ size: 0.05, price: 100010, waitMs: 300 });
+
+      const tail = iceberg.nextSlice({ side: 'buy', remaining: 0.03, quote: { bid: 100000, ask: 100010 } });
+      expect(tail.size).toBe(0.03);
+    });
+  });
+
+  describe('AdaptiveAlgo', () => {
+    const adaptive = new AdaptiveAlgo({ durationMs: 1000, repegThresholdBps: 1 });
+
+    it('moves from the near touch to the far touch over the duration', () => {
+      expect(adaptive.nextSlice({ side: 'sell', remaining: 2, elapsedMs: 0, quote }).price).toBe(100010);
+      expect(adaptive.nextSlice({ side: 'sell', remaining: 2, elapsedMs: 500, quote }).price).toBe(100005);
+      expect(adaptive.nextSlice({ side: 'sell', remaining: 2, elapsedMs: 2000, quote }).price).toBe(100000);
+      expect(adaptive.nextSlice({ side: 'buy', remaining: 2, elapsedMs: 250, quote }).price).toBe(100002.5);
+      expect(adaptive.nextSlice({ side: 'buy', remaining: 2, elapsedMs: 0, quote }).size).toBe(2);
+    });
+
+    it('re-pegs when the near touch moves past the threshold', () => {
+      const child = { side: 'sell', price: 100010, quote };
+      expect(adaptive.shouldReprice(child, { ...quote, ask: 100015 })).toBe(false);  // 0.5 bps
+      expect(adaptive.shouldReprice(child, { ...quote, ask: 100025 })).toBe(true);
+      expect(adaptive.shouldReprice(child, { ...quote, bid: 99000 })).toBe(false);   // far side only
+    });
+  });
+});
@@ -635,3 +635,422 @@ describe('HedgeExecutor', () => {
     });
   });
 });
+
+describe('HedgeExecutor - routed across venues', () => {
+  /** Scripted venue: getOrder answers from `statuses` by orderId. */
+  function createVenue(name, quote, overrides = {}) {
+    let counter = 0;
+    const venue = {
+      name,
+      kind: 'spot',
+      takerFeeBps: 0,
+      makerFeeBps: 0,
+      statuses: {},
+      getQuote: mock(() => Promise.resolve(quote)),
+      getCapacity: mock(() => Promise.resolve(Infinity)),
+      placeOrder: mock((params) => {
+        const orderId = `${name}-${++counter}`;
+        venue.statuses[orderId] = params.type === 'market'
+          ? { status: 'closed', filledSize: params.size, avgPrice: params.side === 'buy' ? quote.ask + 5 : quote.bid - 5 }
+          : { status: 'closed', filledSize: params.size, avgPrice: params.price };
+        return Promise.resolve({ orderId });
+      }),
+      getOrder: mock((orderId) => Promise.resolve(venue.statuses[orderId])),
+      cancelOrder: mock(() => Promise.resolve()),
+      invalidateFunds: mock(() => {}),
+      ...overrides,
+    };
+    return venue;
+  }
+
+  function createExecutor(venues) {
+    return new HedgeExecutor({
+      venues,
+      logger: silentLogger,
+      limitTimeoutMs: 100,
+      pollIntervalMs: 20,
+    });
+  }
+
+  it('should split a hedge across venues and aggregate the fills', async () => {
+    const kraken = createVenue('kraken', { bid: 100000, ask: 100010, bidSize: 0.3, askSize: 0.3 });
+    const perp = createVenue('coinbase-perp', { bid: 99990, ask: 100020, bidSize: 2, askSize: 2 });
+    const executor = createExecutor([kraken, perp]);
+
+    const routed = [];
+    const filled = [];
+    executor.on('hedge-routed', (e) => routed.push(e));
+    executor.on('hedge-filled', (e) => filled.push(e));
+
+    const result = await executor.executeHedge('sell', 0.5);
+
+    expect(routed).toHaveLength(1);
+    expect(routed[0].legs).toEqual([
+      { venue: 'kraken', size: 0.3, price: 100000 },
+      { venue: 'coinbase-perp', size: 0.2, price: 99990 },
+    ]);
+    expect(filled.map(f => [f.venue, f.size])).toEqual([['kraken', 0.3], ['coinbase-perp', 0.2]]);
+
+    expect(result.size).toBeCloseTo(0.5, 8);
+    expect(result.venue).toBe('multi');
+    expect(result.type).toBe('limit');
+    expect(result.fills).toHaveLength(2);
+
+    const stats = executor.getHedgeStats();
+    expect(stats.byVenue.kraken.hedgedBTC).toBeCloseTo(0.3, 8);
+    expect(stats.byVenue['coinbase-perp'].hedges).toBe(1);
+    expect(stats.venueQuality.kraken.fills).toBe(1);
+    expect(kraken.invalidateFunds).toHaveBeenCalled();
+  });
+
+  it('should cancel a partially filled limit and send the rest at market', async () => {
+    const venue = createVenue('kraken', { bid: 100000, ask: 100010 });
+    venue.placeOrder = mock((params) => {
+      if (params.type === 'limit') {
+        venue.statuses.L = { status: 'open', filledSize: 0.1, avgPrice: 99980 };
+        return Promise.resolve({ orderId: 'L' });
+      }
+      venue.statuses.M = { status: 'closed', filledSize: params.size, avgPrice: 99990 };
+      return Promise.resolve({ orderId: 'M' });
+    });
+    venue.cancelOrder = mock(() => {
+      venue.statuses.L = { ...venue.statuses.L, status: 'canceled' };
+      return Promise.resolve();
+    });
+    const executor = createExecutor([venue]);
+
+    const events = [];
+    executor.on('hedge-timeout', (e) => events.push({ event: 'timeout', ...e }));
+    executor.on('hedge-cancelled', (e) => events.push({ event: 'cancelled', ...e }));
+
+    const result = await executor.executeHedge('sell', 0.4);
+
+    expect(events).toEqual([
+      { event: 'timeout', orderId: 'L', venue: 'kraken' },
+      { event: 'cancelled', orderId: 'L', venue: 'kraken' },
+    ]);
+    expect(venue.placeOrder.mock.calls[1][0]).toEqual({ side: 'sell', size: 0.3, type: 'market' });
+    expect(result.fills.map(f => [f.type, f.size])).toEqual([['limit', 0.1], ['market', 0.3]]);
+    expect(result.venue).toBe('kraken');
+    expect(result.type).toBe('mixed');
+  });
+
+  it('should cancel and settle a limit leg whose status poll fails', async () => {
+    const venue = createVenue('kraken', { bid: 100000, ask: 100010 });
+    venue.placeOrder = mock(() => {
+      venue.statuses.L = { status: 'open', filledSize: 0.1, avgPrice: 99980 };
+      return Promise.resolve({ orderId: 'L' });
+    });
+    let polls = 0;
+    venue.getOrder = mock((orderId) => (++polls === 2
+      ? Promise.reject(new Error('ECONNRESET'))
+      : Promise.resolve(venue.statuses[orderId])));
+    venue.cancelOrder = mock(() => {
+      venue.statuses.L = { ...venue.statuses.L, status: 'canceled' };
+      return Promise.resolve();
+    });
+    const executor = createExecutor([venue]);
+
+    const failures = [];
+    executor.on('hedge-failed', (e) => failures.push(e));
+
+    const result = await executor.executeHedge('sell', 0.4);
+
+    expect(venue.cancelOrder).toHaveBeenCalledWith('L');
+    expect(venue.placeOrder).toHaveBeenCalledTimes(1);
+    expect(executor.openHedges.size).toBe(0);
+    expect(result).toMatchObject({ size: 0.1, price: 99980, type: 'limit', venue: 'kraken' });
+    expect(failures).toEqual([{ error: 'ECONNRESET', side: 'sell', size: 0.4, venue: 'kraken' }]);
+  });
+
+  it('should cancel and settle a market leg whose status poll fails', async () => {
+    const venue = createVenue('kraken', { bid: 100000, ask: 100010 });
+    venue.placeOrder = mock(() => {
+      venue.statuses.M = { status: 'open', filledSize: 0.15, avgPrice: 99995 };
+      return Promise.resolve({ orderId: 'M' });
+    });
+    let polls = 0;
+    venue.getOrder = mock((orderId) => (++polls === 1
+      ? Promise.reject(new Error('ECONNRESET'))
+      : Promise.resolve(venue.statuses[orderId])));
+    const executor = createExecutor([venue]);
+
+    const result = await executor.executeHedge('sell', 0.2, 'urgent');
+
+    expect(venue.cancelOrder).toHaveBeenCalledWith('M');
+    expect(executor.openHedges.size).toBe(0);
+    expect(result).toMatchObject({ size: 0.15, type: 'market' });
+    expect(executor.stats.failedHedges).toBe(1);
+  });
+
+  it('should cancel and settle a market leg that times out after a partial fill', async () => {
+    const venue = createVenue('kraken', { bid: 100000, ask: 100010 });
+    venue.placeOrder = mock(() => {
+      venue.statuses.M = { status: 'open', filledSize: 0.05, avgPrice: 99995 };
+      return Promise.resolve({ orderId: 'M' });
+    });
+    venue.cancelOrder = mock(() => {
+      venue.statuses.M = { ...venue.statuses.M, status: 'canceled' };
+      return Promise.resolve();
+    });
+    const executor = createExecutor([venue]);
+
+    const failures = [];
+    executor.on('hedge-failed', (e) => failures.push(e));
+
+    const result = await executor.executeHedge('sell', 0.2, 'urgent');
+
+    expect(venue.cancelOrder).toHaveBeenCalledWith('M');
+    expect(executor.openHedges.size).toBe(0);
+    expect(result).toMatchObject({ size: 0.05, price: 99995, type: 'market' });
+    expect(failures).toEqual([{ error: 'Market order did not fill', side: 'sell', size: 0.2, venue: 'kraken' }]);
+  });
+
+  it('should go straight to market on every leg when urgent', async () => {
+    const venue = createVenue('kraken-futures', { bid: 100000, ask: 100010 });
+    const executor = createExecutor([venue]);
+
+    const result = await executor.executeHedge('buy', 0.2, 'urgent');
+
+    expect(venue.placeOrder).toHaveBeenCalledTimes(1);
+    expect(venue.placeOrder.mock.calls[0][0].type).toBe('market');
+    expect(result.type).toBe('market');
+    expect(result.slippage).toBe(-5);
+  });
+
+  it('should report a failing leg against its venue and keep the others', async () => {
+    const bad = createVenue('coinbase', { bid: 100000, ask: 100010, bidSize: 0.1, askSize: 0.1 }, {
+      placeOrder: mock(() => Promise.reject(new Error('insufficient funds'))),
+    });
+    const good = createVenue('kraken', { bid: 99990, ask: 100020 });
+    const executor = createExecutor([bad, good]);
+
+    const failures = [];
+    executor.on('hedge-failed', (e) => failures.push(e));
+
+    const result = await executor.executeHedge('sell', 0.3);
+
+    expect(failures).toEqual([{ error: 'insufficient funds', side: 'sell', size: 0.1, venue: 'coinbase' }]);
+    expect(result.venue).toBe('kraken');
+    expect(result.size).toBeCloseTo(0.2, 8);
+    expect(executor.stats.failedHedges).toBe(1);
+    expect(executor.router.getQuality().coinbase.failures).toBe(1);
+  });
+
+  it('should fail when no venue can take the hedge', async () => {
+    const executor = createExecutor([createVenue('kraken', null)]);
+    const failures = [];
+    executor.on('hedge-failed', (e) => failures.push(e));
+
+    const result = await executor.executeHedge('sell', 0.3);
+
+    expect(result).toBeNull();
+    expect(failures[0].error).toBe('No hedge venue has a quote and capacity');
+  });
+});
+
+describe('HedgeExecutor - sliced by a hedge algo', () => {
+  /** Kraken mock whose limits fill only when `fillLimits` allows it. */
+  function createBook(options = {}) {
+    const book = {
+      orders: {},
+      counter: 0,
+      fillLimits: options.fillLimits ?? true,
+      prices: { bestBid: 100000, bestAsk: 100010, weightedMidpoint: 100005 },
+    };
+    book.client = {
+      addOrder: mock((params) => {
+        const txid = `T${++book.counter}`;
+        const fills = params.ordertype === 'market' || book.fillLimits;
+        const price = params.ordertype === 'market'
+          ? (params.type === 'sell' ? book.prices.bestBid : book.prices.bestAsk)
+          : Number(params.price);
+        book.orders[txid] = { ...params, status: fills ? 'closed' : 'open', vol_exec: fills ? params.volume : '0', price: String(price) };
+        return Promise.resolve({ txid: [txid] });
+      }),
+      queryOrders: mock(({ txid }) => Promise.resolve({ [txid]: book.orders[txid] })),
+      cancelOrder: mock(({ txid }) => {
+        book.orders[txid].status = 'canceled';
+        return Promise.resolve({ count: 1 });
+      }),
+    };
+    book.aggregator = { getAggregatedPrice: mock(() => book.prices) };
+    return book;
+  }
+
+  function createExecutor(book, hedgeAlgo, hedgeAlgoParams, options = {}) {
+    return new HedgeExecutor({
+      krakenClient: book.client,
+      priceAggregator: book.aggregator,
+      logger: silentLogger,
+      maxHedgeSizeBTC: 1.0,
+      limitTimeoutMs: 50,
+      pollIntervalMs: 5,
+      hedgeAlgo,
+      hedgeAlgoParams,
+      ...options,
+    });
+  }
+
+  it('should work a hedge larger than maxHedgeSizeBTC as TWAP children', async () => {
+    const book = createBook();
+    const executor = createExecutor(book, 'twap', { durationMs: 60, slices: 3 });
+
+    const progress = [];
+    const filled = [];
+    executor.on('hedge-progress', (e) => progress.push(e));
+    executor.on('hedge-filled', (e) => filled.push(e));
+
+    const result = await executor.executeHedge('sell', 2.4);
+
+    expect(book.client.addOrder).toHaveBeenCalledTimes(3);
+    expect(book.client.addOrder.mock.calls.map(c => c[0].volume)).toEqual(['0.8', '0.8', '0.8']);
+    expect(book.client.addOrder.mock.calls.every(c => c[0].ordertype === 'limit')).toBe(true);
+    expect(filled).toHaveLength(3);
+    expect(progress.map(p => p.filled)).toEqual([0.8, 1.6, 2.4]);
+    expect(progress[2].remaining).toBe(0);
+
+    expect(result.type).toBe('algo');
+    expect(result.algo).toBe('twap');
+    expect(result.size).toBeCloseTo(2.4, 8);
+    expect(result.fills).toHaveLength(3);
+    expect(result.unfilled).toBe(0);
+    expect(executor.getHedgeStats().algo.name).toBe('twap');
+  });
+
+  it('should cancel a resting child on an adverse move and reprice the next', async () => {
+    const book = createBook({ fillLimits: false });
+    const executor = createExecutor(book, 'iceberg', { displaySizeBTC: 0.5, refreshMs: 1000, deadlineMs: 1000 }, {
+      cancelOnMoveBps: 10,
+    });
+
+    const cancelled = [];
+    executor.on('hedge-cancelled', (e) => cancelled.push(e));
+    book.client.cancelOrder = mock(({ txid }) => {
+      book.orders[txid].status = 'canceled';
+      book.fillLimits = true;  // the repriced child fills
+      return Promise.resolve({ count: 1 });
+    });
+
+    const pending = executor.executeHedge('sell', 0.5);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    book.prices = { bestBid: 99850, bestAsk: 99860, weightedMidpoint: 99855 };  // 15 bps down
+    const result = await pending;
+
+    expect(cancelled[0]).toEqual({ orderId: 'T1', venue: 'kraken', reason: 'adverse-move' });
+    expect(book.client.addOrder.mock.calls[0][0].price).toBe('100010');
+    expect(book.client.addOrder.mock.calls[1][0].price).toBe('99860');
+    expect(result.size).toBe(0.5);
+    expect(result.price).toBe(99860);
+    expect(result.slippage).toBe(-140);  // vs the 100000 bid on arrival
+  });
+
+  it('should send the remainder at market at the deadline', async () => {
+    const book = createBook({ fillLimits: false });
+    const executor = createExecutor(book, 'adaptive', { durationMs: 30, repegIntervalMs: 1000 }, {
+      maxHedgeSizeBTC: 0.6,
+    });
+
+    const escalated = [];
+    executor.on('hedge-escalated', (e) => escalated.push(e));
+
+    const result = await executor.executeHedge('buy', 1.0);
+
+    expect(escalated).toEqual([{ algo: 'adaptive', side: 'buy', remaining: 1, reason: 'deadline' }]);
+    const markets = book.client.addOrder.mock.calls.map(c => c[0]).filter(p => p.ordertype === 'market');
+    expect(markets.map(p => p.volume)).toEqual(['0.6', '0.4']);
+    expect(result.size).toBe(1);
+    expect(result.fills.every(f => f.type === 'market')).toBe(true);
+  });
+
+  it('should cancel and settle a deadline sweep that times out after a partial fill', async () => {
+    const book = createBook({ fillLimits: false });
+    const executor = createExecutor(book, 'adaptive', { durationMs: 30, repegIntervalMs: 1000 });
+    const addOrder = book.client.addOrder;
+    book.client.addOrder = mock(async (params) => {
+      const result = await addOrder(params);
+      if (params.ordertype === 'market') {
+        // The sweep only partly fills and never closes
+        Object.assign(book.orders[result.txid[0]], { status: 'open', vol_exec: '0.4' });
+      }
+      return result;
+    });
+
+    const failures = [];
+    executor.on('hedge-failed', (e) => failures.push(e));
+
+    const result = await executor.executeHedge('buy', 1.0);
+
+    const sweep = book.client.addOrder.mock.calls.findIndex(c => c[0].ordertype === 'market');
+    expect(book.client.cancelOrder).toHaveBeenCalledWith({ txid: `T${sweep + 1}` });
+    expect(failures).toEqual([{ error: 'Market order did not fill', side: 'buy', size: 1, venue: 'kraken' }]);
+    expect(result.size).toBeCloseTo(0.4, 8);
+    expect(result.fills.map(f => f.type)).toEqual(['market']);
+    expect(executor.openHedges.size).toBe(0);
+  });
+
+  it('should escalate a running algo when an urgent hedge arrives', async () => {
+    const book = createBook({ fillLimits: false });
+    const executor = createExecutor(book, 'twap', { durationMs: 10000, slices: 2 });
+
+    const escalated = [];
+    executor.on('hedge-escalated', (e) => escalated.push(e));
+
+    const running = executor.executeHedge('sell', 1.0);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(executor.getHedgeStats().activeAlgo).toMatchObject({ side: 'sell', size: 1, filled: 0, slices: 1 });
+
+    const urgent = await executor.executeHedge('sell', 1.0, 'urgent');
+    const result = await running;
+
+    expect(escalated[0].reason).toBe('urgent');
+    expect(urgent).toBe(result);
+    expect(result.size).toBe(1);
+    expect(book.client.cancelOrder).toHaveBeenCalledTimes(1);
+    expect(executor.activeSliced).toBeNull();
+  });
+
+  it('should keep working after a child order is rejected', async () => {
+    const book = createBook();
+    const executor = createExecutor(book, 'iceberg', { displaySizeBTC: 0.25, deadlineMs: 1000 });
+    const addOrder = book.client.addOrder;
+    let calls = 0;
+    book.client.addOrder = mock((params) => (++calls === 1 ? Promise.reject(new Error('EAPI:Rate limit exceeded')) : addOrder(params)));
+
+    const failures = [];
+    executor.on('hedge-failed', (e) => failures.push(e));
+
+    const result = await executor.executeHedge('buy', 0.5);
+
+    expect(failures).toEqual([{ error: 'EAPI:Rate limit exceeded', side: 'buy', size: 0.25, venue: 'kraken' }]);
+    expect(result.size).toBe(0.5);
+    expect(result.fills).toHaveLength(2);
+  });
+
+  it('should cancel and settle a child whose status poll fails', async () => {
+    const book = createBook({ fillLimits: false });
+    const executor = createExecutor(book, 'iceberg', { displaySizeBTC: 0.5, deadlineMs: 1000 });
+    const queryOrders = book.client.queryOrders;
+    let polls = 0;
+    book.client.queryOrders = mock((params) => (++polls === 1 ? Promise.reject(new Error('EService:Unavailable')) : queryOrders(params)));
+    book.client.cancelOrder = mock(({ txid }) => {
+      // Part of the child filled before the cancel landed
+      Object.assign(book.orders[txid], { status: 'canceled', vol_exec: '0.3' });
+      book.fillLimits = true;
+      return Promise.resolve({ count: 1 });
+    });
+
+    const cancelled = [];
+    const failures = [];
+    executor.on('hedge-cancelled', (e) => cancelled.push(e));
+    executor.on('hedge-failed', (e) => failures.push(e));
+
+    const result = await executor.executeHedge('sell', 0.5);
+
+    expect(cancelled[0]).toEqual({ orderId: 'T1', venue: 'kraken', reason: 'error' });
+    expect(failures).toEqual([{ error: 'EService:Unavailable', side: 'sell', size: 0.5, venue: 'kraken' }]);
+    expect(book.client.addOrder.mock.calls.map(c => c[0].volume)).toEqual(['0.5', '0.2']);
+    expect(result.size).toBeCloseTo(0.5, 8);
+    expect(executor.openHedges.size).toBe(0);
+  });
+});
@@ -0,0 +1,245 @@
+import { describe, it, expect, mock } from 'bun:test';
+import { EventEmitter } from 'events';
+import { HedgeRouter } from '../src/core/hedge-router.js';
+import {
+  HedgeVenue,
+  KrakenSpotVenue,
+  CoinbaseVenue,
+  KrakenFuturesVenue,
+  createHedgeVenue,
+} from '../src/core/hedge-venues/index.js';
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+/** Venue with a fixed quote and funds. */
+class StaticVenue extends HedgeVenue {
+  constructor({ quote, funds = null, ...options }) {
+    super({ logger: silentLogger, ...options });
+    this.staticQuote = quote;
+    this.staticFunds = funds;
+  }
+  async _fetchQuote() { return this.staticQuote; }
+  async _fetchFunds() { return this.staticFunds; }
+  async placeOrder() { return { orderId: 'x' }; }
+  async getOrder() { return { status: 'closed', filledSize: 0, avgPrice: 0 }; }
+  async cancelOrder() {}
+}
+
+function sizesByVenue(plan) {
+  return Object.fromEntries(plan.legs.map(leg => [leg.venue.name, leg.size]));
+}
+
+describe('HedgeRouter', () => {
+  it('routes to the cheapest venue after taker fees', async () => {
+    const router = new HedgeRouter({
+      logger: silentLogger,
+      venues: [
+        new StaticVenue({ name: 'kraken', takerFeeBps: 26, quote: { bid: 100000, ask: 100010, bidSize: 5, askSize: 5 } }),
+        // Touch is 10 worse, but 21 bps cheaper to take
+        new StaticVenue({ name: 'perp', kind: 'perp', takerFeeBps: 5, quote: { bid: 100000, ask: 100020, bidSize: 5, askSize: 5 } }),
+      ],
+    });
+
+    const plan = await router.plan('buy', 0.5);
+    expect(sizesByVenue(plan)).toEqual({ perp: 0.5 });
+    expect(plan.legs[0].price).toBe(100020);
+    expect(plan.unallocated).toBe(0);
+  });
+
+  it('splits across venues by displayed touch size', async () => {
+    const router = new HedgeRouter({
+      logger: silentLogger,
+      venues: [
+        new StaticVenue({ name: 'a', quote: { bid: 100000, ask: 100010, bidSize: 0.3, askSize: 0.3 } }),
+        new StaticVenue({ name: 'b', quote: { bid: 99990, ask: 100020, bidSize: 0.5, askSize: 0.5 } }),
+      ],
+    });
+
+    const plan = await router.plan('sell', 0.6);
+    expect(sizesByVenue(plan)).toEqual({ a: 0.3, b: 0.3 });
+  });
+
+  it('walks the cheapest book once every touch is used', async () => {
+    const router = new HedgeRouter({
+      logger: silentLogger,
+      venues: [
+        new StaticVenue({ name: 'a', quote: { bid: 100000, ask: 100010, bidSize: 0.2, askSize: 0.2 } }),
+        new StaticVenue({ name: 'b', quote: { bid: 99990, ask: 100020, bidSize: 0.2, askSize: 0.2 } }),
+      ],
+    });
+
+    const plan = await router.plan('sell', 1.0);
+    expect(sizesByVenue(plan)).toEqual({ a: 0.8, b: 0.2 });
+  });
+
+  it('caps legs by spot balances and perp margin', async () => {
+    const router = new HedgeRouter({
+      logger: silentLogger,
+      venues: [
+        // 0.2 BTC to sell
+        new StaticVenue({ name: 'spot', quote: { bid: 100000, ask: 100010 }, funds: { base: 0.2, quote: 50000 } }),
+        // 10k margin x 5 = 0.5 BTC of notional
+        new StaticVenue({ name: 'perp', kind: 'perp', leverage: 5, takerFeeBps: 5, quote: { bid: 100000, ask: 100010 }, funds: { margin: 10000 } }),
+      ],
+    });
+
+    const plan = await router.plan('sell', 1.0);
+    expect(sizesByVenue(plan)).toEqual({ spot: 0.2, perp: 0.5 });
+    expect(plan.unallocated).toBe(0.3);
+
+    // Buying is limited by quote balance instead
+    const buy = await router.plan('buy', 1.0);
+    expect(sizesByVenue(buy).spot).toBeCloseTo(50000 / 100010, 8);
+  });
+
+  it('skips venues without a quote or whose quote fails', async () => {
+    const failing = new StaticVenue({ name: 'down', quote: null });
+    failing._fetchQuote = () => Promise.reject(new Error('timeout'));
+    const router = new HedgeRouter({
+      logger: silentLogger,
+      venues: [
+        failing,
+        new StaticVenue({ name: 'empty', quote: null }),
+        new StaticVenue({ name: 'up', quote: { bid: 100000, ask: 100010 } }),
+      ],
+    });
+
+    const plan = await router.plan('buy', 0.4);
+    expect(sizesByVenue(plan)).toEqual({ up: 0.4 });
+  });
+
+  it('folds dust legs into a larger leg', async () => {
+    const router = new HedgeRouter({
+      logger: silentLogger,
+      minLegSizeBTC: 0.01,
+      venues: [
+        new StaticVenue({ name: 'a', quote: { bid: 100000, ask: 100010, bidSize: 0.5, askSize: 0.5 } }),
+        new StaticVenue({ name: 'b', quote: { bid: 99990, ask: 100020, bidSize: 1, askSize: 1 } }),
+      ],
+    });
+
+    const plan = await router.plan('sell', 0.505);
+    expect(sizesByVenue(plan)).toEqual({ a: 0.505 });
+  });
+
+  it('penalizes venues with poor fills and failures', async () => {
+    const router = new HedgeRouter({
+      logger: silentLogger,
+      failurePenaltyBps: 20,
+      venues: [
+        new StaticVenue({ name: 'a', quote: { bid: 100000, ask: 100010 } }),
+        new StaticVenue({ name: 'b', quote: { bid: 99995, ask: 100015 } }),
+      ],
+    });
+    expect(sizesByVenue(await router.plan('sell', 0.1))).toEqual({ a: 0.1 });
+
+    router.recordFill('a', -3);   // filled 3 bps worse than expected
+    router.recordFailure('a');    // 1 of 2 attempts failed
+    expect(router.penaltyBps('a')).toBeCloseTo(3 + 10, 8);
+    expect(sizesByVenue(await router.plan('sell', 0.1))).toEqual({ b: 0.1 });
+
+    const quality = router.getQuality();
+    expect(quality.a.fills).toBe(1);
+    expect(quality.a.failures).toBe(1);
+  });
+});
+
+describe('hedge venues', () => {
+  it('createHedgeVenue builds by type and passes instances through', () => {
+    const venue = createHedgeVenue({ type: 'coinbase-perp', client: {} });
+    expect(venue).toBeInstanceOf(CoinbaseVenue);
+    expect(venue.name).toBe('coinbase-perp');
+    expect(venue.kind).toBe('perp');
+    expect(createHedgeVenue(venue)).toBe(venue);
+    expect(() => createHedgeVenue({ type: 'binance' })).toThrow('Unknown hedge venue: binance');
+  });
+
+  it('KrakenSpotVenue quotes the Kraken book and maps orders', async () => {
+    const client = {
+      addOrder: mock(() => Promise.resolve({ txid: ['OK-1'] })),
+      queryOrders: mock(() => Promise.resolve({ 'OK-1': { status: 'closed', vol_exec: '0.4', price: '100005' } })),
+      cancelOrder: mock(() => Promise.resolve({ count: 1 })),
+      getAccountBalance: mock(() => Promise.resolve({ XXBT: '0.75', ZUSD: '20000' })),
+    };
+    const adapter = new EventEmitter();
+    const venue = new KrakenSpotVenue({ client, krakenAdapter: adapter, logger: silentLogger });
+
+    adapter.emit('orderBookUpdate', { bids: [[100000, 1.5]], asks: [{ price: '100010', size: '0.8' }] });
+    expect(await venue.getQuote()).toMatchObject({ bid: 100000, ask: 100010, bidSize: 1.5, askSize: 0.8 });
+    expect(await venue.getCapacity('sell', 100000)).toBe(0.75);
+
+    const { orderId } = await venue.placeOrder({ side: 'sell', size: 0.4, type: 'limit', price: 100000 });
+    expect(orderId).toBe('OK-1');
+    expect(client.addOrder.mock.calls[0][0]).toEqual({ pair: 'XBTUSD', type: 'sell', ordertype: 'limit', volume: '0.4', price: '100000' });
+    expect(await venue.getOrder('OK-1')).toEqual({ status: 'closed', filledSize: 0.4, avgPrice: 100005 });
+
+    venue.detach();
+    expect(adapter.listenerCount('orderBookUpdate')).toBe(0);
+  });
+
+  it('KrakenSpotVenue stops using a stalled book stream', async () => {
+    const adapter = new EventEmitter();
+    const priceAggregator = { getAggregatedPrice: mock(() => ({ bestBid: 99990, bestAsk: 100020 })) };
+    const venue = new KrakenSpotVenue({ client: {}, krakenAdapter: adapter, bookStaleMs: 2000, logger: silentLogger });
+
+    adapter.emit('orderBookUpdate', { bids: [[100000, 1]], asks: [[100010, 1]] });
+    const now = Date.now();
+    expect(await venue.getQuote(now + 1000)).toMatchObject({ bid: 100000, ask: 100010 });
+    expect(await venue.getQuote(now + 3000)).toBeNull();
+
+    venue.priceAggregator = priceAggregator;
+    expect(await venue.getQuote(now + 3000)).toMatchObject({ bid: 99990, ask: 100020, bidSize: null });
+  });
+
+  it('CoinbaseVenue places perp orders and reads buying power', async () => {
+    const client = {
+      getFuturesOrderBook: mock(() => Promise.resolve({ bids: [{ price: 99990, size: 2 }], asks: [{ price: 100000, size: 3 }] })),
+      getCFMBalanceSummary: mock(() => Promise.resolve({ buyingPower: 30000 })),
+      createFuturesOrder: mock(() => Promise.resolve({ orderId: 'cb-1' })),
+      getFuturesOrder: mock(() => Promise.resolve({ status: 'FILLED', filledSize: 0.3, averageFilledPrice: 100001 })),
+      cancelFuturesOrders: mock(() => Promise.resolve({})),
+    };
+    const venue = new CoinbaseVenue({ kind: 'perp', client, logger: silentLogger });
+
+    expect(await venue.getQuote()).toMatchObject({ bid: 99990, ask: 100000, askSize: 3 });
+    expect(await venue.getCapacity('buy', 100000)).toBeCloseTo(0.3, 8);
+
+    await venue.placeOrder({ side: 'buy', size: 0.3, type: 'market' });
+    const order = client.createFuturesOrder.mock.calls[0][0];
+    expect(order.product_id).toBe('BTC-PERP-INTX');
+    expect(order.side).toBe('BUY');
+    expect(order.order_configuration).toEqual({ market_market_ioc: { base_size: '0.3' } });
+
+    expect(await venue.getOrder('cb-1')).toEqual({ status: 'closed', filledSize: 0.3, avgPrice: 100001 });
+    await venue.cancelOrder('cb-1');
+    expect(client.cancelFuturesOrders.mock.calls[0][0]).toEqual(['cb-1']);
+  });
+
+  it('KrakenFuturesVenue sums fills once an order leaves the book', async () => {
+    const client = {
+      getTicker: mock(() => Promise.resolve({ bid: 100000, ask: 100005 })),
+      getAccounts: mock(() => Promise.resolve({ accounts: [{ currency: 'flex', availableMargin: 5000 }] })),
+      sendOrder: mock(() => Promise.resolve({ sendStatus: { status: 'placed', order_id: 'kf-1' } })),
+      getOpenOrders: mock(() => Promise.resolve({ orders: [] })),
+      getFills: mock(() => Promise.resolve({ fills: [
+        { orderId: 'kf-1', size: 0.1, price: 100000 },
+        { orderId: 'kf-1', size: 0.3, price: 100004 },
+        { orderId: 'other', size: 1, price: 1 },
+      ] })),
+      cancelOrder: mock(() => Promise.resolve({})),
+    };
+    const venue = new KrakenFuturesVenue({ client, leverage: 10, logger: silentLogger });
+
+    expect(await venue.getCapacity('sell', 100000)).toBeCloseTo(0.5, 8);
+    expect((await venue.placeOrder({ side: 'sell', size: 0.4, type: 'limit', price: 100000 })).orderId).toBe('kf-1');
+    expect(client.sendOrder.mock.calls[0][0]).toEqual({ orderType: 'lmt', symbol: 'PF_XBTUSD', side: 'sell', size: 0.4, limitPrice: 100000 });
+
+    const status = await venue.getOrder('kf-1');
+    expect(status.status).toBe('closed');
+    expect(status.filledSize).toBeCloseTo(0.4, 8);
+    expect(status.avgPrice).toBeCloseTo(100003, 6);
+
+    client.sendOrder = mock(() => Promise.resolve({ sendStatus: { status: 'insufficientAvailableFunds' } }));
+    await expect(venue.placeOrder({ side: 'sell', size: 1, type: 'market' })).rejects.toThrow('insufficientAvailableFunds');
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect, mock } from 'bun:test';
+import { EventEmitter } from 'events';
+import { InstrumentRegistry } from '../src/core/instrument-registry.js';
+import { QuoteEngine } from '../src/core/quote-engine.js';
+import { PreTradeRiskGateway } from '../src/core/risk-gateway.js';
+import { TrueXOhlcBuilder } from '../src/data-pipeline/ohlc-builder.js';
+import { getConfig } from '../src/config/default.js';
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+function createRegistry(options = {}) {
+  return new InstrumentRegistry({ logger: silentLogger, ...options });
+}
+
+function fixWithList(list) {
+  return { requestSecurityList: mock(() => Promise.resolve(list)) };
+}
+
+describe('InstrumentRegistry', () => {
+  it('starts from the built-in specs and rounds to tick and lot', () => {
+    const registry = createRegistry();
+
+    expect(registry.get('BTC-PYUSD')).toMatchObject({ tickSize: 0.5, lotSize: 0.0001, minNotional: 1.0, status: 'open', source: 'default' });
+    expect(registry.normalizePrice('BTC-PYUSD', 100000.3)).toBe(100000.5);
+    expect(registry.normalizeSize('BTC-PYUSD', 0.30009)).toBe(0.3);
+
+    // Unknown symbols: no rounding, generic limits
+    expect(registry.get('SOL-PYUSD')).toBeNull();
+    expect(registry.normalizePrice('SOL-PYUSD', 101.37)).toBe(101.37);
+    expect(registry.resolve('SOL-PYUSD')).toBe(registry.resolve('SOL-PYUSD'));
+    expect(registry.resolve('SOL-PYUSD').source).toBe('generic');
+  });
+
+  it('loads a FIX security list and caches it for cacheTtlMs', async () => {
+    const registry = createRegistry({ cacheTtlMs: 60000 });
+    const fix = fixWithList([
+      { '55': 'BTC-PYUSD', '969': '1', '561': '0.001', '562': '0.001', '1143': '3', '326': '17' },
+      { '55': 'SOL-PYUSD', '969': '0.01', '326': '21' },
+    ]);
+    const updated = [];
+    registry.on('updated', (instrument) => updated.push(instrument.symbol));
+
+    expect(await registry.load({ fixConnection: fix, now: 1000 })).toBe('fix');
+    expect(registry.get('BTC-PYUSD')).toMatchObject({ tickSize: 1, lotSize: 0.001, minSize: 0.001, priceBandPct: 3, minNotional: 1.0, source: 'fix' });
+    expect(registry.get('SOL-PYUSD')).toMatchObject({ tickSize: 0.01, status: 'pre-open' });
+    expect(registry.isTradable('SOL-PYUSD')).toBe(false);
+    expect(updated).toEqual(['BTC-PYUSD', 'SOL-PYUSD']);
+
+    expect(await registry.load({ fixConnection: fix, now: 30000 })).toBe('cache');
+    expect(await registry.load({ fixConnection: fix, now: 30000, force: true })).toBe('fix');
+    expect(fix.requestSecurityList).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to REST instruments when the security list fails', async () => {
+    const registry = createRegistry();
+    const fix = { requestSecurityList: mock(() => Promise.reject(new Error('timed out'))) };
+    const restAdapter = {
+      getInstruments: mock(() => Promise.resolve({ data: [
+        { id: '1', status: 'ACTIVE', info: { symbol: 'BTC-PYUSD', price_increment: '0.25', quantity_increment: '0.0001', min_quantity: '0.0005', min_notional: '5', price_bands_percent: '2' } },
+        { id: '2', symbol: 'ETH-PYUSD', status: 'HALTED' },
+      ] })),
+    };
+
+    expect(await registry.load({ fixConnection: fix, restAdapter })).toBe('rest');
+    expect(registry.get('BTC-PYUSD')).toMatchObject({ tickSize: 0.25, minSize: 0.0005, minNotional: 5, priceBandPct: 2, source: 'rest' });
+    expect(registry.get('ETH-PYUSD')).toMatchObject({ tickSize: 0.5, status: 'halted' });
+  });
+
+  it('keeps its specs when no source answers', async () => {
+    const registry = createRegistry();
+    const restAdapter = { getInstruments: mock(() => Promise.reject(new Error('503'))) };
+
+    expect(await registry.load({ restAdapter })).toBe('default');
+    expect(registry.get('BTC-PYUSD').tickSize).toBe(0.5);
+    expect(registry.loadedAt).toBe(0);
+  });
+
+  it('follows security status messages on an attached session', () => {
+    const registry = createRegistry();
+    const fix = new EventEmitter();
+    const statuses = [];
+    registry.on('status', (change) => statuses.push(change));
+    registry.attach(fix);
+
+    fix.emit('message', { fields: { '35': 'f', '55': 'BTC-PYUSD', '326': '2' } });
+    expect(registry.isTradable('BTC-PYUSD')).toBe(false);
+    fix.emit('message', { fields: { '35': 'd', '55': 'BTC-PYUSD', '969': '1', '326': '17' } });
+    expect(registry.get('BTC-PYUSD')).toMatchObject({ tickSize: 1, status: 'open' });
+    expect(statuses).toEqual([
+      { symbol: 'BTC-PYUSD', status: 'halted', previous: 'open' },
+      { symbol: 'BTC-PYUSD', status: 'open', previous: 'halted' },
+    ]);
+
+    registry.detach();
+    expect(fix.listenerCount('message')).toBe(0);
+  });
+});
+
+describe('InstrumentRegistry consumers', () => {
+  const price = (mid) => ({ weightedMidpoint: mid, confidence: 1 });
+
+  it('QuoteEngine quotes on the registry tick and lot and pulls quotes while halted', () => {
+    const registry = createRegistry();
+    const fixConnection = { sendMessage: mock(() => Promise.resolve()) };
+    const engine = new QuoteEngine({
+      fixConnection,
+      instrumentRegistry: registry,
+      levels: 2,
+      baseSizeBTC: 0.1,
+      sizeDecayFactor: 0.777,
+      logger: silentLogger,
+    });
+
+    registry.onMessage({ fields: { '35': 'd', '55': 'BTC-PYUSD', '969': '5', '561': '0.01' } });
+    const quotes = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+    expect(engine.config.tickSize).toBe(0.5);  // picked up on the next price update
+    engine.onPriceUpdate(price(100000));
+    expect(engine.config.tickSize).toBe(5);
+
+    const desired = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+    expect(desired.every(q => q.price % 5 === 0)).toBe(true);
+    expect(desired.map(q => q.size)).toEqual([0.1, 0.07, 0.1, 0.07]);
+    expect(quotes[1].size).toBe(0.0777);
+
+    registry.onMessage({ fields: { '35': 'f', '55': 'BTC-PYUSD', '326': '2' } });
+    const cancelAll = mock(() => {});
+    engine.on('cancel-all', cancelAll);
+    engine.onPriceUpdate(price(100000));
+    expect(cancelAll).toHaveBeenCalledWith(expect.objectContaining({ reason: 'BTC-PYUSD trading status: halted' }));
+  });
+
+  it('QuoteEngine sends prices with the registry tick decimals', () => {
+    const registry = createRegistry();
+    registry.onMessage({ fields: { '35': 'd', '55': 'BTC-PYUSD', '969': '0.005' } });
+    const fixConnection = { sendMessage: mock(() => Promise.resolve()) };
+    const engine = new QuoteEngine({ fixConnection, instrumentRegistry: registry, amendMode: true, logger: silentLogger });
+
+    engine._sendNewOrder({ side: 'buy', price: 2500.125, size: 0.1, level: 1 });
+    const [clOrdID] = engine.activeOrders.keys();
+    engine._sendReplace(clOrdID, engine.activeOrders.get(clOrdID), { side: 'buy', price: 2500.13, size: 0.1, level: 1 });
+
+    expect(fixConnection.sendMessage.mock.calls.map(c => c[0]['44'])).toEqual(['2500.125', '2500.130']);
+  });
+
+  it('explicit QuoteEngine options win over the registry', () => {
+    const registry = createRegistry();
+    const engine = new QuoteEngine({ instrumentRegistry: registry, tickSize: 1, priceBandPct: 5, logger: silentLogger });
+    expect(engine.config).toMatchObject({ tickSize: 1, priceBandPct: 5, minNotional: 1.0, lotSize: 0.0001 });
+  });
+
+  it('PreTradeRiskGateway rejects off-tick, off-lot, undersized and halted orders', () => {
+    const registry = createRegistry();
+    const gateway = new PreTradeRiskGateway({ instrumentRegistry: registry, logger: silentLogger });
+    gateway.setReferencePrice(100000);
+    const order = (price, size, symbol = 'BTC-PYUSD') =>
+      gateway.checkOrder({ '35': 'D', '11': `C${Math.random()}`, '55': symbol, '54': '1', '38': String(size), '44': String(price) });
+    const reason = (result) => result.approved ? null : result.rejection.reason;
+
+    expect(order(100000.5, 0.1).approved).toBe(true);
+    expect(reason(order(100000.3, 0.1))).toBe('INVALID_TICK');
+    expect(reason(order(100000, 0.10005))).toBe('INVALID_LOT');
+    expect(reason(order(100000, 0.00001))).toBe('INVALID_LOT');
+
+    registry.onMessage({ fields: { '35': 'd', '55': 'BTC-PYUSD', '562': '0.001', '1143': '1' } });
+    expect(reason(order(100000, 0.0005))).toBe('MIN_SIZE');
+    expect(reason(order(101500, 0.1))).toBe('PRICE_BAND');
+
+    registry.onMessage({ fields: { '35': 'f', '55': 'BTC-PYUSD', '326': '18' } });
+    expect(order(100000, 0.1).rejection).toMatchObject({ reason: 'TRADING_HALTED', message: 'BTC-PYUSD trading status is closed' });
+  });
+
+  it('TrueXOhlcBuilder rounds trade prices to tick', () => {
+    const builder = new TrueXOhlcBuilder({ symbol: 'BTC-PYUSD', instrumentRegistry: createRegistry(), logger: silentLogger });
+    builder.updateWithTrade({ timestamp: 60000, price: 100000.2, volume: 0.1 });
+    const candle = builder.updateWithTrade({ timestamp: 60001, price: 100001.3, volume: 0.1 });
+    expect(candle).toMatchObject({ open: 100000, high: 100001.5, close: 100001.5 });
+  });
+
+  it('symbol config carries no tick size of its own', () => {
+    expect(getConfig('BTC-PYUSD').tickSize).toBeUndefined();
+    expect(getConfig('BTC-PYUSD', { tickSize: 1 }).tickSize).toBe(1);
+  });
+});
@@ -81,6 +81,23 @@ class MockFIXConnection extends EventEmitter {
     }
   }
 
+  /**
+   * Order Mass Cancel (35=q): cancel every active order, then report (35=r).
+   */
+  async requestMassCancel({ symbol } = {}) {
+    const clOrdID = `MC-${this.msgSeqNum}`;
+    this.sentMessages.push({ '35': 'q', '11': clOrdID, '530': symbol ? '1' : '7', '55': symbol, _seqNum: this.msgSeqNum++ });
+
+    const cancelled = [...this._activeOrders.entries()];
+    this._activeOrders.clear();
+    for (const [origClOrdID, order] of cancelled) {
+      this.emit('message', {
+        fields: { '35': '8', '11': origClOrdID, '17': `mcxl-${origClOrdID}`, '39': '4', '54': order.side },
+      });
+    }
+    return { clOrdID, accepted: true, totalAffected: cancelled.length };
+  }
+
   /**
    * Simulate a fill for an active order.
    */
@@ -485,9 +502,10 @@ describe('Integration: End-to-End Market Making', () => {
 
     expect(emergencyEmitted).toBe(true);
 
-    // Should have sent cancel messages
+    // Should have sent cancel messages, plus a mass cancel for unknown orders
     const cancels = fixConn.sentMessages.filter(m => m['35'] === 'F');
     expect(cancels.length).toBeGreaterThan(0);
+    expect(fixConn.sentMessages.filter(m => m['35'] === 'q').length).toBe(1);
 
     await orchestrator.stop();
   });
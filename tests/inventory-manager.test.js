@@ -337,6 +337,19 @@ describe('InventoryManager', () => {
       expect(summary.bidSkewTicks).toBeCloseTo(-1.25, 10);
       expect(summary.askSkewTicks).toBeCloseTo(1.25, 10);
     });
+
+    it('should break the position down by venue', () => {
+      im.onFill({ side: 'buy', quantity: 0.6, price: 100000, venue: 'truex', execID: 'E1' });
+      im.onFill({ side: 'sell', quantity: 0.4, price: 100010, venue: 'kraken', execID: 'H1' });
+      im.onFill({ side: 'sell', quantity: 0.1, price: 100020, venue: 'coinbase-perp', execID: 'H2' });
+
+      const summary = im.getPositionSummary();
+      expect(summary.netPosition).toBeCloseTo(0.1, 10);
+      expect(summary.byVenue).toEqual({ truex: 0.6, kraken: -0.4, 'coinbase-perp': -0.1 });
+
+      im.reset();
+      expect(im.getPositionSummary().byVenue).toEqual({});
+    });
   });
 
   // ─── Reset ───────────────────────────────────────────────────────
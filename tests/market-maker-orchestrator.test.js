@@ -1,4 +1,4 @@
-import { describe, test, expect, beforeEach, jest } from 'bun:test';
+import { describe, test, expect, beforeEach, jest, setSystemTime } from 'bun:test';
 import { EventEmitter } from 'events';
 import { MarketMakerOrchestrator } from '../src/core/market-maker-orchestrator.js';
 
@@ -18,6 +18,8 @@ function createMockFIXConnection() {
     fix.isLoggedOn = false;
   });
   fix.sendMessage = jest.fn();
+  fix.requestMassCancel = jest.fn(async () => ({ clOrdID: 'MC1', accepted: true, totalAffected: 0 }));
+  fix.requestMassStatus = jest.fn(async () => []);
   return fix;
 }
 
@@ -59,6 +61,8 @@ function createMockQuoteEngine() {
   const qe = new EventEmitter();
   qe.onPriceUpdate = jest.fn();
   qe.onExecutionReport = jest.fn();
+  qe.onOrderCancelReject = jest.fn();
+  qe.onRiskRejection = jest.fn();
   qe.cancelAllQuotes = jest.fn();
   qe.drainQueue = jest.fn();
   qe.getQuoteStatus = jest.fn(() => ({
@@ -119,6 +123,7 @@ function createMockPriceAggregator() {
 function createMockDataManager() {
   return {
     addFill: jest.fn(),
+    addMarkout: jest.fn(),
   };
 }
 
@@ -289,6 +294,44 @@ describe('MarketMakerOrchestrator', () => {
       // Clean up timer
       clearInterval(orchestrator.drainQueueTimer);
     });
+
+    test('does not query or cancel resting orders by default', async () => {
+      const { orchestrator, mocks } = createOrchestrator();
+      await orchestrator.start();
+      expect(mocks.fixConnection.requestMassStatus).not.toHaveBeenCalled();
+      expect(mocks.fixConnection.requestMassCancel).not.toHaveBeenCalled();
+      clearInterval(orchestrator.drainQueueTimer);
+    });
+
+    test('mass cancels resting orders on start when cancelOrdersOnStart is set', async () => {
+      const fix = createMockFIXConnection();
+      fix.requestMassStatus = jest.fn(async () => [
+        { clOrdID: 'OLD1', side: 'buy', price: 99000, leavesQty: 0.1, ordStatus: '0' },
+      ]);
+      const { orchestrator } = createOrchestrator({ fixConnection: fix, cancelOrdersOnStart: true });
+      await orchestrator.start();
+      expect(fix.requestMassStatus).toHaveBeenCalledWith({ symbol: 'BTC-PYUSD' });
+      expect(fix.requestMassCancel).toHaveBeenCalledWith({ symbol: 'BTC-PYUSD' });
+      clearInterval(orchestrator.drainQueueTimer);
+    });
+
+    test('skips the startup mass cancel when mass status finds no orders', async () => {
+      const { orchestrator, mocks } = createOrchestrator({ cancelOrdersOnStart: true });
+      await orchestrator.start();
+      expect(mocks.fixConnection.requestMassStatus).toHaveBeenCalledTimes(1);
+      expect(mocks.fixConnection.requestMassCancel).not.toHaveBeenCalled();
+      clearInterval(orchestrator.drainQueueTimer);
+    });
+
+    test('fails start when the startup mass cancel is rejected', async () => {
+      const fix = createMockFIXConnection();
+      fix.requestMassStatus = jest.fn(async () => { throw new Error('timed out'); });
+      fix.requestMassCancel = jest.fn(async () => ({ accepted: false, rejectReason: '1', text: 'Unknown security' }));
+      const { orchestrator } = createOrchestrator({ fixConnection: fix, cancelOrdersOnStart: true });
+      await expect(orchestrator.start()).rejects.toThrow('Startup mass cancel rejected: Unknown security');
+      expect(orchestrator.isRunning).toBe(false);
+      orchestrator._unwireEvents();
+    });
   });
 
   describe('stop()', () => {
@@ -554,6 +597,52 @@ describe('MarketMakerOrchestrator', () => {
       await orchestrator.stop();
     });
 
+    test('routes order cancel rejects (35=9) to QuoteEngine', async () => {
+      const { orchestrator, mocks } = createOrchestrator();
+      await orchestrator.start();
+
+      const message = {
+        fields: {
+          '35': '9',   // Order Cancel Reject
+          '11': 'Q002',
+          '41': 'Q001',
+          '434': '2',  // Response to Cancel/Replace
+        },
+      };
+      mocks.fixConnection.emit('message', message);
+
+      expect(mocks.quoteEngine.onOrderCancelReject).toHaveBeenCalledWith(message.fields);
+      expect(mocks.quoteEngine.onExecutionReport).not.toHaveBeenCalled();
+      await orchestrator.stop();
+    });
+
+    test('routes risk gateway rejections to QuoteEngine and re-emits them', async () => {
+      const { orchestrator, mocks } = createOrchestrator();
+      const rejections = [];
+      orchestrator.on('risk-rejection', (r) => rejections.push(r));
+      await orchestrator.start();
+
+      expect(mocks.fixConnection.riskGateway).toBe(orchestrator.riskGateway);
+      const result = orchestrator.riskGateway.checkOrder({ '35': 'D', '11': 'Q009', '54': '1', '38': '5', '44': '100000' });
+
+      expect(result.approved).toBe(false);
+      expect(mocks.quoteEngine.onRiskRejection).toHaveBeenCalledWith(result.rejection);
+      expect(rejections).toEqual([result.rejection]);
+      await orchestrator.stop();
+    });
+
+    test('does not route mass status reports (584) to QuoteEngine', async () => {
+      const { orchestrator, mocks } = createOrchestrator();
+      await orchestrator.start();
+
+      mocks.fixConnection.emit('message', {
+        fields: { '35': '8', '584': 'MS1', '11': 'OLD1', '39': '0', '150': 'I', '912': 'Y' },
+      });
+
+      expect(mocks.quoteEngine.onExecutionReport).not.toHaveBeenCalled();
+      await orchestrator.stop();
+    });
+
     test('ignores non-execution-report messages', async () => {
       const { orchestrator, mocks } = createOrchestrator();
       await orchestrator.start();
@@ -746,6 +835,35 @@ describe('MarketMakerOrchestrator', () => {
       expect(emitted.venue).toBe('truex');
       await orchestrator.stop();
     });
+
+    test('marks fills out against later reference mids into the data pipeline', async () => {
+      const { orchestrator, mocks } = createOrchestrator({ markoutHorizonsMs: [1000] });
+      const markouts = [];
+      orchestrator.on('markout', (m) => markouts.push(m));
+      await orchestrator.start();
+
+      const t0 = Date.now();
+      setSystemTime(t0);
+      mocks.priceAggregator.emit('price', { weightedMidpoint: 100000, confidence: 1 });
+      mocks.quoteEngine.emit('fill', {
+        side: 'sell',
+        price: 100010,
+        size: 0.1,
+        clOrdID: 'Q001',
+        execID: 'exec-1',
+        level: 1,
+      });
+      setSystemTime(t0 + 1000);
+      mocks.priceAggregator.emit('price', { weightedMidpoint: 100020, confidence: 1 });
+      setSystemTime();
+
+      expect(markouts.length).toBe(1);
+      expect(markouts[0]).toMatchObject({ execID: 'exec-1', level: 1, midAtFill: 100000 });
+      expect(markouts[0].markouts['1s']).toBeLessThan(0);
+      expect(mocks.dataManager.addMarkout).toHaveBeenCalledWith(markouts[0]);
+      expect(orchestrator.getStatus().markouts.byLevel[1]['1s'].fills).toBe(1);
+      await orchestrator.stop();
+    });
   });
 
   describe('event wiring: hedge signals', () => {
@@ -886,6 +1004,93 @@ describe('MarketMakerOrchestrator', () => {
       expect(emitted.slippage).toBe(-10);
       await orchestrator.stop();
     });
+
+    test('books routed hedge fills under the filling venue', async () => {
+      const { orchestrator, mocks } = createOrchestrator();
+      let emitted = null;
+      orchestrator.on('hedge', (info) => { emitted = info; });
+      await orchestrator.start();
+
+      mocks.hedgeExecutor.emit('hedge-filled', {
+        side: 'sell',
+        size: 0.2,
+        price: 99950,
+        orderId: 'cb-1',
+        slippage: 1,
+        venue: 'coinbase-perp',
+      });
+
+      expect(mocks.inventoryManager.onFill.mock.calls[0][0].venue).toBe('coinbase-perp');
+      expect(mocks.pnlTracker.onFill.mock.calls[0][0].venue).toBe('coinbase-perp');
+      expect(emitted.venue).toBe('coinbase-perp');
+      await orchestrator.stop();
+    });
+
+    test('builds hedge venues and their fee schedules from hedgeVenues', () => {
+      const krakenClient = { addOrder: () => {}, queryOrders: () => {}, cancelOrder: () => {} };
+      const orch = new MarketMakerOrchestrator({
+        fixConnection: createMockFIXConnection(),
+        krakenClient,
+        hedgeSymbol: 'XBTUSDC',
+        hedgeVenues: ['kraken', { type: 'coinbase-perp', client: {}, takerFeeBps: 3 }],
+        logger: createMockLogger(),
+      });
+
+      const [kraken, perp] = orch.hedgeExecutor.venues;
+      expect(kraken.client).toBe(krakenClient);
+      expect(kraken.symbol).toBe('XBTUSDC');
+      expect(perp.name).toBe('coinbase-perp');
+      expect(orch.pnlTracker.venueFees['coinbase-perp']).toEqual({ makerBps: 0, takerBps: 3 });
+      expect(orch.pnlTracker.venueFees.kraken).toEqual({ makerBps: 16, takerBps: 26 });
+    });
+
+    test('passes hedgeAlgo to the built HedgeExecutor', () => {
+      const orch = new MarketMakerOrchestrator({
+        fixConnection: createMockFIXConnection(),
+        krakenClient: {},
+        hedgeAlgo: 'twap',
+        hedgeAlgoParams: { durationMs: 120000, slices: 12 },
+        hedgeCancelOnMoveBps: 20,
+        logger: createMockLogger(),
+      });
+
+      expect(orch.hedgeExecutor.algo.getState()).toEqual({ name: 'twap', durationMs: 120000, slices: 12 });
+      expect(orch.hedgeExecutor.config.cancelOnMoveBps).toBe(20);
+    });
+
+    test('builds microstructure signals and feeds them books and trades while running', async () => {
+      const krakenAdapter = new EventEmitter();
+      const orch = new MarketMakerOrchestrator({
+        fixConnection: createMockFIXConnection(),
+        krakenClient: {},
+        krakenAdapter,
+        alphaSignals: true,
+        alphaSignalParams: { tradeWindowMs: 30000 },
+        alphaSkewWeight: 0.5,
+        logger: createMockLogger(),
+      });
+
+      expect(orch.quoteEngine.signals).toBe(orch.signals);
+      expect(orch.signals.config.tradeWindowMs).toBe(30000);
+      expect(orch.quoteEngine.config.alphaSkewWeight).toBe(0.5);
+
+      await orch.start();
+      expect(orch.signals.aggregator).toBe(orch.priceAggregator);
+      krakenAdapter.emit('trade', { symbol: 'BTC/USD', price: 100000, size: 0.5, side: 'buy', timestamp: Date.now() });
+      expect(orch.signals.getSignal().tradeFlow).toBe(1);
+
+      await orch.stop();
+      expect(krakenAdapter.listenerCount('trade')).toBe(0);
+      expect(orch.signals.aggregator).toBeNull();
+    });
+
+    test('rejects hedgeVenues in paper mode', () => {
+      expect(() => new MarketMakerOrchestrator({
+        mode: 'paper',
+        hedgeVenues: ['kraken'],
+        logger: createMockLogger(),
+      })).toThrow('hedgeVenues is not supported');
+    });
   });
 
   describe('event wiring: emergency', () => {
@@ -902,6 +1107,19 @@ describe('MarketMakerOrchestrator', () => {
       await orchestrator.stop();
     });
 
+    test('sends a mass cancel for the symbol on emergency', async () => {
+      const { orchestrator, mocks } = createOrchestrator();
+      await orchestrator.start();
+
+      mocks.inventoryManager.emit('emergency', {
+        netPosition: 6.0,
+        reason: 'Position limit exceeded',
+      });
+
+      expect(mocks.fixConnection.requestMassCancel).toHaveBeenCalledWith({ symbol: 'BTC-PYUSD' });
+      await orchestrator.stop();
+    });
+
     test('emits emergency event on orchestrator', async () => {
       const { orchestrator, mocks } = createOrchestrator();
       let emitted = null;
@@ -945,6 +1163,7 @@ describe('MarketMakerOrchestrator', () => {
       expect(mocks.inventoryManager.listenerCount('hedge-signal')).toBe(1);
       expect(mocks.hedgeExecutor.listenerCount('hedge-filled')).toBe(1);
       expect(mocks.inventoryManager.listenerCount('emergency')).toBe(1);
+      expect(mocks.marketDataFeed.listenerCount('book-change')).toBe(1);
 
       await orchestrator.stop();
 
@@ -955,6 +1174,7 @@ describe('MarketMakerOrchestrator', () => {
       expect(mocks.inventoryManager.listenerCount('hedge-signal')).toBe(0);
       expect(mocks.hedgeExecutor.listenerCount('hedge-filled')).toBe(0);
       expect(mocks.inventoryManager.listenerCount('emergency')).toBe(0);
+      expect(mocks.marketDataFeed.listenerCount('book-change')).toBe(0);
     });
   });
 
@@ -1051,4 +1271,209 @@ describe('MarketMakerOrchestrator', () => {
       await orchestrator.stop();
     });
   });
+
+  describe('multiple symbols', () => {
+    function createMultiSymbol(overrides = {}) {
+      const eth = {
+        symbol: 'ETH-PYUSD',
+        inventoryManager: createMockInventoryManager(),
+        pnlTracker: createMockPnLTracker(),
+        quoteEngine: createMockQuoteEngine(),
+        hedgeExecutor: createMockHedgeExecutor(),
+        priceAggregator: createMockPriceAggregator(),
+      };
+      eth.quoteEngine.activeOrders = new Map([['E1', { side: 'buy' }]]);
+      const { orchestrator, mocks } = createOrchestrator({ symbols: ['BTC-PYUSD', eth], ...overrides });
+      return { orchestrator, mocks, eth };
+    }
+
+    test('builds components per symbol around one OE session and risk gateway', () => {
+      const { orchestrator, mocks, eth } = createMultiSymbol();
+
+      expect(orchestrator.symbol).toBe('BTC-PYUSD');
+      expect([...orchestrator.symbols.keys()]).toEqual(['BTC-PYUSD', 'ETH-PYUSD']);
+      expect(orchestrator.quoteEngine).toBe(mocks.quoteEngine);
+      const ctx = orchestrator.symbols.get('ETH-PYUSD');
+      expect(ctx.quoteEngine).toBe(eth.quoteEngine);
+      expect(ctx.marketDataFeed).toBeNull(); // top-level components stay with the primary
+    });
+
+    test('gives built QuoteEngines one shared rate limiter and per-symbol hedge pairs', () => {
+      const { orchestrator } = createOrchestrator({
+        quoteEngine: undefined,
+        hedgeExecutor: undefined,
+        symbols: ['BTC-PYUSD', 'ETH-PYUSD'],
+        maxOrdersPerSecond: 6,
+      });
+      const [btc, eth] = [...orchestrator.symbols.values()];
+
+      expect(btc.quoteEngine.rateLimiter).toBe(orchestrator.rateLimiter);
+      expect(eth.quoteEngine.rateLimiter).toBe(orchestrator.rateLimiter);
+      expect(orchestrator.rateLimiter.maxPerSecond).toBe(6);
+      expect(eth.quoteEngine.fixConnection).toBe(orchestrator.fixOE);
+      expect(btc.hedgeExecutor.config.hedgeSymbol).toBe('XBTUSD');
+      expect(eth.hedgeExecutor.config.hedgeSymbol).toBe('ETHUSD');
+    });
+
+    test('rejects several symbols in paper mode', () => {
+      expect(() => createMultiSymbol({ mode: 'paper' })).toThrow('Paper mode supports a single symbol');
+    });
+
+    test('routes execution reports by symbol and cancel rejects by ClOrdID', async () => {
+      const { orchestrator, mocks, eth } = createMultiSymbol();
+      await orchestrator.start();
+
+      const ethReport = { '35': '8', '11': 'E2', '55': 'ETH-PYUSD', '39': '0', '150': '0' };
+      const btcReport = { '35': '8', '11': 'B1', '55': 'BTC-PYUSD', '39': '0', '150': '0' };
+      const reject = { '35': '9', '11': 'E1b', '41': 'E1', '434': '2' };
+      for (const fields of [ethReport, btcReport, reject]) mocks.fixConnection.emit('message', { fields });
+
+      expect(eth.quoteEngine.onExecutionReport.mock.calls).toEqual([[ethReport]]);
+      expect(mocks.quoteEngine.onExecutionReport.mock.calls).toEqual([[btcReport]]);
+      expect(eth.quoteEngine.onOrderCancelReject).toHaveBeenCalledWith(reject);
+      expect(mocks.quoteEngine.onOrderCancelReject).not.toHaveBeenCalled();
+      await orchestrator.stop();
+    });
+
+    test('routes risk rejections to the quoting symbol', async () => {
+      const { orchestrator, mocks, eth } = createMultiSymbol();
+      await orchestrator.start();
+
+      orchestrator.riskGateway.checkOrder({ '35': 'D', '11': 'E9', '55': 'ETH-PYUSD', '54': '1', '38': '5', '44': '3000' });
+
+      expect(eth.quoteEngine.onRiskRejection).toHaveBeenCalledTimes(1);
+      expect(mocks.quoteEngine.onRiskRejection).not.toHaveBeenCalled();
+      await orchestrator.stop();
+    });
+
+    test('feeds per-symbol prices and positions to the shared risk gateway', async () => {
+      const { orchestrator, eth } = createMultiSymbol({ maxExposureUSD: 10000 });
+      const fills = [];
+      orchestrator.on('fill', (f) => fills.push(f));
+      await orchestrator.start();
+
+      eth.priceAggregator.emit('price', { weightedMidpoint: 3000, confidence: 0.9 });
+      eth.inventoryManager.getPositionSummary.mockReturnValue({ netPosition: 3 });
+      eth.quoteEngine.emit('fill', { side: 'buy', price: 3000, size: 3, clOrdID: 'E1', execID: 'X1', level: 1 });
+
+      expect(eth.quoteEngine.onPriceUpdate).toHaveBeenCalledTimes(1);
+      expect(eth.pnlTracker.markToMarket).toHaveBeenCalledWith(3000);
+      expect(fills).toEqual([expect.objectContaining({ symbol: 'ETH-PYUSD', side: 'buy', size: 3 })]);
+      expect(orchestrator.getStatus().risk.exposure.bySymbol['ETH-PYUSD']).toEqual({ netPosition: 3, price: 3000, exposureUSD: 9000 });
+
+      const result = orchestrator.riskGateway.checkOrder({ '35': 'D', '11': 'E5', '55': 'ETH-PYUSD', '54': '1', '38': '0.5', '44': '3000' });
+      expect(result.rejection.reason).toBe('MAX_EXPOSURE');
+      await orchestrator.stop();
+    });
+
+    test('reports status per symbol', () => {
+      const { orchestrator, mocks, eth } = createMultiSymbol();
+      eth.inventoryManager.getPositionSummary.mockReturnValue({ netPosition: -2 });
+
+      const status = orchestrator.getStatus();
+
+      expect(Object.keys(status.symbols)).toEqual(['BTC-PYUSD', 'ETH-PYUSD']);
+      expect(status.symbols['ETH-PYUSD'].inventory).toEqual({ netPosition: -2 });
+      expect(status.symbols['ETH-PYUSD'].marketData).toBeNull();
+      expect(status.inventory).toEqual(mocks.inventoryManager.getPositionSummary());
+    });
+
+    test('emergency on one symbol only pulls that symbol', async () => {
+      const { orchestrator, mocks, eth } = createMultiSymbol();
+      await orchestrator.start();
+
+      eth.inventoryManager.emit('emergency', { netPosition: 40, reason: 'limit' });
+
+      expect(eth.quoteEngine.cancelAllQuotes).toHaveBeenCalledWith('emergency: limit');
+      expect(mocks.quoteEngine.cancelAllQuotes).not.toHaveBeenCalled();
+      expect(mocks.fixConnection.requestMassCancel).toHaveBeenCalledWith({ symbol: 'ETH-PYUSD' });
+      await orchestrator.stop();
+    });
+
+    test('stop cancels and hedges every symbol and unwires them', async () => {
+      const { orchestrator, mocks, eth } = createMultiSymbol();
+      await orchestrator.start();
+      eth.inventoryManager.getPositionSummary.mockReturnValue({ netPosition: -2 });
+
+      await orchestrator.stop();
+
+      expect(mocks.quoteEngine.cancelAllQuotes).toHaveBeenCalledWith('shutdown');
+      expect(eth.quoteEngine.cancelAllQuotes).toHaveBeenCalledWith('shutdown');
+      expect(eth.hedgeExecutor.executeHedge).toHaveBeenCalledWith('buy', 2, 'urgent');
+      expect(mocks.hedgeExecutor.executeHedge).not.toHaveBeenCalled();
+      expect(eth.quoteEngine.listenerCount('fill')).toBe(0);
+      expect(eth.priceAggregator.listenerCount('price')).toBe(0);
+    });
+  });
+
+  describe('operator commands', () => {
+    function createControllable(overrides = {}) {
+      const { orchestrator, mocks } = createOrchestrator(overrides);
+      mocks.quoteEngine.pauseSide = jest.fn();
+      mocks.quoteEngine.resumeSide = jest.fn();
+      mocks.quoteEngine.updateConfig = jest.fn(() => ({ levels: 5 }));
+      return { orchestrator, mocks };
+    }
+
+    test('pauses and resumes sides on the QuoteEngine', () => {
+      const { orchestrator, mocks } = createControllable();
+
+      expect(orchestrator.pauseQuoting('both')).toEqual({ symbols: ['BTC-PYUSD'], sides: ['buy', 'sell'] });
+      orchestrator.resumeQuoting('sell', 'BTC-PYUSD');
+
+      expect(mocks.quoteEngine.pauseSide.mock.calls).toEqual([['buy', 'operator'], ['sell', 'operator']]);
+      expect(mocks.quoteEngine.resumeSide).toHaveBeenCalledWith('sell');
+      expect(() => orchestrator.pauseQuoting('buy', 'SOL-PYUSD')).toThrow('Unknown symbol: SOL-PYUSD');
+    });
+
+    test('cancel all pauses quoting and mass cancels the symbol', async () => {
+      const { orchestrator, mocks } = createControllable();
+
+      const result = await orchestrator.cancelAll();
+
+      expect(mocks.quoteEngine.pauseSide).toHaveBeenCalledTimes(2);
+      expect(mocks.fixConnection.requestMassCancel).toHaveBeenCalledWith({ symbol: 'BTC-PYUSD' });
+      expect(result).toEqual({ 'BTC-PYUSD': { accepted: true, totalAffected: 0 } });
+    });
+
+    test('flatten hedges the net position at market', async () => {
+      const { orchestrator, mocks } = createControllable();
+      mocks.inventoryManager.getPositionSummary.mockReturnValue({ netPosition: 0.5 });
+
+      const result = await orchestrator.flatten();
+
+      expect(mocks.hedgeExecutor.executeHedge).toHaveBeenCalledWith('sell', 0.5, 'urgent');
+      expect(result['BTC-PYUSD']).toMatchObject({ orderId: 'hedge-001' });
+    });
+
+    test('updates quote config, naming the symbol when there are several', () => {
+      const { orchestrator, mocks } = createControllable();
+      expect(orchestrator.updateQuoteConfig({ levels: 3 })).toEqual({ symbol: 'BTC-PYUSD', previous: { levels: 5 } });
+      expect(mocks.quoteEngine.updateConfig).toHaveBeenCalledWith({ levels: 3 });
+
+      const multi = createControllable({ symbols: ['BTC-PYUSD', { symbol: 'ETH-PYUSD', quoteEngine: createMockQuoteEngine() }] }).orchestrator;
+      expect(() => multi.updateQuoteConfig({ levels: 3 })).toThrow('symbol is required');
+    });
+
+    test('runs the control server with the orchestrator when given a token', async () => {
+      const { orchestrator } = createControllable({ controlToken: 'secret', controlPort: 0 });
+      await orchestrator.start();
+
+      const { port } = orchestrator.controlServer;
+      const res = await fetch(`http://127.0.0.1:${port}/quotes`, { headers: { Authorization: 'Bearer secret' } });
+      expect(await res.json()).toEqual({ 'BTC-PYUSD': expect.objectContaining({ activeCount: 0 }) });
+
+      await orchestrator.stop();
+      expect(orchestrator.controlServer.server).toBeNull();
+    });
+
+    test('serves metrics with the orchestrator when given a metrics port', async () => {
+      const { orchestrator } = createControllable({ metricsPort: 0 });
+      await orchestrator.start();
+      expect(orchestrator.metricsExporter.server).not.toBeNull();
+
+      await orchestrator.stop();
+      expect(orchestrator.metricsExporter.server).toBeNull();
+    });
+  });
 });
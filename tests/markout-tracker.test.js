@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, mock } from 'bun:test';
+import { MarkoutTracker } from '../src/core/markout-tracker.js';
+import { PnLTracker } from '../src/core/pnl-tracker.js';
+import { TrueXDataManager } from '../src/data-pipeline/truex-data-manager.js';
+
+const logger = () => ({ info: mock(() => {}), warn: mock(() => {}), error: mock(() => {}), debug: mock(() => {}) });
+
+// 2026-02-06 14:00:00 UTC
+const T0 = Date.UTC(2026, 1, 6, 14, 0, 0);
+
+describe('MarkoutTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new MarkoutTracker({ logger: logger() });
+  });
+
+  it('signs markouts in our favour as positive', () => {
+    expect(MarkoutTracker.markoutBps('buy', 100000, 100010)).toBeCloseTo(1, 10);
+    expect(MarkoutTracker.markoutBps('sell', 100000, 100010)).toBeCloseTo(-1, 10);
+    expect(MarkoutTracker.horizonLabel(30000)).toBe('30s');
+    expect(MarkoutTracker.horizonLabel(250)).toBe('250ms');
+  });
+
+  it('samples the mid prevailing at each horizon', () => {
+    const records = [];
+    tracker.on('markout', (m) => records.push(m));
+
+    tracker.onMid(100000, T0);
+    tracker.onFill({ side: 'buy', price: 99990, size: 0.1, level: 1, clOrdID: 'C1', execID: 'E1', timestamp: T0 });
+
+    tracker.onMid(100020, T0 + 500);
+    // +1s falls due between updates: the 100020 mid was prevailing
+    tracker.onMid(100050, T0 + 2500);
+    tracker.onMid(99960, T0 + 5000);   // exactly +5s uses this mid
+    tracker.onMid(99990, T0 + 60000);  // +30s saw 99960, +60s sees 99990
+
+    expect(records.length).toBe(1);
+    const { markouts, midAtFill } = records[0];
+    expect(midAtFill).toBe(100000);
+    expect(markouts['1s']).toBeCloseTo(MarkoutTracker.markoutBps('buy', 99990, 100020), 10);
+    expect(markouts['5s']).toBeCloseTo(MarkoutTracker.markoutBps('buy', 99990, 99960), 10);
+    expect(markouts['30s']).toBeCloseTo(MarkoutTracker.markoutBps('buy', 99990, 99960), 10);
+    expect(markouts['60s']).toBeCloseTo(0, 10);
+    expect(tracker.pending.length).toBe(0);
+  });
+
+  it('ignores fills before the first mid', () => {
+    tracker.onFill({ side: 'buy', price: 100000, size: 0.1, execID: 'E1', timestamp: T0 });
+    expect(tracker.pending.length).toBe(0);
+  });
+
+  it('aggregates size-weighted markouts by side, level and hour', () => {
+    tracker = new MarkoutTracker({ horizonsMs: [1000], logger: logger() });
+    tracker.onMid(100000, T0);
+    // Toxic L1 buy: market falls 10 bps
+    tracker.onFill({ side: 'buy', price: 100000, size: 0.3, level: 1, execID: 'E1', timestamp: T0 });
+    // Benign L3 sell: market also falls, 10 bps in our favour
+    tracker.onFill({ side: 'sell', price: 100000, size: 0.1, level: 3, execID: 'E2', timestamp: T0 });
+    tracker.onMid(99900, T0 + 1000);
+
+    const summary = tracker.getSummary();
+    expect(summary.completedFills).toBe(2);
+    expect(summary.bySide.buy['1s'].avgBps).toBeCloseTo(-10, 10);
+    expect(summary.bySide.sell['1s'].avgBps).toBeCloseTo(10, 10);
+    expect(summary.byLevel[1]['1s'].pnl).toBeCloseTo(-30, 10);
+    expect(summary.byLevel[3]['1s'].fills).toBe(1);
+    // (-10 × 0.3 + 10 × 0.1) / 0.4
+    expect(summary.overall['1s'].avgBps).toBeCloseTo(-5, 10);
+    expect(summary.byHour[14]['1s'].quantity).toBeCloseTo(0.4, 10);
+  });
+
+  it('adds a markout section to the PnL session report', () => {
+    const pnl = new PnLTracker({ markoutTracker: tracker, logger: logger() });
+    tracker.onMid(100000, T0);
+    tracker.onFill({ side: 'buy', price: 99990, size: 0.1, level: 2, execID: 'E1', timestamp: T0 });
+    tracker.onMid(100000, T0 + 60000);
+
+    const report = pnl.getSessionReport();
+    expect(report).toContain('Markouts (bps, size-weighted, 1 fills):');
+    expect(report).toContain('L2');
+    expect(report).toContain('1s 1.00');
+    expect(report.trim().endsWith('===========================')).toBe(true);
+  });
+
+  it('queues markouts in the data manager for the Redis flush', () => {
+    const data = new TrueXDataManager({ logger: logger() });
+    tracker.on('markout', (m) => data.addMarkout(m));
+    tracker.onMid(100000, T0);
+    tracker.onFill({ side: 'sell', price: 100010, size: 0.1, level: 1, execID: 'E1', timestamp: T0 });
+    tracker.onMid(100000, T0 + 60000);
+
+    expect(data.getMarkout('E1').markouts['60s']).toBeCloseTo(1, 3);
+    expect(data.getStats().pendingMarkouts).toBe(1);
+    expect(data.getPendingMarkouts().length).toBe(1);
+    expect(() => data.addMarkout({})).toThrow('Markout must have execID');
+  });
+});
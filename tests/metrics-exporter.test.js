@@ -0,0 +1,152 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from 'bun:test';
+import { MarketMakerOrchestrator } from '../src/core/market-maker-orchestrator.js';
+import { MetricsExporter } from '../src/core/metrics-exporter.js';
+
+// --- Helpers ---
+
+function createMockLogger() {
+  return { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+}
+
+function createMockRedisManager() {
+  return {
+    getStats: jest.fn(() => ({
+      ordersFlushed: 12,
+      fillsFlushed: 3,
+      ohlcFlushed: 40,
+      markoutsFlushed: 2,
+      flushErrors: 1,
+      lastFlushTime: 1_700_000_000_000,
+      fillsDedupSkipped: 0,
+      sessionId: 'mm-test',
+      symbol: 'BTC-PYUSD',
+    })),
+  };
+}
+
+// Sample value by full metric name and label text, e.g. 'symbol="BTC-PYUSD"'
+function sample(text, name, labels = '') {
+  const prefix = labels ? `${name}{${labels}} ` : `${name} `;
+  const line = text.split('\n').find(l => l.startsWith(prefix));
+  return line === undefined ? undefined : Number(line.slice(prefix.length));
+}
+
+describe('MetricsExporter', () => {
+  let orchestrator;
+  let exporter;
+
+  beforeEach(() => {
+    orchestrator = new MarketMakerOrchestrator({
+      symbols: ['BTC-PYUSD', 'ETH-PYUSD'],
+      sessionId: 'mm-test',
+      redisManager: createMockRedisManager(),
+      logger: createMockLogger(),
+    });
+    exporter = new MetricsExporter({ orchestrator, port: 0, logger: createMockLogger() });
+  });
+
+  afterEach(async () => {
+    await exporter.stop();
+  });
+
+  test('requires an orchestrator', () => {
+    expect(() => new MetricsExporter({})).toThrow('requires an orchestrator');
+  });
+
+  test('reports FIX session state and counters', () => {
+    const fix = orchestrator.fixOE;
+    fix.isLoggedOn = true;
+    fix.msgSeqNum = 42;
+    fix.lastHeartbeatReceived = 1_700_000_000_000;
+    fix.stats.sessionRejects = 2;
+    fix.stats.resendRequestsReceived = 1;
+
+    const text = exporter.render(1_700_000_004_500);
+
+    expect(sample(text, 'truex_mm_fix_logged_on', 'session="oe"')).toBe(1);
+    expect(sample(text, 'truex_mm_fix_next_outbound_seq', 'session="oe"')).toBe(42);
+    expect(sample(text, 'truex_mm_fix_heartbeat_age_seconds', 'session="oe"')).toBe(4.5);
+    expect(sample(text, 'truex_mm_fix_rejects_total', 'session="oe",type="session"')).toBe(2);
+    expect(sample(text, 'truex_mm_fix_resend_requests_total', 'session="oe",direction="received"')).toBe(1);
+    expect(text).toContain('# TYPE truex_mm_fix_rejects_total counter');
+  });
+
+  test('reports quotes, inventory, PnL and hedging per symbol', () => {
+    const btc = orchestrator.symbols.get('BTC-PYUSD');
+    const eth = orchestrator.symbols.get('ETH-PYUSD');
+    btc.inventoryManager.netPosition = 0.5;
+    btc.pnlTracker.onFill({ side: 'buy', quantity: 0.5, price: 100000, isMaker: true });
+    btc.pnlTracker.onFill({ side: 'sell', quantity: 0.5, price: 100100, isMaker: true });
+    btc.quoteEngine.actionQueue.push({ type: 'place' }, { type: 'place' });
+    eth.quoteEngine.pauseSide('buy', 'test');
+    eth.hedgeExecutor.stats.failedHedges = 3;
+
+    const text = exporter.render();
+
+    expect(sample(text, 'truex_mm_inventory_position_btc', 'symbol="BTC-PYUSD"')).toBe(0.5);
+    expect(sample(text, 'truex_mm_inventory_utilization_ratio', 'symbol="BTC-PYUSD"')).toBe(0.1); // of 5 BTC
+    expect(sample(text, 'truex_mm_pnl_realized_usd', 'symbol="BTC-PYUSD"')).toBeCloseTo(50, 6);
+    expect(sample(text, 'truex_mm_quote_queue_depth', 'symbol="BTC-PYUSD"')).toBe(2);
+    expect(sample(text, 'truex_mm_quote_active_orders', 'symbol="ETH-PYUSD",side="buy"')).toBe(0);
+    expect(sample(text, 'truex_mm_quote_side_paused', 'symbol="ETH-PYUSD",side="buy"')).toBe(1);
+    expect(sample(text, 'truex_mm_hedge_failures_total', 'symbol="ETH-PYUSD"')).toBe(3);
+    // One HELP/TYPE per family, however many symbols
+    expect(text.match(/# TYPE truex_mm_pnl_realized_usd /g)).toHaveLength(1);
+  });
+
+  test('reports data pipeline flush stats', () => {
+    const text = exporter.render();
+
+    expect(sample(text, 'truex_mm_pipeline_flushed_total', 'symbol="BTC-PYUSD",kind="ohlc"')).toBe(40);
+    expect(sample(text, 'truex_mm_pipeline_flush_errors_total', 'symbol="BTC-PYUSD"')).toBe(1);
+    expect(sample(text, 'truex_mm_pipeline_last_flush_timestamp_seconds', 'symbol="BTC-PYUSD"')).toBe(1_700_000_000);
+  });
+
+  test('records rate limiting, tick-to-order latency and hedge slippage while attached', () => {
+    const btc = orchestrator.symbols.get('BTC-PYUSD');
+    exporter.attach();
+
+    btc.quoteEngine.emit('rate-limited', { action: 'place', queueDepth: 1 });
+    btc.quoteEngine.emit('order-latency', { action: 'place', latencyMs: 0.3 });
+    btc.quoteEngine.emit('order-latency', { action: 'cancel', latencyMs: 700 });
+    btc.hedgeExecutor.emit('hedge-filled', { side: 'sell', size: 0.5, price: 100000, slippage: 3 });
+
+    exporter.detach();
+    btc.quoteEngine.emit('rate-limited', { action: 'place', queueDepth: 2 });
+
+    const text = exporter.render();
+    const latency = 'truex_mm_quote_tick_to_order_seconds';
+    expect(sample(text, 'truex_mm_quote_rate_limited_total', 'symbol="BTC-PYUSD",action="place"')).toBe(1);
+    expect(sample(text, `${latency}_bucket`, 'symbol="BTC-PYUSD",action="place",le="0.0005"')).toBe(1);
+    expect(sample(text, `${latency}_bucket`, 'symbol="BTC-PYUSD",action="cancel",le="0.5"')).toBe(0);
+    expect(sample(text, `${latency}_bucket`, 'symbol="BTC-PYUSD",action="cancel",le="+Inf"')).toBe(1);
+    expect(sample(text, `${latency}_sum`, 'symbol="BTC-PYUSD",action="cancel"')).toBeCloseTo(0.7, 9);
+    expect(sample(text, 'truex_mm_hedge_slippage_bucket', 'symbol="BTC-PYUSD",le="1"')).toBe(0);
+    expect(sample(text, 'truex_mm_hedge_slippage_bucket', 'symbol="BTC-PYUSD",le="5"')).toBe(1);
+    expect(text).toContain('# HELP truex_mm_hedge_slippage Slippage per hedge fill, quote currency per BTC; positive is price improvement');
+  });
+
+  test('serves /metrics on localhost', async () => {
+    const { host, port } = await exporter.start();
+    expect(host).toBe('127.0.0.1');
+
+    const res = await fetch(`http://${host}:${port}/metrics`);
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toContain('version=0.0.4');
+    expect(await res.text()).toContain('truex_mm_fix_connected{session="oe"} 0');
+    expect((await fetch(`http://${host}:${port}/status`)).status).toBe(404);
+
+    await exporter.stop();
+    expect(exporter.server).toBeNull();
+    expect(orchestrator.quoteEngine.listenerCount('order-latency')).toBe(0);
+  });
+
+  test('skips FIX and pipeline series in paper mode without a redis manager', () => {
+    const paper = new MarketMakerOrchestrator({ mode: 'paper', logger: createMockLogger() });
+    const text = new MetricsExporter({ orchestrator: paper }).render();
+
+    expect(text).not.toContain('truex_mm_fix_');
+    expect(text).not.toContain('truex_mm_pipeline_');
+    expect(text).toContain('truex_mm_pnl_total_usd{symbol="BTC-PYUSD"} 0');
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, mock } from 'bun:test';
+import { EventEmitter } from 'events';
+import { MicrostructureSignals } from '../src/core/microstructure-signals.js';
+import { PriceAggregator } from '../src/core/price-aggregator.js';
+import { QuoteEngine } from '../src/core/quote-engine.js';
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const T0 = 1_700_000_000_000;
+
+function createSignals(options = {}) {
+  return new MicrostructureSignals({ logger: silentLogger, ...options });
+}
+
+// Only the named signal contributes
+const only = (name) => ({ microprice: 0, imbalance: 0, tradeFlow: 0, momentum: 0, [name]: 1 });
+
+describe('MicrostructureSignals', () => {
+  it('computes microprice and depth-weighted imbalance from the books', () => {
+    const signals = createSignals({ weights: only('microprice') });
+    signals.updateBook('coinbase', {
+      bids: [{ price: 99990, size: 3 }, { price: 99980, size: 1 }],
+      asks: [{ price: 100010, size: 1 }, { price: 100020, size: 4 }],
+      timestamp: T0,
+    });
+
+    const signal = signals.getSignal({ mid: 100000, now: T0 });
+    // microprice = (99990 x 1 + 100010 x 3) / 4 = 100005
+    expect(signal.micropriceBps).toBeCloseTo(0.5, 6);
+    // bids 3 + 0.5 x 1, asks 1 + 0.5 x 4
+    expect(signal.imbalance).toBeCloseTo((3.5 - 3) / 6.5, 8);
+    expect(signal.alphaBps).toBeCloseTo(0.5, 6);
+    expect(signal.fairValueAdj).toBeCloseTo(5, 6);
+
+    // Stale and crossed books are ignored
+    signals.updateBook('kraken', { bids: [{ price: 100020, size: 1 }], asks: [{ price: 100010, size: 1 }], timestamp: T0 });
+    expect(signals.getSignal({ mid: 100000, now: T0 }).venues).toEqual(['coinbase']);
+    expect(signals.getSignal({ mid: 100000, now: T0 + 6000 }).venues).toEqual([]);
+  });
+
+  it('measures trade flow over the window, classing sideless prints by the mid', () => {
+    const signals = createSignals({ tradeWindowMs: 10000, weights: only('tradeFlow'), tradeFlowBps: 3 });
+    signals.onMid(100000, T0);
+
+    signals.onTrade({ price: 100000, size: 0.3, side: 'buy', timestamp: T0 });
+    signals.onTrade({ price: 100005, size: 0.1, timestamp: T0 + 1000 });   // above mid: buy
+    signals.onTrade({ price: 99995, size: 0.2, timestamp: T0 + 2000 });    // below mid: sell
+    signals.onTrade({ price: 100000, size: 5, timestamp: T0 + 2000 });     // at mid: unclassified
+
+    const signal = signals.getSignal({ now: T0 + 2000 });
+    expect(signal.tradeFlow).toBeCloseTo((0.4 - 0.2) / 0.6, 8);
+    expect(signal.alphaBps).toBeCloseTo(1, 8);
+
+    // The first buy drops out of the window
+    expect(signals.getSignal({ now: T0 + 10500 }).tradeFlow).toBeCloseTo((0.1 - 0.2) / 0.3, 8);
+  });
+
+  it('measures momentum against the mid one window back and clamps alpha', () => {
+    const signals = createSignals({ momentumWindowMs: 5000, momentumFactor: 1, maxAlphaBps: 3, weights: only('momentum') });
+    signals.onMid(100000, T0);
+    signals.onMid(100010, T0 + 3000);
+
+    expect(signals.getSignal({ mid: 100020, now: T0 + 4000 }).momentumBps).toBe(0);  // window not covered yet
+    const signal = signals.getSignal({ mid: 100020, now: T0 + 5000 });
+    expect(signal.momentumBps).toBeCloseTo(2, 8);
+    expect(signal.alphaBps).toBeCloseTo(2, 8);
+
+    expect(signals.getSignal({ mid: 100100, now: T0 + 5000 }).alphaBps).toBe(3);
+  });
+
+  it('reads aggregator books and Kraken trades until detached', () => {
+    const aggregator = new PriceAggregator({ logger: silentLogger });
+    const kraken = new EventEmitter();
+    const signals = createSignals({ weights: only('imbalance'), imbalanceBps: 4 });
+    signals.addPriceAggregator(aggregator);
+    signals.addKrakenAdapter(kraken);
+    const onSignal = mock(() => {});
+    signals.on('signal', onSignal);
+
+    aggregator.updateBook('kraken', { bids: [[99995, 3]], asks: [[100005, 1]] });
+    expect(onSignal).toHaveBeenCalledTimes(1);
+    expect(onSignal.mock.calls[0][0].imbalance).toBeCloseTo(0.5, 8);
+    expect(onSignal.mock.calls[0][0].alphaBps).toBeCloseTo(2, 8);
+
+    kraken.emit('trade', { symbol: 'BTC/USD', price: 100000, size: 1, side: 'sell', timestamp: Date.now() });
+    expect(signals.getSignal().tradeFlow).toBe(-1);
+
+    signals.detach();
+    expect(aggregator.listenerCount('price')).toBe(0);
+    expect(kraken.listenerCount('trade')).toBe(0);
+  });
+
+  it('counts only Kraken trades in its own pair', () => {
+    const kraken = new EventEmitter();
+    const signals = createSignals({ symbol: 'ETH-PYUSD', weights: only('tradeFlow') });
+    signals.addKrakenAdapter(kraken);
+
+    kraken.emit('trade', { symbol: 'BTC/USD', price: 100000, size: 1, side: 'sell', timestamp: Date.now() });
+    expect(signals.trades).toHaveLength(0);
+    kraken.emit('trade', { symbol: 'ETH/USD', price: 3000, size: 2, side: 'buy', timestamp: Date.now() });
+    expect(signals.getSignal().tradeFlow).toBe(1);
+
+    const mapped = createSignals({ krakenSymbol: 'XBT/USD' });
+    mapped.addKrakenAdapter(kraken);
+    kraken.emit('trade', { symbol: 'XBT/USD', price: 100000, size: 1, side: 'sell', timestamp: Date.now() });
+    expect(mapped.trades).toHaveLength(1);
+  });
+});
+
+describe('QuoteEngine with signals', () => {
+  const fixedSignals = (alphaBps) => ({
+    getSignal: ({ mid }) => ({ alphaBps, fairValueAdj: mid * alphaBps / 10000 }),
+    getState: () => ({ alphaBps }),
+  });
+
+  function createEngine(options = {}) {
+    return new QuoteEngine({
+      inventoryManager: { getSkew: () => ({ bidSkewTicks: -1, askSkewTicks: 1 }), canQuote: () => true },
+      fixConnection: { sendMessage: mock(() => Promise.resolve()) },
+      tickSize: 0.5,
+      logger: silentLogger,
+      ...options,
+    });
+  }
+
+  it('shifts the centre to fair value and widens the side the move runs over', () => {
+    // +1 bp of 100000 = $10 = 20 ticks
+    const engine = createEngine({ signals: fixedSignals(1), alphaSkewWeight: 0.5, inventorySkewWeight: 2 });
+    expect(engine.computeSkew(100000)).toEqual({
+      center: 100010,
+      skew: { bidSkewTicks: -2, askSkewTicks: 12, alphaBidSkewTicks: 0, alphaAskSkewTicks: 10 },
+    });
+
+    const down = createEngine({ signals: fixedSignals(-1), fairValueWeight: 0 });
+    expect(down.computeSkew(100000)).toEqual({
+      center: 100000,
+      skew: { bidSkewTicks: 19, askSkewTicks: 1, alphaBidSkewTicks: 20, alphaAskSkewTicks: 0 },
+    });
+
+    expect(down.getQuoteStatus().signals).toEqual({ alphaBps: -1 });
+  });
+
+  it('uses the inventory skew alone without signals, and takes weight changes at runtime', () => {
+    const engine = createEngine();
+    expect(engine.computeSkew(100000)).toEqual({ center: 100000, skew: { bidSkewTicks: -1, askSkewTicks: 1 } });
+
+    engine.updateConfig({ inventorySkewWeight: 0 });
+    expect(engine.computeSkew(100000).skew).toEqual({ bidSkewTicks: -0, askSkewTicks: 0 });
+    expect(() => engine.updateConfig({ alphaSkewWeight: -1 })).toThrow('Invalid alphaSkewWeight');
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, mock } from 'bun:test';
+import {
+  validateOrderAttributes,
+  fixOrderFields,
+  restOrderFields,
+  classifyOrderReject,
+} from '../src/core/order-attributes.js';
+import { QuoteEngine } from '../src/core/quote-engine.js';
+import { TrueXRESTAdapter } from '../src/core/TrueXRESTAdapter.js';
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const T0 = Date.UTC(2026, 9, 18, 12, 0, 0);
+
+describe('order attributes', () => {
+  it('maps post-only, time in force and self-trade prevention to FIX and REST fields', () => {
+    expect(fixOrderFields({})).toEqual({ '59': '1' });
+    expect(fixOrderFields({ postOnly: true, timeInForce: 'GTD', expireAfterMs: 60000, selfTradePrevention: 'cancel-oldest' }, T0))
+      .toEqual({ '59': '6', '18': '6', '126': '20261018-12:01:00.000', '2964': '2' });
+    expect(fixOrderFields({ timeInForce: 'IOC', selfTradePrevention: 'cancel-both' })).toEqual({ '59': '3', '2964': '3' });
+
+    expect(restOrderFields({ postOnly: true, timeInForce: 'GTD', expireTime: T0, selfTradePrevention: 'cancel-newest' })).toEqual({
+      time_in_force: 'GTD',
+      exec_inst: 'POST_ONLY',
+      expire_time: '2026-10-18T12:00:00.000Z',
+      self_trade_prevention: 'CANCEL_NEWEST',
+    });
+  });
+
+  it('rejects contradictory or incomplete attributes', () => {
+    expect(() => validateOrderAttributes({ timeInForce: 'GTX' })).toThrow('Invalid timeInForce: GTX');
+    expect(() => validateOrderAttributes({ selfTradePrevention: 'decrement' })).toThrow('Invalid selfTradePrevention');
+    expect(() => validateOrderAttributes({ postOnly: true, timeInForce: 'IOC' })).toThrow('postOnly cannot be combined with IOC');
+    expect(() => validateOrderAttributes({ timeInForce: 'GTD' })).toThrow('GTD orders need expireTime or expireAfterMs');
+    expect(() => validateOrderAttributes({ postOnly: true, timeInForce: 'DAY' })).not.toThrow();
+  });
+
+  it('classifies rejects by their text', () => {
+    expect(classifyOrderReject({ '58': 'Post-only order would cross' })).toBe('post-only');
+    expect(classifyOrderReject({ '58': 'Cancelled: self-trade prevention' })).toBe('self-trade');
+    expect(classifyOrderReject({ '58': 'Insufficient funds' })).toBe('other');
+    expect(classifyOrderReject({})).toBe('other');
+  });
+});
+
+describe('QuoteEngine order attributes', () => {
+  function createEngine(options = {}) {
+    const fixConnection = { sendMessage: mock(() => Promise.resolve()) };
+    const engine = new QuoteEngine({ fixConnection, levels: 1, tickSize: 0.5, logger: silentLogger, ...options });
+    return { engine, sent: () => fixConnection.sendMessage.mock.calls.map(c => c[0]) };
+  }
+  const price = (mid) => ({ weightedMidpoint: mid, confidence: 1 });
+
+  it('sends its attributes on new orders and replaces', () => {
+    const { engine, sent } = createEngine({ postOnly: true, selfTradePrevention: 'cancel-newest', amendMode: true });
+    engine.onPriceUpdate(price(100000));
+    for (const id of engine.activeOrders.keys()) engine.onExecutionReport({ '11': id, '39': '0' });
+    engine.lastActionByClOrdID.clear();
+    engine.onPriceUpdate(price(100010));
+
+    expect(sent().map(f => [f['35'], f['18'], f['59'], f['2964']])).toEqual([
+      ['D', '6', '1', '1'], ['D', '6', '1', '1'],
+      ['G', '6', '1', '1'], ['G', '6', '1', '1'],
+    ]);
+    expect(() => createEngine({ timeInForce: 'GTD' })).toThrow('GTD orders need expireTime or expireAfterMs');
+  });
+
+  it('counts post-only rejects and drops expired orders', () => {
+    const { engine } = createEngine({ postOnly: true, timeInForce: 'GTD', expireAfterMs: 30000 });
+    const rejected = mock(() => {});
+    engine.on('order-rejected', rejected);
+    engine.onPriceUpdate(price(100000));
+    const [bidID, askID] = [...engine.activeOrders.keys()];
+
+    engine.onExecutionReport({ '11': bidID, '39': '8', '58': 'Post-only order would cross' });
+    expect(rejected).toHaveBeenCalledWith(expect.objectContaining({ clOrdID: bidID, side: 'buy', level: 1, kind: 'post-only' }));
+    expect(engine.getQuoteStatus().rejects).toEqual({ 'post-only': 1, 'self-trade': 0, other: 0 });
+
+    engine.onExecutionReport({ '11': askID, '150': 'C', '39': 'C' });
+    expect(engine.activeOrders.size).toBe(0);
+  });
+
+  it('applies restatements to price and size', () => {
+    const { engine } = createEngine();
+    const restated = mock(() => {});
+    engine.on('restated', restated);
+    engine.onPriceUpdate(price(100000));
+    const [bidID, askID] = [...engine.activeOrders.keys()];
+
+    // Post-only order slid back a tick
+    engine.onExecutionReport({ '11': bidID, '150': 'D', '39': '0', '378': '3', '44': '99749', '151': '0.1' });
+    expect(engine.activeOrders.get(bidID)).toMatchObject({ price: 99749, size: 0.1 });
+    expect(restated).toHaveBeenCalledWith(expect.objectContaining({ clOrdID: bidID, price: 99749, reason: 'repricing' }));
+
+    // Self-trade prevention took the whole order
+    engine.onExecutionReport({ '11': askID, '150': 'D', '39': '4', '378': '5', '151': '0', '58': 'Self-trade prevention' });
+    expect(engine.activeOrders.has(askID)).toBe(false);
+  });
+});
+
+describe('TrueXRESTAdapter order attributes', () => {
+  it('sends the adapter defaults unless the order overrides them', async () => {
+    const adapter = new TrueXRESTAdapter({ postOnly: true, selfTradePrevention: 'cancel-oldest', logger: silentLogger });
+    adapter.client = { post: mock((path, body) => Promise.resolve({ data: { id: 'o1', ...body } })) };
+
+    await adapter.createOrder({ symbol: 'BTC-PYUSD', side: 'BUY', price: '100000', qty: '0.1' });
+    await adapter.createOrder({ symbol: 'BTC-PYUSD', side: 'BUY', price: '100000', qty: '0.1', postOnly: false, timeInForce: 'IOC' });
+    const [first, second] = adapter.client.post.mock.calls.map(c => c[1]);
+    expect(first).toMatchObject({ time_in_force: 'GTC', exec_inst: 'POST_ONLY', self_trade_prevention: 'CANCEL_OLDEST' });
+    expect(second.exec_inst).toBeUndefined();
+    expect(second.time_in_force).toBe('IOC');
+
+    adapter.client.post = mock(() => Promise.reject(new Error('Order would take liquidity (post only)')));
+    await expect(adapter.createOrder({ symbol: 'BTC-PYUSD', side: 'BUY', price: '100000', qty: '0.1' }))
+      .rejects.toMatchObject({ rejectKind: 'post-only' });
+  });
+});
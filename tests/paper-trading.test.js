@@ -0,0 +1,209 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from 'bun:test';
+import { EventEmitter } from 'events';
+import { VirtualClock } from '../src/simulation/virtual-clock.js';
+import { PaperOrderGateway, PaperKrakenClient } from '../src/simulation/paper-trading.js';
+import { MarketMakerOrchestrator } from '../src/core/market-maker-orchestrator.js';
+
+// --- Helpers ---
+
+function createMockLogger() {
+  return { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+}
+
+const T0 = 1_700_000_000_000;
+
+function newOrder(clOrdID, side, price, size) {
+  return { '35': 'D', '11': clOrdID, '55': 'BTC-PYUSD', '54': side === 'buy' ? '1' : '2', '38': String(size), '44': String(price), '40': '2' };
+}
+
+function krakenBook(bid, ask) {
+  return { symbol: 'BTC/USD', bids: [[bid, 1]], asks: [[ask, 1]], timestamp: Date.now() };
+}
+
+// --- PaperOrderGateway ---
+
+describe('PaperOrderGateway', () => {
+  let clock;
+  let gateway;
+  let reports;
+
+  beforeEach(async () => {
+    clock = new VirtualClock({ startTime: T0 }).install();
+    gateway = new PaperOrderGateway({ logger: createMockLogger() });
+    reports = [];
+    gateway.on('message', ({ fields }) => reports.push(fields));
+    await gateway.sendMessage(newOrder('B1', 'buy', 99990, 0.5));
+    await gateway.sendMessage(newOrder('S1', 'sell', 100010, 0.5));
+    await clock.advanceBy(0);
+  });
+
+  afterEach(() => {
+    clock.uninstall();
+  });
+
+  const fills = () => reports.filter(r => r['150'] === 'F');
+
+  test('fills quotes the TrueX MD book crosses', () => {
+    const feed = new EventEmitter();
+    gateway.addTrueXFeed(feed);
+
+    feed.emit('book-change', { bids: [{ price: 100012, size: 1 }], asks: [{ price: 100015, size: 1 }], timestamp: T0 });
+
+    expect(fills()).toHaveLength(1);
+    expect(fills()[0]).toMatchObject({ '11': 'S1', '31': '100010', '39': '2' });
+  });
+
+  test('fills quotes reached by Coinbase prints on either side', () => {
+    const onTrade = jest.fn();
+    const ingest = { onTrade };
+    gateway.addCoinbaseIngest(ingest);
+
+    ingest.onTrade('BTC-PYUSD', [{ price: 99985, volume: 0.2, timestamp: T0 }]);
+    ingest.onTrade('ETH/USD', [{ price: 100020, volume: 1, timestamp: T0 }]);
+
+    expect(onTrade).toHaveBeenCalledTimes(2);
+    expect(fills().map(f => [f['11'], f['32']])).toEqual([['B1', '0.2']]);
+
+    gateway.detach();
+    expect(ingest.onTrade).toBe(onTrade);
+  });
+
+  test('fills quotes on the resting side of Kraken trades', () => {
+    const adapter = new EventEmitter();
+    gateway.addKrakenAdapter(adapter);
+
+    adapter.emit('trade', { symbol: 'BTC/USD', price: 100020, size: 1, side: 'buy', timestamp: T0 });
+
+    expect(fills()).toHaveLength(1);
+    expect(fills()[0]).toMatchObject({ '11': 'S1', '32': '0.5' });
+
+    gateway.detach();
+    expect(adapter.listenerCount('trade')).toBe(0);
+  });
+
+  test('mass status and mass cancel answer from the simulated book', async () => {
+    const status = await gateway.requestMassStatus({ symbol: 'BTC-PYUSD' });
+    expect(status.map(o => [o.clOrdID, o.side, o.leavesQty])).toEqual([['B1', 'buy', 0.5], ['S1', 'sell', 0.5]]);
+
+    const report = await gateway.requestMassCancel({ symbol: 'BTC-PYUSD' });
+
+    expect(report).toMatchObject({ accepted: true, totalAffected: 2 });
+    expect(reports.filter(r => r['39'] === '4').map(r => r['41'])).toEqual(['B1', 'S1']);
+    expect(await gateway.requestMassStatus()).toEqual([]);
+  });
+});
+
+// --- PaperKrakenClient ---
+
+describe('PaperKrakenClient', () => {
+  test('fills market orders at the Kraken touch', async () => {
+    const client = new PaperKrakenClient();
+    const adapter = new EventEmitter();
+    client.addKrakenAdapter(adapter);
+    adapter.emit('orderBookUpdate', krakenBook(99995, 100005));
+
+    const { txid } = await client.addOrder({ type: 'sell', ordertype: 'market', volume: '0.5' });
+    const result = await client.queryOrders({ txid: txid[0] });
+
+    expect(result[txid[0]]).toEqual({ status: 'closed', vol_exec: '0.5', price: '99995' });
+  });
+
+  test('fills limit orders once the touch crosses, using the fallback without a book', async () => {
+    let touch = 100010;
+    const client = new PaperKrakenClient({ fallbackPrice: () => touch });
+
+    const { txid } = await client.addOrder({ type: 'buy', ordertype: 'limit', price: '100000', volume: '0.5' });
+    expect((await client.queryOrders({ txid: txid[0] }))[txid[0]].status).toBe('open');
+
+    touch = 99998;
+    expect((await client.queryOrders({ txid: txid[0] }))[txid[0]]).toMatchObject({ status: 'closed', price: '99998' });
+  });
+});
+
+// --- Orchestrator paper mode ---
+
+describe('MarketMakerOrchestrator paper mode', () => {
+  let clock;
+  let kraken;
+  let orchestrator;
+
+  beforeEach(() => {
+    clock = new VirtualClock({ startTime: T0 }).install();
+    kraken = new EventEmitter();
+    orchestrator = new MarketMakerOrchestrator({
+      mode: 'paper',
+      krakenAdapter: kraken,
+      expectedPriceSources: 1,
+      levels: 1,
+      baseSpreadBps: 20,
+      hedgeThresholdBTC: 0.05,
+      logger: createMockLogger(),
+    });
+  });
+
+  afterEach(async () => {
+    await orchestrator.stop();
+    clock.uninstall();
+  });
+
+  test('swaps in the paper gateway and Kraken client', () => {
+    expect(orchestrator.fixOE).toBeInstanceOf(PaperOrderGateway);
+    expect(orchestrator.hedgeExecutor.krakenClient).toBeInstanceOf(PaperKrakenClient);
+    expect(orchestrator.fixOE.riskGateway).toBe(orchestrator.riskGateway);
+    expect(orchestrator.getStatus().mode).toBe('paper');
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => new MarketMakerOrchestrator({ mode: 'dry', logger: createMockLogger() })).toThrow('Unknown mode: dry');
+  });
+
+  test('quotes fill against reference trades and are hedged on the paper Kraken client', async () => {
+    const fills = [];
+    const hedges = [];
+    orchestrator.on('fill', (fill) => fills.push(fill));
+    orchestrator.on('hedge', (hedge) => hedges.push(hedge));
+
+    await orchestrator.start();
+    kraken.emit('orderBookUpdate', krakenBook(99990, 100010));
+    await clock.advanceBy(10);
+
+    const quotes = orchestrator.fixOE.getOpenOrders();
+    expect(quotes.map(o => o.side).sort()).toEqual(['buy', 'sell']);
+    const bid = quotes.find(o => o.side === 'buy');
+
+    kraken.emit('trade', { symbol: 'BTC/USD', price: bid.price - 1, size: 1, side: 'sell', timestamp: Date.now() });
+    await clock.advanceBy(10_000);
+
+    expect(fills).toEqual([expect.objectContaining({ side: 'buy', price: bid.price, size: bid.orderQty, venue: 'truex' })]);
+    expect(orchestrator.pnlTracker.getSummary().numTrades).toBe(2);
+    expect(hedges).toHaveLength(1);
+    expect(hedges[0]).toMatchObject({ side: 'sell', venue: 'kraken' });
+    expect(orchestrator.inventoryManager.netPosition).toBeCloseTo(0, 8);
+    expect(orchestrator.getStatus().paper.makerFills).toBe(1);
+  });
+
+  test('emergency mass cancel clears the paper book', async () => {
+    const emergencies = [];
+    orchestrator.on('emergency', (e) => emergencies.push(e));
+
+    await orchestrator.start();
+    kraken.emit('orderBookUpdate', krakenBook(99990, 100010));
+    await clock.advanceBy(10);
+    expect(orchestrator.fixOE.getOpenOrders()).toHaveLength(2);
+
+    orchestrator.inventoryManager.emit('emergency', { netPosition: 6, reason: 'test' });
+    await clock.advanceBy(10);
+
+    expect(emergencies).toHaveLength(1);
+    expect(orchestrator.fixOE.getOpenOrders()).toHaveLength(0);
+  });
+
+  test('stop detaches the paper bindings', async () => {
+    await orchestrator.start();
+    expect(kraken.listenerCount('trade')).toBe(1);
+
+    await orchestrator.stop();
+    expect(kraken.listenerCount('trade')).toBe(0);
+    expect(kraken.listenerCount('orderBookUpdate')).toBe(1); // PriceAggregator's, bound at construction
+  });
+});
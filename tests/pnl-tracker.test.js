@@ -145,6 +145,20 @@ describe('PnLTracker', () => {
       expect(tracker.totalFees).toBeCloseTo(200.075, 1);
     });
 
+    it('should charge routed hedge venues their own schedule', () => {
+      const routed = new PnLTracker({
+        hedgeMakerFeeBps: 16,
+        hedgeTakerFeeBps: 26,
+        venueFees: { 'coinbase-perp': { makerBps: 0, takerBps: 5 } },
+        logger: silentLogger,
+      });
+      routed.onFill({ side: 'sell', quantity: 1, price: 100000, venue: 'coinbase-perp', isMaker: false, execID: 'h1' });
+      routed.onFill({ side: 'sell', quantity: 1, price: 100000, venue: 'kraken', isMaker: false, execID: 'h2' });
+
+      expect(routed.feesByVenue['coinbase-perp']).toBeCloseTo(50, 4);
+      expect(routed.feesByVenue['kraken']).toBeCloseTo(260, 4);
+    });
+
     it('should deduct fees from total PnL', () => {
       tracker.onFill({ side: 'buy', quantity: 1, price: 100, venue: 'truex', isMaker: false, execID: 'e1' });
       tracker.onFill({ side: 'sell', quantity: 1, price: 110, venue: 'truex', isMaker: false, execID: 'e2' });
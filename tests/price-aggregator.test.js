@@ -0,0 +1,220 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from 'bun:test';
+import { EventEmitter } from 'events';
+import { PriceAggregator } from '../src/core/price-aggregator.js';
+import { MarketMakerOrchestrator } from '../src/core/market-maker-orchestrator.js';
+
+// --- Test helpers ---
+
+function createMockLogger() {
+  return { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+}
+
+function createAggregator(overrides = {}) {
+  return new PriceAggregator({ logger: createMockLogger(), ...overrides });
+}
+
+function book(bid, ask, size = 1, timestamp = Date.now()) {
+  return { bids: [[bid, size]], asks: [[ask, size]], timestamp };
+}
+
+describe('PriceAggregator', () => {
+  let agg;
+
+  beforeEach(() => {
+    agg = createAggregator();
+  });
+
+  afterEach(() => {
+    agg.detach();
+  });
+
+  describe('getAggregatedPrice', () => {
+    it('should return zero confidence and null mid with no books', () => {
+      const p = agg.getAggregatedPrice();
+      expect(p.confidence).toBe(0);
+      expect(p.weightedMidpoint).toBeNull();
+    });
+
+    it('should compute mid from a single venue with half coverage', () => {
+      agg.updateBook('coinbase', book(99990, 100010));
+      const p = agg.getAggregatedPrice();
+      expect(p.weightedMidpoint).toBeCloseTo(100000, 6);
+      expect(p.bestBid).toBe(99990);
+      expect(p.bestAsk).toBe(100010);
+      // 1 of 2 expected sources, fully fresh, perfect agreement
+      expect(p.confidence).toBeCloseTo(0.5, 2);
+    });
+
+    it('should weight venue mids by depth', () => {
+      const now = Date.now();
+      agg.updateBook('coinbase', book(99990, 100010, 3, now));   // mid 100000, depth 6
+      agg.updateBook('kraken', book(100000, 100020, 1, now));    // mid 100010, depth 2
+      const p = agg.getAggregatedPrice(now);
+      // (100000*6 + 100010*2) / 8 = 100002.5
+      expect(p.weightedMidpoint).toBeCloseTo(100002.5, 6);
+      expect(p.midpoint).toBeCloseTo(100005, 6);
+    });
+
+    it('should apply per-venue weights', () => {
+      const now = Date.now();
+      agg = createAggregator({ venueWeights: { truex: 0 } });
+      agg.updateBook('coinbase', book(99990, 100010, 1, now));
+      agg.updateBook('truex', book(100490, 100510, 1, now));
+      const p = agg.getAggregatedPrice(now);
+      expect(p.weightedMidpoint).toBeCloseTo(100000, 6);
+    });
+
+    it('should drop stale books', () => {
+      const now = Date.now();
+      agg.updateBook('coinbase', book(99990, 100010, 1, now - 10000));
+      agg.updateBook('kraken', book(99995, 100015, 1, now));
+      const p = agg.getAggregatedPrice(now);
+      expect(p.sources.map(s => s.venue)).toEqual(['kraken']);
+      expect(p.excluded).toEqual([{ venue: 'coinbase', reason: 'stale', ageMs: 10000 }]);
+      expect(p.weightedMidpoint).toBeCloseTo(100005, 6);
+    });
+
+    it('should drop crossed books', () => {
+      agg.updateBook('truex', book(100020, 100010));
+      const p = agg.getAggregatedPrice();
+      expect(p.sources.length).toBe(0);
+      expect(p.excluded[0].reason).toBe('crossed');
+      expect(p.confidence).toBe(0);
+    });
+
+    it('should drop one-sided books', () => {
+      agg.updateBook('kraken', { bids: [[99990, 1]], asks: [], timestamp: Date.now() });
+      const p = agg.getAggregatedPrice();
+      expect(p.excluded[0].reason).toBe('empty');
+    });
+
+    it('should have full confidence when two fresh venues agree', () => {
+      const now = Date.now();
+      agg.updateBook('coinbase', book(99990, 100010, 1, now));
+      agg.updateBook('kraken', book(99990, 100010, 1, now));
+      expect(agg.getAggregatedPrice(now).confidence).toBeCloseTo(1, 6);
+    });
+
+    it('should lower confidence when venues disagree', () => {
+      const now = Date.now();
+      agg.updateBook('coinbase', book(99990, 100010, 1, now));
+      agg.updateBook('kraken', book(100190, 100210, 1, now)); // 20bps away
+      const p = agg.getAggregatedPrice(now);
+      // Each venue is 10bps from the weighted mid; 1 - 10/25 = 0.6
+      expect(p.confidence).toBeCloseTo(0.6, 2);
+    });
+
+    it('should reach zero confidence beyond maxDeviationBps', () => {
+      const now = Date.now();
+      agg.updateBook('coinbase', book(99990, 100010, 1, now));
+      agg.updateBook('kraken', book(100990, 101010, 1, now));
+      expect(agg.getAggregatedPrice(now).confidence).toBe(0);
+    });
+
+    it('should accept { price, size } levels and ignore invalid ones', () => {
+      agg.updateBook('truex', {
+        bids: [{ price: 99990, size: 1 }, { price: 'x', size: 1 }, { price: 99980, size: 0 }],
+        asks: [{ price: 100010, size: 2 }],
+        timestamp: Date.now(),
+      });
+      const p = agg.getAggregatedPrice();
+      expect(p.sources[0].depth).toBe(3);
+    });
+  });
+
+  describe('price events', () => {
+    it('should emit price on every book update by default', () => {
+      const prices = [];
+      agg.on('price', (p) => prices.push(p));
+      agg.updateBook('coinbase', book(99990, 100010));
+      agg.updateBook('coinbase', book(99995, 100015));
+      expect(prices.length).toBe(2);
+      expect(prices[1].weightedMidpoint).toBeCloseTo(100005, 6);
+      expect(agg.lastPrice).toBe(prices[1]);
+    });
+
+    it('should throttle with a trailing emit when minEmitIntervalMs is set', async () => {
+      agg = createAggregator({ minEmitIntervalMs: 20 });
+      const prices = [];
+      agg.on('price', (p) => prices.push(p));
+      agg.updateBook('coinbase', book(99990, 100010));
+      agg.updateBook('coinbase', book(99995, 100015));
+      agg.updateBook('coinbase', book(100000, 100020));
+      expect(prices.length).toBe(1);
+
+      await new Promise(r => setTimeout(r, 40));
+      expect(prices.length).toBe(2);
+      expect(prices[1].weightedMidpoint).toBeCloseTo(100010, 6);
+    });
+  });
+
+  describe('source bindings', () => {
+    it('should consume CoinbaseWsIngest snapshots and L2 updates, chaining existing callbacks', () => {
+      const prevSnapshot = jest.fn();
+      const ingest = { onSnapshot: prevSnapshot, onL2Update: undefined };
+      agg.addCoinbaseIngest(ingest);
+
+      ingest.onSnapshot('BTC-PYUSD', { bids: [[99990, 1]], asks: [[100010, 1]] });
+      expect(prevSnapshot).toHaveBeenCalledTimes(1);
+      expect(agg.getAggregatedPrice().weightedMidpoint).toBeCloseTo(100000, 6);
+
+      ingest.onL2Update('BTC-PYUSD', [{ side: 'bid', price: 99990, size: 0 }, { side: 'bid', price: 100000, size: 1 }]);
+      expect(agg.getAggregatedPrice().bestBid).toBe(100000);
+
+      agg.detach();
+      expect(ingest.onSnapshot).toBe(prevSnapshot);
+    });
+
+    it('should ignore Coinbase updates for other symbols', () => {
+      const ingest = {};
+      agg.addCoinbaseIngest(ingest);
+      ingest.onSnapshot('ETH/USD', { bids: [[3000, 1]], asks: [[3001, 1]] });
+      expect(agg.books.size).toBe(0);
+    });
+
+    it('should consume Kraken orderBookUpdate events', () => {
+      const kraken = new EventEmitter();
+      agg.addKrakenAdapter(kraken);
+      kraken.emit('orderBookUpdate', { symbol: 'BTC/USD', bids: [[99990, 1]], asks: [[100010, 1]], timestamp: Date.now() });
+      expect(agg.books.has('kraken')).toBe(true);
+
+      agg.detach();
+      expect(kraken.listenerCount('orderBookUpdate')).toBe(0);
+    });
+
+    it('should consume TrueXMarketDataFeed book-change events', () => {
+      const feed = new EventEmitter();
+      agg.addTrueXFeed(feed);
+      feed.emit('book-change', { bids: [{ price: 99990, size: 1 }], asks: [{ price: 100010, size: 1 }], timestamp: Date.now() });
+      expect(agg.getAggregatedPrice().sources[0].venue).toBe('truex');
+    });
+  });
+
+  describe('orchestrator integration', () => {
+    it('should be built by the orchestrator from reference feeds and drive QuoteEngine', async () => {
+      const fix = new EventEmitter();
+      fix.connect = jest.fn(async () => {});
+      fix.disconnect = jest.fn(async () => {});
+      fix.sendMessage = jest.fn();
+      const kraken = new EventEmitter();
+
+      const orchestrator = new MarketMakerOrchestrator({
+        fixConnection: fix,
+        krakenAdapter: kraken,
+        coinbaseIngest: {},
+        logger: createMockLogger(),
+      });
+      expect(orchestrator.priceAggregator).toBeInstanceOf(PriceAggregator);
+      expect(orchestrator.hedgeExecutor.priceAggregator).toBe(orchestrator.priceAggregator);
+
+      await orchestrator.start();
+      const onPriceUpdate = jest.spyOn(orchestrator.quoteEngine, 'onPriceUpdate');
+      kraken.emit('orderBookUpdate', { bids: [[99990, 1]], asks: [[100010, 1]], timestamp: Date.now() });
+      expect(onPriceUpdate).toHaveBeenCalledTimes(1);
+      expect(onPriceUpdate.mock.calls[0][0].weightedMidpoint).toBeCloseTo(100000, 6);
+
+      await orchestrator.stop();
+      orchestrator.priceAggregator.detach();
+    });
+  });
+});
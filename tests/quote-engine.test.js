@@ -1,5 +1,6 @@
 import { describe, it, test, expect, beforeEach, afterEach, mock } from 'bun:test';
 import { QuoteEngine } from '../src/core/quote-engine.js';
+import { OrderRateLimiter } from '../src/core/order-rate-limiter.js';
 
 // --- Test helpers ---
 
@@ -318,6 +319,131 @@ describe('QuoteEngine', () => {
     });
   });
 
+  describe('queue-priority reconciliation', () => {
+    function restingLadder(engine, desired) {
+      const active = new Map();
+      for (const dq of desired) {
+        active.set(`R_${dq.side}_${dq.price}`, { side: dq.side, price: dq.price, size: dq.size, level: dq.level, status: 'active', placedAt: Date.now() });
+      }
+      return active;
+    }
+
+    it('keeps orders still on the ladder and moves only the one that fell off', () => {
+      const engine = createEngine({ levels: 3 });
+      const active = restingLadder(engine, engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 }));
+
+      // One tick lower on both sides
+      const desired = engine.computeDesiredQuotes(100000, { bidSkewTicks: 1, askSkewTicks: -1 });
+      const actions = engine.reconcileOrders(desired, active);
+
+      expect(actions.toCancel.length).toBe(0);
+      expect(actions.toPlace.length).toBe(0);
+      expect(actions.toReplace.map(r => [r.cancel, r.place.price])).toEqual([
+        ['R_buy_99749.5', 99748],
+        ['R_sell_100251.5', 100250],
+      ]);
+      // Kept orders take their new level
+      expect(active.get('R_buy_99749').level).toBe(1);
+      // Same prices, but each now wants its new level's size
+      expect(engine.getChurnStats().kept).toBe(4);
+    });
+
+    it('counts a keep only when the desired price or size moved', () => {
+      const engine = createEngine({ levels: 1, repriceThresholdTicks: 2 });
+      const active = restingLadder(engine, engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 }));
+
+      // Unchanged ladder, tick after tick
+      engine.reconcileOrders(engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 }), active);
+      engine.reconcileOrders(engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 }), active);
+      expect(engine.getChurnStats().kept).toBe(0);
+
+      // One tick off: kept rather than repriced, counted once while it stays there
+      const moved = engine.computeDesiredQuotes(100000, { bidSkewTicks: 1, askSkewTicks: -1 });
+      expect(engine.reconcileOrders(moved, active).toReplace).toHaveLength(0);
+      engine.reconcileOrders(moved, active);
+      expect(engine.getChurnStats().kept).toBe(2);
+    });
+
+    it('tops up a kept order that partial fills left well below its quote size', () => {
+      const engine = createEngine({ levels: 1 });
+      const desired = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+      const active = restingLadder(engine, desired);
+      active.get('R_buy_99749.5').size = 0.06;   // 40% short: kept as is
+      active.get('R_sell_100250.5').size = 0.03; // 70% short: topped up
+
+      const actions = engine.reconcileOrders(desired, active);
+
+      expect(actions.toReplace.map(r => [r.cancel, r.place.price, r.place.size])).toEqual([['R_sell_100250.5', 100250.5, 0.1]]);
+      expect(actions.toPlace.length + actions.toCancel.length).toBe(0);
+      expect(active.get('R_buy_99749.5').size).toBe(0.06);
+    });
+
+    it('re-places only the filled level', () => {
+      const engine = createEngine({ levels: 3 });
+      const desired = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+      const active = restingLadder(engine, desired);
+      active.delete('R_buy_99749.5');
+
+      const actions = engine.reconcileOrders(desired, active);
+      expect(actions.toPlace.map(q => [q.side, q.price, q.level])).toEqual([['buy', 99749.5, 1]]);
+      expect(actions.toReplace.length + actions.toCancel.length).toBe(0);
+    });
+
+    it('matches a replace in flight on its new price and otherwise waits for it', () => {
+      const engine = createEngine({ levels: 1, amendMode: true });
+      engine.onPriceUpdate(makePrice(100000));
+      const [bidID] = [...engine.activeOrders].find(([, o]) => o.side === 'buy');
+      for (const id of engine.activeOrders.keys()) engine.onExecutionReport({ '11': id, '39': '0' });
+
+      engine.lastActionByClOrdID.clear();
+      engine.onPriceUpdate(makePrice(100010));
+      expect(engine.activeOrders.get(bidID).status).toBe('pending-replace');
+
+      // Same target again: nothing to do
+      const again = engine.reconcileOrders(engine.computeDesiredQuotes(100010, { bidSkewTicks: 0, askSkewTicks: 0 }), engine.activeOrders);
+      expect(again).toEqual({ toPlace: [], toCancel: [], toReplace: [] });
+
+      // A new target waits for the ack rather than stacking a second order
+      const moved = engine.reconcileOrders(engine.computeDesiredQuotes(100020, { bidSkewTicks: 0, askSkewTicks: 0 }), engine.activeOrders);
+      expect(moved).toEqual({ toPlace: [], toCancel: [], toReplace: [] });
+    });
+
+    it('estimates queue position from the TrueX book', () => {
+      const book = { bids: [{ price: 99749.5, size: 2.1 }], asks: [] };
+      const feed = { isSubscribed: true, getOrderBook: () => book };
+      const engine = createEngine({ levels: 1, marketDataFeed: feed });
+      engine.onPriceUpdate(makePrice(100000));
+      const [bidID, bid] = [...engine.activeOrders].find(([, o]) => o.side === 'buy');
+
+      // Acked behind 2 BTC (the level includes our 0.1)
+      engine.onExecutionReport({ '11': bidID, '39': '0' });
+      expect(bid.queueAhead).toBeCloseTo(2, 8);
+
+      // Size ahead trades or cancels; size joining behind does not count
+      engine.onBookUpdate({ bids: [{ price: 99749.5, size: 0.6 }], asks: [] });
+      expect(bid.queueAhead).toBeCloseTo(0.5, 8);
+      engine.onBookUpdate({ bids: [{ price: 99749.5, size: 3.1 }], asks: [] });
+      expect(bid.queueAhead).toBeCloseTo(0.5, 8);
+
+      engine.onExecutionReport({ '11': bidID, '39': '1', '54': '1', '32': '0.04', '31': '99749.5', '14': '0.04', '151': '0.06' });
+      expect(engine.getQueuePositions().find(p => p.clOrdID === bidID)).toMatchObject({ side: 'buy', level: 1, queueAhead: 0 });
+    });
+
+    it('counts cancels and replaces per fill', () => {
+      const engine = createEngine({ levels: 1 });
+      engine.onPriceUpdate(makePrice(100000));
+      expect(engine.getChurnStats()).toMatchObject({ placed: 2, cancelled: 0, fills: 0, cancelsPerFill: null });
+
+      engine.lastActionByClOrdID.clear();
+      engine.onPriceUpdate(makePrice(100010));  // cancel + new on both sides
+      const [askID] = [...engine.activeOrders].find(([, o]) => o.side === 'sell' && o.price > 100250.5);
+      engine.onExecutionReport({ '11': askID, '39': '2', '54': '2', '32': '0.1', '31': '100260.5', '14': '0.1' });
+
+      expect(engine.getChurnStats()).toMatchObject({ placed: 4, cancelled: 2, replaced: 0, fills: 1, cancelsPerFill: 2 });
+      expect(engine.getQuoteStatus().churn.fills).toBe(1);
+    });
+  });
+
   describe('rate limiting', () => {
     it('should defer actions beyond maxOrdersPerSecond', () => {
       const engine = createEngine({ maxOrdersPerSecond: 3, levels: 3 });
@@ -357,6 +483,77 @@ describe('QuoteEngine', () => {
       engine.drainQueue();
       expect(engine.actionQueue.length).toBe(0);
     });
+
+    it('should share one budget between engines given the same rateLimiter', () => {
+      const rateLimiter = new OrderRateLimiter({ maxPerSecond: 4 });
+      const btc = createEngine({ levels: 1, rateLimiter });
+      const eth = createEngine({ levels: 2, symbol: 'ETH-PYUSD', rateLimiter });
+
+      const quotes = (engine, mid) => engine.reconcileOrders(engine.computeDesiredQuotes(mid, { bidSkewTicks: 0, askSkewTicks: 0 }), new Map());
+      btc.executeActions(quotes(btc, 100000));
+      eth.executeActions(quotes(eth, 3000));
+
+      expect(rateLimiter.actionsThisSecond).toBe(4);
+      expect(btc.actionQueue.length).toBe(0);
+      expect(eth.actionQueue.length).toBe(2);
+    });
+
+    it('should time tick-to-order for sent and queued actions', () => {
+      const engine = createEngine({ maxOrdersPerSecond: 2, levels: 2 });
+      const latencies = [];
+      engine.on('order-latency', (e) => latencies.push(e));
+
+      engine.onPriceUpdate(makePrice(100000));
+      expect(latencies.map(e => e.action)).toEqual(['place', 'place']);
+
+      engine.rateLimiter.lastActionReset = Date.now() - 1001;
+      engine.drainQueue();
+      expect(latencies).toHaveLength(4);
+      expect(latencies.every(e => e.latencyMs >= 0)).toBe(true);
+    });
+  });
+
+  describe('operator controls', () => {
+    it('should cancel and stop quoting a paused side until resumed', () => {
+      const fix = createMockFix();
+      const engine = createEngine({ fixConnection: fix, levels: 2 });
+      engine.activeOrders.set('B1', { side: 'buy', price: 99750, size: 0.1, level: 1, status: 'active' });
+      engine.activeOrders.set('S1', { side: 'sell', price: 100250, size: 0.1, level: 1, status: 'active' });
+
+      engine.pauseSide('buy', 'test');
+
+      expect(fix.sendMessage.mock.calls.map(([f]) => [f['35'], f['41']])).toEqual([['F', 'B1']]);
+      const desired = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+      expect(desired.map(q => q.side)).toEqual(['sell', 'sell']);
+      expect(engine.getQuoteStatus().pausedSides).toEqual(['buy']);
+
+      engine.resumeSide('buy');
+      expect(engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 })).toHaveLength(4);
+      expect(() => engine.pauseSide('up')).toThrow('Invalid side: up');
+    });
+
+    it('should apply validated config changes to the next ladder', () => {
+      const engine = createEngine({ levels: 3, baseSpreadBps: 50 });
+      const updates = [];
+      engine.on('config-updated', (u) => updates.push(u));
+
+      expect(engine.updateConfig({ levels: 1, baseSpreadBps: 100 })).toEqual({ levels: 3, baseSpreadBps: 50 });
+
+      const desired = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+      expect(desired).toHaveLength(2);
+      expect(desired[0].price).toBe(99499.5);
+      expect(updates).toEqual([{ changes: { levels: 1, baseSpreadBps: 100 }, previous: { levels: 3, baseSpreadBps: 50 } }]);
+    });
+
+    it('should reject invalid or unknown config without applying any of it', () => {
+      const engine = createEngine({ levels: 3 });
+
+      expect(() => engine.updateConfig({ levels: 2, baseSizeBTC: -1 })).toThrow('Invalid baseSizeBTC: -1');
+      expect(() => engine.updateConfig({ levels: 2.5 })).toThrow('Invalid levels: 2.5');
+      expect(() => engine.updateConfig({ tickSize: 1 })).toThrow('tickSize cannot be changed at runtime');
+      expect(() => engine.updateConfig({})).toThrow('No config changes given');
+      expect(engine.config.levels).toBe(3);
+    });
   });
 
   describe('confidence gating', () => {
@@ -595,6 +792,14 @@ describe('QuoteEngine', () => {
       expect(engine.activeOrders.has('CLO003')).toBe(false);
     });
 
+    it('should remove the original order when a cancel request is acknowledged', () => {
+      const engine = createEngine();
+      engine.activeOrders.set('CLO003', { side: 'sell', price: 100250, size: 0.1, level: 1, status: 'active', placedAt: Date.now() });
+
+      engine.onExecutionReport({ '11': 'CXL001', '41': 'CLO003', '39': '4', '150': '4', '54': '2' });
+      expect(engine.activeOrders.has('CLO003')).toBe(false);
+    });
+
     it('should remove order and log error on OrdStatus=8 (Rejected)', () => {
       const mockLogger = createMockLogger();
       const engine = createEngine({ logger: mockLogger });
@@ -606,6 +811,77 @@ describe('QuoteEngine', () => {
       expect(mockLogger.error.mock.calls.length).toBeGreaterThan(0);
     });
 
+    it('should keep order with reduced size and emit incremental fill on OrdStatus=1 (Partial)', () => {
+      const engine = createEngine();
+      const fillEvents = [];
+      engine.on('fill', (e) => fillEvents.push(e));
+
+      engine.activeOrders.set('CLO005', { side: 'buy', price: 99750, size: 0.1, origSize: 0.1, cumQty: 0, avgPx: 0, level: 1, status: 'active', placedAt: Date.now() });
+
+      engine.onExecutionReport({
+        '11': 'CLO005', '39': '1', '54': '1', '17': 'E1',
+        '31': '99750.00', '32': '0.04', '14': '0.04', '151': '0.06', '6': '99750.00',
+      });
+
+      const order = engine.activeOrders.get('CLO005');
+      expect(order.status).toBe('partial');
+      expect(order.size).toBeCloseTo(0.06, 10);
+      expect(order.cumQty).toBeCloseTo(0.04, 10);
+      expect(fillEvents.length).toBe(1);
+      expect(fillEvents[0].size).toBeCloseTo(0.04, 10);
+      expect(fillEvents[0].isPartial).toBe(true);
+      expect(fillEvents[0].leavesQty).toBeCloseTo(0.06, 10);
+    });
+
+    it('should report only the remaining quantity on the final fill after partials', () => {
+      const engine = createEngine();
+      const fillEvents = [];
+      engine.on('fill', (e) => fillEvents.push(e));
+
+      engine.activeOrders.set('CLO006', { side: 'sell', price: 100250, size: 0.1, origSize: 0.1, cumQty: 0, avgPx: 0, level: 1, status: 'active', placedAt: Date.now() });
+
+      engine.onExecutionReport({ '11': 'CLO006', '39': '1', '54': '2', '17': 'E1', '31': '100250', '14': '0.03', '151': '0.07' });
+      // Final report without LastQty: size derived from CumQty delta
+      engine.onExecutionReport({ '11': 'CLO006', '39': '2', '54': '2', '17': 'E2', '31': '100250', '38': '0.1', '14': '0.1', '151': '0' });
+
+      expect(engine.activeOrders.has('CLO006')).toBe(false);
+      expect(fillEvents.length).toBe(2);
+      expect(fillEvents[0].size).toBeCloseTo(0.03, 10);
+      expect(fillEvents[1].size).toBeCloseTo(0.07, 10);
+      expect(fillEvents[1].isPartial).toBe(false);
+      expect(fillEvents[1].cumQty).toBeCloseTo(0.1, 10);
+      expect(fillEvents[1].avgPx).toBeCloseTo(100250, 6);
+    });
+
+    it('should ignore a partial fill report that does not advance CumQty', () => {
+      const engine = createEngine();
+      const fillEvents = [];
+      engine.on('fill', (e) => fillEvents.push(e));
+
+      engine.activeOrders.set('CLO007', { side: 'buy', price: 99750, size: 0.1, origSize: 0.1, cumQty: 0, avgPx: 0, level: 1, status: 'active', placedAt: Date.now() });
+
+      const report = { '11': 'CLO007', '39': '1', '54': '1', '17': 'E1', '31': '99750', '32': '0.02', '14': '0.02', '151': '0.08' };
+      engine.onExecutionReport(report);
+      engine.onExecutionReport({ ...report });
+
+      expect(fillEvents.length).toBe(1);
+      expect(engine.activeOrders.get('CLO007').size).toBeCloseTo(0.08, 10);
+    });
+
+    it('should reconcile against the remaining size of a partially filled order', () => {
+      const engine = createEngine({ levels: 1 });
+      engine.activeOrders.set('CLO008', { side: 'buy', price: 99000, size: 0.1, origSize: 0.1, cumQty: 0, avgPx: 0, level: 1, status: 'active', placedAt: Date.now() });
+      engine.onExecutionReport({ '11': 'CLO008', '39': '1', '54': '1', '17': 'E1', '31': '99000', '32': '0.04', '14': '0.04', '151': '0.06' });
+
+      const desired = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+      const actions = engine.reconcileOrders(desired, engine.activeOrders);
+
+      const replace = actions.toReplace.find(r => r.cancel === 'CLO008');
+      expect(replace).toBeDefined();
+      expect(replace.cancelOrder.size).toBeCloseTo(0.06, 10);
+      expect(replace.place.size).toBe(0.1);
+    });
+
     it('should handle null fields gracefully', () => {
       const engine = createEngine();
       // Should not throw
@@ -763,6 +1039,225 @@ describe('QuoteEngine', () => {
     });
   });
 
+  describe('amendMode (35=G cancel/replace)', () => {
+    function seedOrder(engine, clOrdID, overrides = {}) {
+      engine.activeOrders.set(clOrdID, {
+        side: 'buy', price: 99000, size: 0.1, origSize: 0.1, cumQty: 0, avgPx: 0,
+        level: 1, status: 'active', placedAt: Date.now(), ...overrides,
+      });
+    }
+
+    it('should send a single 35=G with OrigClOrdID instead of cancel + new', () => {
+      const mockFix = createMockFix();
+      const engine = createEngine({ fixConnection: mockFix, amendMode: true });
+      seedOrder(engine, 'ORIG1');
+
+      engine.executeActions({
+        toCancel: [],
+        toPlace: [],
+        toReplace: [{ cancel: 'ORIG1', cancelOrder: engine.activeOrders.get('ORIG1'), place: { side: 'buy', price: 99500, size: 0.1, level: 1 } }],
+      });
+
+      const msgTypes = mockFix.sendMessage.mock.calls.map(c => c[0]['35']);
+      expect(msgTypes).toEqual(['G']);
+      const fields = mockFix.sendMessage.mock.calls[0][0];
+      expect(fields['41']).toBe('ORIG1');
+      expect(fields['44']).toBe('99500.00');
+      expect(fields['38']).toBe('0.1');
+      expect(engine.actionsThisSecond).toBe(1);
+      expect(engine.activeOrders.get('ORIG1').status).toBe('pending-replace');
+    });
+
+    it('should still use cancel + new when amendMode is off', () => {
+      const mockFix = createMockFix();
+      const engine = createEngine({ fixConnection: mockFix });
+      seedOrder(engine, 'ORIG1');
+
+      engine.executeActions({
+        toCancel: [],
+        toPlace: [],
+        toReplace: [{ cancel: 'ORIG1', cancelOrder: engine.activeOrders.get('ORIG1'), place: { side: 'buy', price: 99500, size: 0.1, level: 1 } }],
+      });
+
+      const msgTypes = mockFix.sendMessage.mock.calls.map(c => c[0]['35']);
+      expect(msgTypes).toEqual(['F', 'D']);
+    });
+
+    it('should add filled quantity back into OrderQty for a partially filled order', () => {
+      const mockFix = createMockFix();
+      const engine = createEngine({ fixConnection: mockFix, amendMode: true });
+      seedOrder(engine, 'ORIG1', { size: 0.06, cumQty: 0.04, status: 'partial' });
+
+      engine._sendReplace('ORIG1', engine.activeOrders.get('ORIG1'), { side: 'buy', price: 99500, size: 0.1, level: 1 });
+
+      expect(parseFloat(mockFix.sendMessage.mock.calls[0][0]['38'])).toBeCloseTo(0.14, 10);
+    });
+
+    it('should round OrderQty to the lot decimals after a fractional fill', () => {
+      const mockFix = createMockFix();
+      const engine = createEngine({ fixConnection: mockFix, amendMode: true, lotSize: 0.0001 });
+      seedOrder(engine, 'ORIG1', { size: 0.1, cumQty: 0.1, status: 'partial' });
+
+      // 0.2 + 0.1 is 0.30000000000000004 in floating point
+      engine._sendReplace('ORIG1', engine.activeOrders.get('ORIG1'), { side: 'buy', price: 99500, size: 0.2, level: 1 });
+
+      expect(mockFix.sendMessage.mock.calls[0][0]['38']).toBe('0.3');
+      expect(engine.pendingReplaces.values().next().value.orderQty).toBe(0.3);
+    });
+
+    it('should rekey activeOrders on ExecType=5 (Replaced)', () => {
+      const mockFix = createMockFix();
+      const engine = createEngine({ fixConnection: mockFix, amendMode: true });
+      const replaced = [];
+      engine.on('replaced', (e) => replaced.push(e));
+      seedOrder(engine, 'ORIG1');
+
+      engine._sendReplace('ORIG1', engine.activeOrders.get('ORIG1'), { side: 'buy', price: 99500, size: 0.1, level: 1 });
+      const newClOrdID = mockFix.sendMessage.mock.calls[0][0]['11'];
+
+      engine.onExecutionReport({ '11': newClOrdID, '41': 'ORIG1', '150': 'E', '39': 'E', '54': '1' });
+      expect(engine.activeOrders.get('ORIG1').status).toBe('pending-replace');
+
+      engine.onExecutionReport({ '11': newClOrdID, '41': 'ORIG1', '150': '5', '39': '0', '54': '1', '44': '99500', '38': '0.1', '14': '0', '151': '0.1' });
+
+      expect(engine.activeOrders.has('ORIG1')).toBe(false);
+      const order = engine.activeOrders.get(newClOrdID);
+      expect(order.price).toBe(99500);
+      expect(order.size).toBe(0.1);
+      expect(order.level).toBe(1);
+      expect(order.status).toBe('active');
+      expect(engine.pendingReplaces.size).toBe(0);
+      expect(replaced.length).toBe(1);
+      expect(replaced[0].origClOrdID).toBe('ORIG1');
+    });
+
+    it('should keep the original price and size when a replace report without a pending replace omits them', () => {
+      const engine = createEngine({ amendMode: true });
+      engine.adoptOrder('ADOPTED1', { side: 'sell', price: 100500, size: 0.2, level: 2 });
+
+      expect(() => engine.onExecutionReport({ '11': 'NEW1', '41': 'ADOPTED1', '150': '5', '39': '0', '54': '2' })).not.toThrow();
+
+      const order = engine.activeOrders.get('NEW1');
+      expect(order).toMatchObject({ side: 'sell', price: 100500, size: 0.2, origSize: 0.2, level: 2, status: 'active' });
+      expect(engine.activeOrders.has('ADOPTED1')).toBe(false);
+    });
+
+    it('should not issue another replace while one is pending', () => {
+      const engine = createEngine({ amendMode: true, levels: 1 });
+      seedOrder(engine, 'ORIG1', { status: 'pending-replace' });
+
+      const desired = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+      const actions = engine.reconcileOrders(desired.filter(q => q.side === 'buy'), engine.activeOrders);
+
+      expect(actions.toReplace.length).toBe(0);
+      expect(actions.toCancel.length).toBe(0);
+    });
+
+    it('should keep a replace pending through a partial fill of the original', () => {
+      const mockFix = createMockFix();
+      const engine = createEngine({ fixConnection: mockFix, amendMode: true, levels: 1 });
+      seedOrder(engine, 'ORIG1');
+
+      engine._sendReplace('ORIG1', engine.activeOrders.get('ORIG1'), { side: 'buy', price: 99500, size: 0.1, level: 1 });
+      const newClOrdID = mockFix.sendMessage.mock.calls[0][0]['11'];
+      engine.onExecutionReport({ '11': 'ORIG1', '150': 'F', '39': '1', '54': '1', '17': 'E1', '32': '0.04', '31': '99000', '14': '0.04', '151': '0.06' });
+
+      const order = engine.activeOrders.get('ORIG1');
+      expect(order.status).toBe('pending-replace');
+      expect(order.cumQty).toBe(0.04);
+      const desired = engine.computeDesiredQuotes(101000, { bidSkewTicks: 0, askSkewTicks: 0 });
+      expect(engine.reconcileOrders(desired.filter(q => q.side === 'buy'), engine.activeOrders).toReplace.length).toBe(0);
+
+      engine.onOrderCancelReject({ '35': '9', '11': newClOrdID, '41': 'ORIG1', '434': '2', '102': '1' });
+      expect(order.status).toBe('partial');
+    });
+
+    it('should not revive an order that fully filled while its replace was in flight', () => {
+      const mockFix = createMockFix();
+      const engine = createEngine({ fixConnection: mockFix, amendMode: true });
+      const replaced = [];
+      engine.on('replaced', (e) => replaced.push(e));
+      seedOrder(engine, 'ORIG1');
+
+      engine._sendReplace('ORIG1', engine.activeOrders.get('ORIG1'), { side: 'buy', price: 99500, size: 0.1, level: 1 });
+      const newClOrdID = mockFix.sendMessage.mock.calls[0][0]['11'];
+      engine.onExecutionReport({ '11': 'ORIG1', '150': 'F', '39': '2', '54': '1', '17': 'E1', '32': '0.1', '31': '99000', '14': '0.1', '151': '0' });
+
+      expect(engine.activeOrders.has('ORIG1')).toBe(false);
+      expect(engine.pendingReplaces.size).toBe(0);
+
+      engine.onExecutionReport({ '11': newClOrdID, '41': 'ORIG1', '150': '5', '39': '0', '54': '1', '44': '99500', '38': '0.1', '14': '0', '151': '0.1' });
+
+      expect(engine.activeOrders.size).toBe(0);
+      expect(replaced.length).toBe(0);
+    });
+
+    it('should fall back to cancel + new when the replace is rejected (35=9)', () => {
+      const mockFix = createMockFix();
+      const mockLogger = createMockLogger();
+      const engine = createEngine({ fixConnection: mockFix, logger: mockLogger, amendMode: true });
+      seedOrder(engine, 'ORIG1');
+
+      engine._sendReplace('ORIG1', engine.activeOrders.get('ORIG1'), { side: 'buy', price: 99500, size: 0.1, level: 1 });
+      const newClOrdID = mockFix.sendMessage.mock.calls[0][0]['11'];
+
+      engine.onOrderCancelReject({ '35': '9', '11': newClOrdID, '41': 'ORIG1', '434': '2', '58': 'Replace not supported' });
+
+      const msgTypes = mockFix.sendMessage.mock.calls.map(c => c[0]['35']);
+      expect(msgTypes).toEqual(['G', 'F', 'D']);
+      expect(mockFix.sendMessage.mock.calls[1][0]['41']).toBe('ORIG1');
+      expect(mockFix.sendMessage.mock.calls[2][0]['44']).toBe('99500.00');
+      expect(engine.activeOrders.get('ORIG1').status).toBe('active');
+      expect(engine.pendingReplaces.size).toBe(0);
+      expect(mockLogger.warn.mock.calls.length).toBeGreaterThan(0);
+    });
+
+    it('should not re-place when the rejected replace targeted an order that is already gone', () => {
+      const mockFix = createMockFix();
+      const engine = createEngine({ fixConnection: mockFix, amendMode: true });
+      seedOrder(engine, 'ORIG1');
+
+      engine._sendReplace('ORIG1', engine.activeOrders.get('ORIG1'), { side: 'buy', price: 99500, size: 0.1, level: 1 });
+      const newClOrdID = mockFix.sendMessage.mock.calls[0][0]['11'];
+      engine.activeOrders.delete('ORIG1'); // e.g. filled in the meantime
+
+      engine.onOrderCancelReject({ '35': '9', '11': newClOrdID, '41': 'ORIG1', '434': '2', '102': '1' });
+
+      expect(mockFix.sendMessage.mock.calls.length).toBe(1);
+    });
+  });
+
+  describe('onRiskRejection', () => {
+    it('should drop a rejected new order from activeOrders', () => {
+      const mockFix = createMockFix();
+      const engine = createEngine({ fixConnection: mockFix });
+      engine._sendNewOrder({ side: 'buy', price: 99000, size: 0.1, level: 1 });
+      const clOrdID = mockFix.sendMessage.mock.calls[0][0]['11'];
+
+      engine.onRiskRejection({ clOrdID, msgType: 'D', reason: 'PRICE_BAND', message: 'too far' });
+
+      expect(engine.activeOrders.has(clOrdID)).toBe(false);
+    });
+
+    it('should leave the original order resting when a replace is rejected', () => {
+      const mockFix = createMockFix();
+      const engine = createEngine({ fixConnection: mockFix, amendMode: true });
+      engine.activeOrders.set('ORIG1', {
+        side: 'buy', price: 99000, size: 0.1, origSize: 0.1, cumQty: 0, avgPx: 0,
+        level: 1, status: 'active', placedAt: Date.now(),
+      });
+      engine._sendReplace('ORIG1', engine.activeOrders.get('ORIG1'), { side: 'buy', price: 95000, size: 0.1, level: 1 });
+      const newClOrdID = mockFix.sendMessage.mock.calls[0][0]['11'];
+
+      engine.onRiskRejection({ clOrdID: newClOrdID, origClOrdID: 'ORIG1', msgType: 'G', reason: 'PRICE_BAND', message: 'too far' });
+
+      expect(engine.pendingReplaces.size).toBe(0);
+      expect(engine.activeOrders.get('ORIG1').status).toBe('active');
+      expect(engine.activeOrders.get('ORIG1').price).toBe(99000);
+      expect(mockFix.sendMessage.mock.calls.length).toBe(1);
+    });
+  });
+
   describe('withinPriceBand', () => {
     it('should return true for price within band', () => {
       const engine = createEngine({ priceBandPct: 2.5 });
@@ -832,6 +1327,86 @@ describe('QuoteEngine', () => {
     });
   });
 
+  describe('book-aware placement', () => {
+    function createFeed(bids, asks) {
+      return {
+        isSubscribed: true,
+        getOrderBook: () => ({
+          bids: bids.map(([price, size]) => ({ price, size })),
+          asks: asks.map(([price, size]) => ({ price, size })),
+          timestamp: Date.now(),
+        }),
+      };
+    }
+    const prices = (quotes, side) => quotes.filter(q => q.side === side).map(q => q.price);
+
+    it('joins, improves or backs off per level', () => {
+      const engine = createEngine({
+        marketDataFeed: createFeed([[99990, 1], [99980, 2]], [[100010, 1], [100020, 2]]),
+        placementModes: ['join', 'improve', 'backoff'],
+        minEdgeBps: 0.5,
+      });
+
+      const quotes = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+      expect(prices(quotes, 'buy')).toEqual([99990, 99990.5, 99990]);
+      expect(prices(quotes, 'sell')).toEqual([100010, 100009.5, 100010]);
+
+      // Skew moves joined levels; the min edge holds them back from the mid
+      expect(prices(engine.computeDesiredQuotes(100000, { bidSkewTicks: 2, askSkewTicks: -2 }), 'buy')[0]).toBe(99989);
+      engine.updateConfig({ minEdgeBps: 5 });
+      const wide = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+      expect(prices(wide, 'buy')).toEqual([99950, 99950, 99950]);
+      expect(prices(wide, 'sell')).toEqual([100050, 100050, 100050]);
+    });
+
+    it('joins rather than improves a one-tick spread', () => {
+      const engine = createEngine({
+        levels: 1,
+        marketDataFeed: createFeed([[99999.5, 1]], [[100000, 1]]),
+        placementModes: ['improve'],
+        minEdgeBps: 0,
+      });
+
+      const quotes = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+      expect(prices(quotes, 'buy')).toEqual([99999.5]);
+      expect(prices(quotes, 'sell')).toEqual([100000]);
+    });
+
+    it('takes our own resting orders out of the book', () => {
+      const engine = createEngine({
+        levels: 1,
+        marketDataFeed: createFeed([[99990, 1], [99980, 2]], [[100010, 0.5], [100020, 2]]),
+        placementModes: ['join'],
+        minEdgeBps: 0,
+      });
+      engine.activeOrders.set('B1', { side: 'buy', price: 99990, size: 1, level: 1, status: 'active' });
+      engine.activeOrders.set('S1', { side: 'sell', price: 100010, size: 0.2, level: 1, status: 'partial' });
+      engine.activeOrders.set('S2', { side: 'sell', price: 100020, size: 2, level: 1, status: 'pending' });
+
+      expect(engine.getTrueXTouch()).toEqual({ bestBid: 99980, bestAsk: 100010 });
+    });
+
+    it('never quotes through the other side of the book', () => {
+      // Book has moved 300 below the reference mid
+      const engine = createEngine({ levels: 1, marketDataFeed: createFeed([[99690, 1]], [[99700, 1]]) });
+
+      const quotes = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+      expect(prices(quotes, 'buy')).toEqual([99699.5]);
+      expect(prices(quotes, 'sell')).toEqual([100250.5]);
+    });
+
+    it('uses model prices without a subscribed feed', () => {
+      const feed = createFeed([[99990, 1]], [[100010, 1]]);
+      feed.isSubscribed = false;
+      const engine = createEngine({ levels: 1, marketDataFeed: feed, placementModes: ['join'] });
+
+      expect(engine.getTrueXTouch()).toBeNull();
+      const quotes = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+      expect(prices(quotes, 'buy')).toEqual([99749.5]);
+      expect(() => engine.updateConfig({ placementModes: ['jump'] })).toThrow('Invalid placementModes');
+    });
+  });
+
   describe('edge cases', () => {
     it('should work with no inventoryManager injected', () => {
       const engine = new QuoteEngine({
@@ -0,0 +1,193 @@
+import { describe, it, expect, mock } from 'bun:test';
+import { QuoteEngine } from '../src/core/quote-engine.js';
+import {
+  createQuoteStrategy,
+  FixedSpreadStrategy,
+  AvellanedaStoikovStrategy,
+} from '../src/core/strategies/index.js';
+import { getConfig } from '../src/config/default.js';
+
+const logger = () => ({ info: mock(() => {}), warn: mock(() => {}), error: mock(() => {}), debug: mock(() => {}) });
+
+const config = {
+  levels: 3,
+  baseSpreadBps: 50,
+  levelSpacingTicks: 1,
+  tickSize: 0.5,
+  baseSizeBTC: 0.1,
+  sizeDecayFactor: 0.8,
+};
+
+// Feed `n` mids one second apart alternating ±step around `mid`
+function feedMids(strategy, n, mid, step, start = 0) {
+  for (let i = 0; i < n; i++) {
+    strategy.onMid(mid + (i % 2 === 0 ? step : -step), start + i * 1000);
+  }
+}
+
+describe('createQuoteStrategy', () => {
+  it('defaults to the fixed spread model and builds strategies by name', () => {
+    expect(createQuoteStrategy()).toBeInstanceOf(FixedSpreadStrategy);
+    expect(createQuoteStrategy('avellaneda-stoikov', { riskAversion: 0.01 }).riskAversion).toBe(0.01);
+  });
+
+  it('passes instances through and rejects unknown names', () => {
+    const custom = { computeQuotes: () => ({ bids: [], asks: [] }) };
+    expect(createQuoteStrategy(custom)).toBe(custom);
+    expect(() => createQuoteStrategy('nope')).toThrow('Unknown quote strategy: nope');
+  });
+
+  it('is selectable per symbol in config', () => {
+    expect(getConfig('BTC-PYUSD').quoteModel).toBe('fixed-spread');
+    expect(getConfig('BTC-PYUSD', { quoteModel: 'avellaneda-stoikov' }).quoteModel).toBe('avellaneda-stoikov');
+  });
+});
+
+describe('AvellanedaStoikovStrategy', () => {
+  it('matches the fixed model spread on a cold start with no volatility or fills', () => {
+    const strategy = new AvellanedaStoikovStrategy({ logger: logger() });
+    const { bids, asks } = strategy.computeQuotes({ mid: 100000, netPosition: 0, config, now: 0 });
+
+    // 50 bps total → 250 either side of mid, then one tick per level
+    expect(bids[0].price).toBeCloseTo(99749.5, 6);
+    expect(asks[0].price).toBeCloseTo(100250.5, 6);
+    expect(bids[1].price).toBeCloseTo(99749, 6);
+    expect(bids.map(b => b.level)).toEqual([1, 2, 3]);
+    expect(bids[2].size).toBeCloseTo(0.064, 10);
+  });
+
+  it('quotes the same ladder as the fixed model on a cold start with no inventory', () => {
+    const strategy = new AvellanedaStoikovStrategy({ logger: logger() });
+    const fixed = new FixedSpreadStrategy({ logger: logger() });
+    const spaced = { ...config, levels: 5, levelSpacingTicks: 2 };
+
+    const as = strategy.computeQuotes({ mid: 100000, netPosition: 0, config: spaced, now: 0 });
+    const fs = fixed.computeQuotes({ mid: 100000, skew: { bidSkewTicks: 0, askSkewTicks: 0 }, config: spaced });
+
+    for (const side of ['bids', 'asks']) {
+      expect(as[side].map(q => q.level)).toEqual(fs[side].map(q => q.level));
+      as[side].forEach((q, i) => {
+        expect(q.price).toBeCloseTo(fs[side][i].price, 6);
+        expect(q.size).toBeCloseTo(fs[side][i].size, 10);
+      });
+    }
+  });
+
+  it('measures realized volatility in USD per root second', () => {
+    const strategy = new AvellanedaStoikovStrategy({ minVolSamples: 10, logger: logger() });
+    feedMids(strategy, 5, 100000, 10);
+    expect(strategy.getVolatility()).toBe(0);
+
+    feedMids(strategy, 101, 100000, 10);
+    // Each 1s return is ±20/100000, so σ ≈ 20 USD/√s
+    expect(strategy.getVolatility()).toBeCloseTo(20, 0);
+  });
+
+  it('shifts the reservation price against inventory and widens with volatility', () => {
+    const strategy = new AvellanedaStoikovStrategy({ riskAversion: 0.001, horizonSeconds: 60, minVolSamples: 10, logger: logger() });
+    const flat = strategy.computeQuotes({ mid: 100000, netPosition: 0, config, now: 0 });
+    feedMids(strategy, 101, 100000, 10);
+
+    const calm = strategy.computeQuotes({ mid: 100000, netPosition: 0, config, now: 0 });
+    const { sigma } = strategy.getState();
+    const volTerm = 0.001 * sigma * sigma * 60;
+    expect(calm.asks[0].price - calm.bids[0].price)
+      .toBeCloseTo(flat.asks[0].price - flat.bids[0].price + volTerm, 6);
+
+    const long = strategy.computeQuotes({ mid: 100000, netPosition: 2, config, now: 0 });
+    expect(strategy.getState().reservation).toBeCloseTo(100000 - 2 * volTerm, 6);
+    expect(long.bids[0].price).toBeLessThan(calm.bids[0].price);
+    expect(long.asks[0].price).toBeLessThan(calm.asks[0].price);
+  });
+
+  it('estimates fill intensity from our fills and tightens when fills come close to mid', () => {
+    const strategy = new AvellanedaStoikovStrategy({ minFillsForIntensity: 4, logger: logger() });
+    strategy.onMid(100000, 0);
+    for (let i = 0; i < 4; i++) {
+      strategy.onFill({ side: 'buy', price: 99950, timestamp: 1000 * (i + 1) });
+    }
+
+    const intensity = strategy.getIntensity(10000);
+    expect(intensity.k).toBeCloseTo(1 / 50, 10);
+    expect(intensity.A).toBeCloseTo(4 / 9, 10);
+
+    const { bids, asks } = strategy.computeQuotes({ mid: 100000, netPosition: 0, config, now: 10000 });
+    // (2/γ)·ln(1 + γ/k) with γ=0.001, k=0.02, plus level 1's tick either side
+    const expected = 2000 * Math.log(1 + 0.05);
+    expect(asks[0].price - bids[0].price).toBeCloseTo(expected + 2 * config.tickSize, 6);
+    expect(expected).toBeLessThan(500);
+
+    // Old fills age out of the window
+    expect(strategy.getIntensity(10000 + 60 * 60 * 1000)).toBeNull();
+  });
+});
+
+describe('QuoteEngine with a strategy', () => {
+  it('quotes the Avellaneda–Stoikov ladder, skewed by net position instead of tick skew', () => {
+    const inventoryManager = {
+      netPosition: 1,
+      getSkew: mock(() => ({ bidSkewTicks: 100, askSkewTicks: 100 })),
+      canQuote: mock(() => true),
+    };
+    const engine = new QuoteEngine({
+      inventoryManager,
+      fixConnection: { sendMessage: mock(() => Promise.resolve({})) },
+      logger: logger(),
+      levels: 2,
+      strategy: 'avellaneda-stoikov',
+      strategyOptions: { riskAversion: 0.001 },
+    });
+
+    const quotes = engine.computeDesiredQuotes(100000, inventoryManager.getSkew());
+    expect(quotes.find(q => q.side === 'buy' && q.level === 1).price).toBe(99749.5);
+    expect(quotes.find(q => q.side === 'sell' && q.level === 1).price).toBe(100250.5);
+    expect(engine.getQuoteStatus().strategy.name).toBe('avellaneda-stoikov');
+  });
+
+  it('widens the Avellaneda–Stoikov side an expected move runs over, but not by inventory skew', () => {
+    const inventoryManager = {
+      netPosition: 0,
+      getSkew: mock(() => ({ bidSkewTicks: 100, askSkewTicks: 100 })),
+      canQuote: mock(() => true),
+    };
+    const engine = new QuoteEngine({
+      inventoryManager,
+      fixConnection: { sendMessage: mock(() => Promise.resolve({})) },
+      logger: logger(),
+      levels: 1,
+      tickSize: 0.5,
+      strategy: 'avellaneda-stoikov',
+      // +1 bp of 100000 = $10 = 20 ticks, half of it as skew
+      signals: { getSignal: ({ mid }) => ({ alphaBps: 1, fairValueAdj: mid / 10000 }), getState: () => ({}) },
+      fairValueWeight: 1,
+      alphaSkewWeight: 0.5,
+    });
+
+    const { center, skew } = engine.computeSkew(100000);
+    const quotes = engine.computeDesiredQuotes(center, skew);
+    expect(quotes.find(q => q.side === 'buy').price).toBe(99759.5);
+    expect(quotes.find(q => q.side === 'sell').price).toBe(100265.5);
+  });
+
+  it('feeds mids and fills to the strategy', () => {
+    const strategy = {
+      computeQuotes: mock(() => ({ bids: [{ price: 99000, size: 0.1, level: 1 }], asks: [] })),
+      onMid: mock(() => {}),
+      onFill: mock(() => {}),
+      getState: () => ({ name: 'custom' }),
+    };
+    const engine = new QuoteEngine({
+      fixConnection: { sendMessage: mock(() => Promise.resolve({})) },
+      logger: logger(),
+      strategy,
+    });
+
+    engine.onPriceUpdate({ weightedMidpoint: 100000, confidence: 1 });
+    expect(strategy.onMid).toHaveBeenCalledWith(100000, expect.any(Number));
+    expect(strategy.computeQuotes.mock.calls[0][0]).toMatchObject({ mid: 100000, netPosition: 0 });
+
+    const [clOrdID] = engine.activeOrders.keys();
+    engine.onExecutionReport({ '35': '8', '150': 'F', '39': '2', '11': clOrdID, '54': '1', '31': '99000', '32': '0.1', '14': '0.1', '17': 'E1' });
+    expect(strategy.onFill).toHaveBeenCalledWith(expect.objectContaining({ side: 'buy', price: 99000, size: 0.1 }));
+  });
+});
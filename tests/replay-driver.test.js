@@ -0,0 +1,281 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from 'bun:test';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { VirtualClock } from '../src/simulation/virtual-clock.js';
+import { ReplayDriver } from '../src/simulation/replay-driver.js';
+import { MarketDataRecorder, readRecording } from '../src/data-pipeline/market-data-recorder.js';
+import { CoinbaseWsIngest } from '../src/data-pipeline/coinbase-ws-ingest.js';
+import { MarketMakerOrchestrator } from '../src/core/market-maker-orchestrator.js';
+
+// --- Helpers ---
+
+function createMockLogger() {
+  return { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+}
+
+function createMockFIXConnection() {
+  const fix = new EventEmitter();
+  fix.isConnected = false;
+  fix.isLoggedOn = false;
+  fix.connect = jest.fn(async () => { fix.isConnected = true; fix.isLoggedOn = true; });
+  fix.disconnect = jest.fn(async () => { fix.isConnected = false; fix.isLoggedOn = false; });
+  fix.sendMessage = jest.fn();
+  return fix;
+}
+
+function fixRaw(fields) {
+  return Object.entries(fields).map(([tag, value]) => `${tag}=${value}`).join('\x01') + '\x01';
+}
+
+const T0 = 1_700_000_000_000;
+
+function coinbaseSnapshot(bid, ask) {
+  return JSON.stringify({ type: 'snapshot', product_id: 'BTC-USD', bids: [[String(bid), '2']], asks: [[String(ask), '2']] });
+}
+
+function coinbaseUpdate(side, price, size) {
+  return JSON.stringify({ type: 'l2update', product_id: 'BTC-USD', changes: [[side, String(price), String(size)]] });
+}
+
+function krakenBook(bid, ask, timestamp) {
+  return { symbol: 'BTC/USD', bids: [[bid, 1]], asks: [[ask, 1]], timestamp };
+}
+
+// A minute of two-venue prices drifting down, with one recorded fill halfway
+function buildRecording() {
+  const records = [
+    { t: T0, source: 'header', data: { version: 1, symbol: 'BTC-PYUSD', sessionId: 'mm-rec', sources: ['coinbase', 'kraken', 'truex-oe'] } },
+    { t: T0 + 100, source: 'coinbase', data: coinbaseSnapshot(99990, 100010) },
+    { t: T0 + 150, source: 'kraken', data: krakenBook(99995, 100015, T0 + 150) },
+  ];
+  for (let i = 1; i <= 20; i++) {
+    const t = T0 + 150 + i * 3000;
+    const bid = 99990 - i * 20;
+    records.push({ t, source: 'coinbase', data: coinbaseUpdate('buy', 99990 - (i - 1) * 20, 0) });
+    records.push({ t: t + 1, source: 'coinbase', data: coinbaseUpdate('buy', bid, 2) });
+    records.push({ t: t + 2, source: 'coinbase', data: coinbaseUpdate('sell', bid + 20, 2) });
+    records.push({ t: t + 500, source: 'kraken', data: krakenBook(bid + 5, bid + 25, t + 500) });
+  }
+  records.push({
+    t: T0 + 30000,
+    source: 'truex-oe',
+    data: fixRaw({ '35': '8', '17': 'EX1', '11': 'QREC001', '150': 'F', '39': '2', '54': '1', '31': '99700', '32': '0.1', '14': '0.1', '151': '0' }),
+  });
+  // Acks from the original session are not replayed
+  records.push({
+    t: T0 + 30001,
+    source: 'truex-oe',
+    data: fixRaw({ '35': '8', '17': 'EX2', '11': 'QREC002', '150': '0', '39': '0', '54': '2', '44': '100100', '38': '0.1' }),
+  });
+  return records.sort((a, b) => a.t - b.t);
+}
+
+function createDriver(records, overrides = {}) {
+  return new ReplayDriver({
+    records,
+    settleMs: 1000,
+    orchestratorOptions: { levels: 2, baseSpreadBps: 20, maxOrdersPerSecond: 4, pnlLogIntervalMs: 10000 },
+    logger: createMockLogger(),
+    ...overrides,
+  });
+}
+
+describe('VirtualClock', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = new VirtualClock({ startTime: 1000 });
+  });
+
+  afterEach(() => {
+    clock.uninstall();
+  });
+
+  test('runs due timers in time order and leaves the clock at the target', async () => {
+    const fired = [];
+    clock.setTimeout(() => fired.push(['b', clock.now()]), 200);
+    clock.setTimeout(() => fired.push(['a', clock.now()]), 100);
+    clock.setTimeout(() => fired.push(['c', clock.now()]), 500);
+
+    await clock.advanceTo(1300);
+
+    expect(fired).toEqual([['a', 1100], ['b', 1200]]);
+    expect(clock.now()).toBe(1300);
+    expect(clock.pendingTimers()).toBe(1);
+  });
+
+  test('repeats intervals until cleared', async () => {
+    let count = 0;
+    const handle = clock.setInterval(() => { count++; }, 100);
+
+    await clock.advanceBy(350);
+    expect(count).toBe(3);
+
+    clock.clearTimer(handle);
+    await clock.advanceBy(1000);
+    expect(count).toBe(3);
+  });
+
+  test('runs timers scheduled by async continuations within the same advance', async () => {
+    const fired = [];
+    clock.install();
+    setTimeout(async () => {
+      await Promise.resolve();
+      setTimeout(() => fired.push(Date.now()), 50);
+    }, 100);
+
+    await clock.advanceTo(1200);
+
+    expect(fired).toEqual([1150]);
+  });
+
+  test('install replaces and uninstall restores Date.now and timers', () => {
+    const realSetTimeout = globalThis.setTimeout;
+    clock.install();
+    expect(Date.now()).toBe(1000);
+    expect(globalThis.setTimeout).not.toBe(realSetTimeout);
+
+    clock.uninstall();
+    expect(Date.now()).toBeGreaterThan(1000);
+    expect(globalThis.setTimeout).toBe(realSetTimeout);
+  });
+});
+
+describe('MarketDataRecorder', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'md-recorder-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes a gzip JSONL header and raw records from every source', async () => {
+    const ingest = new CoinbaseWsIngest({ logger: createMockLogger() });
+    const kraken = new EventEmitter();
+    const fix = new EventEmitter();
+    const recorder = new MarketDataRecorder({ filePath: path.join(dir, 'session.jsonl.gz'), logger: createMockLogger() });
+
+    recorder.addCoinbaseIngest(ingest);
+    recorder.addKrakenAdapter(kraken);
+    recorder.addFIXConnection(fix, 'truex-oe');
+    recorder.start({ symbol: 'BTC-PYUSD', sessionId: 'mm-1' });
+
+    const snapshots = [];
+    ingest.onSnapshot = (symbol, snapshot) => snapshots.push(snapshot);
+    ingest.handleMessage(Buffer.from(coinbaseSnapshot(99990, 100010)));
+    kraken.emit('orderBookUpdate', krakenBook(99995, 100015, 123));
+    fix.emit('message', { raw: fixRaw({ '35': '8', '11': 'Q1', '39': '0' }), fields: {} });
+
+    const stats = await recorder.stop();
+    expect(stats.recordsWritten).toBe(4);
+    expect(snapshots).toHaveLength(1);
+
+    const records = [];
+    for await (const record of readRecording(recorder.filePath)) records.push(record);
+
+    expect(records.map(r => r.source)).toEqual(['header', 'coinbase', 'kraken', 'truex-oe']);
+    expect(records[0].data).toEqual({ version: 1, sources: ['coinbase', 'kraken', 'truex-oe'], symbol: 'BTC-PYUSD', sessionId: 'mm-1' });
+    expect(JSON.parse(records[1].data).type).toBe('snapshot');
+    expect(records[2].data.bids).toEqual([[99995, 1]]);
+    expect(records[3].data).toContain('11=Q1');
+  });
+
+  test('stop unbinds every source', async () => {
+    const ingest = new CoinbaseWsIngest({ logger: createMockLogger() });
+    const kraken = new EventEmitter();
+    const recorder = new MarketDataRecorder({ filePath: path.join(dir, 'session.jsonl.gz'), logger: createMockLogger() });
+
+    recorder.addCoinbaseIngest(ingest);
+    recorder.addKrakenAdapter(kraken);
+    recorder.start();
+    await recorder.stop();
+
+    expect(Object.prototype.hasOwnProperty.call(ingest, 'handleMessage')).toBe(false);
+    expect(kraken.listenerCount('orderBookUpdate')).toBe(0);
+  });
+
+  test('orchestrator records its sources between start and stop', async () => {
+    const fix = createMockFIXConnection();
+    const kraken = new EventEmitter();
+    const recorder = new MarketDataRecorder({ filePath: path.join(dir, 'mm.jsonl.gz'), logger: createMockLogger() });
+    const orchestrator = new MarketMakerOrchestrator({
+      fixConnection: fix,
+      krakenAdapter: kraken,
+      recorder,
+      sessionId: 'mm-rec',
+      logger: createMockLogger(),
+    });
+
+    await orchestrator.start();
+    kraken.emit('orderBookUpdate', krakenBook(99995, 100015, Date.now()));
+    fix.emit('message', { raw: fixRaw({ '35': '8', '11': 'Q1', '39': '0' }), fields: { '35': '8', '11': 'Q1', '39': '0' } });
+    await orchestrator.stop();
+
+    const records = [];
+    for await (const record of readRecording(recorder.filePath)) records.push(record);
+    expect(records[0].data).toMatchObject({ symbol: 'BTC-PYUSD', sessionId: 'mm-rec', sources: ['kraken', 'truex-oe'] });
+    expect(records.slice(1).map(r => r.source)).toEqual(['kraken', 'truex-oe']);
+    expect(recorder.isRecording).toBe(false);
+  });
+});
+
+describe('ReplayDriver', () => {
+  test('replays a recording into order actions, fills and PnL', async () => {
+    const report = await createDriver(buildRecording()).run();
+
+    expect(report.records).toBe(84);
+    expect(report.endTime).toBe(T0 + 61650);
+    expect(report.actions.length).toBeGreaterThan(0);
+    expect(report.actions[0]).toMatchObject({ type: 'new', side: expect.any(String) });
+    expect(report.actions.every(a => a.t >= T0)).toBe(true);
+
+    // Only the recorded fill, not the recorded ack, reaches inventory
+    expect(report.fills).toHaveLength(1);
+    expect(report.fills[0]).toMatchObject({ t: T0 + 30000, side: 'buy', price: 99700, size: 0.1 });
+    expect(report.inventory.netPosition).toBeCloseTo(0.1, 8);
+    expect(report.pnl.unrealizedPnL).not.toBe(0);
+  });
+
+  test('produces identical decisions on every run', async () => {
+    const first = await createDriver(buildRecording()).run();
+    const second = await createDriver(buildRecording()).run();
+
+    expect(second.actions).toEqual(first.actions);
+    expect(second.fills).toEqual(first.fills);
+    expect(second.pnl).toEqual(first.pnl);
+    expect(second.inventory).toEqual(first.inventory);
+  });
+
+  test('replays a recording file written by MarketDataRecorder', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'md-replay-'));
+    try {
+      const recorder = new MarketDataRecorder({ filePath: path.join(dir, 'session.jsonl.gz'), logger: createMockLogger() });
+      const [header, ...records] = buildRecording();
+      recorder.sources = new Set(header.data.sources);
+      const clock = new VirtualClock({ startTime: header.t }).install();
+      recorder.start({ symbol: header.data.symbol, sessionId: header.data.sessionId });
+      clock.uninstall();
+      for (const record of records) recorder.record(record.source, record.data, record.t);
+      await recorder.stop();
+
+      const fromFile = await createDriver(null, { filePath: recorder.filePath }).run();
+      const fromMemory = await createDriver(buildRecording()).run();
+
+      expect(fromFile.actions).toEqual(fromMemory.actions);
+      expect(fromFile.pnl).toEqual(fromMemory.pnl);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('rejects a recording without a header', async () => {
+    const driver = createDriver([{ t: T0, source: 'coinbase', data: coinbaseSnapshot(1, 2) }]);
+    await expect(driver.run()).rejects.toThrow('header');
+    expect(Date.now()).toBeGreaterThan(T0);
+  });
+});
@@ -0,0 +1,243 @@
+import { describe, it, expect, beforeEach, jest } from 'bun:test';
+import { EventEmitter } from 'events';
+import { PreTradeRiskGateway } from '../src/core/risk-gateway.js';
+import { FIXConnection } from '../src/fix-protocol/fix-connection.js';
+
+// --- Test helpers ---
+
+function createMockLogger() {
+  return { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+}
+
+function createGateway(overrides = {}) {
+  return new PreTradeRiskGateway({ logger: createMockLogger(), ...overrides });
+}
+
+let seq = 0;
+function order(overrides = {}) {
+  return { '35': 'D', '11': `C${++seq}`, '55': 'BTC-PYUSD', '54': '1', '38': '0.1', '44': '100000', '40': '2', ...overrides };
+}
+
+describe('PreTradeRiskGateway', () => {
+  let gateway;
+
+  beforeEach(() => {
+    gateway = createGateway();
+  });
+
+  describe('checkOrder', () => {
+    it('should approve an order within all limits', () => {
+      gateway.setReferencePrice(100000);
+      expect(gateway.checkOrder(order()).approved).toBe(true);
+      expect(gateway.getStats().approved).toBe(1);
+      expect(gateway.getStats().openOrders).toBe(1);
+    });
+
+    it('should reject orders above max size with a structured rejection', () => {
+      const rejections = [];
+      gateway.on('rejection', (r) => rejections.push(r));
+
+      const result = gateway.checkOrder(order({ '11': 'BIG', '38': '2.5' }));
+
+      expect(result.approved).toBe(false);
+      expect(rejections).toEqual([result.rejection]);
+      expect(result.rejection).toMatchObject({
+        clOrdID: 'BIG',
+        msgType: 'D',
+        symbol: 'BTC-PYUSD',
+        side: 'buy',
+        price: 100000,
+        size: 2.5,
+        reason: 'MAX_ORDER_SIZE',
+        limit: 1.0,
+        value: 2.5,
+      });
+      expect(gateway.getStats().rejectionsByReason).toEqual({ MAX_ORDER_SIZE: 1 });
+    });
+
+    it('should reject invalid sizes', () => {
+      expect(gateway.checkOrder(order({ '38': '0' })).rejection.reason).toBe('INVALID_SIZE');
+    });
+
+    it('should reject orders above max notional', () => {
+      gateway = createGateway({ maxNotional: 5000 });
+      expect(gateway.checkOrder(order()).rejection.reason).toBe('MAX_NOTIONAL');
+    });
+
+    it('should price market orders against the reference mid for notional', () => {
+      gateway = createGateway({ maxNotional: 5000 });
+      const market = order({ '40': '1' });
+      delete market['44'];
+      expect(gateway.checkOrder(market).approved).toBe(true);
+
+      gateway.setReferencePrice(100000);
+      expect(gateway.checkOrder({ ...market, '11': 'M2' }).rejection.reason).toBe('MAX_NOTIONAL');
+    });
+
+    it('should reject prices outside the band around the reference mid', () => {
+      gateway.setReferencePrice(100000);
+      expect(gateway.checkOrder(order({ '44': '102400' })).approved).toBe(true);
+      const result = gateway.checkOrder(order({ '44': '97000' }));
+      expect(result.rejection.reason).toBe('PRICE_BAND');
+      expect(result.rejection.value).toBeCloseTo(3, 6);
+    });
+
+    it('should skip the price band when the reference is stale', () => {
+      const now = Date.now();
+      gateway.setReferencePrice(100000, now - 60000);
+      expect(gateway.checkOrder(order({ '44': '90000' }), now).approved).toBe(true);
+    });
+
+    it('should reject fat-finger prices against the last trade', () => {
+      gateway.onTrade(100000);
+      expect(gateway.checkOrder(order({ '44': '94000' })).rejection.reason).toBe('FAT_FINGER');
+      expect(gateway.checkOrder(order({ '44': '96000' })).approved).toBe(true);
+    });
+
+    it('should cap open orders but still allow replaces', () => {
+      gateway = createGateway({ maxOpenOrders: 2 });
+      gateway.checkOrder(order());
+      gateway.checkOrder(order());
+      expect(gateway.checkOrder(order()).rejection.reason).toBe('MAX_OPEN_ORDERS');
+      expect(gateway.checkOrder(order({ '35': 'G', '41': 'C1' })).approved).toBe(true);
+    });
+
+    it('should cap orders per minute on a sliding window', () => {
+      gateway = createGateway({ maxOrdersPerMinute: 3, maxOpenOrders: 100 });
+      const now = Date.now();
+      gateway.checkOrder(order(), now - 61000);
+      gateway.checkOrder(order(), now - 30000);
+      gateway.checkOrder(order(), now - 10000);
+      expect(gateway.checkOrder(order(), now).approved).toBe(true);
+      expect(gateway.checkOrder(order(), now).rejection.reason).toBe('RATE_LIMIT');
+    });
+
+    it('should count cancels towards the per-minute cap without refusing them', () => {
+      gateway = createGateway({ maxOrdersPerMinute: 3, maxOpenOrders: 100 });
+      const now = Date.now();
+      gateway.checkOrder(order(), now);
+      gateway.recordCancel(now);
+      gateway.recordCancel(now);
+      gateway.recordCancel(now);  // over the cap: still counted, never refused
+      expect(gateway.getStats().ordersLastMinute).toBe(4);
+      expect(gateway.checkOrder(order(), now).rejection.reason).toBe('RATE_LIMIT');
+      expect(gateway.checkOrder(order(), now + 60001).approved).toBe(true);
+    });
+  });
+
+  describe('onExecutionReport', () => {
+    it('should release open orders on fill, cancel and reject', () => {
+      for (const id of ['A', 'B', 'C']) gateway.checkOrder(order({ '11': id }));
+
+      gateway.onExecutionReport({ '35': '8', '11': 'A', '39': '2', '31': '100050', '32': '0.1' });
+      gateway.onExecutionReport({ '35': '8', '11': 'X', '41': 'B', '39': '4' });
+      gateway.onExecutionReport({ '35': '8', '11': 'C', '39': '8' });
+
+      expect(gateway.getStats().openOrders).toBe(0);
+      expect(gateway.lastTradePrice).toBe(100050);
+    });
+
+    it('should release expired orders (39=C)', () => {
+      gateway.checkOrder(order({ '11': 'A', '59': '6', '126': '20261018-12:00:00.000' }));
+      gateway.checkOrder(order({ '11': 'B' }));
+      gateway.onExecutionReport({ '35': '8', '11': 'A', '150': 'C', '39': 'C' });
+      gateway.onExecutionReport({ '35': '8', '11': 'B2', '41': 'B', '150': 'C', '39': 'C' });
+
+      expect(gateway.getStats().openOrders).toBe(0);
+      expect(gateway.getOpenNotional()).toBe(0);
+    });
+
+    it('should rekey open orders on Replaced (150=5)', () => {
+      gateway.checkOrder(order({ '11': 'A' }));
+      gateway.onExecutionReport({ '35': '8', '11': 'A2', '41': 'A', '150': '5', '39': '0' });
+      expect([...gateway.openOrders]).toEqual(['A2']);
+    });
+  });
+
+  describe('multi-symbol limits', () => {
+    const eth = (overrides = {}) => order({ '55': 'ETH-PYUSD', '44': '3000', '38': '1', ...overrides });
+
+    it('should keep reference prices per symbol', () => {
+      gateway.setReferencePrice(100000, Date.now(), 'BTC-PYUSD');
+      gateway.setReferencePrice(3000, Date.now(), 'ETH-PYUSD');
+
+      expect(gateway.checkOrder(eth()).approved).toBe(true);
+      expect(gateway.checkOrder(eth({ '44': '3200' })).rejection.reason).toBe('PRICE_BAND');
+      expect(gateway.checkOrder(order()).approved).toBe(true);
+    });
+
+    it('should cap working notional across symbols', () => {
+      gateway = createGateway({ maxOpenNotional: 25000, maxOrderSize: 10 });
+      gateway.checkOrder(order({ '11': 'B1' }));   // 10000
+      gateway.checkOrder(eth({ '11': 'E1', '38': '4' }));  // 12000
+
+      const result = gateway.checkOrder(eth({ '11': 'E2', '38': '2' }));
+      expect(result.rejection).toMatchObject({ reason: 'MAX_OPEN_NOTIONAL', limit: 25000, value: 28000 });
+
+      // A replace only adds the difference; a fill releases notional
+      expect(gateway.checkOrder(eth({ '35': 'G', '11': 'E1b', '41': 'E1', '38': '5' })).approved).toBe(true);
+      gateway.onExecutionReport({ '35': '8', '11': 'B1', '55': 'BTC-PYUSD', '39': '2', '31': '100000', '32': '0.1' });
+      gateway.onOrderCancelReject({ '35': '9', '11': 'E1b', '41': 'E1' });
+      expect(gateway.getOpenNotional()).toBe(12000);
+      expect(gateway.checkOrder(eth({ '11': 'E3' })).approved).toBe(true);
+    });
+
+    it('should cap aggregate exposure for orders that add to it', () => {
+      gateway = createGateway({ maxExposureUSD: 20000 });
+      gateway.setReferencePrice(100000, Date.now(), 'BTC-PYUSD');
+      gateway.setReferencePrice(3000, Date.now(), 'ETH-PYUSD');
+      gateway.setPosition('BTC-PYUSD', 0.15);
+      gateway.setPosition('ETH-PYUSD', -1);
+
+      expect(gateway.getExposure().totalUSD).toBe(18000);
+      expect(gateway.checkOrder(order()).rejection.reason).toBe('MAX_EXPOSURE');
+      expect(gateway.checkOrder(eth({ '54': '2' })).rejection.reason).toBe('MAX_EXPOSURE');
+      expect(gateway.checkOrder(eth({ '54': '1' })).approved).toBe(true);
+      expect(gateway.checkOrder(order({ '54': '2' })).approved).toBe(true);
+    });
+  });
+
+  describe('FIXConnection integration', () => {
+    let fix;
+    let socket;
+
+    beforeEach(() => {
+      socket = new EventEmitter();
+      socket.written = [];
+      socket.write = (msg) => { socket.written.push(msg); return true; };
+      socket.destroyed = false;
+
+      fix = new FIXConnection({ host: 'localhost', port: 1, targetCompID: 'TRUEX_UAT_OE', logger: createMockLogger() });
+      fix.socket = socket;
+      gateway.attach(fix);
+    });
+
+    it('should block rejected orders before the socket without consuming a seq num', async () => {
+      const result = await fix.sendMessage(order({ '38': '5' }));
+
+      expect(result.rejected).toBe(true);
+      expect(result.rejection.reason).toBe('MAX_ORDER_SIZE');
+      expect(socket.written.length).toBe(0);
+      expect(fix.msgSeqNum).toBe(1);
+    });
+
+    it('should pass approved orders and non-order messages through', async () => {
+      await fix.sendMessage(order());
+      await fix.sendMessage({ '35': 'F', '11': 'CXL1', '41': 'C1', '55': 'BTC-PYUSD', '54': '1' });
+      await fix.sendMessage({ '35': 'q', '11': 'MC1', '530': '1', '55': 'BTC-PYUSD' });
+      expect(socket.written.length).toBe(3);
+      expect(fix.msgSeqNum).toBe(4);
+      expect(gateway.getStats().ordersLastMinute).toBe(3);
+    });
+
+    it('should track execution reports from the connection until detached', () => {
+      gateway.checkOrder(order({ '11': 'A' }));
+      fix.emit('message', { fields: { '35': '8', '11': 'A', '39': '4' } });
+      expect(gateway.getStats().openOrders).toBe(0);
+
+      gateway.detach();
+      expect(fix.riskGateway).toBeNull();
+      expect(fix.listenerCount('message')).toBe(0);
+    });
+  });
+});
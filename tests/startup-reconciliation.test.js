@@ -0,0 +1,333 @@
+import { describe, it, expect, beforeEach, jest } from 'bun:test';
+import { EventEmitter } from 'events';
+import { StartupReconciliation } from '../src/core/recovery/startup-reconciliation.js';
+import { AuditLogRecovery } from '../src/core/recovery/audit-log-recovery.js';
+import { InventoryManager } from '../src/core/inventory-manager.js';
+import { PnLTracker } from '../src/core/pnl-tracker.js';
+import { QuoteEngine } from '../src/core/quote-engine.js';
+import { MarketMakerOrchestrator } from '../src/core/market-maker-orchestrator.js';
+import { InstrumentRegistry } from '../src/core/instrument-registry.js';
+
+const createLogger = () => ({ info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() });
+
+function createFix({ openOrders = [], statusReports = {} } = {}) {
+  const fix = new EventEmitter();
+  fix.connect = jest.fn(async () => {});
+  fix.disconnect = jest.fn(async () => {});
+  fix.sendMessage = jest.fn(async () => ({}));
+  fix.requestMassStatus = jest.fn(async () => openOrders);
+  fix.requestMassCancel = jest.fn(async () => ({ accepted: true, totalAffected: 0 }));
+  fix.requestOrderStatus = jest.fn(async ({ clOrdID }) => {
+    if (!statusReports[clOrdID]) throw new Error('Order status request timed out');
+    return statusReports[clOrdID];
+  });
+  return fix;
+}
+
+function auditSession({ orders = [], fills = [] } = {}) {
+  return {
+    orders: orders.map(o => ({ type: 'ORDER_EVENT', event: o.status, orderData: { sessionId: 'S', symbol: 'BTC-PYUSD', ...o } })),
+    fills: fills.map(f => ({ type: 'FILL_EVENT', fillData: { sessionId: 'S', symbol: 'BTC-PYUSD', ...f } })),
+  };
+}
+
+describe('StartupReconciliation', () => {
+  let logger;
+  let inventoryManager;
+  let pnlTracker;
+  let quoteEngine;
+  let auditLogger;
+  let auditLogRecovery;
+
+  function create(overrides = {}) {
+    return new StartupReconciliation({
+      fixConnection: createFix(),
+      quoteEngine,
+      inventoryManager,
+      pnlTracker,
+      auditLogRecovery,
+      symbol: 'BTC-PYUSD',
+      logger,
+      ...overrides,
+    });
+  }
+
+  beforeEach(() => {
+    logger = createLogger();
+    inventoryManager = new InventoryManager({ maxPositionBTC: 5, hedgeThresholdBTC: 2, logger });
+    pnlTracker = new PnLTracker({ logger });
+    quoteEngine = new QuoteEngine({ inventoryManager, fixConnection: createFix(), logger });
+    auditLogger = { recoverSessionData: jest.fn(async () => auditSession()) };
+    auditLogRecovery = new AuditLogRecovery({
+      auditLogger,
+      dataManager: { addOrder: jest.fn(), addFill: jest.fn(() => true) },
+      logger,
+    });
+  });
+
+  it('requires a quote engine, inventory and an order source', () => {
+    expect(() => new StartupReconciliation({ inventoryManager })).toThrow('quoteEngine is required');
+    expect(() => new StartupReconciliation({ quoteEngine, inventoryManager })).toThrow('fixConnection or restAdapter is required');
+  });
+
+  it('rebuilds inventory and FIFO lots from audit and Redis fills, deduplicated by execID', async () => {
+    auditLogger.recoverSessionData.mockResolvedValue(auditSession({
+      fills: [
+        { orderId: 'O1', execID: 'E1', side: 'buy', quantity: 0.3, price: 100000, timestamp: 1 },
+        { orderId: 'O2', execID: 'E2', side: 'sell', quantity: 0.1, price: 100100, timestamp: 3 },
+      ],
+    }));
+    const redisManager = {
+      getAllFills: jest.fn(async () => [
+        { orderId: 'O1', execID: 'E1', side: 'buy', quantity: 0.3, price: 100000, timestamp: 1 },
+        { orderId: 'O3', execID: 'E3', side: 'buy', quantity: 0.2, price: 99900, timestamp: 2 },
+      ]),
+      getAllOrders: jest.fn(async () => []),
+    };
+
+    const report = await create({ redisManager }).run({ sessionIds: ['S'] });
+
+    expect(report.fillsReplayed).toBe(3);
+    expect(inventoryManager.netPosition).toBeCloseTo(0.4, 10);
+    expect(report.position.netPosition).toBeCloseTo(0.4, 10);
+    // The sell matched FIFO against the first buy lot
+    expect(pnlTracker.realizedPnL).toBeCloseTo(0.1 * 100, 6);
+    expect(pnlTracker.buyFills[0].remainingQty).toBeCloseTo(0.2, 10);
+  });
+
+  it('does not replay fills into a non-empty inventory', async () => {
+    auditLogger.recoverSessionData.mockResolvedValue(auditSession({
+      fills: [{ orderId: 'O1', execID: 'E1', side: 'buy', quantity: 0.3, price: 100000 }],
+    }));
+    inventoryManager.onFill({ side: 'buy', quantity: 1, price: 100000, venue: 'truex', execID: 'X' });
+
+    const report = await create().run({ sessionIds: ['S'] });
+
+    expect(report.fillsReplayed).toBe(0);
+    expect(report.discrepancies[0].type).toBe('INVENTORY_NOT_EMPTY');
+    expect(inventoryManager.netPosition).toBe(1);
+  });
+
+  it('adopts known working orders with levels by distance from the touch', async () => {
+    auditLogger.recoverSessionData.mockResolvedValue(auditSession({
+      orders: [
+        { orderId: 'B1', side: 'buy', status: 'OPEN' },
+        { orderId: 'B2', side: 'buy', status: 'OPEN' },
+        { orderId: 'A1', side: 'sell', status: 'PARTIALLY_FILLED' },
+      ],
+    }));
+    const fixConnection = createFix({
+      openOrders: [
+        { clOrdID: 'B2', side: 'buy', price: 99000, leavesQty: 0.1, cumQty: 0, ordStatus: '0' },
+        { clOrdID: 'B1', side: 'buy', price: 99500, leavesQty: 0.1, cumQty: 0, ordStatus: '0' },
+        { clOrdID: 'A1', side: 'sell', price: 100500, leavesQty: 0.05, cumQty: 0.05, ordStatus: '1' },
+      ],
+    });
+
+    const report = await create({ fixConnection }).run({ sessionIds: ['S'] });
+
+    expect(report.adopted.length).toBe(3);
+    expect(report.cancelled.length).toBe(0);
+    expect(report.discrepancies).toEqual([]);
+    expect(quoteEngine.activeOrders.get('B1')).toMatchObject({ level: 1, price: 99500, status: 'active' });
+    expect(quoteEngine.activeOrders.get('B2').level).toBe(2);
+    expect(quoteEngine.activeOrders.get('A1')).toMatchObject({ level: 1, size: 0.05, cumQty: 0.05, status: 'partial' });
+  });
+
+  it('cancels unknown orders by default and reports them', async () => {
+    const fixConnection = createFix({
+      openOrders: [{ clOrdID: 'OTHER1', orderID: 'X9', side: 'sell', price: 101000, leavesQty: 0.2, ordStatus: '0' }],
+    });
+
+    const report = await create({ fixConnection }).run({ sessionIds: ['S'] });
+
+    expect(report.cancelled.map(o => o.clOrdID)).toEqual(['OTHER1']);
+    expect(report.discrepancies.map(d => d.type)).toEqual(['UNKNOWN_ORDER']);
+    const cancel = fixConnection.sendMessage.mock.calls[0][0];
+    expect(cancel).toMatchObject({ '35': 'F', '41': 'OTHER1', '37': 'X9', '54': '2' });
+    expect(quoteEngine.activeOrders.size).toBe(0);
+  });
+
+  it('adopts unknown orders when the policy is adopt', async () => {
+    const fixConnection = createFix({
+      openOrders: [{ clOrdID: 'OTHER1', side: 'buy', price: 99000, leavesQty: 0.2, ordStatus: '0' }],
+    });
+
+    const report = await create({ fixConnection, unknownOrderPolicy: 'adopt' }).run();
+
+    expect(report.adopted.length).toBe(1);
+    expect(report.discrepancies[0].type).toBe('UNKNOWN_ORDER');
+    expect(fixConnection.sendMessage).not.toHaveBeenCalled();
+  });
+
+  it('cancels everything when adoptKnownOrders is off', async () => {
+    auditLogger.recoverSessionData.mockResolvedValue(auditSession({ orders: [{ orderId: 'B1', side: 'buy', status: 'OPEN' }] }));
+    const fixConnection = createFix({ openOrders: [{ clOrdID: 'B1', side: 'buy', price: 99500, leavesQty: 0.1, ordStatus: '0' }] });
+
+    const report = await create({ fixConnection, adoptKnownOrders: false }).run({ sessionIds: ['S'] });
+
+    expect(report.cancelled.length).toBe(1);
+    expect(report.discrepancies).toEqual([]);
+  });
+
+  it('uses TrueXRESTAdapter open orders and REST cancels when given', async () => {
+    const restAdapter = {
+      getOpenOrders: jest.fn(async () => [
+        { id: 'R1', external_id: 'EXT1', instrument_id: 'INST', side: 'BUY', price: '99000', qty: '0.2', filled_qty: '0.05' },
+        { id: 'R2', instrument_id: 'OTHER', side: 'SELL', price: '3000', qty: '1' },
+      ]),
+      cancelOrder: jest.fn(async () => ({})),
+    };
+
+    const report = await create({ fixConnection: null, restAdapter, instrumentId: 'INST' }).run();
+
+    expect(report.exchangeOrders).toEqual([expect.objectContaining({ clOrdID: 'EXT1', side: 'buy', price: 99000, cumQty: 0.05 })]);
+    expect(report.exchangeOrders[0].leavesQty).toBeCloseTo(0.15, 10);
+    expect(restAdapter.cancelOrder).toHaveBeenCalledWith('R1');
+  });
+
+  it('keeps only REST orders for its symbol when no instrument ID is known', async () => {
+    const restAdapter = {
+      getOpenOrders: jest.fn(async () => [
+        { id: 'R1', instrument_id: 'BTC-PYUSD', side: 'BUY', price: '99000', qty: '0.2' },
+        { id: 'R2', instrument_id: 'ETH-PYUSD', side: 'SELL', price: '3000', qty: '1' },
+      ]),
+      cancelOrder: jest.fn(async () => ({})),
+    };
+
+    const report = await create({ fixConnection: null, restAdapter }).run();
+
+    expect(report.exchangeOrders.map(o => o.orderID)).toEqual(['R1']);
+    expect(restAdapter.cancelOrder).toHaveBeenCalledTimes(1);
+    expect(restAdapter.cancelOrder).toHaveBeenCalledWith('R1');
+  });
+
+  it('queries 35=H for recorded-open orders missing from the exchange', async () => {
+    auditLogger.recoverSessionData.mockResolvedValue(auditSession({
+      orders: [
+        { orderId: 'F1', side: 'buy', status: 'OPEN' },
+        { orderId: 'C1', side: 'sell', status: 'SENT' },
+        { orderId: 'U1', side: 'sell', status: 'OPEN' },
+        { orderId: 'D1', side: 'buy', status: 'FILLED' },
+      ],
+      fills: [{ orderId: 'F1', execID: 'E1', side: 'buy', quantity: 0.04, price: 99000 }],
+    }));
+    const fixConnection = createFix({
+      statusReports: {
+        F1: { clOrdID: 'F1', ordStatus: '2', cumQty: 0.1 },
+        C1: { clOrdID: 'C1', ordStatus: '4', cumQty: 0 },
+      },
+    });
+
+    const report = await create({ fixConnection }).run({ sessionIds: ['S'] });
+
+    expect(fixConnection.requestOrderStatus).toHaveBeenCalledTimes(3);
+    expect(fixConnection.requestOrderStatus).toHaveBeenCalledWith({ clOrdID: 'F1', orderID: undefined, symbol: 'BTC-PYUSD', side: 'buy' });
+    const byOrder = Object.fromEntries(report.discrepancies.map(d => [d.clOrdID, d.type]));
+    expect(byOrder).toEqual({ F1: 'MISSED_FILL', C1: 'ORDER_CLOSED_WHILE_DOWN', U1: 'ORDER_STATUS_UNKNOWN' });
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('MISSED_FILL'));
+  });
+
+  it('runs from the orchestrator before quoting begins', async () => {
+    const fix = createFix({ openOrders: [{ clOrdID: 'OTHER1', side: 'buy', price: 99000, leavesQty: 0.2, ordStatus: '0' }] });
+    const orchestrator = new MarketMakerOrchestrator({
+      fixConnection: fix,
+      reconcileOnStart: true,
+      unknownOrderPolicy: 'adopt',
+      logger: createLogger(),
+    });
+    const events = [];
+    orchestrator.on('reconciled', (r) => events.push(['reconciled', r, orchestrator.isRunning]));
+    orchestrator.on('started', () => events.push(['started']));
+
+    await orchestrator.start();
+
+    expect(events.map(e => e[0])).toEqual(['reconciled', 'started']);
+    expect(events[0][2]).toBe(false);
+    expect(orchestrator.quoteEngine.activeOrders.has('OTHER1')).toBe(true);
+    expect(orchestrator.riskGateway.openOrders.has('OTHER1')).toBe(true);
+    expect(orchestrator.lastReconciliation.adopted.length).toBe(1);
+    await orchestrator.stop();
+  });
+
+  it('reconciles every symbol of a multi-symbol orchestrator', async () => {
+    const fix = createFix();
+    fix.requestMassStatus = jest.fn(async ({ symbol }) => [
+      { clOrdID: `${symbol}-1`, symbol, side: 'buy', price: 100, leavesQty: 0.5, ordStatus: '0' },
+    ]);
+    const orchestrator = new MarketMakerOrchestrator({
+      fixConnection: fix,
+      symbols: ['BTC-PYUSD', 'ETH-PYUSD'],
+      reconcileOnStart: true,
+      unknownOrderPolicy: 'adopt',
+      logger: createLogger(),
+    });
+    const reconciled = [];
+    orchestrator.on('reconciled', (r) => reconciled.push(r.symbol));
+
+    await orchestrator.start();
+
+    expect(reconciled).toEqual(['BTC-PYUSD', 'ETH-PYUSD']);
+    const eth = orchestrator.symbols.get('ETH-PYUSD');
+    expect(eth.quoteEngine.activeOrders.has('ETH-PYUSD-1')).toBe(true);
+    expect(orchestrator.quoteEngine.activeOrders.has('ETH-PYUSD-1')).toBe(false);
+    expect(eth.lastReconciliation.adopted.length).toBe(1);
+    expect(orchestrator.lastReconciliation.symbol).toBe('BTC-PYUSD');
+    expect(fix.requestMassCancel).not.toHaveBeenCalled();
+    await orchestrator.stop();
+  });
+
+  it('reconciles each symbol against its own REST orders', async () => {
+    const restAdapter = {
+      getInstruments: jest.fn(async () => [
+        { id: 'I-BTC', symbol: 'BTC-PYUSD', status: 'ACTIVE' },
+        { id: 'I-ETH', symbol: 'ETH-PYUSD', status: 'ACTIVE' },
+      ]),
+      getOpenOrders: jest.fn(async () => [
+        { id: 'R1', external_id: 'BTC-1', instrument_id: 'I-BTC', side: 'BUY', price: '99000', qty: '0.2' },
+        { id: 'R2', external_id: 'ETH-1', instrument_id: 'I-ETH', side: 'SELL', price: '3000', qty: '1' },
+      ]),
+      cancelOrder: jest.fn(async () => ({})),
+    };
+    const orchestrator = new MarketMakerOrchestrator({
+      fixConnection: createFix(),
+      restAdapter,
+      instrumentRegistry: new InstrumentRegistry({ logger: createLogger() }),
+      symbols: ['BTC-PYUSD', 'ETH-PYUSD'],
+      reconcileOnStart: true,
+      unknownOrderPolicy: 'adopt',
+      logger: createLogger(),
+    });
+
+    await orchestrator.start();
+
+    const eth = orchestrator.symbols.get('ETH-PYUSD');
+    expect(orchestrator.lastReconciliation.exchangeOrders.map(o => o.orderID)).toEqual(['R1']);
+    expect(eth.lastReconciliation.exchangeOrders.map(o => o.orderID)).toEqual(['R2']);
+    expect([...orchestrator.quoteEngine.activeOrders.keys()]).toEqual(['BTC-1']);
+    expect([...eth.quoteEngine.activeOrders.keys()]).toEqual(['ETH-1']);
+    expect(restAdapter.cancelOrder).not.toHaveBeenCalled();
+    await orchestrator.stop();
+  });
+
+  it('mass-cancels symbols without a reconciliation', async () => {
+    const fix = createFix({ openOrders: [{ clOrdID: 'X', side: 'buy', price: 100, leavesQty: 0.5, ordStatus: '0' }] });
+    fix.requestMassCancel = jest.fn(async () => ({ accepted: true, totalAffected: 1 }));
+    const reconciliation = { run: jest.fn(async () => ({ adopted: [], cancelled: [], discrepancies: [] })) };
+    const orchestrator = new MarketMakerOrchestrator({
+      fixConnection: fix,
+      symbols: ['BTC-PYUSD', 'ETH-PYUSD'],
+      reconciliation,
+      cancelOrdersOnStart: true,
+      logger: createLogger(),
+    });
+
+    await orchestrator.start();
+
+    expect(reconciliation.run).toHaveBeenCalledTimes(1);
+    expect(orchestrator.lastReconciliation.symbol).toBe('BTC-PYUSD');
+    expect(fix.requestMassCancel).toHaveBeenCalledTimes(1);
+    expect(fix.requestMassCancel.mock.calls[0][0]).toEqual({ symbol: 'ETH-PYUSD' });
+    await orchestrator.stop();
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'bun:test';
+import crypto from 'crypto';
+import { TrueXRESTAdapter } from '../src/core/TrueXRESTAdapter.js';
+
+const silentLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64');
+}
+
+describe('TrueXRESTAdapter request signing', () => {
+  const credentials = { apiKey: 'key', apiSecret: 'secret', organizationId: 'org', logger: silentLogger };
+
+  it('signs timestamp, method and path of a request without a body', () => {
+    const adapter = new TrueXRESTAdapter(credentials);
+    const config = adapter._addAuthentication({ method: 'get', url: '/orders/open', headers: {} });
+
+    const timestamp = config.headers['X-API-TIMESTAMP'];
+    expect(config.headers['X-API-SIGNATURE']).toBe(sign('secret', `${timestamp}GET/orders/open`));
+    expect(config.headers).toMatchObject({ 'X-API-KEY': 'key', 'X-ORGANIZATION-ID': 'org' });
+  });
+
+  it('adds the JSON body to the signed payload', () => {
+    const adapter = new TrueXRESTAdapter(credentials);
+    const data = { instrument_id: 'BTC-PYUSD', side: 'BUY', price: '100000', qty: '0.1' };
+
+    // A body used to throw "Assignment to constant variable"
+    const config = adapter._addAuthentication({ method: 'post', url: '/orders', data, headers: {} });
+
+    const timestamp = config.headers['X-API-TIMESTAMP'];
+    expect(config.headers['X-API-SIGNATURE']).toBe(sign('secret', `${timestamp}POST/orders${JSON.stringify(data)}`));
+  });
+});
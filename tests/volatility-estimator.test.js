@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, mock } from 'bun:test';
+import { VolatilityEstimator } from '../src/core/volatility-estimator.js';
+import { QuoteEngine } from '../src/core/quote-engine.js';
+import { TrueXOhlcBuilder } from '../src/data-pipeline/ohlc-builder.js';
+import { L2OhlcOrchestrator } from '../src/data-pipeline/l2-ohlc-orchestrator.js';
+
+const logger = () => ({ info: mock(() => {}), warn: mock(() => {}), error: mock(() => {}), debug: mock(() => {}) });
+
+// 1m candle whose high/low range is `rangePct` percent around 100000
+function candle(i, rangePct, symbol = 'BTC-PYUSD') {
+  const half = 100000 * rangePct / 200;
+  return { symbol, timestamp: i * 60_000, open: 100000, high: 100000 + half, low: 100000 - half, close: 100000 };
+}
+
+// Annualized % vol for a constant per-candle log range on 1m candles
+function expectedVolPct(rangePct) {
+  const half = 100000 * rangePct / 200;
+  const range = Math.log((100000 + half) / (100000 - half));
+  return Math.sqrt(range * range / (4 * Math.LN2) * 365 * 24 * 60) * 100;
+}
+
+describe('VolatilityEstimator', () => {
+  let estimator;
+
+  beforeEach(() => {
+    estimator = new VolatilityEstimator({ windowCandles: 10, minCandles: 3, referenceVolPct: 50, logger: logger() });
+  });
+
+  afterEach(() => {
+    estimator.detach();
+  });
+
+  it('returns a neutral multiplier until warmed up', () => {
+    estimator.onCandle(candle(0, 0.1));
+    estimator.onCandle(candle(1, 0.1));
+    expect(estimator.getSpreadMultiplier()).toBe(1);
+    expect(estimator.getState().regime).toBe('unknown');
+  });
+
+  it('annualizes Parkinson volatility over the rolling window', () => {
+    for (let i = 0; i < 3; i++) estimator.onCandle(candle(i, 0.1));
+    expect(estimator.annualizedVolPct).toBeCloseTo(expectedVolPct(0.1), 6);
+    expect(estimator.getSpreadMultiplier()).toBeCloseTo(expectedVolPct(0.1) / 50, 6);
+
+    // Old candles roll out of the window
+    for (let i = 3; i < 13; i++) estimator.onCandle(candle(i, 0.02));
+    expect(estimator.variances.length).toBe(10);
+    expect(estimator.annualizedVolPct).toBeCloseTo(expectedVolPct(0.02), 6);
+  });
+
+  it('classifies regimes and emits on change', () => {
+    const changes = [];
+    estimator.on('regime-change', (e) => changes.push(e.to));
+
+    // ~0.02% range per minute is well under 50% annualized
+    for (let i = 0; i < 3; i++) estimator.onCandle(candle(i, 0.02));
+    expect(estimator.regime).toBe('calm');
+
+    // A run of 3% candles
+    for (let i = 3; i < 13; i++) estimator.onCandle(candle(i, 3));
+    expect(estimator.regime).toBe('extreme');
+    expect(changes).toEqual(['calm', 'extreme']);
+  });
+
+  it('ignores candles for other symbols', () => {
+    for (let i = 0; i < 3; i++) estimator.onCandle(candle(i, 1, 'ETH-USD'));
+    expect(estimator.variances.length).toBe(0);
+    // Same base asset on another venue counts
+    estimator.onCandle(candle(0, 1, 'BTC/USD'));
+    expect(estimator.variances.length).toBe(1);
+  });
+
+  it('builds candles from a reference trade stream', () => {
+    const prevTrade = mock(() => {});
+    const ingest = { onTrade: prevTrade };
+    estimator.addCoinbaseIngest(ingest);
+
+    for (let minute = 0; minute < 4; minute++) {
+      ingest.onTrade('BTC-PYUSD', [
+        { timestamp: minute * 60_000 + 1, price: 99950, volume: 0.1 },
+        { timestamp: minute * 60_000 + 2, price: 100050, volume: 0.1 },
+      ]);
+    }
+
+    // Minutes 0-2 have closed; minute 3 is still open
+    expect(estimator.variances.length).toBe(3);
+    expect(estimator.annualizedVolPct).toBeGreaterThan(0);
+
+    // Existing trade consumers still see every batch; detach restores them
+    expect(prevTrade).toHaveBeenCalledTimes(4);
+    estimator.detach();
+    expect(ingest.onTrade).toBe(prevTrade);
+  });
+
+  it('polls an OHLC builder for completed candles, leaving them for its flush', async () => {
+    const polling = new VolatilityEstimator({ minCandles: 1, pollIntervalMs: 5, logger: logger() });
+    const builder = new TrueXOhlcBuilder({ symbol: 'BTC-PYUSD', intervalMs: 60_000, logger: logger() });
+    builder.updateWithTrade({ timestamp: 1, price: 99900, volume: 1 });
+    builder.updateWithTrade({ timestamp: 2, price: 100100, volume: 1 });
+    polling.addOhlcSource(builder);
+
+    await new Promise(r => setTimeout(r, 20));
+
+    expect(polling.variances.length).toBe(1);
+    // The Redis pipeline still gets the candle, and the estimator counts it once
+    expect(builder.flushCompleteCandles()).toHaveLength(1);
+    expect(polling.variances.length).toBe(1);
+    polling.detach();
+    expect(builder.listenerCount('candle')).toBe(0);
+  });
+
+  it('takes candles the pipeline flushes before the estimator polls', () => {
+    const estimator = new VolatilityEstimator({ minCandles: 1, pollIntervalMs: 60_000, logger: logger() });
+    const source = new L2OhlcOrchestrator({ symbols: ['BTC-PYUSD', 'ETH-PYUSD'], logger: logger() });
+    estimator.addOhlcSource(source);
+
+    source.onTrade('BTC-PYUSD', [{ timestamp: 1, price: 99900, volume: 1 }, { timestamp: 2, price: 100100, volume: 1 }]);
+    source.onTrade('ETH-PYUSD', [{ timestamp: 1, price: 3000, volume: 1 }]);
+    const flushed = source.flushCompleteCandles('BTC-PYUSD');
+    source.flushCompleteCandles('ETH-PYUSD');
+
+    expect(flushed).toHaveLength(1);
+    expect(estimator.variances.length).toBe(1);
+    estimator.detach();
+  });
+});
+
+describe('QuoteEngine volatility-adaptive spread', () => {
+  function createEngine(estimator, overrides = {}) {
+    return new QuoteEngine({
+      fixConnection: { sendMessage: mock(() => Promise.resolve({})) },
+      logger: logger(),
+      levels: 1,
+      baseSpreadBps: 50,
+      volatilityEstimator: estimator,
+      ...overrides,
+    });
+  }
+
+  it('scales baseSpreadBps by the multiplier within floor and ceiling', () => {
+    const estimator = { getSpreadMultiplier: () => 2, getState: () => ({ regime: 'elevated' }) };
+    const engine = createEngine(estimator);
+
+    expect(engine.getEffectiveSpreadBps()).toBe(100);
+    const quotes = engine.computeDesiredQuotes(100000, { bidSkewTicks: 0, askSkewTicks: 0 });
+    // 100 bps → 500 half spread, plus one tick level offset
+    expect(quotes[0].price).toBe(99499.5);
+
+    estimator.getSpreadMultiplier = () => 10;
+    expect(engine.getEffectiveSpreadBps()).toBe(200);
+    estimator.getSpreadMultiplier = () => 0.1;
+    expect(engine.getEffectiveSpreadBps()).toBe(25);
+
+    const bounded = createEngine(estimator, { minSpreadBps: 40, maxSpreadBps: 60 });
+    expect(bounded.getEffectiveSpreadBps()).toBe(40);
+  });
+
+  it('exposes the volatility regime in getQuoteStatus', () => {
+    const estimator = new VolatilityEstimator({ minCandles: 1, logger: logger() });
+    estimator.onCandle(candle(0, 3));
+    const engine = createEngine(estimator);
+
+    const { volatility } = engine.getQuoteStatus();
+    expect(volatility.regime).toBe('extreme');
+    expect(volatility.spreadBps).toBe(200);
+    expect(createEngine(null).getQuoteStatus().volatility).toBeNull();
+  });
+});